@@ -11,7 +11,7 @@ const Achievements = {
             description: 'Make your first click',
             icon: '👆',
             category: 'clicking',
-            condition: () => GameState.statistics.totalClicks >= 1,
+            condition: { stat: 'totalClicks', gte: 1 },
             reward: { coins: 10 },
             unlocked: false,
             progress: 0
@@ -22,7 +22,7 @@ const Achievements = {
             description: 'Make 100 clicks',
             icon: '🖱️',
             category: 'clicking',
-            condition: () => GameState.statistics.totalClicks >= 100,
+            condition: { stat: 'totalClicks', gte: 100 },
             reward: { coins: 100 },
             unlocked: false,
             progress: 0
@@ -33,7 +33,7 @@ const Achievements = {
             description: 'Make 1,000 clicks',
             icon: '⚡',
             category: 'clicking',
-            condition: () => GameState.statistics.totalClicks >= 1000,
+            condition: { stat: 'totalClicks', gte: 1000 },
             reward: { coins: 1000, happiness: 10 },
             unlocked: false,
             progress: 0
@@ -46,7 +46,7 @@ const Achievements = {
             description: 'Build your first house',
             icon: '🏠',
             category: 'building',
-            condition: () => GameState.buildings.houses >= 1,
+            condition: { stat: 'houses', gte: 1 },
             reward: { coins: 50 },
             unlocked: false,
             progress: 0
@@ -57,7 +57,7 @@ const Achievements = {
             description: 'Build 10 total buildings',
             icon: '🏗️',
             category: 'building',
-            condition: () => Object.values(GameState.buildings).reduce((sum, count) => sum + count, 0) >= 10,
+            condition: { stat: 'totalBuildings', gte: 10 },
             reward: { coins: 500, research: 5 },
             unlocked: false,
             progress: 0
@@ -68,7 +68,7 @@ const Achievements = {
             description: 'Build 100 total buildings',
             icon: '🏙️',
             category: 'building',
-            condition: () => Object.values(GameState.buildings).reduce((sum, count) => sum + count, 0) >= 100,
+            condition: { stat: 'totalBuildings', gte: 100 },
             reward: { coins: 5000, research: 25, happiness: 20 },
             unlocked: false,
             progress: 0
@@ -81,7 +81,7 @@ const Achievements = {
             description: 'Reach 10 population',
             icon: '👥',
             category: 'population',
-            condition: () => GameState.resources.population >= 10,
+            condition: { stat: 'population', gte: 10 },
             reward: { coins: 25 },
             unlocked: false,
             progress: 0
@@ -92,7 +92,7 @@ const Achievements = {
             description: 'Reach 100 population',
             icon: '🏘️',
             category: 'population',
-            condition: () => GameState.resources.population >= 100,
+            condition: { stat: 'population', gte: 100 },
             reward: { coins: 250, happiness: 5 },
             unlocked: false,
             progress: 0
@@ -103,7 +103,7 @@ const Achievements = {
             description: 'Reach 1,000 population',
             icon: '🌆',
             category: 'population',
-            condition: () => GameState.resources.population >= 1000,
+            condition: { stat: 'population', gte: 1000 },
             reward: { coins: 2500, research: 10, happiness: 15 },
             unlocked: false,
             progress: 0
@@ -116,7 +116,7 @@ const Achievements = {
             description: 'Earn 100 total coins',
             icon: '💰',
             category: 'wealth',
-            condition: () => GameState.statistics.totalCoinsEarned >= 100,
+            condition: { stat: 'totalCoinsEarned', gte: 100 },
             reward: { happiness: 5 },
             unlocked: false,
             progress: 0
@@ -127,7 +127,7 @@ const Achievements = {
             description: 'Earn 10,000 total coins',
             icon: '💰',
             category: 'wealth',
-            condition: () => GameState.statistics.totalCoinsEarned >= 10000,
+            condition: { stat: 'totalCoinsEarned', gte: 10000 },
             reward: { research: 15, happiness: 10 },
             unlocked: false,
             progress: 0
@@ -138,7 +138,7 @@ const Achievements = {
             description: 'Earn 1,000,000 total coins',
             icon: '💎',
             category: 'wealth',
-            condition: () => GameState.statistics.totalCoinsEarned >= 1000000,
+            condition: { stat: 'totalCoinsEarned', gte: 1000000 },
             reward: { research: 100, happiness: 50 },
             unlocked: false,
             progress: 0
@@ -151,7 +151,7 @@ const Achievements = {
             description: 'Maintain 100% happiness with 50+ population',
             icon: '😊',
             category: 'happiness',
-            condition: () => Math.floor(GameState.resources.happiness) >= 100 && GameState.resources.population >= 50,
+            condition: { all: [{ stat: 'happiness', gte: 100 }, { stat: 'population', gte: 50 }] },
             reward: { coins: 1000, research: 10 },
             unlocked: false,
             progress: 0
@@ -162,7 +162,7 @@ const Achievements = {
             description: 'Maintain 100% happiness with 500+ population',
             icon: '🌈',
             category: 'happiness',
-            condition: () => Math.floor(GameState.resources.happiness) >= 100 && GameState.resources.population >= 500,
+            condition: { all: [{ stat: 'happiness', gte: 100 }, { stat: 'population', gte: 500 }] },
             reward: { coins: 10000, research: 50, happiness: 25 },
             unlocked: false,
             progress: 0
@@ -175,7 +175,7 @@ const Achievements = {
             description: 'Play for 30 minutes',
             icon: '⏰',
             category: 'time',
-            condition: () => GameState.statistics.gameTime >= 1800, // 30 minutes
+            condition: { stat: 'gameTime', gte: 1800 }, // 30 minutes
             reward: { coins: 500, research: 5 },
             unlocked: false,
             progress: 0
@@ -186,7 +186,7 @@ const Achievements = {
             description: 'Play for 2 hours',
             icon: '🏃',
             category: 'time',
-            condition: () => GameState.statistics.gameTime >= 7200, // 2 hours
+            condition: { stat: 'gameTime', gte: 7200 }, // 2 hours
             reward: { coins: 2000, research: 20, happiness: 15 },
             unlocked: false,
             progress: 0
@@ -199,7 +199,7 @@ const Achievements = {
             description: 'Accumulate 100 research points',
             icon: '🔬',
             category: 'research',
-            condition: () => GameState.statistics.totalResearchEarned >= 100,
+            condition: { stat: 'totalResearchEarned', gte: 100 },
             reward: { coins: 1000, happiness: 10 },
             unlocked: false,
             progress: 0
@@ -210,7 +210,7 @@ const Achievements = {
             description: 'Accumulate 1,000 research points',
             icon: '🧪',
             category: 'research',
-            condition: () => GameState.statistics.totalResearchEarned >= 1000,
+            condition: { stat: 'totalResearchEarned', gte: 1000 },
             reward: { coins: 10000, happiness: 25 },
             unlocked: false,
             progress: 0
@@ -223,17 +223,7 @@ const Achievements = {
             description: 'Purchase 5 different upgrades',
             icon: '⚙️',
             category: 'special',
-            condition: () => {
-                // Count upgrades that have been purchased (excluding base efficiency which starts at 1)
-                let upgradeCount = 0;
-                Object.keys(GameState.upgrades).forEach(upgradeType => {
-                    const level = GameState.upgrades[upgradeType];
-                    if (typeof level === 'number' && upgradeType !== 'efficiency' && upgradeType !== 'populationCap' && level > 0) {
-                        upgradeCount++;
-                    }
-                });
-                return upgradeCount >= 5;
-            },
+            condition: { stat: 'upgradeTypesOwned', gte: 5 },
             reward: { coins: 2500, research: 15, happiness: 10 },
             unlocked: false,
             progress: 0
@@ -244,19 +234,66 @@ const Achievements = {
             description: 'Own at least 1 of each building type',
             icon: '🏢',
             category: 'special',
-            condition: () => {
-                const buildingTypes = Object.keys(BuildingConfig);
-                return buildingTypes.every(type => GameState.buildings[type] >= 1);
-            },
+            condition: { stat: 'buildingTypesOwnedPercent', gte: 100 },
             reward: { coins: 5000, research: 25, happiness: 20 },
             unlocked: false,
             progress: 0
+        },
+
+        // Prestige achievements
+        firstCharter: {
+            id: 'firstCharter',
+            name: 'Founding Charter',
+            description: 'Sign your first City Charter',
+            icon: '🏛️',
+            category: 'prestige',
+            condition: { stat: 'prestigesPerformed', gte: 1 },
+            reward: { coins: 1000 },
+            unlocked: false,
+            progress: 0
+        },
+        charterVeteran: {
+            id: 'charterVeteran',
+            name: 'Charter Veteran',
+            description: 'Sign 5 City Charters',
+            icon: '📜',
+            category: 'prestige',
+            condition: { stat: 'prestigesPerformed', gte: 5 },
+            reward: { coins: 10000, research: 50 },
+            unlocked: false,
+            progress: 0
+        },
+        expressCharter: {
+            id: 'expressCharter',
+            name: 'Express Charter',
+            description: 'Complete a charter run in under 1 hour',
+            icon: '⏱️',
+            category: 'prestige',
+            condition: { stat: 'bestRunTime', gt: 0, lte: 3600 },
+            reward: { coins: 5000, research: 25, happiness: 10 },
+            unlocked: false,
+            progress: 0
         }
     },
 
     // Achievement state
     unlockedAchievements: new Set(),
-    
+
+    // Display names for metrics shown on progress bars (building types use their config name)
+    metricLabels: {
+        totalClicks: 'Clicks',
+        totalBuildings: 'Buildings',
+        upgradeTypesOwned: 'Upgrade types',
+        buildingTypesOwnedPercent: 'Building types (%)',
+        totalCoinsEarned: 'Coins earned',
+        totalResearchEarned: 'Research earned',
+        totalUpgradesPurchased: 'Upgrades bought',
+        techResearched: 'Technologies researched',
+        gameTime: 'Play time (s)',
+        prestigesPerformed: 'Charters',
+        bestRunTime: 'Best run (s)'
+    },
+
     // Initialize achievement system
     init() {
         console.log('🏆 Initializing achievement system...');
@@ -285,7 +322,7 @@ const Achievements = {
         let newAchievements = [];
         
         Object.values(this.definitions).forEach(achievement => {
-            if (!achievement.unlocked && achievement.condition()) {
+            if (!achievement.unlocked && this.isConditionMet(achievement)) {
                 this.unlockAchievement(achievement.id);
                 newAchievements.push(achievement);
             } else if (!achievement.unlocked) {
@@ -294,7 +331,7 @@ const Achievements = {
                 
                 // Debug: Log achievement progress for utopia
                 if (achievement.id === 'utopia' && (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')) {
-                    console.log(`🌈 Utopia progress: Happiness=${GameState.resources.happiness}, Population=${GameState.resources.population}, Condition=${achievement.condition()}`);
+                    console.log(`🌈 Utopia progress: Happiness=${GameState.resources.happiness}, Population=${GameState.resources.population}, Condition=${this.isConditionMet(achievement)}`);
                 }
             }
         });
@@ -337,23 +374,16 @@ const Achievements = {
         
         let rewardText = [];
         
+        GameLoop.applySimulation(Simulation.grantReward(GameState, rewards).state);
+        const format = amount => (typeof UI !== 'undefined' ? UI.formatNumber(amount) : amount);
+
         if (rewards.coins) {
-            GameState.resources.coins += rewards.coins;
-            GameState.statistics.totalCoinsEarned += rewards.coins;
-            rewardText.push(`+${rewards.coins} coins`);
+            rewardText.push(`+${format(rewards.coins)} coins`);
         }
-        
         if (rewards.research) {
-            GameState.resources.research += rewards.research;
-            if (!GameState.statistics.totalResearchEarned) {
-                GameState.statistics.totalResearchEarned = 0;
-            }
-            GameState.statistics.totalResearchEarned += rewards.research;
-            rewardText.push(`+${rewards.research} research`);
+            rewardText.push(`+${format(rewards.research)} research`);
         }
-        
         if (rewards.happiness) {
-            GameState.resources.happiness = Math.min(100, GameState.resources.happiness + rewards.happiness);
             rewardText.push(`+${rewards.happiness} happiness`);
         }
         
@@ -364,26 +394,92 @@ const Achievements = {
 
     // Update progress for achievements
     updateProgress(achievement) {
-        // This is a simplified progress calculation
-        // In a more complex system, you'd have specific progress calculations per achievement
-        if (achievement.condition.toString().includes('totalClicks')) {
-            const target = parseInt(achievement.condition.toString().match(/\d+/)[0]);
-            achievement.progress = Math.min(100, (GameState.statistics.totalClicks / target) * 100);
-        } else if (achievement.condition.toString().includes('population')) {
-            const target = parseInt(achievement.condition.toString().match(/\d+/)[0]);
-            achievement.progress = Math.min(100, (GameState.resources.population / target) * 100);
-        } else if (achievement.condition.toString().includes('totalCoinsEarned')) {
-            const target = parseInt(achievement.condition.toString().match(/\d+/)[0]);
-            achievement.progress = Math.min(100, (GameState.statistics.totalCoinsEarned / target) * 100);
-        } else if (achievement.condition.toString().includes('totalResearchEarned')) {
-            const target = parseInt(achievement.condition.toString().match(/\d+/)[0]);
-            const current = GameState.statistics.totalResearchEarned || 0;
-            achievement.progress = Math.min(100, (current / target) * 100);
-        } else if (achievement.condition.toString().includes('gameTime')) {
-            const target = parseInt(achievement.condition.toString().match(/\d+/)[0]);
-            achievement.progress = Math.min(100, (GameState.statistics.gameTime / target) * 100);
+        achievement.progress = this.getConditionProgress(achievement.condition);
+    },
+
+    // Metrics and conditions are evaluated by the simulation core against the live GameState
+    getMetricValue(stat) {
+        return Simulation.getMetricValue(GameState, stat);
+    },
+
+    hasMetric(stat) {
+        return Simulation.hasMetric(GameState, stat);
+    },
+
+    evaluateCondition(spec) {
+        return Simulation.evaluateCondition(GameState, spec);
+    },
+
+    isConditionMet(achievement) {
+        return this.evaluateCondition(achievement.condition);
+    },
+
+    // Progress (0-100) towards a declarative condition; "all" averages its parts, "any" takes the best
+    getConditionProgress(spec) {
+        if (spec.all) {
+            return spec.all.reduce((sum, part) => sum + this.getConditionProgress(part), 0) / spec.all.length;
+        }
+        if (spec.any) {
+            return Math.max(...spec.any.map(part => this.getConditionProgress(part)));
         }
-        // Add more progress calculations as needed
+
+        const target = spec.gte !== undefined ? spec.gte : spec.gt;
+        if (target !== undefined && target > 0) {
+            return Math.max(0, Math.min(100, BigNum.toNumber(BigNum.div(this.getMetricValue(spec.stat), target)) * 100));
+        }
+        return this.evaluateCondition(spec) ? 100 : 0;
+    },
+
+    // Flatten a condition into its individual requirements for sub-progress bars
+    getConditionParts(spec) {
+        const group = spec.all || spec.any;
+        if (group) {
+            return group.reduce((parts, part) => parts.concat(this.getConditionParts(part)), []);
+        }
+
+        const target = ['gte', 'gt', 'lte', 'lt', 'eq'].map(operator => spec[operator]).find(value => value !== undefined);
+
+        return [{
+            stat: spec.stat,
+            label: this.getMetricLabel(spec.stat),
+            current: this.getMetricValue(spec.stat),
+            target,
+            progress: this.getConditionProgress(spec)
+        }];
+    },
+
+    getMetricLabel(stat) {
+        if (this.metricLabels[stat]) {
+            return this.metricLabels[stat];
+        }
+        if (typeof BuildingConfig !== 'undefined' && BuildingConfig[stat]) {
+            return BuildingConfig[stat].name;
+        }
+        return stat.charAt(0).toUpperCase() + stat.slice(1).replace(/([A-Z])/g, ' $1').toLowerCase();
+    },
+
+    // Build or update an achievement from data (used by content packs)
+    defineAchievement(id, data) {
+        const existing = this.definitions[id];
+        const achievement = existing || {
+            id,
+            reward: null,
+            unlocked: this.unlockedAchievements.has(id),
+            progress: 0
+        };
+
+        ['name', 'description', 'icon', 'category', 'reward'].forEach(field => {
+            if (data[field] !== undefined) {
+                achievement[field] = data[field];
+            }
+        });
+
+        if (data.condition) {
+            achievement.condition = data.condition;
+        }
+
+        this.definitions[id] = achievement;
+        return achievement;
     },
 
     // Get achievements by category
@@ -432,9 +528,20 @@ const Achievements = {
     }
 };
 
-// Initialize achievements when the script loads
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
+// Initialize achievements when the script loads (skipped in Node, where only the definitions are used)
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            setTimeout(() => {
+                if (typeof GameState !== 'undefined') {
+                    Achievements.init();
+                } else {
+                    console.warn('⚠️ GameState not ready, delaying achievements init');
+                    setTimeout(() => Achievements.init(), 1000);
+                }
+            }, 600);
+        });
+    } else {
         setTimeout(() => {
             if (typeof GameState !== 'undefined') {
                 Achievements.init();
@@ -443,14 +550,10 @@ if (document.readyState === 'loading') {
                 setTimeout(() => Achievements.init(), 1000);
             }
         }, 600);
-    });
-} else {
-    setTimeout(() => {
-        if (typeof GameState !== 'undefined') {
-            Achievements.init();
-        } else {
-            console.warn('⚠️ GameState not ready, delaying achievements init');
-            setTimeout(() => Achievements.init(), 1000);
-        }
-    }, 600);
-}
\ No newline at end of file
+    }
+}
+
+// Node (Jest, balance scripts) reads the definitions with require()
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Achievements;
+}
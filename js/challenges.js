@@ -0,0 +1,103 @@
+// IdleCity Challenge Runs
+// Timed fresh cities under special rules; the rules live in Simulation and the save slot and leaderboard in Storage
+
+const Challenges = {
+    start(challengeId) {
+        if (typeof Storage === 'undefined' || Storage.isChallengeActive() || !ChallengeConfig.challenges[challengeId]) {
+            console.log(`❌ Cannot start challenge ${challengeId}`);
+            return false;
+        }
+
+        // No auto-save may write this city into the challenge slot while the page reloads
+        GameLoop.stop();
+        return Storage.startChallenge(challengeId);
+    },
+
+    // Leave the challenge city, finished or not, and go back to the player's own city
+    leave() {
+        if (typeof Storage === 'undefined' || !Storage.isChallengeActive()) {
+            return false;
+        }
+
+        // An auto-save after the switch would write the challenge city over the slot it returns to
+        GameLoop.stop();
+        return Storage.endChallenge();
+    },
+
+    getActive() {
+        return Simulation.getChallenge(GameState);
+    },
+
+    getRecord(challengeId) {
+        return typeof Storage !== 'undefined' ? Storage.getChallengeRecord(challengeId) : { attempts: 0, completions: 0, bestTimes: [] };
+    },
+
+    // Record and announce finished runs reported by Simulation
+    handleSimulationEvents(events) {
+        events.forEach(event => {
+            const challenge = ChallengeConfig.challenges[event.challengeId];
+            if (!challenge) return;
+
+            const label = `${challenge.icon} ${challenge.name}`;
+            let message = null;
+            let type = 'info';
+
+            switch (event.type) {
+                case 'challengeCompleted': {
+                    let place = null;
+                    if (typeof Storage !== 'undefined') {
+                        place = Storage.recordChallengeResult(event.challengeId, event.time);
+                        // Save the finished run right away: reloading the last auto-save would finish and record it again
+                        Storage.saveGame();
+                    }
+                    const time = this.formatTime(event.time);
+                    message = place === 1 ? `${label} complete in ${time}. New personal best!` : `${label} complete in ${time}.`;
+                    type = 'achievement';
+                    break;
+                }
+                case 'challengeFailed':
+                    message = `${label} failed: time ran out.`;
+                    type = 'warning';
+                    break;
+                default:
+                    return;
+            }
+
+            console.log(`🏁 ${message}`);
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(`🏁 ${message}`, type, 6000);
+                UI.updateChallenges();
+            }
+        });
+    },
+
+    // Whole seconds as m:ss, or h:mm:ss for runs of an hour or more
+    formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    },
+
+    getDefaultState() {
+        return { id: null, elapsed: 0, result: null };
+    },
+
+    // Resetting the challenge city restarts the same challenge with a fresh timer
+    getResetState() {
+        const challenge = this.getActive();
+        return challenge ? { ...this.getDefaultState(), id: GameState.challenge.id } : this.getDefaultState();
+    },
+
+    // Keep a saved run only while its challenge still exists
+    sanitize(saved) {
+        if (!saved || typeof saved.id !== 'string' || !ChallengeConfig.challenges[saved.id]) return this.getDefaultState();
+
+        return {
+            id: saved.id,
+            elapsed: Math.max(0, Number(saved.elapsed) || 0),
+            result: saved.result === 'completed' || saved.result === 'failed' ? saved.result : null
+        };
+    }
+};
@@ -0,0 +1,112 @@
+// IdleCity City Grid
+// Optional tile map mode: places buildings on lots along roads; layout rules and adjacency live in Simulation
+
+const CityGrid = {
+    // Tile picked up by the move tool, waiting for a destination
+    movingFrom: null,
+
+    enable() {
+        return this.apply(Simulation.enableCityGrid(GameState), () => {
+            console.log('🗺️ City grid enabled');
+            return '🗺️ City grid enabled. Buildings now need road access.';
+        });
+    },
+
+    disable() {
+        this.movingFrom = null;
+        return this.apply(Simulation.disableCityGrid(GameState), () => {
+            console.log('🗺️ City grid disabled');
+            return '🗺️ City grid disabled. Your buildings are kept.';
+        });
+    },
+
+    buildRoad(tileIndex) {
+        return this.apply(Simulation.buildRoad(GameState, tileIndex));
+    },
+
+    removeRoad(tileIndex) {
+        return this.apply(Simulation.removeRoad(GameState, tileIndex));
+    },
+
+    move(fromIndex, toIndex) {
+        return this.apply(Simulation.moveBuilding(GameState, fromIndex, toIndex));
+    },
+
+    // Apply a command result; `describe` returns an optional success notification
+    apply(result, describe = null) {
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(result.reason, 'error');
+            }
+            return false;
+        }
+
+        GameLoop.applySimulation(result.state);
+
+        if (typeof UI !== 'undefined') {
+            const message = describe ? describe() : null;
+            if (message) {
+                UI.showNotification(message, 'success');
+            }
+            UI.updateAll();
+        }
+        return true;
+    },
+
+    // Act on a clicked tile with the selected map tool: 'road', 'bulldoze', 'move' or a building type
+    useTool(tool, tileIndex) {
+        const tile = GameState.cityGrid.tiles[tileIndex];
+
+        switch (tool) {
+            case 'road':
+                return this.buildRoad(tileIndex);
+            case 'bulldoze':
+                if (tile === 'road') return this.removeRoad(tileIndex);
+                return BuildingConfig[tile] ? Buildings.sell(tile, 1, tileIndex) : false;
+            case 'move': {
+                // First click picks the building up, the second puts it down
+                if (this.movingFrom === null) {
+                    this.movingFrom = BuildingConfig[tile] ? tileIndex : null;
+                    return false;
+                }
+
+                const fromIndex = this.movingFrom;
+                this.movingFrom = null;
+                return fromIndex !== tileIndex && this.move(fromIndex, tileIndex);
+            }
+            default: {
+                // Buildings.purchase only logs failures; say why a lot was refused
+                const check = Simulation.purchaseBuilding(GameState, tool, 1, tileIndex);
+                if (!check.success) {
+                    return this.apply(check);
+                }
+                return Buildings.purchase(tool, 1, tileIndex);
+            }
+        }
+    },
+
+    getDefaultState() {
+        return { enabled: false, tiles: [] };
+    },
+
+    // Keep a saved layout only while it still matches the building counters; otherwise lay the city out again
+    sanitize(saved) {
+        if (!saved || saved.enabled !== true || !Array.isArray(saved.tiles)) return this.getDefaultState();
+
+        const state = {
+            buildings: GameState.buildings,
+            cityGrid: {
+                enabled: true,
+                tiles: saved.tiles.map(tile => (tile === 'road' || BuildingConfig[tile] ? tile : null))
+            }
+        };
+
+        if (Simulation.isCityGridInSync(state) || Simulation.layoutCityGrid(state)) {
+            return state.cityGrid;
+        }
+
+        console.warn('⚠️ Saved city grid no longer fits the city; switching back to counters');
+        return this.getDefaultState();
+    }
+};
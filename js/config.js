@@ -0,0 +1,834 @@
+// IdleCity Game Configuration
+// Static building, upgrade and economy tables shared by the game and the simulation core
+
+// Enhanced Building Configuration with Tiers and Upgrades
+const BuildingConfig = {
+    // Tier 1 Buildings - Basic structures
+    houses: {
+        name: "Houses",
+        description: "Generate population over time",
+        tier: 1,
+        baseCost: 10,
+        costMultiplier: 1.15,
+        baseProduction: 1,
+        resourceType: "population",
+        energyUsage: 0.5,
+        housing: 5, // Residents housed per building; population growth levels off at total capacity
+        unlockCondition: { coins: 0 },
+        icon: "🏠",
+        category: "residential",
+        upgradeBuilding: "apartments"
+    },
+    shops: {
+        name: "Shops",
+        description: "Generate coins from population",
+        tier: 1,
+        baseCost: 50,
+        costMultiplier: 1.20,
+        baseProduction: 2,
+        resourceType: "coins",
+        energyUsage: 1,
+        jobs: 3, // Job slots per building; output scales with how many are filled
+        unlockCondition: { population: 10 },
+        icon: "🏪",
+        category: "commercial",
+        upgradeBuilding: "malls"
+    },
+    parks: {
+        name: "Parks",
+        description: "Increase city happiness",
+        tier: 1,
+        baseCost: 100,
+        costMultiplier: 1.18,
+        baseProduction: 10,
+        resourceType: "happiness",
+        energyUsage: 0.2,
+        pollutionAbsorption: 0.2, // Pollution cleaned up per second per building
+        unlockCondition: { population: 25 },
+        icon: "🌳",
+        category: "leisure",
+        upgradeBuilding: "gardens"
+    },
+    generators: {
+        name: "Generators",
+        description: "Small diesel generators that supply the power grid",
+        tier: 1,
+        baseCost: 75,
+        costMultiplier: 1.18,
+        baseProduction: 10,
+        resourceType: "energy",
+        energyUsage: 0,
+        unlockCondition: { population: 15 },
+        icon: "🔌",
+        category: "utility",
+        upgradeBuilding: "solarFarms"
+    },
+
+    // Tier 2 Buildings - Upgraded structures
+    apartments: {
+        name: "Apartments",
+        description: "High-density housing for more population",
+        tier: 2,
+        baseCost: 500,
+        costMultiplier: 1.22,
+        baseProduction: 8,
+        resourceType: "population",
+        energyUsage: 3,
+        housing: 50,
+        unlockCondition: { population: 100, houses: 5 },
+        icon: "🏢",
+        category: "residential",
+        upgradeBuilding: "skyscrapers"
+    },
+    malls: {
+        name: "Shopping Malls",
+        description: "Large commercial centers with high coin generation",
+        tier: 2,
+        baseCost: 1000,
+        costMultiplier: 1.25,
+        baseProduction: 15,
+        resourceType: "coins",
+        energyUsage: 6,
+        jobs: 15,
+        unlockCondition: { population: 200, shops: 3 },
+        icon: "🏬",
+        category: "commercial",
+        upgradeBuilding: "towers"
+    },
+    gardens: {
+        name: "Botanical Gardens",
+        description: "Beautiful gardens that greatly boost happiness",
+        tier: 2,
+        baseCost: 750,
+        costMultiplier: 1.20,
+        baseProduction: 25,
+        resourceType: "happiness",
+        energyUsage: 1,
+        pollutionAbsorption: 0.6,
+        unlockCondition: { population: 150, parks: 4 },
+        icon: "🌺",
+        category: "leisure",
+        upgradeBuilding: "resorts"
+    },
+
+    // Tier 2 Industrial Buildings
+    factories: {
+        name: "Factories",
+        description: "Industrial coin production",
+        tier: 2,
+        baseCost: 800,
+        costMultiplier: 1.28,
+        baseProduction: 12,
+        resourceType: "coins",
+        energyUsage: 8,
+        jobs: 20,
+        pollution: 1, // Pollution emitted per second per building
+        unlockCondition: { population: 75, coins: 500 },
+        icon: "🏭",
+        category: "industrial",
+        upgradeBuilding: "powerplants"
+    },
+    labs: {
+        name: "Research Labs",
+        description: "Generate research points for upgrades",
+        tier: 2,
+        baseCost: 1200,
+        costMultiplier: 1.30,
+        baseProduction: 1,
+        resourceType: "research",
+        energyUsage: 5,
+        unlockCondition: { population: 300, happiness: 75 },
+        icon: "🔬",
+        category: "research",
+        upgradeBuilding: "universities"
+    },
+    solarFarms: {
+        name: "Solar Farms",
+        description: "Clean power generation for a growing grid",
+        tier: 2,
+        baseCost: 1500,
+        costMultiplier: 1.25,
+        baseProduction: 40,
+        resourceType: "energy",
+        energyUsage: 0,
+        unlockCondition: { population: 250, generators: 5 },
+        icon: "☀️",
+        category: "utility",
+        upgradeBuilding: "powerplants"
+    },
+
+    // Tier 3 Buildings - Advanced structures
+    skyscrapers: {
+        name: "Skyscrapers",
+        description: "Massive population centers",
+        tier: 3,
+        baseCost: 5000,
+        costMultiplier: 1.35,
+        baseProduction: 50,
+        resourceType: "population",
+        energyUsage: 20,
+        housing: 500,
+        unlockCondition: { population: 500, apartments: 3 },
+        icon: "🏙️",
+        category: "residential",
+        upgradeBuilding: null
+    },
+    towers: {
+        name: "Corporate Towers",
+        description: "Elite business centers with massive coin generation",
+        tier: 3,
+        baseCost: 8000,
+        costMultiplier: 1.40,
+        baseProduction: 100,
+        resourceType: "coins",
+        energyUsage: 25,
+        jobs: 60,
+        unlockCondition: { population: 800, malls: 2 },
+        icon: "🏗️",
+        category: "commercial",
+        upgradeBuilding: null
+    },
+    powerplants: {
+        name: "Power Plants",
+        description: "Massive industrial complexes that power the city grid",
+        tier: 3,
+        baseCost: 6000,
+        costMultiplier: 1.38,
+        baseProduction: 150,
+        resourceType: "energy",
+        energyUsage: 0,
+        jobs: 40,
+        pollution: 4,
+        unlockCondition: { population: 600, factories: 3 },
+        icon: "⚡",
+        category: "industrial",
+        upgradeBuilding: null
+    },
+    universities: {
+        name: "Universities",
+        description: "Advanced research and education centers",
+        tier: 3,
+        baseCost: 10000,
+        costMultiplier: 1.45,
+        baseProduction: 5,
+        resourceType: "research",
+        energyUsage: 15,
+        unlockCondition: { population: 1000, labs: 2 },
+        icon: "🎓",
+        category: "research",
+        upgradeBuilding: null
+    },
+    resorts: {
+        name: "Luxury Resorts",
+        description: "Ultimate happiness destinations",
+        tier: 3,
+        baseCost: 7500,
+        costMultiplier: 1.42,
+        baseProduction: 150,
+        resourceType: "happiness",
+        energyUsage: 10,
+        unlockCondition: { population: 750, gardens: 2 },
+        icon: "🏖️",
+        category: "leisure",
+        upgradeBuilding: null
+    }
+};
+
+// Upgrade System Configuration
+const UpgradeConfig = {
+    // Efficiency Upgrades
+    residentialEfficiency: {
+        name: "Residential Efficiency",
+        description: "Increase population generation by 25%",
+        baseCost: 100,
+        costMultiplier: 2.0,
+        maxLevel: 10,
+        effect: 0.25,
+        resourceType: "research",
+        category: "efficiency",
+        icon: "🏠⚡"
+    },
+    commercialEfficiency: {
+        name: "Commercial Efficiency",
+        description: "Increase coin generation from commercial buildings by 25%",
+        baseCost: 150,
+        costMultiplier: 2.2,
+        maxLevel: 10,
+        effect: 0.25,
+        resourceType: "research",
+        category: "efficiency",
+        icon: "🏪⚡"
+    },
+    industrialEfficiency: {
+        name: "Industrial Efficiency",
+        description: "Increase coin generation from industrial buildings by 30%",
+        baseCost: 200,
+        costMultiplier: 2.5,
+        maxLevel: 8,
+        effect: 0.30,
+        resourceType: "research",
+        category: "efficiency",
+        icon: "🏭⚡"
+    },
+    leisureEfficiency: {
+        name: "Leisure Efficiency",
+        description: "Increase happiness generation by 20%",
+        baseCost: 120,
+        costMultiplier: 1.8,
+        maxLevel: 12,
+        effect: 0.20,
+        resourceType: "research",
+        category: "efficiency",
+        icon: "🌳⚡"
+    },
+    researchEfficiency: {
+        name: "Research Efficiency",
+        description: "Increase research generation by 50%",
+        baseCost: 300,
+        costMultiplier: 3.0,
+        maxLevel: 5,
+        effect: 0.50,
+        resourceType: "research",
+        category: "efficiency",
+        icon: "🔬⚡"
+    },
+
+    // Special Upgrades
+    happinessBonus: {
+        name: "City Planning",
+        description: "Base happiness +2",
+        baseCost: 50,
+        costMultiplier: 1.5,
+        maxLevel: 20,
+        effect: 2,
+        resourceType: "research",
+        category: "special",
+        icon: "😊"
+    },
+    populationCap: {
+        name: "Urban Expansion",
+        description: "Increase housing capacity by 10%",
+        baseCost: 500,
+        costMultiplier: 2.8,
+        maxLevel: 10,
+        effect: 0.10,
+        resourceType: "research",
+        category: "special",
+        icon: "🌍"
+    },
+    autoClickerLevel: {
+        name: "Auto Clicker",
+        description: "Automatically collect 1 coin per second per level",
+        baseCost: 1000,
+        costMultiplier: 4.0,
+        maxLevel: 5,
+        effect: 1,
+        resourceType: "research",
+        category: "automation",
+        icon: "🤖"
+    },
+    gridEfficiency: {
+        name: "Grid Efficiency",
+        description: "Reduce building power usage by 10%",
+        baseCost: 400,
+        costMultiplier: 2.5,
+        maxLevel: 5,
+        effect: 0.10,
+        resourceType: "research",
+        category: "special",
+        icon: "🔋"
+    },
+    pollutionControl: {
+        name: "Emission Scrubbers",
+        description: "Reduce industrial pollution by 10%",
+        baseCost: 150,
+        costMultiplier: 1.8,
+        maxLevel: 5,
+        effect: 0.10,
+        resourceType: "research",
+        category: "special",
+        icon: "🌫️"
+    }
+};
+
+// Research Tech Tree Configuration
+const TechConfig = {
+    respecRefundRate: 1, // Fraction of the research spent on nodes returned by a respec
+
+    // `requires` lists prerequisite nodes. A building or upgrade named in some node's `unlocks`
+    // cannot be bought until that node is researched. `effects` are summed across researched nodes.
+    nodes: {
+        urbanPlanning: {
+            name: "Urban Planning",
+            description: "Plan neighbourhoods instead of letting them sprawl.",
+            icon: "📐",
+            cost: 25,
+            requires: [],
+            unlocks: { upgrades: ['residentialEfficiency', 'happinessBonus'] }
+        },
+        commerce: {
+            name: "Commerce",
+            description: "Organised markets and trade routes.",
+            icon: "🏪",
+            cost: 60,
+            requires: ['urbanPlanning'],
+            unlocks: { upgrades: ['commercialEfficiency'] }
+        },
+        recreation: {
+            name: "Recreation",
+            description: "Parks departments and public leisure.",
+            icon: "🌳",
+            cost: 60,
+            requires: ['urbanPlanning'],
+            unlocks: { upgrades: ['leisureEfficiency'] }
+        },
+        industrialization: {
+            name: "Industrialization",
+            description: "Assembly lines and heavy industry.",
+            icon: "🏭",
+            cost: 100,
+            requires: ['urbanPlanning'],
+            unlocks: { upgrades: ['industrialEfficiency'] }
+        },
+        scientificMethod: {
+            name: "Scientific Method",
+            description: "Peer review makes every lab more productive.",
+            icon: "🔬",
+            cost: 150,
+            requires: ['urbanPlanning'],
+            unlocks: { upgrades: ['researchEfficiency'] }
+        },
+        zoningLaws: {
+            name: "Zoning Laws",
+            description: "High-density zoning permits Tier 3 construction.",
+            icon: "🏙️",
+            cost: 250,
+            requires: ['commerce', 'industrialization'],
+            unlocks: { buildings: ['skyscrapers', 'towers', 'powerplants', 'universities', 'resorts'] }
+        },
+        salvageRights: {
+            name: "Salvage Rights",
+            description: "Demolished buildings refund an extra 25% of their price.",
+            icon: "♻️",
+            cost: 200,
+            requires: ['industrialization'],
+            effects: { sellRefundRate: 0.25 }
+        },
+        emergencyPlanning: {
+            name: "Emergency Planning",
+            description: "30 more seconds to respond to city events.",
+            icon: "🚒",
+            cost: 250,
+            requires: ['recreation'],
+            effects: { eventChoiceTimeout: 30 }
+        },
+        smartGrid: {
+            name: "Smart Grid",
+            description: "Metered power lets you tune building consumption.",
+            icon: "🔋",
+            cost: 600,
+            requires: ['industrialization', 'scientificMethod'],
+            unlocks: { upgrades: ['gridEfficiency'] }
+        },
+        automation: {
+            name: "Automation",
+            description: "Machines that collect coins on their own.",
+            icon: "🤖",
+            cost: 800,
+            requires: ['scientificMethod', 'industrialization'],
+            unlocks: { upgrades: ['autoClickerLevel'] }
+        },
+        environmentalScience: {
+            name: "Environmental Science",
+            description: "Measure what the smokestacks put into the air.",
+            icon: "🌫️",
+            cost: 300,
+            requires: ['industrialization'],
+            unlocks: { upgrades: ['pollutionControl'] }
+        },
+        greenTechnology: {
+            name: "Green Technology",
+            description: "Cleaner processes cut industrial pollution by 25%.",
+            icon: "🌱",
+            cost: 1000,
+            requires: ['environmentalScience', 'scientificMethod'],
+            effects: { pollutionReduction: 0.25 }
+        },
+        urbanExpansion: {
+            name: "Urban Expansion",
+            description: "Annex the surrounding land.",
+            icon: "🌍",
+            cost: 1500,
+            requires: ['zoningLaws'],
+            unlocks: { upgrades: ['populationCap'] }
+        }
+    }
+};
+
+// Prestige ("City Charter") Configuration
+const PrestigeConfig = {
+    coinsPerCharter: 1000000, // Lifetime coins needed for the first charter (scales quadratically)
+    multiplierPerCharter: 0.02, // +2% building production per charter owned
+    minimumCharters: 1 // Charters a run must earn before it can be chartered
+};
+
+// Demolition Configuration
+const SellConfig = {
+    refundRate: 0.5 // Fraction of a building's last purchase price returned when it is sold
+};
+
+// Employment Configuration
+const JobsConfig = {
+    workforceShare: 0.6, // Fraction of the population looking for work
+    unemploymentPenalty: 30 // Happiness lost when the whole workforce is out of work
+};
+
+// Housing Configuration
+const HousingConfig = {
+    baseCapacity: 10, // Residents the city can house before any homes are built
+    moveOutRate: 0.05 // Fraction of the residents above capacity who leave each second
+};
+
+// Happiness Configuration
+// Happiness drifts toward a target: the sum of signed factors (see Simulation.getHappinessFactors)
+const HappinessConfig = {
+    base: 50, // Target happiness of a city with no amenities and no problems
+    leisureMax: 40, // Bonus when leisure output covers every resident
+    leisurePerResident: 0.1, // Leisure output one resident needs (a park covers 100)
+    shortagePenalty: 25, // Happiness lost during a total blackout, scaled by the shortfall
+    adjustRate: 0.1, // Fraction of the gap to the target closed each second
+    settleGap: 0.1 // Gaps this small snap straight to the target
+};
+
+// Pollution Configuration
+// Industry emits pollution, parks and gardens absorb it, and a share of what is left clears each second
+const PollutionConfig = {
+    dissipation: 0.02, // Fraction of the pollution level that clears each second
+    maxReduction: 0.9, // Cap on the emission cut from scrubbers and research
+    happinessThreshold: 100, // Above this level residents start to complain...
+    happinessPerUnit: 0.05, // ...losing this much target happiness per unit above it...
+    happinessMax: 30, // ...up to this much
+    growthThreshold: 300, // Above this level fewer people move in...
+    growthPenaltyPerUnit: 0.001, // ...growth slowing by this fraction per unit above it...
+    growthPenaltyMax: 0.75 // ...up to this much
+};
+
+// Power Grid Configuration
+const EnergyConfig = {
+    baseSupply: 20 // MW supplied by the regional grid before any generators are built
+};
+
+// Policy ("City Ordinance") Configuration
+// Like event modifiers, policy modifiers multiply production of buildings whose type, category or resource
+// matches `target`. `upkeep` is charged per second; a policy the city cannot pay for is repealed.
+// Policies unlock with a tech node (`requires`) and/or an achievement-style `condition`.
+const PolicyConfig = {
+    maxActive: 3, // Policies that can be in force at once
+    policies: {
+        taxIncrease: {
+            name: "Tax Increase",
+            description: "Raise local taxes. Coin income +20%, but residents grumble.",
+            icon: "💰",
+            condition: { stat: 'population', gte: 100 },
+            modifiers: [{ target: 'coins', multiplier: 1.2 }],
+            happiness: -10
+        },
+        freeTransit: {
+            name: "Free Transit",
+            description: "Free buses for everyone. Happiness +8.",
+            icon: "🚌",
+            condition: { stat: 'population', gte: 250 },
+            upkeep: { coins: 5 },
+            happiness: 8
+        },
+        researchGrants: {
+            name: "Research Grants",
+            description: "Fund the city's scientists. Research +30%.",
+            icon: "🎓",
+            requires: 'scientificMethod',
+            upkeep: { coins: 20 },
+            modifiers: [{ target: 'research', multiplier: 1.3 }]
+        },
+        cleanAirAct: {
+            name: "Clean Air Act",
+            description: "Strict emission limits. Industrial pollution -30%, industrial output -15%.",
+            icon: "🍃",
+            requires: 'environmentalScience',
+            modifiers: [{ target: 'industrial', multiplier: 0.85 }],
+            effects: { pollutionReduction: 0.3 }
+        }
+    }
+};
+
+// City Grid Configuration
+// Optional tile map mode: every building sits on a lot, and a lot only produces while it touches a road
+// that leads to the edge of the map. Each neighbouring building (8 surrounding tiles) whose type or category
+// matches a rule's `source` changes the output of a `target` building by `bonus`.
+const CityGridConfig = {
+    width: 24,
+    height: 24,
+    roadCost: 25, // Coins per road tile
+    streetSpacing: 3, // The automatic layout lays a street along every third row
+    adjacency: [
+        { source: 'leisure', target: 'residential', bonus: 0.10 }, // Parks and gardens make homes more attractive
+        { source: 'industrial', target: 'residential', bonus: -0.15 }, // Nobody wants to live next to a factory
+        { source: 'residential', target: 'commercial', bonus: 0.05 } // Shops do better near their customers
+    ]
+};
+
+// Quest Chain Configuration
+// Objectives are completed one at a time, in order. Conditions use the achievement condition format
+// (see Simulation.evaluateCondition) and rewards are paid like achievement rewards.
+const QuestConfig = {
+    chain: [
+        {
+            id: 'firstHome',
+            name: "A Place to Live",
+            description: "Build your first house",
+            icon: "🏠",
+            hint: "Collect coins by hand, then buy a House in the Buildings tab.",
+            condition: { stat: 'houses', gte: 1 },
+            reward: { coins: 15 }
+        },
+        {
+            id: 'neighbourhood',
+            name: "Neighbourhood",
+            description: "Build 5 houses",
+            icon: "🏘️",
+            hint: "Houses attract residents over time.",
+            condition: { stat: 'houses', gte: 5 },
+            reward: { coins: 50 }
+        },
+        {
+            id: 'openForBusiness',
+            name: "Open for Business",
+            description: "Build 2 shops",
+            icon: "🏪",
+            hint: "Shops unlock at 10 population and earn coins on their own.",
+            condition: { stat: 'shops', gte: 2 },
+            reward: { coins: 75 }
+        },
+        {
+            id: 'keepTheLightsOn',
+            name: "Keep the Lights On",
+            description: "Build a power generator",
+            icon: "🔌",
+            hint: "Buildings draw power. Without enough supply they slow down.",
+            condition: { stat: 'generators', gte: 1 },
+            reward: { coins: 100 }
+        },
+        {
+            id: 'greenSpace',
+            name: "Green Space",
+            description: "Build 2 parks",
+            icon: "🌳",
+            hint: "Parks keep a growing population happy.",
+            condition: { stat: 'parks', gte: 2 },
+            reward: { coins: 150 }
+        },
+        {
+            id: 'happyTown',
+            name: "Happy Town",
+            description: "Reach 50 happiness with 200 population",
+            icon: "😊",
+            hint: "Open the happiness breakdown to see what helps and what hurts.",
+            condition: { all: [{ stat: 'happiness', gte: 50 }, { stat: 'population', gte: 200 }] },
+            reward: { coins: 300 }
+        },
+        {
+            id: 'movingUp',
+            name: "Moving Up",
+            description: "Build an apartment block",
+            icon: "🏢",
+            hint: "Apartments house far more residents than houses.",
+            condition: { stat: 'apartments', gte: 1 },
+            reward: { coins: 500 }
+        },
+        {
+            id: 'scienceCity',
+            name: "Science City",
+            description: "Build a research lab",
+            icon: "🔬",
+            hint: "Labs need 300 population and 75 happiness, and produce research.",
+            condition: { stat: 'labs', gte: 1 },
+            reward: { research: 25 }
+        },
+        {
+            id: 'firstDiscovery',
+            name: "First Discovery",
+            description: "Research your first technology",
+            icon: "🧪",
+            hint: "Spend research in the Tech tab. Urban Planning is a good start.",
+            condition: { stat: 'techResearched', gte: 1 },
+            reward: { research: 30 }
+        },
+        {
+            id: 'firstUpgrade',
+            name: "Better Together",
+            description: "Buy your first research upgrade",
+            icon: "⚡",
+            hint: "Researched technologies unlock upgrades in the Upgrades tab.",
+            condition: { stat: 'totalUpgradesPurchased', gte: 1 },
+            reward: { coins: 1000 }
+        },
+        {
+            id: 'bigCity',
+            name: "Big City",
+            description: "Reach 1,000 population",
+            icon: "🌆",
+            hint: "Homes set how many residents the city can hold.",
+            condition: { stat: 'population', gte: 1000 },
+            reward: { coins: 2500 }
+        },
+        {
+            id: 'skyline',
+            name: "Skyline",
+            description: "Build a skyscraper",
+            icon: "🏙️",
+            hint: "Tier 3 buildings need the Zoning Laws research.",
+            condition: { stat: 'skyscrapers', gte: 1 },
+            reward: { research: 200 }
+        },
+        {
+            id: 'newCharter',
+            name: "A Fresh Start",
+            description: "Sign your first City Charter",
+            icon: "📜",
+            hint: "Charters restart the city with a permanent production bonus.",
+            condition: { stat: 'prestigesPerformed', gte: 1 },
+            reward: { coins: 5000 }
+        }
+    ]
+};
+
+// Challenge Run Configuration
+// A challenge starts a fresh city, kept apart from the save slots, under its own rules. `bannedBuildings` lists
+// building types or categories that cannot be built, `modifiers` work like policy modifiers, `happinessDecay`
+// multiplies how fast happiness falls and `happiness` is a signed happiness factor.
+// A run is won once `goal` holds (achievement condition format) and lost if `timeLimit` seconds pass first.
+const ChallengeConfig = {
+    leaderboardSize: 5, // Best times kept per challenge
+    challenges: {
+        concreteJungle: {
+            name: "Concrete Jungle",
+            description: "No parks, gardens or resorts. Reach 500 population.",
+            icon: "🏗️",
+            rules: { bannedBuildings: ['leisure'] },
+            goal: { stat: 'population', gte: 500 }
+        },
+        grumpyCitizens: {
+            name: "Grumpy Citizens",
+            description: "Happiness falls twice as fast and settles 15 lower. Reach 1,000 population.",
+            icon: "😠",
+            rules: { happinessDecay: 2, happiness: -15 },
+            goal: { stat: 'population', gte: 1000 }
+        },
+        goldRush: {
+            name: "Gold Rush",
+            description: "Shops, malls and towers earn 50% more. Earn 1M coins within 30 minutes.",
+            icon: "💰",
+            timeLimit: 1800,
+            rules: { modifiers: [{ target: 'commercial', multiplier: 1.5 }] },
+            goal: { stat: 'totalCoinsEarned', gte: 1000000 }
+        },
+        austerity: {
+            name: "Austerity",
+            description: "Every building produces 25% less. Research 3 technologies within an hour.",
+            icon: "📉",
+            timeLimit: 3600,
+            rules: { modifiers: [{ target: 'coins', multiplier: 0.75 }, { target: 'population', multiplier: 0.75 }, { target: 'research', multiplier: 0.75 }, { target: 'happiness', multiplier: 0.75 }] },
+            goal: { stat: 'techResearched', gte: 3 }
+        }
+    }
+};
+
+// Random City Events Configuration
+const EventConfig = {
+    firstDelay: 300, // Seconds of play before the first event
+    minInterval: 240, // Seconds between events (rolled uniformly between min and max)
+    maxInterval: 600,
+    choiceTimeout: 30, // Seconds to decide before an event's default choice is taken
+    logSize: 20, // Past events kept in the event log
+
+    // Modifiers multiply production of buildings whose type, category or resource matches `target`;
+    // `happiness` is a signed happiness factor while the event runs.
+    // `condition` uses the achievement condition format; events with `choices` wait for the player.
+    events: {
+        festival: {
+            name: "Summer Festival",
+            description: "Citizens celebrate in the parks. Happiness +15.",
+            icon: "🎉",
+            weight: 3,
+            duration: 60,
+            condition: { stat: 'parks', gte: 1 },
+            happiness: 15
+        },
+        economicBoom: {
+            name: "Economic Boom",
+            description: "Business is booming. Coin production +25%.",
+            icon: "📈",
+            weight: 2,
+            duration: 90,
+            condition: { stat: 'shops', gte: 3 },
+            modifiers: [{ target: 'coins', multiplier: 1.25 }]
+        },
+        tourismBoom: {
+            name: "Tourism Boom",
+            description: "Visitors flock to the resorts. Resort output x2 and commercial income +20%.",
+            icon: "🏖️",
+            weight: 1,
+            duration: 90,
+            condition: { stat: 'resorts', gte: 1 },
+            modifiers: [{ target: 'resorts', multiplier: 2 }, { target: 'commercial', multiplier: 1.2 }]
+        },
+        factoryFire: {
+            name: "Factory Fire",
+            description: "A blaze breaks out in the industrial district. Industrial output -30% while it burns, and the smoke upsets residents.",
+            icon: "🔥",
+            weight: 2,
+            condition: { stat: 'factories', gte: 1 },
+            defaultChoice: 'letItBurn',
+            choices: {
+                fireBrigade: {
+                    label: "Pay the fire brigade",
+                    cost: { coins: 500 },
+                    duration: 20,
+                    modifiers: [{ target: 'industrial', multiplier: 0.7 }]
+                },
+                letItBurn: {
+                    label: "Let it burn out",
+                    duration: 120,
+                    modifiers: [{ target: 'industrial', multiplier: 0.7 }],
+                    happiness: -10
+                }
+            }
+        },
+        recession: {
+            name: "Recession",
+            description: "Shoppers tighten their belts. Commercial income -25%, and a long slump hurts morale.",
+            icon: "📉",
+            weight: 2,
+            condition: { stat: 'shops', gte: 5 },
+            defaultChoice: 'rideItOut',
+            choices: {
+                stimulus: {
+                    label: "Fund a stimulus package",
+                    cost: { research: 50 },
+                    duration: 30,
+                    modifiers: [{ target: 'commercial', multiplier: 0.75 }]
+                },
+                rideItOut: {
+                    label: "Ride it out",
+                    duration: 150,
+                    modifiers: [{ target: 'commercial', multiplier: 0.75 }],
+                    happiness: -5
+                }
+            }
+        }
+    }
+};
+
+// Node (Jest, balance scripts) loads this file with require(); the browser reads the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BuildingConfig, UpgradeConfig, TechConfig, PrestigeConfig, SellConfig, JobsConfig, HousingConfig, HappinessConfig, PollutionConfig, EnergyConfig, EventConfig, PolicyConfig, CityGridConfig, QuestConfig, ChallengeConfig };
+}
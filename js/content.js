@@ -0,0 +1,326 @@
+// IdleCity Content Packs
+// Loads building, upgrade and achievement definitions from JSON data files
+
+const ContentPacks = {
+    // Manifest listing the pack files to apply, in order
+    manifestUrl: 'content/manifest.json',
+
+    // Packs applied this session
+    loadedPacks: [],
+
+    // Field rules per definition kind; required fields only apply to brand new entries
+    schemas: {
+        buildings: {
+            name: { type: 'string', required: true },
+            description: { type: 'string', required: true },
+            tier: { type: 'number', required: true, min: 1 },
+            baseCost: { type: 'number', required: true, min: 1 },
+            costMultiplier: { type: 'number', required: true, min: 1 },
+            baseProduction: { type: 'number', required: true, min: 0 },
+            resourceType: { type: 'string', required: true, oneOf: ['coins', 'population', 'happiness', 'research', 'energy'] },
+            energyUsage: { type: 'number', min: 0 },
+            jobs: { type: 'number', min: 0, integer: true },
+            housing: { type: 'number', min: 0, integer: true },
+            pollution: { type: 'number', min: 0 },
+            pollutionAbsorption: { type: 'number', min: 0 },
+            unlockCondition: { type: 'object', required: true },
+            icon: { type: 'string', required: true },
+            category: { type: 'string', required: true },
+            upgradeBuilding: { type: 'string', nullable: true }
+        },
+        upgrades: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            baseCost: { type: 'number', min: 1 },
+            costMultiplier: { type: 'number', min: 1 },
+            maxLevel: { type: 'number', min: 1, integer: true },
+            effect: { type: 'number' },
+            resourceType: { type: 'string', oneOf: ['coins', 'population', 'happiness', 'research', 'energy'] },
+            category: { type: 'string' },
+            icon: { type: 'string' }
+        },
+        achievements: {
+            name: { type: 'string', required: true },
+            description: { type: 'string', required: true },
+            icon: { type: 'string', required: true },
+            category: { type: 'string', required: true },
+            condition: { type: 'object', required: true },
+            reward: { type: 'object', nullable: true }
+        }
+    },
+
+    // Fetch the manifest and apply every pack it lists. Never rejects: failures fall back to built-in content.
+    async loadAll() {
+        if (typeof fetch === 'undefined') {
+            return [];
+        }
+
+        let manifest;
+        try {
+            const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                console.log('📦 No content manifest found - using built-in content');
+                return [];
+            }
+            manifest = await response.json();
+        } catch (error) {
+            console.warn('⚠️ Could not load content manifest - using built-in content:', error.message);
+            return [];
+        }
+
+        const results = [];
+        for (const url of manifest.packs || []) {
+            results.push(await this.loadPack(url));
+        }
+        return results;
+    },
+
+    async loadPack(url) {
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return this.applyPack(await response.json());
+        } catch (error) {
+            console.error(`❌ Failed to load content pack ${url}:`, error);
+            return { success: false, errors: [error.message] };
+        }
+    },
+
+    // Validate a whole pack and merge it into the live configs; invalid packs are rejected entirely
+    applyPack(pack) {
+        const errors = this.validatePack(pack);
+
+        if (errors.length > 0) {
+            console.error(`❌ Content pack ${pack && pack.id ? pack.id : '(unnamed)'} rejected:`, errors);
+
+            if (typeof UI !== 'undefined' && UI.showNotification) {
+                UI.showNotification(`Content pack rejected - ${errors[0]}`, 'error', 5000);
+            }
+
+            return { success: false, errors };
+        }
+
+        this.mergeBuildings(pack.buildings || {});
+        this.mergeUpgrades(pack.upgrades || {});
+        this.mergeAchievements(pack.achievements || {});
+
+        this.loadedPacks.push({ id: pack.id, name: pack.name || pack.id, version: pack.version || null });
+        console.log(`📦 Applied content pack: ${pack.name || pack.id}`);
+
+        this.refreshUI();
+
+        return { success: true, errors: [] };
+    },
+
+    validatePack(pack) {
+        const errors = [];
+
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            return ['Pack must be a JSON object'];
+        }
+        if (typeof pack.id !== 'string' || pack.id.length === 0) {
+            errors.push('Pack is missing a string "id"');
+        }
+
+        ['buildings', 'upgrades', 'achievements'].forEach(kind => {
+            if (pack[kind] === undefined) return;
+
+            if (!pack[kind] || typeof pack[kind] !== 'object' || Array.isArray(pack[kind])) {
+                errors.push(`"${kind}" must be an object keyed by id`);
+                return;
+            }
+
+            Object.entries(pack[kind]).forEach(([id, entry]) => {
+                errors.push(...this.validateEntry(kind, id, entry, pack));
+            });
+        });
+
+        return errors;
+    },
+
+    validateEntry(kind, id, entry, pack) {
+        const errors = [];
+        const label = `${kind}.${id}`;
+
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return [`${label} must be an object`];
+        }
+
+        const isNew = !this.getLiveConfig(kind)[id];
+
+        // Upgrade effects are wired up in code, so packs can only rebalance existing ones
+        if (kind === 'upgrades' && isNew) {
+            return [`${label} is not a known upgrade`];
+        }
+
+        const schema = this.schemas[kind];
+
+        Object.entries(schema).forEach(([field, rule]) => {
+            if (entry[field] === undefined) {
+                if (isNew && rule.required) {
+                    errors.push(`${label}.${field} is required`);
+                }
+                return;
+            }
+
+            const problem = this.checkField(entry[field], rule);
+            if (problem) {
+                errors.push(`${label}.${field} ${problem}`);
+            }
+        });
+
+        Object.keys(entry).forEach(field => {
+            if (!schema[field]) {
+                errors.push(`${label}.${field} is not a recognised field`);
+            }
+        });
+
+        if (kind === 'buildings' && entry.unlockCondition && typeof entry.unlockCondition === 'object') {
+            Object.entries(entry.unlockCondition).forEach(([requirement, value]) => {
+                const known = GameState.resources[requirement] !== undefined ||
+                    BuildingConfig[requirement] !== undefined ||
+                    (pack.buildings && pack.buildings[requirement] !== undefined);
+
+                if (!known) {
+                    errors.push(`${label}.unlockCondition.${requirement} is not a resource or building`);
+                } else if (typeof value !== 'number' || value < 0) {
+                    errors.push(`${label}.unlockCondition.${requirement} must be a non-negative number`);
+                }
+            });
+        }
+
+        if (kind === 'achievements') {
+            if (entry.condition && typeof entry.condition === 'object') {
+                errors.push(...this.validateCondition(entry.condition, `${label}.condition`, pack));
+            }
+            if (entry.reward) {
+                Object.entries(entry.reward).forEach(([resource, amount]) => {
+                    if (!['coins', 'research', 'happiness'].includes(resource) || typeof amount !== 'number' || amount < 0) {
+                        errors.push(`${label}.reward.${resource} must be a non-negative coins, research or happiness amount`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    },
+
+    // Returns a description of the problem, or null when the value satisfies the rule
+    checkField(value, rule) {
+        if (value === null) {
+            return rule.nullable ? null : 'must not be null';
+        }
+        if (rule.type === 'object') {
+            return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+        }
+        if (typeof value !== rule.type) {
+            return `must be a ${rule.type}`;
+        }
+        if (rule.type === 'number') {
+            if (!isFinite(value)) return 'must be a finite number';
+            if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+            if (rule.integer && !Number.isInteger(value)) return 'must be a whole number';
+        }
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            return `must be one of ${rule.oneOf.join(', ')}`;
+        }
+        return null;
+    },
+
+    // Declarative conditions: { stat, gte/gt/lte/lt/eq } leaves, combined with { all: [...] } or { any: [...] }
+    validateCondition(spec, path, pack = {}) {
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            return [`${path} must be an object`];
+        }
+
+        const group = spec.all || spec.any;
+        if (group !== undefined) {
+            if (!Array.isArray(group) || group.length === 0) {
+                return [`${path} "all"/"any" must be a non-empty array`];
+            }
+            const key = spec.all ? 'all' : 'any';
+            return group.reduce((errors, part, index) => errors.concat(this.validateCondition(part, `${path}.${key}[${index}]`, pack)), []);
+        }
+
+        const errors = [];
+        const operators = Object.keys(Simulation.comparators);
+
+        const packBuilding = pack.buildings && pack.buildings[spec.stat] !== undefined;
+        if (typeof spec.stat !== 'string' || !(Achievements.hasMetric(spec.stat) || packBuilding)) {
+            errors.push(`${path}.stat "${spec.stat}" is not a known statistic, resource or building`);
+        }
+        if (!operators.some(operator => spec[operator] !== undefined)) {
+            errors.push(`${path} needs one of ${operators.join(', ')}`);
+        }
+        operators.forEach(operator => {
+            if (spec[operator] !== undefined && typeof spec[operator] !== 'number') {
+                errors.push(`${path}.${operator} must be a number`);
+            }
+        });
+
+        return errors;
+    },
+
+    getLiveConfig(kind) {
+        switch (kind) {
+            case 'buildings':
+                return BuildingConfig;
+            case 'upgrades':
+                return UpgradeConfig;
+            case 'achievements':
+                return Achievements.definitions;
+        }
+        return {};
+    },
+
+    mergeBuildings(buildings) {
+        Object.entries(buildings).forEach(([buildingType, entry]) => {
+            if (BuildingConfig[buildingType]) {
+                Object.assign(BuildingConfig[buildingType], entry);
+            } else {
+                BuildingConfig[buildingType] = { energyUsage: 0, upgradeBuilding: null, ...entry };
+            }
+
+            if (GameState.buildings[buildingType] === undefined) {
+                GameState.buildings[buildingType] = 0;
+            }
+        });
+    },
+
+    mergeUpgrades(upgrades) {
+        Object.entries(upgrades).forEach(([upgradeType, entry]) => {
+            Object.assign(UpgradeConfig[upgradeType], entry);
+        });
+    },
+
+    mergeAchievements(achievements) {
+        Object.entries(achievements).forEach(([achievementId, entry]) => {
+            Achievements.defineAchievement(achievementId, entry);
+        });
+    },
+
+    // Rebuild the generated cards so new or rebalanced definitions show up
+    refreshUI() {
+        if (typeof UI === 'undefined' || !UI.elements) return;
+
+        if (UI.elements.buildingsGrid) {
+            UI.generateBuildingsUI();
+        }
+        if (UI.elements.upgradesGrid) {
+            UI.generateUpgradesUI();
+        }
+        if (UI.elements.achievementsGrid) {
+            UI.generateAchievementsUI();
+        }
+        if (UI.elements.buildingsGrid || UI.elements.upgradesGrid) {
+            UI.updateAll();
+        }
+    }
+};
+
+// Node (Jest) loads this file with require(); the browser reads the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentPacks;
+}
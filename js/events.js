@@ -0,0 +1,154 @@
+// IdleCity Random City Events
+// Schedules festivals, fires, recessions and booms; their modifiers are applied by Simulation
+
+const CityEvents = {
+    // Called once per second from the game loop
+    update() {
+        const cityEvents = GameState.cityEvents;
+
+        // The clock waits while the player is deciding
+        if (cityEvents.pending) return;
+
+        if (typeof cityEvents.nextIn !== 'number') {
+            cityEvents.nextIn = EventConfig.firstDelay;
+        }
+
+        cityEvents.nextIn -= 1;
+        if (cityEvents.nextIn > 0) return;
+
+        cityEvents.nextIn = this.rollInterval();
+
+        const eventId = this.pickEvent();
+        if (eventId) {
+            this.trigger(eventId);
+        }
+    },
+
+    rollInterval() {
+        const { minInterval, maxInterval } = EventConfig;
+        return Math.round(minInterval + Math.random() * (maxInterval - minInterval));
+    },
+
+    // Events the city qualifies for that are not already running
+    getEligibleEvents() {
+        const activeIds = GameState.cityEvents.active.map(active => active.id);
+
+        return Object.keys(EventConfig.events).filter(eventId => {
+            const definition = EventConfig.events[eventId];
+            if (activeIds.includes(eventId)) return false;
+            return !definition.condition || Simulation.evaluateCondition(GameState, definition.condition);
+        });
+    },
+
+    // Weighted random pick among eligible events
+    pickEvent() {
+        const eligible = this.getEligibleEvents();
+        const totalWeight = eligible.reduce((sum, eventId) => sum + (EventConfig.events[eventId].weight || 1), 0);
+
+        let roll = Math.random() * totalWeight;
+        for (const eventId of eligible) {
+            roll -= EventConfig.events[eventId].weight || 1;
+            if (roll < 0) return eventId;
+        }
+
+        return null;
+    },
+
+    trigger(eventId) {
+        const result = Simulation.startCityEvent(GameState, eventId);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
+            return false;
+        }
+
+        GameLoop.applySimulation(result.state);
+        this.handleSimulationEvents(result.events);
+        return true;
+    },
+
+    choose(choiceId) {
+        const result = Simulation.chooseCityEventOption(GameState, choiceId);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(result.reason, 'error');
+            }
+            return false;
+        }
+
+        GameLoop.applySimulation(result.state);
+        this.handleSimulationEvents(result.events);
+
+        if (typeof UI !== 'undefined') {
+            UI.updateAll();
+        }
+        return true;
+    },
+
+    // Announce city event starts, decisions and endings reported by Simulation
+    handleSimulationEvents(events) {
+        events.forEach(event => {
+            const definition = EventConfig.events[event.id];
+            if (!definition) return;
+
+            const label = `${definition.icon} ${definition.name}`;
+            let message = null;
+            let type = 'info';
+
+            switch (event.type) {
+                case 'cityEventStarted':
+                    message = event.pending ? `${label}! Choose how to respond.` : `${label}! ${definition.description}`;
+                    type = event.pending ? 'warning' : 'success';
+                    break;
+                case 'cityEventResolved': {
+                    const choice = definition.choices[event.choice];
+                    message = event.automatic ? `${label}: no decision made - ${choice.label.toLowerCase()}.` : `${label}: ${choice.label}.`;
+                    break;
+                }
+                case 'cityEventEnded':
+                    message = `${label} is over.`;
+                    break;
+                default:
+                    return;
+            }
+
+            console.log(`📰 ${message}`);
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(message, type, 4000);
+                UI.renderCityEvents();
+            }
+        });
+    },
+
+    getDefaultState() {
+        return {
+            active: [],
+            pending: null,
+            log: [],
+            nextIn: EventConfig.firstDelay
+        };
+    },
+
+    // Keep only saved events that still exist in EventConfig
+    sanitize(saved) {
+        const state = this.getDefaultState();
+        if (!saved || typeof saved !== 'object') return state;
+
+        const known = eventId => Object.prototype.hasOwnProperty.call(EventConfig.events, eventId);
+
+        if (Array.isArray(saved.active)) {
+            state.active = saved.active.filter(active => active && known(active.id) && active.remaining > 0);
+        }
+        if (saved.pending && known(saved.pending.id) && EventConfig.events[saved.pending.id].choices) {
+            state.pending = saved.pending;
+        }
+        if (Array.isArray(saved.log)) {
+            state.log = saved.log.filter(entry => entry && known(entry.id)).slice(0, EventConfig.logSize);
+        }
+        if (typeof saved.nextIn === 'number' && saved.nextIn > 0) {
+            state.nextIn = saved.nextIn;
+        }
+
+        return state;
+    }
+};
@@ -9,7 +9,8 @@ const GameState = {
         population: 0,
         happiness: 100,
         energy: 100,
-        research: 0
+        research: 0,
+        pollution: 0
     },
 
     // Buildings
@@ -18,12 +19,14 @@ const GameState = {
         houses: 0,
         shops: 0,
         parks: 0,
+        generators: 0,
         // Tier 2
         apartments: 0,
         malls: 0,
         gardens: 0,
         factories: 0,
         labs: 0,
+        solarFarms: 0,
         // Tier 3
         skyscrapers: 0,
         towers: 0,
@@ -46,8 +49,10 @@ const GameState = {
         researchEfficiency: 0,
         // Special upgrades
         happinessBonus: 0,
-        populationCap: 10000,
-        autoClickerLevel: 0
+        populationCap: 0,
+        autoClickerLevel: 0,
+        gridEfficiency: 0,
+        pollutionControl: 0
     },
 
     // Game statistics
@@ -57,281 +62,42 @@ const GameState = {
         buildingsPurchased: 0,
         totalCoinsEarned: 0,
         gameStartTime: Date.now()
-    }
-};
-
-// Enhanced Building Configuration with Tiers and Upgrades
-const BuildingConfig = {
-    // Tier 1 Buildings - Basic structures
-    houses: {
-        name: "Houses",
-        description: "Generate population over time",
-        tier: 1,
-        baseCost: 10,
-        costMultiplier: 1.15,
-        baseProduction: 1,
-        resourceType: "population",
-        unlockCondition: { coins: 0 },
-        icon: "🏠",
-        category: "residential",
-        upgradeBuilding: "apartments"
-    },
-    shops: {
-        name: "Shops",
-        description: "Generate coins from population",
-        tier: 1,
-        baseCost: 50,
-        costMultiplier: 1.20,
-        baseProduction: 2,
-        resourceType: "coins",
-        unlockCondition: { population: 10 },
-        icon: "🏪",
-        category: "commercial",
-        upgradeBuilding: "malls"
-    },
-    parks: {
-        name: "Parks",
-        description: "Increase city happiness",
-        tier: 1,
-        baseCost: 100,
-        costMultiplier: 1.18,
-        baseProduction: 10,
-        resourceType: "happiness",
-        unlockCondition: { population: 25 },
-        icon: "🌳",
-        category: "leisure",
-        upgradeBuilding: "gardens"
     },
 
-    // Tier 2 Buildings - Upgraded structures
-    apartments: {
-        name: "Apartments",
-        description: "High-density housing for more population",
-        tier: 2,
-        baseCost: 500,
-        costMultiplier: 1.22,
-        baseProduction: 8,
-        resourceType: "population",
-        unlockCondition: { population: 100, houses: 5 },
-        icon: "🏢",
-        category: "residential",
-        upgradeBuilding: "skyscrapers"
-    },
-    malls: {
-        name: "Shopping Malls",
-        description: "Large commercial centers with high coin generation",
-        tier: 2,
-        baseCost: 1000,
-        costMultiplier: 1.25,
-        baseProduction: 15,
-        resourceType: "coins",
-        unlockCondition: { population: 200, shops: 3 },
-        icon: "🏬",
-        category: "commercial",
-        upgradeBuilding: "towers"
-    },
-    gardens: {
-        name: "Botanical Gardens",
-        description: "Beautiful gardens that greatly boost happiness",
-        tier: 2,
-        baseCost: 750,
-        costMultiplier: 1.20,
-        baseProduction: 25,
-        resourceType: "happiness",
-        unlockCondition: { population: 150, parks: 4 },
-        icon: "🌺",
-        category: "leisure",
-        upgradeBuilding: "resorts"
+    // Random city events (see CityEvents)
+    cityEvents: {
+        active: [],
+        pending: null,
+        log: [],
+        nextIn: null // Seconds until the next event; scheduled by CityEvents
     },
 
-    // Tier 2 Industrial Buildings
-    factories: {
-        name: "Factories",
-        description: "Industrial coin production",
-        tier: 2,
-        baseCost: 800,
-        costMultiplier: 1.28,
-        baseProduction: 12,
-        resourceType: "coins",
-        unlockCondition: { population: 75, coins: 500 },
-        icon: "🏭",
-        category: "industrial",
-        upgradeBuilding: "powerplants"
-    },
-    labs: {
-        name: "Research Labs",
-        description: "Generate research points for upgrades",
-        tier: 2,
-        baseCost: 1200,
-        costMultiplier: 1.30,
-        baseProduction: 1,
-        resourceType: "research",
-        unlockCondition: { population: 300, happiness: 75 },
-        icon: "🔬",
-        category: "research",
-        upgradeBuilding: "universities"
+    // Researched tech tree nodes (see TechConfig)
+    tech: {
+        researched: []
     },
 
-    // Tier 3 Buildings - Advanced structures
-    skyscrapers: {
-        name: "Skyscrapers",
-        description: "Massive population centers",
-        tier: 3,
-        baseCost: 5000,
-        costMultiplier: 1.35,
-        baseProduction: 50,
-        resourceType: "population",
-        unlockCondition: { population: 500, apartments: 3 },
-        icon: "🏙️",
-        category: "residential",
-        upgradeBuilding: null
-    },
-    towers: {
-        name: "Corporate Towers",
-        description: "Elite business centers with massive coin generation",
-        tier: 3,
-        baseCost: 8000,
-        costMultiplier: 1.40,
-        baseProduction: 100,
-        resourceType: "coins",
-        unlockCondition: { population: 800, malls: 2 },
-        icon: "🏗️",
-        category: "commercial",
-        upgradeBuilding: null
+    // Enacted city ordinances (see PolicyConfig)
+    policies: {
+        active: []
     },
-    powerplants: {
-        name: "Power Plants",
-        description: "Massive industrial complexes",
-        tier: 3,
-        baseCost: 6000,
-        costMultiplier: 1.38,
-        baseProduction: 80,
-        resourceType: "coins",
-        unlockCondition: { population: 600, factories: 3 },
-        icon: "⚡",
-        category: "industrial",
-        upgradeBuilding: null
-    },
-    universities: {
-        name: "Universities",
-        description: "Advanced research and education centers",
-        tier: 3,
-        baseCost: 10000,
-        costMultiplier: 1.45,
-        baseProduction: 5,
-        resourceType: "research",
-        unlockCondition: { population: 1000, labs: 2 },
-        icon: "🎓",
-        category: "research",
-        upgradeBuilding: null
-    },
-    resorts: {
-        name: "Luxury Resorts",
-        description: "Ultimate happiness destinations",
-        tier: 3,
-        baseCost: 7500,
-        costMultiplier: 1.42,
-        baseProduction: 150,
-        resourceType: "happiness",
-        unlockCondition: { population: 750, gardens: 2 },
-        icon: "🏖️",
-        category: "leisure",
-        upgradeBuilding: null
-    }
-};
 
-// Upgrade System Configuration
-const UpgradeConfig = {
-    // Efficiency Upgrades
-    residentialEfficiency: {
-        name: "Residential Efficiency",
-        description: "Increase population generation by 25%",
-        baseCost: 100,
-        costMultiplier: 2.0,
-        maxLevel: 10,
-        effect: 0.25,
-        resourceType: "research",
-        category: "efficiency",
-        icon: "🏠⚡"
-    },
-    commercialEfficiency: {
-        name: "Commercial Efficiency",
-        description: "Increase coin generation from commercial buildings by 25%",
-        baseCost: 150,
-        costMultiplier: 2.2,
-        maxLevel: 10,
-        effect: 0.25,
-        resourceType: "research",
-        category: "efficiency",
-        icon: "🏪⚡"
-    },
-    industrialEfficiency: {
-        name: "Industrial Efficiency",
-        description: "Increase coin generation from industrial buildings by 30%",
-        baseCost: 200,
-        costMultiplier: 2.5,
-        maxLevel: 8,
-        effect: 0.30,
-        resourceType: "research",
-        category: "efficiency",
-        icon: "🏭⚡"
-    },
-    leisureEfficiency: {
-        name: "Leisure Efficiency",
-        description: "Increase happiness generation by 20%",
-        baseCost: 120,
-        costMultiplier: 1.8,
-        maxLevel: 12,
-        effect: 0.20,
-        resourceType: "research",
-        category: "efficiency",
-        icon: "🌳⚡"
-    },
-    researchEfficiency: {
-        name: "Research Efficiency",
-        description: "Increase research generation by 50%",
-        baseCost: 300,
-        costMultiplier: 3.0,
-        maxLevel: 5,
-        effect: 0.50,
-        resourceType: "research",
-        category: "efficiency",
-        icon: "🔬⚡"
+    // Optional tile map layout (see CityGridConfig); `tiles` holds null, 'road' or a building type per tile
+    cityGrid: {
+        enabled: false,
+        tiles: []
     },
 
-    // Special Upgrades
-    happinessBonus: {
-        name: "City Planning",
-        description: "Base happiness bonus +10",
-        baseCost: 50,
-        costMultiplier: 1.5,
-        maxLevel: 20,
-        effect: 10,
-        resourceType: "research",
-        category: "special",
-        icon: "😊"
-    },
-    populationCap: {
-        name: "Urban Expansion",
-        description: "Increase population capacity by 5000",
-        baseCost: 500,
-        costMultiplier: 2.8,
-        maxLevel: 10,
-        effect: 5000,
-        resourceType: "research",
-        category: "special",
-        icon: "🌍"
+    // Completed quest ids (see QuestConfig); kept across charters
+    quests: {
+        completed: []
     },
-    autoClickerLevel: {
-        name: "Auto Clicker",
-        description: "Automatically collect 1 coin per second per level",
-        baseCost: 1000,
-        costMultiplier: 4.0,
-        maxLevel: 5,
-        effect: 1,
-        resourceType: "research",
-        category: "automation",
-        icon: "🤖"
+
+    // Challenge run this city is playing (see ChallengeConfig); only set in the challenge save slot
+    challenge: {
+        id: null,
+        elapsed: 0, // Seconds on the challenge clock; stops once `result` is set
+        result: null // 'completed' or 'failed'
     }
 };
 
@@ -418,6 +184,15 @@ const GameLoop = {
         // Check for resource milestones and achievements (less frequently)
         if (this.uiUpdateCounter % 10 === 0) { // Every second
             this.checkResourceAchievements();
+            this.checkEnergyGrid();
+
+            if (typeof CityEvents !== 'undefined') {
+                CityEvents.update();
+            }
+
+            if (typeof Quests !== 'undefined') {
+                Quests.check();
+            }
             
             // Check achievements
             if (typeof Achievements !== 'undefined') {
@@ -433,6 +208,13 @@ const GameLoop = {
             if (this.uiUpdateCounter % 5 === 0) { // Every 0.5 seconds
                 UI.updateBuildingDisplays();
                 UI.updateStatistics();
+                UI.updatePrestigeDisplay();
+                UI.renderCityEvents();
+                UI.updateTechTree();
+                UI.updatePolicies();
+                UI.renderCityMap();
+                UI.updateQuestTracker();
+                UI.updateChallenges();
                 UI.updateButtonStates();
             }
         }
@@ -452,98 +234,37 @@ const GameLoop = {
     },
 
     generateResources() {
-        const deltaTime = this.tickRate / 1000; // Convert to seconds
-
-        // Auto-clicker from upgrades
-        if (GameState.upgrades.autoClickerLevel > 0) {
-            const autoCoins = GameState.upgrades.autoClickerLevel * deltaTime;
-            GameState.resources.coins += autoCoins;
-            GameState.statistics.totalCoinsEarned += autoCoins;
-        }
-
         // Check for newly unlocked buildings
         this.checkUnlockedBuildings();
 
-        // Generate resources from all building types
-        Object.keys(GameState.buildings).forEach(buildingType => {
-            const buildingCount = GameState.buildings[buildingType];
-            if (buildingCount > 0) {
-                const config = BuildingConfig[buildingType];
-                if (config) {
-                    const categoryMultiplier = this.getCategoryMultiplier(config.category);
-                    const baseGeneration = buildingCount * config.baseProduction * GameState.upgrades.efficiency * categoryMultiplier * deltaTime;
-
-                    // Apply resource generation based on building type
-                    switch (config.resourceType) {
-                        case 'population':
-                            // Check population cap
-                            if (GameState.resources.population < GameState.upgrades.populationCap) {
-                                GameState.resources.population += baseGeneration;
-                                GameState.resources.population = Math.min(GameState.resources.population, GameState.upgrades.populationCap);
-                            }
-                            break;
-
-                        case 'coins':
-                            // Commercial buildings need population, industrial buildings work independently
-                            if (config.category === 'commercial' && GameState.resources.population < 1) {
-                                break; // No coin generation without population
-                            }
-                            if (config.category === 'industrial' && GameState.resources.population < 10) {
-                                break; // Industrial needs more population
-                            }
-                            GameState.resources.coins += baseGeneration;
-                            GameState.statistics.totalCoinsEarned += baseGeneration;
-                            break;
-
-                        case 'happiness':
-                            const happinessGeneration = baseGeneration + (GameState.upgrades.happinessBonus * buildingCount * deltaTime);
-                            GameState.resources.happiness = Math.min(100, GameState.resources.happiness + happinessGeneration);
-                            break;
-
-                        case 'research':
-                            if (GameState.resources.happiness >= 50) { // Research requires happy population
-                                GameState.resources.research += baseGeneration;
-                                
-                                // Track total research earned
-                                if (!GameState.statistics.totalResearchEarned) {
-                                    GameState.statistics.totalResearchEarned = 0;
-                                }
-                                GameState.statistics.totalResearchEarned += baseGeneration;
-                            }
-                            break;
-                    }
-                }
-            }
-        });
-
-        // Happiness decay over time (idle game mechanic)
-        if (GameState.resources.population > 0) {
-            const happinessDecay = (GameState.resources.population * 0.05) * deltaTime; // Reduced decay rate
-            GameState.resources.happiness = Math.max(0, GameState.resources.happiness - happinessDecay);
+        const events = this.produceResources(this.tickRate / 1000);
+        if (typeof CityEvents !== 'undefined') {
+            CityEvents.handleSimulationEvents(events);
         }
+        if (typeof Policies !== 'undefined') {
+            Policies.handleSimulationEvents(events);
+        }
+        if (typeof Challenges !== 'undefined') {
+            Challenges.handleSimulationEvents(events);
+        }
+    },
 
-        // Round resources to avoid floating point precision issues
-        GameState.resources.coins = Math.floor(GameState.resources.coins * 100) / 100;
-        GameState.resources.population = Math.floor(GameState.resources.population * 100) / 100;
-        GameState.resources.happiness = Math.floor(GameState.resources.happiness * 100) / 100;
-        GameState.resources.research = Math.floor(GameState.resources.research * 100) / 100;
+    // Run `deltaTime` seconds of Simulation.step against the live GameState; returns the step events
+    produceResources(deltaTime) {
+        const result = Simulation.step(GameState, deltaTime);
+        this.applySimulation(result.state);
+        return result.events;
+    },
+
+    // Copy a state returned by Simulation back onto the live GameState
+    applySimulation(state) {
+        Simulation.STATE_SECTIONS.forEach(section => {
+            GameState[section] = state[section];
+        });
     },
 
     getCategoryMultiplier(category) {
-        switch (category) {
-            case 'residential':
-                return 1 + (GameState.upgrades.residentialEfficiency * UpgradeConfig.residentialEfficiency.effect);
-            case 'commercial':
-                return 1 + (GameState.upgrades.commercialEfficiency * UpgradeConfig.commercialEfficiency.effect);
-            case 'industrial':
-                return 1 + (GameState.upgrades.industrialEfficiency * UpgradeConfig.industrialEfficiency.effect);
-            case 'leisure':
-                return 1 + (GameState.upgrades.leisureEfficiency * UpgradeConfig.leisureEfficiency.effect);
-            case 'research':
-                return 1 + (GameState.upgrades.researchEfficiency * UpgradeConfig.researchEfficiency.effect);
-            default:
-                return 1;
-        }
+        return Simulation.getCategoryMultiplier(GameState, category);
     },
 
     checkResourceAchievements() {
@@ -553,7 +274,7 @@ const GameLoop = {
         
         if (populationMilestones.includes(population)) {
             if (typeof UI !== 'undefined') {
-                UI.showNotification(`🏆 Growing City: Reached ${population} population!`, 'achievement', 4000);
+                UI.showNotification(`🏆 Growing City: Reached ${UI.formatNumber(population)} population!`, 'achievement', 4000);
             }
         }
         
@@ -566,12 +287,12 @@ const GameLoop = {
         }
         
         // Research milestones
-        const research = Math.floor(GameState.resources.research);
+        const research = Math.floor(BigNum.toNumber(GameState.resources.research));
         const researchMilestones = [10, 50, 100, 500, 1000];
         
         if (researchMilestones.includes(research)) {
             if (typeof UI !== 'undefined') {
-                UI.showNotification(`🏆 Researcher: Accumulated ${research} research points!`, 'achievement', 4000);
+                UI.showNotification(`🏆 Researcher: Accumulated ${UI.formatNumber(research)} research points!`, 'achievement', 4000);
             }
         }
         
@@ -587,6 +308,17 @@ const GameLoop = {
         }
     },
 
+    checkEnergyGrid() {
+        const overloaded = Energy.isOverloaded();
+
+        // Only warn when the grid tips into overload, not every second it stays there
+        if (overloaded && !this.gridOverloaded && typeof UI !== 'undefined') {
+            UI.showNotification(`⚡ Power grid overloaded! Output reduced to ${Math.floor(Energy.getSatisfaction() * 100)}%. Build more generators.`, 'warning', 5000);
+        }
+
+        this.gridOverloaded = overloaded;
+    },
+
     checkUnlockedBuildings() {
         // Track which buildings were previously unlocked
         if (!this.previouslyUnlocked) {
@@ -616,57 +348,88 @@ const GameLoop = {
 
 // Building System
 const Buildings = {
-    purchase(buildingType) {
-        const config = BuildingConfig[buildingType];
-        if (!config) {
-            console.error(`Unknown building type: ${buildingType}`);
+    // `tileIndex` picks the lot on the city grid
+    purchase(buildingType, count = 1, tileIndex = null) {
+        const result = Simulation.purchaseBuilding(GameState, buildingType, count, tileIndex);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
             return false;
         }
 
-        const cost = this.getCost(buildingType);
-        const unlockCondition = config.unlockCondition;
+        GameLoop.applySimulation(result.state);
 
-        // Check unlock conditions
-        for (const [resource, required] of Object.entries(unlockCondition)) {
-            if (GameState.resources[resource] < required) {
-                console.log(`❌ ${config.name} requires ${required} ${resource}`);
-                return false;
-            }
+        const config = BuildingConfig[buildingType];
+        const { previousCount } = result.events[0];
+
+        console.log(`✅ Purchased ${count} ${config.name}! Now own ${GameState.buildings[buildingType]}`);
+
+        // Check for achievements
+        this.checkBuildingAchievements(buildingType, previousCount);
+
+        // Update UI immediately
+        if (typeof UI !== 'undefined') {
+            UI.updateResourceDisplays();
+            UI.updateBuildingDisplays();
+            UI.updateStatistics();
+            UI.updateButtonStates();
+            
+            // Show purchase notification
+            const label = count > 1 ? `${count} ${config.name}` : config.name;
+            UI.showNotification(`🏗️ Built ${label}! (+${UI.formatNumber(config.baseProduction * count)} ${config.resourceType}/sec)`, 'success');
         }
 
-        // Check if player can afford it
-        if (GameState.resources.coins < cost) {
-            console.log(`❌ Not enough coins for ${config.name}. Need ${cost}, have ${GameState.resources.coins}`);
+        return true;
+    },
+
+    sell(buildingType, count = 1, tileIndex = null) {
+        const result = Simulation.sellBuilding(GameState, buildingType, count, tileIndex);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
             return false;
         }
 
-        // Purchase the building
-        GameState.resources.coins -= cost;
-        GameState.buildings[buildingType]++;
-        GameState.statistics.buildingsPurchased++;
+        GameLoop.applySimulation(result.state);
 
-        console.log(`✅ Purchased ${config.name}! Now own ${GameState.buildings[buildingType]}`);
+        const config = BuildingConfig[buildingType];
+        const { refund } = result.events[0];
 
-        // Check for achievements
-        this.checkBuildingAchievements(buildingType);
+        console.log(`🏚️ Sold ${count} ${config.name} for ${BigNum.format(refund)} coins. Now own ${GameState.buildings[buildingType]}`);
 
-        // Update UI immediately
         if (typeof UI !== 'undefined') {
             UI.updateResourceDisplays();
             UI.updateBuildingDisplays();
             UI.updateStatistics();
             UI.updateButtonStates();
-            
-            // Show purchase notification
-            UI.showNotification(`🏗️ Built ${config.name}! (+${config.baseProduction} ${config.resourceType}/sec)`, 'success');
+
+            const label = count > 1 ? `${count} ${config.name}` : config.name;
+            UI.showNotification(`🏚️ Demolished ${label} (+${UI.formatNumber(refund)} coins refunded)`, 'info');
         }
 
         return true;
     },
 
+    // Refund for selling the most recently built `count` units
+    getSellRefund(buildingType, count = 1) {
+        return Simulation.getSellRefund(GameState, buildingType, count);
+    },
+
+    // Highest unlock threshold on this building among building types the player still owns
+    getMinimumKept(buildingType) {
+        return Simulation.getMinimumKept(GameState, buildingType);
+    },
+
+    getSellableCount(buildingType) {
+        const owned = GameState.buildings[buildingType] || 0;
+        return Math.max(0, owned - this.getMinimumKept(buildingType));
+    },
+
+    // Track net coins sunk into each building type (purchases minus sell refunds)
+    recordSpending(buildingType, amount, previousCount) {
+        Simulation.recordSpending(GameState, buildingType, amount, previousCount);
+    },
+
     getCost(buildingType, quantity = null) {
-        const config = BuildingConfig[buildingType];
-        if (!config) {
+        if (!BuildingConfig[buildingType]) {
             // Only log warning if not in testing mode
             if (typeof Testing === 'undefined' || !Testing.isRunning) {
                 console.warn(`Unknown building type: ${buildingType}`);
@@ -677,76 +440,64 @@ const Buildings = {
         const owned = quantity !== null ? quantity : GameState.buildings[buildingType];
 
         // Calculate cost with exponential scaling
-        return Math.floor(config.baseCost * Math.pow(config.costMultiplier, owned));
+        return Simulation.getUnitCost(buildingType, owned);
     },
 
-    getProduction(buildingType) {
-        const config = BuildingConfig[buildingType];
-        const owned = GameState.buildings[buildingType];
-
-        if (owned === 0) return 0;
-
-        // Get category multiplier
-        const categoryMultiplier = GameLoop.getCategoryMultiplier(config.category);
-
-        // Base production per building * number owned * efficiency multiplier * category multiplier
-        return config.baseProduction * owned * GameState.upgrades.efficiency * categoryMultiplier;
+    // Total cost of buying `count` more buildings on top of those already owned
+    getBulkCost(buildingType, count = 1) {
+        return Simulation.getBuildingCost(GameState, buildingType, count);
     },
 
-    isUnlocked(buildingType) {
+    getMaxAffordable(buildingType, budget = GameState.resources.coins) {
         const config = BuildingConfig[buildingType];
-        if (!config) return false;
+        if (!config) return 0;
 
-        const unlockCondition = config.unlockCondition;
+        const owned = GameState.buildings[buildingType] || 0;
+        return BulkPricing.getMaxAffordable(config.baseCost, config.costMultiplier, owned, budget);
+    },
 
-        for (const [requirement, required] of Object.entries(unlockCondition)) {
-            // Check resource requirements
-            if (GameState.resources[requirement] !== undefined) {
-                if (GameState.resources[requirement] < required) {
-                    return false;
-                }
-            }
-            // Check building requirements
-            else if (GameState.buildings[requirement] !== undefined) {
-                if (GameState.buildings[requirement] < required) {
-                    return false;
-                }
-            }
-        }
+    getProduction(buildingType) {
+        // Base production per building * number owned * efficiency multiplier * category multiplier * prestige multiplier
+        return Simulation.getProduction(GameState, buildingType);
+    },
 
-        return true;
+    isUnlocked(buildingType) {
+        return Simulation.isUnlocked(GameState, buildingType);
     },
 
-    canAfford(buildingType) {
-        const cost = this.getCost(buildingType);
-        return GameState.resources.coins >= cost;
+    canAfford(buildingType, count = 1) {
+        const cost = this.getBulkCost(buildingType, count);
+        return BigNum.gte(GameState.resources.coins, cost);
     },
 
-    checkBuildingAchievements(buildingType) {
+    checkBuildingAchievements(buildingType, previousCount = GameState.buildings[buildingType] - 1) {
         const count = GameState.buildings[buildingType];
         const config = BuildingConfig[buildingType];
+        const added = count - previousCount;
         
-        // Building milestone achievements
+        // Building milestone achievements (bulk purchases can jump past several at once)
         const milestones = [1, 5, 10, 25, 50, 100];
+        const reached = milestones.filter(milestone => milestone > previousCount && milestone <= count);
         
-        if (milestones.includes(count)) {
+        if (reached.length > 0) {
             if (typeof UI !== 'undefined') {
-                UI.showNotification(`🏆 Achievement: Built ${count} ${config.name}s!`, 'achievement', 4000);
+                UI.showNotification(`🏆 Achievement: Built ${reached[reached.length - 1]} ${config.name}s!`, 'achievement', 4000);
             }
         }
         
         // Total buildings achievements
         const totalBuildings = Object.values(GameState.buildings).reduce((sum, count) => sum + count, 0);
         const totalMilestones = [10, 25, 50, 100, 250, 500];
+        const totalReached = totalMilestones.filter(milestone => milestone > totalBuildings - added && milestone <= totalBuildings);
         
-        if (totalMilestones.includes(totalBuildings)) {
+        if (totalReached.length > 0) {
             if (typeof UI !== 'undefined') {
-                UI.showNotification(`🏆 City Builder: Built ${totalBuildings} total buildings!`, 'achievement', 4000);
+                UI.showNotification(`🏆 City Builder: Built ${totalReached[totalReached.length - 1]} total buildings!`, 'achievement', 4000);
             }
         }
         
         // Tier unlock achievements
-        if (count === 1) {
+        if (previousCount === 0 && count >= 1) {
             switch (config.tier) {
                 case 2:
                     if (typeof UI !== 'undefined') {
@@ -765,40 +516,19 @@ const Buildings = {
 
 // Upgrade System
 const Upgrades = {
-    purchase(upgradeType) {
-        const config = UpgradeConfig[upgradeType];
-        if (!config) {
-            console.error(`Unknown upgrade type: ${upgradeType}`);
+    purchase(upgradeType, count = 1) {
+        const result = Simulation.purchaseUpgrade(GameState, upgradeType, count);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
             return false;
         }
 
-        const currentLevel = GameState.upgrades[upgradeType] || 0;
+        GameLoop.applySimulation(result.state);
 
-        // Check if max level reached
-        if (currentLevel >= config.maxLevel) {
-            console.log(`❌ ${config.name} is already at max level (${config.maxLevel})`);
-            return false;
-        }
-
-        const cost = this.getCost(upgradeType);
-
-        // Check if player can afford it
-        if (GameState.resources[config.resourceType] < cost) {
-            console.log(`❌ Not enough ${config.resourceType} for ${config.name}. Need ${cost}, have ${GameState.resources[config.resourceType]}`);
-            return false;
-        }
-
-        // Purchase the upgrade
-        GameState.resources[config.resourceType] -= cost;
-        GameState.upgrades[upgradeType] = currentLevel + 1;
-        
-        // Track upgrade purchases
-        if (!GameState.statistics.totalUpgradesPurchased) {
-            GameState.statistics.totalUpgradesPurchased = 0;
-        }
-        GameState.statistics.totalUpgradesPurchased++;
+        const config = UpgradeConfig[upgradeType];
+        const { level } = result.events[0];
 
-        console.log(`✅ Purchased ${config.name} level ${currentLevel + 1}!`);
+        console.log(`✅ Purchased ${config.name} level ${level}!`);
 
         // Update UI immediately
         if (typeof UI !== 'undefined') {
@@ -806,18 +536,26 @@ const Upgrades = {
             UI.updateUpgradeDisplays();
             
             // Show upgrade notification
-            UI.showNotification(`⚡ Upgraded ${config.name} to level ${currentLevel + 1}!`, 'success');
+            UI.showNotification(`⚡ Upgraded ${config.name} to level ${level}!`, 'success');
         }
 
         return true;
     },
 
-    getCost(upgradeType) {
+    // Cost of the next `count` levels (defaults to just the next one)
+    getCost(upgradeType, count = 1) {
+        return Simulation.getUpgradeCost(GameState, upgradeType, count);
+    },
+
+    getMaxAffordable(upgradeType, budget = null) {
         const config = UpgradeConfig[upgradeType];
         if (!config) return 0;
 
         const currentLevel = GameState.upgrades[upgradeType] || 0;
-        return Math.floor(config.baseCost * Math.pow(config.costMultiplier, currentLevel));
+        const available = budget !== null ? budget : GameState.resources[config.resourceType];
+        const affordable = BulkPricing.getMaxAffordable(config.baseCost, config.costMultiplier, currentLevel, available);
+
+        return Math.min(affordable, Math.max(0, config.maxLevel - currentLevel));
     },
 
     getEffect(upgradeType) {
@@ -828,12 +566,17 @@ const Upgrades = {
         return config.effect * currentLevel;
     },
 
-    canAfford(upgradeType) {
+    canAfford(upgradeType, count = 1) {
         const config = UpgradeConfig[upgradeType];
         if (!config) return false;
 
-        const cost = this.getCost(upgradeType);
-        return GameState.resources[config.resourceType] >= cost;
+        const cost = this.getCost(upgradeType, count);
+        return BigNum.gte(GameState.resources[config.resourceType], cost);
+    },
+
+    // Upgrades gated by the tech tree stay locked until their node is researched
+    isUnlocked(upgradeType) {
+        return Simulation.isTechUnlocked(GameState, 'upgrades', upgradeType);
     },
 
     isMaxLevel(upgradeType) {
@@ -845,14 +588,154 @@ const Upgrades = {
     }
 };
 
+// Power Grid System
+const Energy = {
+    // MW available: regional grid plus every energy-producing building
+    getSupply() {
+        return Simulation.getEnergySupply(GameState);
+    },
+
+    // MW drawn by every building currently standing
+    getDemand() {
+        return Simulation.getEnergyDemand(GameState);
+    },
+
+    // Fraction of demand that is met (1 = fully powered)
+    getSatisfaction() {
+        return Simulation.getEnergySatisfaction(GameState);
+    },
+
+    isOverloaded() {
+        return this.getDemand() > this.getSupply();
+    }
+};
+
+// Prestige System ("City Charter")
+const Prestige = {
+    // Total charters the city's lifetime earnings are worth
+    getTotalCharters() {
+        const lifetimeCoins = GameState.statistics.totalCoinsEarned || 0;
+        return Math.floor(BigNum.toNumber(BigNum.sqrt(BigNum.div(lifetimeCoins, PrestigeConfig.coinsPerCharter))));
+    },
+
+    // Charters that would be granted by signing a new charter now
+    getPendingCharters() {
+        return Math.max(0, this.getTotalCharters() - (GameState.upgrades.prestige || 0));
+    },
+
+    // Lifetime coins required before one more charter becomes available
+    getCoinsForNextCharter() {
+        const nextCharter = this.getTotalCharters() + 1;
+        return BigNum.mul(nextCharter * nextCharter, PrestigeConfig.coinsPerCharter);
+    },
+
+    getMultiplier(charters = GameState.upgrades.prestige || 0) {
+        return 1 + (charters * PrestigeConfig.multiplierPerCharter);
+    },
+
+    canPrestige() {
+        return this.getPendingCharters() >= PrestigeConfig.minimumCharters;
+    },
+
+    // Seconds spent in the current run (since the last charter)
+    getRunTime() {
+        return Math.max(0, GameState.statistics.gameTime - (GameState.statistics.runStartGameTime || 0));
+    },
+
+    perform() {
+        if (!this.canPrestige()) {
+            console.log(`❌ Need ${BigNum.format(this.getCoinsForNextCharter())} lifetime coins to sign a new charter`);
+            return false;
+        }
+
+        const chartersEarned = this.getPendingCharters();
+        const runTime = this.getRunTime();
+
+        // Bank the charters and record the run
+        GameState.upgrades.prestige = (GameState.upgrades.prestige || 0) + chartersEarned;
+        GameState.statistics.prestigesPerformed = (GameState.statistics.prestigesPerformed || 0) + 1;
+        GameState.statistics.bestRunTime = GameState.statistics.bestRunTime
+            ? Math.min(GameState.statistics.bestRunTime, runTime)
+            : runTime;
+        GameState.statistics.runStartGameTime = GameState.statistics.gameTime;
+
+        this.resetRun();
+
+        console.log(`🏛️ Signed a new city charter! +${chartersEarned} charters (total ${GameState.upgrades.prestige})`);
+
+        if (typeof Storage !== 'undefined') {
+            Storage.saveGame();
+        }
+
+        if (typeof UI !== 'undefined') {
+            UI.updateAll();
+            UI.showNotification(
+                `🏛️ New City Charter signed!\n+${chartersEarned} charters, production now x${this.getMultiplier().toFixed(2)}`,
+                'achievement',
+                5000
+            );
+        }
+
+        return true;
+    },
+
+    // Wipe the current run while keeping charters, lifetime statistics and achievements
+    resetRun() {
+        GameState.resources = {
+            coins: 0,
+            population: 0,
+            happiness: 100,
+            energy: 100,
+            research: 0,
+            pollution: 0
+        };
+
+        Object.keys(GameState.buildings).forEach(buildingType => {
+            GameState.buildings[buildingType] = 0;
+        });
+        GameState.statistics.buildingSpending = {};
+
+        // Running events belong to the old city
+        GameState.cityEvents.active = [];
+        GameState.cityEvents.pending = null;
+
+        // Research is bought with run resources, so the tree starts over too
+        GameState.tech = { researched: [] };
+        GameState.policies = { active: [] };
+
+        // The new city starts from a fresh street plan
+        if (Simulation.isCityGridEnabled(GameState)) {
+            Simulation.layoutCityGrid(GameState);
+        }
+
+        Object.keys(GameState.upgrades).forEach(upgradeType => {
+            switch (upgradeType) {
+                case 'prestige':
+                    break; // Charters are permanent
+                case 'efficiency':
+                    GameState.upgrades[upgradeType] = 1;
+                    break;
+                case 'automation':
+                    GameState.upgrades[upgradeType] = false;
+                    break;
+                default:
+                    GameState.upgrades[upgradeType] = 0;
+            }
+        });
+
+        // Re-announce building unlocks in the new run
+        GameLoop.previouslyUnlocked = null;
+    }
+};
+
 // Manual Actions (clicking)
 const ManualActions = {
     collectCoins(amount = 1) {
-        GameState.resources.coins += amount;
+        GameState.resources.coins = BigNum.add(GameState.resources.coins, amount);
         GameState.statistics.totalClicks++;
-        GameState.statistics.totalCoinsEarned += amount;
+        GameState.statistics.totalCoinsEarned = BigNum.add(GameState.statistics.totalCoinsEarned, amount);
 
-        console.log(`💰 Collected ${amount} coins! Total: ${GameState.resources.coins}`);
+        console.log(`💰 Collected ${amount} coins! Total: ${BigNum.format(GameState.resources.coins)}`);
 
         // Check for click achievements
         this.checkClickAchievements();
@@ -866,6 +749,10 @@ const ManualActions = {
     },
 
     attractCitizens(amount = 1) {
+        // Newcomers need somewhere to live
+        const room = Math.max(0, Simulation.getHousingCapacity(GameState) - GameState.resources.population);
+        amount = Math.min(amount, Math.floor(room));
+
         GameState.resources.population += amount;
         GameState.statistics.totalClicks++;
 
@@ -897,7 +784,7 @@ const ManualActions = {
         const coinsEarned = GameState.statistics.totalCoinsEarned;
         const coinMilestones = [100, 1000, 10000, 100000, 1000000];
         
-        if (coinMilestones.includes(Math.floor(coinsEarned))) {
+        if (coinMilestones.includes(Math.floor(BigNum.toNumber(coinsEarned)))) {
             if (typeof UI !== 'undefined') {
                 UI.showNotification(`🏆 Wealthy: Earned ${this.formatNumber(coinsEarned)} total coins!`, 'achievement', 4000);
             }
@@ -908,7 +795,7 @@ const ManualActions = {
         if (typeof UI !== 'undefined') {
             return UI.formatNumber(num);
         }
-        return num.toString();
+        return BigNum.format(num);
     }
 };
 
@@ -1074,44 +961,25 @@ const Game = {
                 population: 0,
                 happiness: 100,
                 energy: 100,
-                research: 0
+                research: 0,
+                pollution: 0
             };
 
-            GameState.buildings = {
-                // Tier 1
-                houses: 0,
-                shops: 0,
-                parks: 0,
-                // Tier 2
-                apartments: 0,
-                malls: 0,
-                gardens: 0,
-                factories: 0,
-                labs: 0,
-                // Tier 3
-                skyscrapers: 0,
-                towers: 0,
-                powerplants: 0,
-                universities: 0,
-                resorts: 0
-            };
+            // Built from the configs so buildings and upgrades added by content packs are reset too
+            GameState.buildings = {};
+            Object.keys(BuildingConfig).forEach(buildingType => {
+                GameState.buildings[buildingType] = 0;
+            });
 
             GameState.upgrades = {
                 efficiency: 1,
                 automation: false,
                 research: 0,
-                prestige: 0,
-                // Building efficiency upgrades
-                residentialEfficiency: 0,
-                commercialEfficiency: 0,
-                industrialEfficiency: 0,
-                leisureEfficiency: 0,
-                researchEfficiency: 0,
-                // Special upgrades
-                happinessBonus: 0,
-                populationCap: 10000,
-                autoClickerLevel: 0
+                prestige: 0
             };
+            Object.keys(UpgradeConfig).forEach(upgradeType => {
+                GameState.upgrades[upgradeType] = 0;
+            });
 
             GameState.statistics = {
                 totalClicks: 0,
@@ -1121,6 +989,21 @@ const Game = {
                 gameStartTime: Date.now()
             };
 
+            GameState.cityEvents = {
+                active: [],
+                pending: null,
+                log: [],
+                nextIn: null
+            };
+
+            GameState.tech = { researched: [] };
+            GameState.policies = { active: [] };
+            GameState.cityGrid = { enabled: false, tiles: [] };
+            GameState.quests = { completed: [] };
+            if (typeof Challenges !== 'undefined') {
+                GameState.challenge = Challenges.getResetState();
+            }
+
             // Reset achievements and statistics
             if (typeof Achievements !== 'undefined') {
                 Achievements.unlockedAchievements.clear();
@@ -1161,7 +1044,7 @@ window.addEventListener('error', (event) => {
 // Console commands for debugging
 window.GameDebug = {
     addCoins: (amount) => {
-        GameState.resources.coins += amount;
+        GameState.resources.coins = BigNum.add(GameState.resources.coins, amount);
         console.log(`Added ${amount} coins`);
     },
     addPopulation: (amount) => {
@@ -1206,7 +1089,7 @@ window.GameDebug = {
             // Test specific achievements
             console.log('\n🧪 Testing Achievement Conditions:');
             Object.values(Achievements.definitions).forEach(achievement => {
-                const conditionMet = achievement.condition();
+                const conditionMet = Achievements.isConditionMet(achievement);
                 const status = achievement.unlocked ? '✅ UNLOCKED' : (conditionMet ? '🔓 READY' : '🔒 LOCKED');
                 console.log(`${status} ${achievement.name}: ${conditionMet}`);
                 
@@ -1236,8 +1119,8 @@ window.GameDebug = {
     },
     checkResearchGeneration: () => {
         console.log('=== Research Generation Debug ===');
-        console.log(`Current research: ${GameState.resources.research}`);
-        console.log(`Total research earned: ${GameState.statistics.totalResearchEarned || 0}`);
+        console.log(`Current research: ${BigNum.format(GameState.resources.research)}`);
+        console.log(`Total research earned: ${BigNum.format(GameState.statistics.totalResearchEarned || 0)}`);
         console.log(`Current happiness: ${GameState.resources.happiness}`);
         console.log(`Research requirement met: ${GameState.resources.happiness >= 50}`);
         
@@ -1264,9 +1147,9 @@ window.GameDebug = {
         }
         
         // If player has research but no totalResearchEarned, estimate it
-        if (GameState.resources.research > 0 && GameState.statistics.totalResearchEarned === 0) {
+        if (BigNum.gt(GameState.resources.research, 0) && GameState.statistics.totalResearchEarned === 0) {
             GameState.statistics.totalResearchEarned = GameState.resources.research;
-            console.log(`🔧 Fixed research stats: Set totalResearchEarned to ${GameState.resources.research}`);
+            console.log(`🔧 Fixed research stats: Set totalResearchEarned to ${BigNum.format(GameState.resources.research)}`);
         }
         
         // Force check achievements
@@ -1274,16 +1157,31 @@ window.GameDebug = {
             Achievements.checkAchievements();
         }
         
-        console.log(`✅ Research stats fixed. Total earned: ${GameState.statistics.totalResearchEarned}`);
+        console.log(`✅ Research stats fixed. Total earned: ${BigNum.format(GameState.statistics.totalResearchEarned)}`);
     }
 };
 
 // Initialize game when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-        setTimeout(() => {
+        setTimeout(async () => {
             console.log('🎮 Starting IdleCity...');
             
+            // Open IndexedDB (or fall back to localStorage) before reading the save
+            if (typeof Storage !== 'undefined') {
+                await Storage.ready();
+            }
+
+            // Player settings cover every city, so apply them before anything is drawn from the save
+            if (typeof NumberNotation !== 'undefined') {
+                NumberNotation.load();
+            }
+
+            // Apply content packs before loading so saved counts for pack-defined buildings are kept
+            if (typeof ContentPacks !== 'undefined') {
+                await ContentPacks.loadAll();
+            }
+            
             // Load saved game if available
             if (typeof Storage !== 'undefined') {
                 Storage.loadGame();
@@ -1296,9 +1194,24 @@ if (document.readyState === 'loading') {
         }, 200);
     });
 } else {
-    setTimeout(() => {
+    setTimeout(async () => {
         console.log('🎮 Starting IdleCity...');
         
+        // Open IndexedDB (or fall back to localStorage) before reading the save
+        if (typeof Storage !== 'undefined') {
+            await Storage.ready();
+        }
+
+        // Player settings cover every city, so apply them before anything is drawn from the save
+        if (typeof NumberNotation !== 'undefined') {
+            NumberNotation.load();
+        }
+
+        // Apply content packs before loading so saved counts for pack-defined buildings are kept
+        if (typeof ContentPacks !== 'undefined') {
+            await ContentPacks.loadAll();
+        }
+        
         // Load saved game if available
         if (typeof Storage !== 'undefined') {
             Storage.loadGame();
@@ -0,0 +1,267 @@
+// IdleCity Save Migrations
+// Upgrades older save objects one version step at a time before they are validated and applied
+
+const SaveMigrations = {
+    // Version stamped on new saves; must match the `to` of the last migration
+    CURRENT_VERSION: '1.9.0',
+
+    // Ordered registry: each step takes a save object at `from` and returns one at `to`
+    migrations: [
+        {
+            from: '1.0.0',
+            to: '1.1.0',
+            description: 'Fill in upgrades, energy and statistics added after the first release',
+            migrate(saveData) {
+                const gameState = saveData.gameState;
+
+                gameState.resources.energy = typeof gameState.resources.energy === 'number' ? gameState.resources.energy : 100;
+                gameState.resources.research = typeof gameState.resources.research === 'number' ? gameState.resources.research : 0;
+                gameState.upgrades = gameState.upgrades && typeof gameState.upgrades === 'object' ? gameState.upgrades : {};
+
+                const stats = gameState.statistics;
+                const research = gameState.resources.research;
+
+                // Research earned before the statistic existed is at least what is still banked
+                if (!stats.totalResearchEarned && research > 0) {
+                    stats.totalResearchEarned = research;
+                }
+
+                const defaults = {
+                    totalResearchEarned: 0,
+                    maxPopulation: Math.floor(gameState.resources.population),
+                    maxHappiness: 100,
+                    totalUpgradesPurchased: 0,
+                    sessionsPlayed: 1,
+                    achievementsUnlocked: 0,
+                    prestigesPerformed: 0,
+                    bestRunTime: 0,
+                    runStartGameTime: 0,
+                    buildingsSold: 0
+                };
+
+                Object.entries(defaults).forEach(([stat, value]) => {
+                    if (typeof stats[stat] !== 'number') {
+                        stats[stat] = value;
+                    }
+                });
+
+                return saveData;
+            }
+        },
+        {
+            from: '1.1.0',
+            to: '1.2.0',
+            description: 'Add the random city events section',
+            migrate(saveData) {
+                const gameState = saveData.gameState;
+
+                if (!gameState.cityEvents || typeof gameState.cityEvents !== 'object') {
+                    gameState.cityEvents = { active: [], pending: null, log: [] };
+                }
+
+                return saveData;
+            }
+        },
+        {
+            from: '1.2.0',
+            to: '1.3.0',
+            description: 'Grant the tech tree research behind upgrades and buildings a save already uses',
+            migrate(saveData) {
+                const gameState = saveData.gameState;
+                const upgrades = gameState.upgrades || {};
+                const buildings = gameState.buildings || {};
+
+                // Snapshot of the 1.3.0 tree: what each owned item needs, prerequisites included
+                const upgradeTech = {
+                    residentialEfficiency: ['urbanPlanning'],
+                    happinessBonus: ['urbanPlanning'],
+                    commercialEfficiency: ['urbanPlanning', 'commerce'],
+                    leisureEfficiency: ['urbanPlanning', 'recreation'],
+                    industrialEfficiency: ['urbanPlanning', 'industrialization'],
+                    researchEfficiency: ['urbanPlanning', 'scientificMethod'],
+                    autoClickerLevel: ['urbanPlanning', 'industrialization', 'scientificMethod', 'automation']
+                };
+                const tierThreeTech = ['urbanPlanning', 'commerce', 'industrialization', 'zoningLaws'];
+                const tierThree = ['skyscrapers', 'towers', 'powerplants', 'universities', 'resorts'];
+
+                const researched = new Set();
+                Object.entries(upgradeTech).forEach(([upgradeType, nodes]) => {
+                    if (upgrades[upgradeType] > 0) {
+                        nodes.forEach(nodeId => researched.add(nodeId));
+                    }
+                });
+                if (tierThree.some(buildingType => buildings[buildingType] > 0)) {
+                    tierThreeTech.forEach(nodeId => researched.add(nodeId));
+                }
+
+                gameState.tech = { researched: [...researched] };
+
+                return saveData;
+            }
+        },
+        {
+            from: '1.3.0',
+            to: '1.4.0',
+            description: 'Turn the flat population cap into Urban Expansion levels',
+            migrate(saveData) {
+                const upgrades = saveData.gameState.upgrades || {};
+
+                // The cap was 10000 plus 5000 per Urban Expansion level (at most 10)
+                const cap = Number(upgrades.populationCap) || 0;
+                upgrades.populationCap = Math.min(10, Math.max(0, Math.round((cap - 10000) / 5000)));
+
+                return saveData;
+            }
+        },
+        {
+            from: '1.4.0',
+            to: '1.5.0',
+            description: 'Add the city policies section',
+            migrate(saveData) {
+                const gameState = saveData.gameState;
+
+                if (!gameState.policies || typeof gameState.policies !== 'object') {
+                    gameState.policies = { active: [] };
+                }
+
+                return saveData;
+            }
+        },
+        {
+            from: '1.5.0',
+            to: '1.6.0',
+            description: 'Add the city grid section, off by default',
+            migrate(saveData) {
+                const gameState = saveData.gameState;
+
+                if (!gameState.cityGrid || typeof gameState.cityGrid !== 'object') {
+                    gameState.cityGrid = { enabled: false, tiles: [] };
+                }
+
+                return saveData;
+            }
+        },
+        {
+            from: '1.6.0',
+            to: '1.7.0',
+            description: 'Add quest progress',
+            migrate(saveData) {
+                const gameState = saveData.gameState;
+
+                if (!gameState.quests || typeof gameState.quests !== 'object') {
+                    gameState.quests = { completed: [] };
+                }
+
+                return saveData;
+            }
+        },
+        {
+            from: '1.7.0',
+            to: '1.8.0',
+            description: 'Add challenge run state',
+            migrate(saveData) {
+                const gameState = saveData.gameState;
+
+                // Saves from before challenges are always regular cities
+                if (!gameState.challenge || typeof gameState.challenge !== 'object') {
+                    gameState.challenge = { id: null, elapsed: 0, result: null };
+                }
+
+                return saveData;
+            }
+        },
+        {
+            from: '1.8.0',
+            to: '1.9.0',
+            description: 'Allow BigNum values for coins, research and prices',
+            // Plain numbers are still valid BigNum values, so older saves need no changes.
+            // The bump makes builds without BigNum refuse these saves instead of misreading them.
+            migrate(saveData) {
+                return saveData;
+            }
+        }
+    ],
+
+    // Compare dotted versions numerically: -1, 0 or 1
+    compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) {
+                return diff > 0 ? 1 : -1;
+            }
+        }
+
+        return 0;
+    },
+
+    // Saves written by a newer build may contain data this build would silently drop
+    isNewerThanCurrent(version) {
+        return this.compareVersions(version, this.CURRENT_VERSION) > 0;
+    },
+
+    needsMigration(saveData) {
+        return !!saveData && typeof saveData.version === 'string' &&
+            this.compareVersions(saveData.version, this.CURRENT_VERSION) < 0;
+    },
+
+    // Run every step from the save's version up to CURRENT_VERSION on a copy of the save.
+    // Returns { success, saveData, applied, error }; the input object is never modified.
+    migrate(saveData) {
+        if (!saveData || typeof saveData !== 'object' || typeof saveData.version !== 'string' ||
+            !saveData.gameState || typeof saveData.gameState !== 'object') {
+            // Let validation report malformed saves
+            return { success: true, saveData, applied: [], error: null };
+        }
+
+        if (this.isNewerThanCurrent(saveData.version)) {
+            return {
+                success: false,
+                saveData,
+                applied: [],
+                error: `Save version ${saveData.version} is newer than this game (${this.CURRENT_VERSION})`
+            };
+        }
+
+        let migrated = JSON.parse(JSON.stringify(saveData));
+        const applied = [];
+
+        while (this.compareVersions(migrated.version, this.CURRENT_VERSION) < 0) {
+            const step = this.migrations.find(migration => migration.from === migrated.version);
+            if (!step) {
+                return {
+                    success: false,
+                    saveData,
+                    applied,
+                    error: `No migration path from save version ${migrated.version}`
+                };
+            }
+
+            try {
+                migrated = step.migrate(migrated);
+                migrated.version = step.to;
+                applied.push(`${step.from} -> ${step.to}`);
+            } catch (error) {
+                return {
+                    success: false,
+                    saveData,
+                    applied,
+                    error: `Migration ${step.from} -> ${step.to} failed: ${error.message}`
+                };
+            }
+        }
+
+        if (applied.length > 0) {
+            console.log(`🔧 Migrated save: ${applied.join(', ')}`);
+        }
+
+        return { success: true, saveData: migrated, applied, error: null };
+    }
+};
+
+// Node (Jest) loads this file with require(); the browser reads the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveMigrations };
+}
@@ -0,0 +1,117 @@
+// IdleCity Number Notation
+// How numbers are written across the UI; the choice is a player setting shared by every city
+
+// BigNum comes from simulation.js: a global in the browser, required in Node
+const NotationMath = typeof module !== 'undefined' && module.exports
+    ? require('./simulation.js').BigNum
+    : BigNum;
+
+const NumberNotation = {
+    DEFAULT: 'short',
+
+    notations: {
+        short: { name: 'Short', example: '1.23M' },
+        long: { name: 'Long names', example: '1.23 million' },
+        scientific: { name: 'Scientific', example: '1.23e6' },
+        engineering: { name: 'Engineering', example: '1.23e6, 12.35e9' },
+        full: { name: 'Full', example: '1,234,567' }
+    },
+
+    // Suffix and name for each power of a thousand; past the last one numbers switch to scientific
+    suffixes: ['', 'K', 'M', 'B', 'T', 'Qa', 'Qi', 'Sx', 'Sp', 'Oc', 'No', 'Dc'],
+    names: ['', 'thousand', 'million', 'billion', 'trillion', 'quadrillion', 'quintillion', 'sextillion', 'septillion', 'octillion', 'nonillion', 'decillion'],
+
+    current: 'short',
+
+    // Shown for values that are not numbers at all (undefined, NaN, Infinity)
+    PLACEHOLDER: '—',
+
+    // Read the player's choice; storage must be ready
+    load() {
+        const settings = typeof Storage !== 'undefined' ? Storage.readSettings() : {};
+        this.current = this.notations[settings.notation] ? settings.notation : this.DEFAULT;
+        return this.current;
+    },
+
+    set(notation) {
+        if (!this.notations[notation]) return false;
+
+        this.current = notation;
+        if (typeof Storage !== 'undefined') {
+            Storage.writeSettings({ ...Storage.readSettings(), notation });
+        }
+        return true;
+    },
+
+    // Plain numbers and BigNum values; `decimals` applies to the digits after the point
+    format(value, decimals = 0, notation = this.current) {
+        if (value === 0) return '0';
+        if (!NotationMath.isBig(value) && !Number.isFinite(value)) return this.PLACEHOLDER;
+
+        const [mantissa, exponent] = NotationMath.parts(value);
+
+        if (notation === 'full') {
+            const number = NotationMath.toNumber(value);
+            if (Number.isFinite(number)) {
+                return (decimals > 0 ? number : Math.floor(number))
+                    .toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+            }
+            return this.formatScientific(mantissa, exponent, decimals);
+        }
+
+        // Everything below a thousand reads the same in every notation
+        if (exponent < 3) {
+            const text = decimals > 0 ? value.toFixed(decimals) : Math.floor(value).toString();
+            // 999.99 rounds to 1000.0; write it as a thousand in the chosen notation instead
+            return Math.abs(Number(text)) < 1000 ? text : this.format(Math.sign(value) * 1000, decimals, notation);
+        }
+
+        switch (notation) {
+            case 'scientific':
+                return this.formatScientific(mantissa, exponent, decimals);
+
+            case 'engineering': {
+                const shift = exponent % 3;
+                const digits = Math.max(decimals, 2);
+                const rounded = Number((mantissa * Math.pow(10, shift)).toFixed(digits));
+                return Math.abs(rounded) >= 1000
+                    ? `${(rounded / 1000).toFixed(digits)}e${exponent - shift + 3}`
+                    : `${rounded.toFixed(digits)}e${exponent - shift}`;
+            }
+
+            default: {
+                const digits = notation === 'long' ? Math.max(decimals, 2) : decimals;
+                let tier = Math.floor(exponent / 3);
+                let scaled = NotationMath.isBig(value) ? mantissa * Math.pow(10, exponent - tier * 3) : value / Math.pow(1000, tier);
+
+                // 999.9K rounds up to 1000K; carry it into the next tier
+                if (Math.abs(Number(scaled.toFixed(digits))) >= 1000) {
+                    tier++;
+                    scaled /= 1000;
+                }
+
+                if (tier >= this.suffixes.length) {
+                    return this.formatScientific(mantissa, exponent, decimals);
+                }
+
+                return notation === 'long'
+                    ? `${Number(scaled.toFixed(digits))} ${this.names[tier]}`
+                    : scaled.toFixed(digits) + this.suffixes[tier];
+            }
+        }
+    },
+
+    formatScientific(mantissa, exponent, decimals = 0) {
+        const digits = Math.max(decimals, 2);
+        // 9.999 rounds up to 10.00; carry it into the exponent
+        const rounded = Number(mantissa.toFixed(digits));
+        return Math.abs(rounded) >= 10
+            ? `${(rounded / 10).toFixed(digits)}e${exponent + 1}`
+            : `${rounded.toFixed(digits)}e${exponent}`;
+    }
+};
+
+// Node (Jest) loads this file with require(); the browser reads the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NumberNotation;
+}
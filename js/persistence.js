@@ -0,0 +1,216 @@
+// IdleCity Persistence
+// Key-value storage adapter: IndexedDB when available, localStorage as the fallback.
+// Shared by the page (Storage, Statistics, PWA) and the service worker.
+
+const Persistence = {
+    DB_NAME: 'idlecity',
+    DB_VERSION: 1,
+    STORE_NAME: 'keyval',
+
+    // localStorage keys with this prefix are moved into IndexedDB on first use
+    KEY_PREFIX: 'idlecity_',
+
+    // 'indexedDB' or 'localStorage'; null until init() settles, when reads and writes go to localStorage
+    backend: null,
+
+    // In-memory mirror of the IndexedDB store so page code can read synchronously
+    cache: new Map(),
+
+    dbPromise: null,
+    initPromise: null,
+    writeQueue: Promise.resolve(),
+
+    // Keys whose last IndexedDB write failed, with the error. The cache still holds the value,
+    // so callers check here after flush() to learn that it never reached the disk.
+    writeErrors: new Map(),
+
+    // Open IndexedDB and load its contents into the cache. Safe to call repeatedly; never rejects.
+    init() {
+        if (!this.initPromise) {
+            this.initPromise = this.selectBackend();
+        }
+        return this.initPromise;
+    },
+
+    async selectBackend() {
+        if (typeof indexedDB === 'undefined') {
+            this.backend = 'localStorage';
+            console.log('💾 IndexedDB not available - using localStorage');
+            return this.backend;
+        }
+
+        try {
+            this.cache = new Map(await this.readAll());
+            await this.importLocalStorage();
+            this.backend = 'indexedDB';
+            console.log(`🗄️ Using IndexedDB storage (${this.cache.size} entries)`);
+        } catch (error) {
+            console.warn('⚠️ IndexedDB unavailable - falling back to localStorage:', error);
+            this.backend = 'localStorage';
+            this.cache.clear();
+            this.dbPromise = null;
+        }
+
+        return this.backend;
+    },
+
+    isIndexedDB() {
+        return this.backend === 'indexedDB';
+    },
+
+    // Synchronous API (page code). With IndexedDB, writes update the cache immediately and persist in order.
+    getItem(key) {
+        if (!this.isIndexedDB()) {
+            return localStorage.getItem(key);
+        }
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    },
+
+    setItem(key, value) {
+        if (!this.isIndexedDB()) {
+            localStorage.setItem(key, value);
+            return;
+        }
+
+        const serialized = String(value);
+        this.cache.set(key, serialized);
+        this.enqueue(key, () => this.write(key, serialized));
+    },
+
+    removeItem(key) {
+        if (!this.isIndexedDB()) {
+            localStorage.removeItem(key);
+            return;
+        }
+
+        this.cache.delete(key);
+        this.enqueue(key, () => this.delete(key));
+    },
+
+    // Resolves once every queued IndexedDB write has finished
+    flush() {
+        return this.writeQueue;
+    },
+
+    // Error of the last write to `key` if it failed, otherwise null
+    getWriteError(key) {
+        return this.writeErrors.get(key) || null;
+    },
+
+    enqueue(key, operation) {
+        this.writeQueue = this.writeQueue.then(operation).then(() => {
+            this.writeErrors.delete(key);
+        }, error => {
+            this.writeErrors.set(key, error);
+            console.error('❌ Failed to write to IndexedDB:', error);
+
+            // The service worker (and Node) only have the built-in Performance interface, not the game's monitor
+            if (typeof Performance !== 'undefined' && typeof Performance.handleError === 'function') {
+                Performance.handleError('storage', error, { operation: 'write' });
+            }
+        });
+        return this.writeQueue;
+    },
+
+    // Asynchronous API: always reads the backing store, so the service worker sees the page's latest writes
+    async read(key) {
+        await this.init();
+
+        if (!this.isIndexedDB()) {
+            return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+        }
+
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    },
+
+    async write(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    },
+
+    async delete(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    },
+
+    async readAll() {
+        let keysRequest;
+        let valuesRequest;
+
+        await this.transaction('readonly', store => {
+            keysRequest = store.getAllKeys();
+            valuesRequest = store.getAll();
+        });
+
+        return keysRequest.result.map((key, i) => [key, valuesRequest.result[i]]);
+    },
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.STORE_NAME)) {
+                        request.result.createObjectStore(this.STORE_NAME);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            });
+        }
+        return this.dbPromise;
+    },
+
+    // Run `operation(store)` in a transaction; resolves with its request's result once the transaction commits
+    async transaction(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE_NAME, mode);
+            const request = operation(tx.objectStore(this.STORE_NAME));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    },
+
+    // Move saves written by older versions (or before init settled) out of the localStorage quota
+    async importLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.KEY_PREFIX)) {
+                keys.push(key);
+            }
+        }
+
+        // IndexedDB already holds newer data for keys in the cache; leave those old copies alone
+        const moved = keys.filter(key => !this.cache.has(key));
+
+        for (const key of moved) {
+            await this.write(key, localStorage.getItem(key));
+        }
+
+        // Only free the quota once every copy has landed, so a failed import leaves localStorage intact
+        moved.forEach(key => {
+            this.cache.set(key, localStorage.getItem(key));
+            localStorage.removeItem(key);
+        });
+
+        if (moved.length > 0) {
+            console.log(`🗄️ Moved ${moved.length} localStorage entries into IndexedDB`);
+        }
+    }
+};
+
+// Open the database as early as possible
+Persistence.init();
+
+// Node (Jest) loads this file with require(); the page and service worker read the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Persistence;
+}
@@ -0,0 +1,103 @@
+// IdleCity City Policies
+// Ordinances the mayor enacts for ongoing modifiers and upkeep; the rules live in Simulation
+
+const Policies = {
+    enact(policyId) {
+        const result = Simulation.enactPolicy(GameState, policyId);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(result.reason, 'error');
+            }
+            return false;
+        }
+
+        GameLoop.applySimulation(result.state);
+        this.handleSimulationEvents(result.events);
+
+        if (typeof UI !== 'undefined') {
+            UI.updateAll();
+        }
+        return true;
+    },
+
+    repeal(policyId) {
+        const result = Simulation.repealPolicy(GameState, policyId);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(result.reason, 'error');
+            }
+            return false;
+        }
+
+        GameLoop.applySimulation(result.state);
+        this.handleSimulationEvents(result.events);
+
+        if (typeof UI !== 'undefined') {
+            UI.updateAll();
+        }
+        return true;
+    },
+
+    // Announce enacted, repealed and lapsed policies reported by Simulation
+    handleSimulationEvents(events) {
+        events.forEach(event => {
+            const policy = PolicyConfig.policies[event.policyId];
+            if (!policy) return;
+
+            const label = `${policy.icon} ${policy.name}`;
+            let message = null;
+            let type = 'info';
+
+            switch (event.type) {
+                case 'policyEnacted':
+                    message = `${label} is now in force.`;
+                    type = 'success';
+                    break;
+                case 'policyRepealed':
+                    message = event.lapsed ? `${label} lapsed: the city could not pay its upkeep.` : `${label} repealed.`;
+                    type = event.lapsed ? 'warning' : 'info';
+                    break;
+                default:
+                    return;
+            }
+
+            console.log(`🏛️ ${message}`);
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(message, type, 4000);
+                UI.updatePolicies();
+            }
+        });
+    },
+
+    // What still stands between the city and a locked policy, or null once it is unlocked
+    getRequirementText(policyId) {
+        const policy = PolicyConfig.policies[policyId];
+        if (Simulation.isPolicyUnlocked(GameState, policyId)) return null;
+
+        if (policy.requires && !Simulation.hasTech(GameState, policy.requires)) {
+            return `Requires ${TechConfig.nodes[policy.requires].name} research`;
+        }
+        if (policy.condition && policy.condition.stat === 'population') {
+            return `Requires ${policy.condition.gte} population`;
+        }
+        return 'Not available yet';
+    },
+
+    getDefaultState() {
+        return { active: [] };
+    },
+
+    // Keep only saved policies that still exist in PolicyConfig, once each, up to the limit
+    sanitize(saved) {
+        const state = this.getDefaultState();
+        if (!saved || !Array.isArray(saved.active)) return state;
+
+        state.active = saved.active
+            .filter((policyId, index) => Object.prototype.hasOwnProperty.call(PolicyConfig.policies, policyId) && saved.active.indexOf(policyId) === index)
+            .slice(0, PolicyConfig.maxActive);
+
+        return state;
+    }
+};
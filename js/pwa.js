@@ -13,6 +13,11 @@ const PWA = {
     // PWA state
     isInstalled: false,
     isOnline: navigator.onLine,
+
+    // Shared with sw.js, which reads it through Persistence for idle notifications
+    LAST_ACTIVE_KEY: 'idlecity_last_active',
+    LAST_ACTIVE_WRITE_INTERVAL: 15000,
+    lastActiveWrite: 0,
     
     init() {
         console.log('📱 Initializing PWA features...');
@@ -356,19 +361,13 @@ const PWA = {
         console.log('🔄 Syncing game data...');
         
         try {
-            // Save current game state
+            // Save current game state; the service worker reads it back from the same store
             if (typeof Storage !== 'undefined') {
                 Storage.saveGame();
             }
-            
-            // Send game state to service worker for caching
-            if (this.serviceWorker && this.serviceWorker.active) {
-                this.serviceWorker.active.postMessage({
-                    type: 'CACHE_GAME_STATE',
-                    data: {
-                        gameState: GameState
-                    }
-                });
+
+            if (typeof Persistence !== 'undefined') {
+                await Persistence.flush();
             }
             
             console.log('✅ Game data synced');
@@ -609,14 +608,11 @@ const PWA = {
     // Update last active time for idle notifications
     updateLastActiveTime() {
         this.lastActivityTime = Date.now();
-        
-        if (this.serviceWorker && this.serviceWorker.active) {
-            this.serviceWorker.active.postMessage({
-                type: 'UPDATE_LAST_ACTIVE',
-                data: {
-                    timestamp: Date.now()
-                }
-            });
+
+        // Called on every click and scroll, so only persist occasionally
+        if (typeof Persistence !== 'undefined' && this.lastActivityTime - this.lastActiveWrite >= this.LAST_ACTIVE_WRITE_INTERVAL) {
+            this.lastActiveWrite = this.lastActivityTime;
+            Persistence.setItem(this.LAST_ACTIVE_KEY, String(this.lastActivityTime));
         }
     }
 };
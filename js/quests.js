@@ -0,0 +1,60 @@
+// IdleCity Quest Chain
+// Guides new players through objectives one at a time; the chain lives in QuestConfig
+
+const Quests = {
+    // Called once per second from the game loop. Completes at most one quest per call, so a save that
+    // already meets several objectives works through them one notification at a time.
+    check() {
+        const result = Simulation.completeQuest(GameState);
+        if (!result.success) return false;
+
+        GameLoop.applySimulation(result.state);
+
+        const { questId, reward } = result.events[0];
+        const quest = QuestConfig.chain.find(entry => entry.id === questId);
+        console.log(`📜 Quest complete: ${quest.name}`);
+
+        if (typeof UI !== 'undefined') {
+            UI.showNotification(`📜 Quest Complete!\n${quest.name}`, 'achievement', 4000);
+        }
+
+        // Paid the same way as achievement rewards
+        if (typeof Achievements !== 'undefined') {
+            Achievements.applyRewards(reward);
+        }
+
+        if (typeof UI !== 'undefined') {
+            UI.updateQuestTracker();
+        }
+        return true;
+    },
+
+    getCurrent() {
+        return Simulation.getCurrentQuest(GameState);
+    },
+
+    // Position of the current quest in the chain, counting from 1
+    getCurrentNumber() {
+        return QuestConfig.chain.indexOf(this.getCurrent()) + 1;
+    },
+
+    getRewardText(reward) {
+        const format = amount => (typeof UI !== 'undefined' ? UI.formatNumber(amount) : amount);
+        return Object.keys(reward || {}).map(resource => `+${format(reward[resource])} ${resource}`).join(', ');
+    },
+
+    getDefaultState() {
+        return { completed: [] };
+    },
+
+    // Keep only saved quest ids that still exist in the chain, once each
+    sanitize(saved) {
+        const state = this.getDefaultState();
+        if (!saved || !Array.isArray(saved.completed)) return state;
+
+        const known = QuestConfig.chain.map(quest => quest.id);
+        state.completed = saved.completed.filter((questId, index) => known.includes(questId) && saved.completed.indexOf(questId) === index);
+
+        return state;
+    }
+};
@@ -0,0 +1,1634 @@
+// IdleCity Simulation Core
+// The economy as pure functions: state in, new state + events out.
+// Nothing here reads GameState or touches the DOM, UI or timers, so it runs unchanged in Node and Workers.
+
+// Config tables are globals from config.js in the browser and required in Node
+const SimulationConfig = typeof module !== 'undefined' && module.exports
+    ? require('./config.js')
+    : { BuildingConfig, UpgradeConfig, TechConfig, PrestigeConfig, SellConfig, JobsConfig, HousingConfig, HappinessConfig, PollutionConfig, EnergyConfig, EventConfig, PolicyConfig, CityGridConfig, QuestConfig, ChallengeConfig };
+
+// Big Numbers - coins, research and prices outgrow the exact range of a double late in a run.
+// Values below LIMIT stay plain numbers (so cents stay exact and small saves are unchanged);
+// larger ones are { mantissa, exponent } with 1 <= |mantissa| < 10. Every helper accepts either form.
+const BigNum = {
+    LIMIT: 1e13,
+
+    isBig(value) {
+        return value !== null && typeof value === 'object';
+    },
+
+    // [mantissa, exponent] of any value
+    parts(value) {
+        if (this.isBig(value)) return [value.mantissa, value.exponent];
+        if (!value || Number.isNaN(value)) return [0, 0];
+
+        const exponent = Math.floor(Math.log10(Math.abs(value)));
+        return [value / Math.pow(10, exponent), exponent];
+    },
+
+    // mantissa * 10^exponent, collapsed back to a plain number when it fits
+    normalize(mantissa, exponent) {
+        if (mantissa === 0 || !Number.isFinite(mantissa)) return 0;
+
+        const shift = Math.floor(Math.log10(Math.abs(mantissa)));
+        mantissa /= Math.pow(10, shift);
+        exponent += shift;
+        if (Math.abs(mantissa) >= 10) {
+            mantissa /= 10;
+            exponent++;
+        }
+
+        const value = mantissa * Math.pow(10, exponent);
+        return Math.abs(value) < this.LIMIT ? value : { mantissa, exponent };
+    },
+
+    // Plain numbers past LIMIT (old saves, Math results) switch to the big form
+    from(value) {
+        if (this.isBig(value)) return value;
+        return Math.abs(value) < this.LIMIT ? value : this.normalize(value, 0);
+    },
+
+    add(a, b) {
+        if (!this.isBig(a) && !this.isBig(b) && Math.abs(a + b) < this.LIMIT) {
+            return a + b;
+        }
+
+        const [ma, ea] = this.parts(a);
+        const [mb, eb] = this.parts(b);
+        if (ma === 0) return this.normalize(mb, eb);
+        if (mb === 0) return this.normalize(ma, ea);
+
+        return ea >= eb
+            ? this.normalize(ma + mb * Math.pow(10, eb - ea), ea)
+            : this.normalize(mb + ma * Math.pow(10, ea - eb), eb);
+    },
+
+    sub(a, b) {
+        return this.add(a, this.neg(b));
+    },
+
+    neg(value) {
+        return this.isBig(value) ? { mantissa: -value.mantissa, exponent: value.exponent } : -value;
+    },
+
+    mul(a, b) {
+        if (!this.isBig(a) && !this.isBig(b) && Math.abs(a * b) < this.LIMIT) {
+            return a * b;
+        }
+
+        const [ma, ea] = this.parts(a);
+        const [mb, eb] = this.parts(b);
+        return this.normalize(ma * mb, ea + eb);
+    },
+
+    div(a, b) {
+        if (!this.isBig(a) && !this.isBig(b) && Math.abs(a / b) < this.LIMIT) {
+            return a / b;
+        }
+
+        const [ma, ea] = this.parts(a);
+        const [mb, eb] = this.parts(b);
+        return this.normalize(ma / mb, ea - eb);
+    },
+
+    // -1, 0 or 1
+    cmp(a, b) {
+        if (!this.isBig(a) && !this.isBig(b)) {
+            return a < b ? -1 : (a > b ? 1 : 0);
+        }
+
+        const [ma, ea] = this.parts(a);
+        const [mb, eb] = this.parts(b);
+        if (Math.sign(ma) !== Math.sign(mb)) return Math.sign(ma) < Math.sign(mb) ? -1 : 1;
+        if (ea !== eb) return (ea > eb ? 1 : -1) * Math.sign(ma);
+        return ma < mb ? -1 : (ma > mb ? 1 : 0);
+    },
+
+    gte(a, b) { return this.cmp(a, b) >= 0; },
+    gt(a, b) { return this.cmp(a, b) > 0; },
+    lte(a, b) { return this.cmp(a, b) <= 0; },
+    lt(a, b) { return this.cmp(a, b) < 0; },
+    max(a, b) { return this.cmp(a, b) >= 0 ? a : b; },
+    min(a, b) { return this.cmp(a, b) <= 0 ? a : b; },
+
+    floor(value) {
+        if (!this.isBig(value)) return Math.floor(value);
+
+        // Past 1e16 a mantissa has no fractional digits left to drop
+        return value.exponent < 16 ? this.normalize(Math.floor(value.mantissa * Math.pow(10, value.exponent)), 0) : value;
+    },
+
+    // Nearest double; Infinity past ~1e308, so only for ratios, charts and logs
+    toNumber(value) {
+        return this.isBig(value) ? value.mantissa * Math.pow(10, value.exponent) : value;
+    },
+
+    log10(value) {
+        if (!this.isBig(value)) return Math.log10(value);
+        return Math.log10(value.mantissa) + value.exponent;
+    },
+
+    fromLog10(log) {
+        const exponent = Math.floor(log);
+        return this.normalize(Math.pow(10, log - exponent), exponent);
+    },
+
+    pow(base, exponent) {
+        const result = Math.pow(base, exponent);
+        return Number.isFinite(result) && result < this.LIMIT ? result : this.fromLog10(exponent * Math.log10(base));
+    },
+
+    sqrt(value) {
+        return this.isBig(value) ? this.fromLog10(this.log10(value) / 2) : Math.sqrt(value);
+    },
+
+    // Resources keep two decimals; big values are far past the point where cents register
+    roundCents(value) {
+        return this.isBig(value) ? value : Math.floor(value * 100) / 100;
+    },
+
+    // Plain text for logs and rejection reasons (the UI has its own notations)
+    format(value) {
+        return this.isBig(value) ? `${Number(value.mantissa.toFixed(3))}e${value.exponent}` : String(value);
+    },
+
+    // Accept a saved number or { mantissa, exponent }; anything else becomes `fallback`
+    sanitize(saved, fallback = 0) {
+        if (typeof saved === 'number' && Number.isFinite(saved)) {
+            return this.from(saved);
+        }
+        if (this.isBig(saved) && Number.isFinite(saved.mantissa) && Number.isFinite(saved.exponent)) {
+            return this.normalize(saved.mantissa, Math.round(saved.exponent));
+        }
+        return fallback;
+    }
+};
+
+// Bulk Pricing - closed-form geometric series shared by buildings and upgrades
+const BulkPricing = {
+    // Price of unit number `index`, worked out in log space once it leaves the exact range
+    getUnitPrice(baseCost, multiplier, index) {
+        const price = baseCost * Math.pow(multiplier, index);
+        return price < BigNum.LIMIT ? price : BigNum.fromLog10(Math.log10(baseCost) + index * Math.log10(multiplier));
+    },
+
+    // Total price of `count` units when the next unit is number `startIndex`
+    getTotalCost(baseCost, multiplier, startIndex, count) {
+        if (count <= 0) return 0;
+
+        const firstPrice = this.getUnitPrice(baseCost, multiplier, startIndex);
+        const seriesLog = multiplier === 1 ? Math.log10(count) : count * Math.log10(multiplier);
+        if (!BigNum.isBig(firstPrice) && seriesLog < 300) {
+            const total = multiplier === 1
+                ? firstPrice * count
+                : firstPrice * (Math.pow(multiplier, count) - 1) / (multiplier - 1);
+            if (total < BigNum.LIMIT) return Math.floor(total);
+        }
+
+        // Sum of the series in log space, so late-game prices never overflow to Infinity
+        const growthLog = multiplier === 1 || seriesLog >= 300
+            ? seriesLog - (multiplier === 1 ? 0 : Math.log10(multiplier - 1))
+            : Math.log10((Math.pow(multiplier, count) - 1) / (multiplier - 1));
+        return BigNum.floor(BigNum.fromLog10(BigNum.log10(firstPrice) + growthLog));
+    },
+
+    // Largest number of units whose total price fits within `budget`
+    getMaxAffordable(baseCost, multiplier, startIndex, budget) {
+        if (BigNum.lte(budget, 0)) return 0;
+
+        const ratio = BigNum.div(budget, this.getUnitPrice(baseCost, multiplier, startIndex));
+        let count = multiplier === 1
+            ? Math.floor(BigNum.toNumber(ratio))
+            : Math.floor(BigNum.log10(BigNum.add(BigNum.mul(ratio, multiplier - 1), 1)) / Math.log10(multiplier));
+
+        // Correct for floating point drift around the boundary
+        while (BigNum.lte(this.getTotalCost(baseCost, multiplier, startIndex, count + 1), budget)) {
+            count++;
+        }
+        while (count > 0 && BigNum.gt(this.getTotalCost(baseCost, multiplier, startIndex, count), budget)) {
+            count--;
+        }
+
+        return count;
+    }
+};
+
+const Simulation = {
+    config: SimulationConfig,
+
+    // The parts of GameState the economy reads and writes
+    STATE_SECTIONS: ['resources', 'buildings', 'upgrades', 'statistics', 'cityEvents', 'tech', 'policies', 'cityGrid', 'quests', 'challenge'],
+
+    // Deep copy of the economy sections, so commands never modify the caller's state
+    cloneState(state) {
+        const copy = {};
+        this.STATE_SECTIONS.forEach(section => {
+            copy[section] = JSON.parse(JSON.stringify(state[section] || {}));
+        });
+        return copy;
+    },
+
+    // Advance the economy by `deltaTime` seconds. Returns { state, events }.
+    step(state, deltaTime) {
+        return this.run(state, deltaTime, 1);
+    },
+
+    // Advance `seconds` in `steps` equal steps on a single copy (offline progress, balance runs)
+    run(state, seconds, steps = 1) {
+        const next = this.cloneState(state);
+        const before = { ...next.resources };
+        const events = [];
+        const stepSeconds = seconds / steps;
+
+        // Steps never move tiles, so the city grid is scored once for the whole run; it is the costly part
+        const layoutMultipliers = this.getLayoutMultipliers(next);
+
+        for (let i = 0; i < steps; i++) {
+            this.advance(next, stepSeconds, events, layoutMultipliers);
+        }
+
+        events.push({
+            type: 'produced',
+            seconds,
+            gains: {
+                coins: BigNum.sub(next.resources.coins, before.coins),
+                population: next.resources.population - before.population,
+                happiness: next.resources.happiness - before.happiness,
+                research: BigNum.sub(next.resources.research, before.research)
+            }
+        });
+
+        return { state: next, events };
+    },
+
+    // One production step, applied in place to a state this module owns
+    advance(state, deltaTime, events, layoutMultipliers = this.getLayoutMultipliers(state)) {
+        const { BuildingConfig } = this.config;
+        const { resources, buildings, upgrades, statistics } = state;
+        const wasUnlocked = Object.keys(BuildingConfig).filter(buildingType => this.isUnlocked(state, buildingType));
+
+        // Auto-clicker from upgrades
+        if (upgrades.autoClickerLevel > 0) {
+            const autoCoins = upgrades.autoClickerLevel * deltaTime;
+            resources.coins = BigNum.add(resources.coins, autoCoins);
+            statistics.totalCoinsEarned = BigNum.add(statistics.totalCoinsEarned, autoCoins);
+        }
+
+        // Permanent bonus from signed city charters
+        const prestigeMultiplier = this.getPrestigeMultiplier(state);
+
+        // Brownouts scale down every powered building when demand exceeds supply
+        const energyMultiplier = this.getEnergySatisfaction(state, layoutMultipliers);
+        resources.energy = Math.floor(energyMultiplier * 10000) / 100;
+
+        // Buildings with job slots only run as well as they are staffed
+        const employment = this.getEmployment(state);
+
+        // Growth slows as homes fill up (logistic), and stops at capacity; heavy pollution slows it further
+        const housingCapacity = this.getHousingCapacity(state);
+        const populationAtStart = resources.population;
+        const housingRoom = Math.max(0, 1 - populationAtStart / housingCapacity) * this.getPollutionGrowthMultiplier(state);
+
+        // Generate resources from all building types; on the city grid, lots away from roads stand idle and neighbours help or hurt
+        Object.keys(buildings).forEach(buildingType => {
+            const buildingCount = buildings[buildingType];
+            const config = BuildingConfig[buildingType];
+            if (buildingCount <= 0 || !config) return;
+
+            const categoryMultiplier = this.getCategoryMultiplier(state, config.category);
+            const gridMultiplier = config.energyUsage > 0 ? energyMultiplier : 1;
+            const eventMultiplier = this.getEventMultiplier(state, buildingType);
+            const policyMultiplier = this.getPolicyMultiplier(state, buildingType);
+            const challengeMultiplier = this.getChallengeMultiplier(state, buildingType);
+            const layoutMultiplier = this.getLayoutMultiplier(state, buildingType, layoutMultipliers);
+            const staffingMultiplier = config.jobs > 0 ? employment.staffing : 1;
+            const baseGeneration = buildingCount * config.baseProduction * upgrades.efficiency * categoryMultiplier * prestigeMultiplier * gridMultiplier * eventMultiplier * policyMultiplier * challengeMultiplier * layoutMultiplier * staffingMultiplier * deltaTime;
+
+            switch (config.resourceType) {
+                case 'energy':
+                    break; // Energy is grid capacity, not a stockpile (see getEnergySupply)
+
+                case 'population':
+                    resources.population = Math.min(resources.population + baseGeneration * housingRoom, Math.max(populationAtStart, housingCapacity));
+                    break;
+
+                case 'coins':
+                    resources.coins = BigNum.add(resources.coins, baseGeneration);
+                    statistics.totalCoinsEarned = BigNum.add(statistics.totalCoinsEarned, baseGeneration);
+                    break;
+
+                case 'happiness':
+                    break; // Leisure feeds the happiness target (see getHappinessFactors)
+
+                case 'research':
+                    if (resources.happiness >= 50) { // Research requires happy population
+                        resources.research = BigNum.add(resources.research, baseGeneration);
+                        statistics.totalResearchEarned = BigNum.add(statistics.totalResearchEarned || 0, baseGeneration);
+                    }
+                    break;
+            }
+        });
+
+        this.advancePolicies(state, deltaTime, events);
+        this.advancePollution(state, deltaTime);
+
+        // Happiness drifts toward the level its factors add up to; some challenges make it fall faster
+        const { adjustRate, settleGap } = this.config.HappinessConfig;
+        const happinessTarget = this.getHappinessTarget(state, layoutMultipliers);
+        const happinessGap = happinessTarget - resources.happiness;
+        const happinessRate = happinessGap < 0 ? adjustRate * (this.getChallengeRules(state).happinessDecay || 1) : adjustRate;
+        resources.happiness = Math.abs(happinessGap) <= settleGap
+            ? happinessTarget
+            : resources.happiness + happinessGap * Math.min(1, happinessRate * deltaTime);
+
+        // Residents without a home gradually move away
+        if (resources.population > housingCapacity) {
+            const moveOut = (resources.population - housingCapacity) * Math.min(1, this.config.HousingConfig.moveOutRate * deltaTime);
+            resources.population -= moveOut;
+        }
+
+        // Round resources to avoid floating point precision issues
+        resources.coins = BigNum.roundCents(resources.coins);
+        resources.population = Math.floor(resources.population * 100) / 100;
+        resources.happiness = Math.floor(resources.happiness * 100) / 100;
+        resources.research = BigNum.roundCents(resources.research);
+        resources.pollution = Math.floor(resources.pollution * 100) / 100;
+
+        Object.keys(BuildingConfig).forEach(buildingType => {
+            if (!wasUnlocked.includes(buildingType) && this.isUnlocked(state, buildingType)) {
+                events.push({ type: 'buildingUnlocked', buildingType });
+            }
+        });
+
+        this.advanceCityEvents(state, deltaTime, events);
+        this.advanceChallenge(state, deltaTime, events);
+    },
+
+    // Charge policy upkeep; a policy the treasury can no longer cover lapses
+    advancePolicies(state, deltaTime, events) {
+        const { policies } = this.config.PolicyConfig;
+
+        this.getActivePolicies(state).forEach(policyId => {
+            const upkeep = policies[policyId].upkeep || {};
+            const affordable = Object.keys(upkeep).every(resource => BigNum.gte(state.resources[resource], upkeep[resource] * deltaTime));
+
+            if (!affordable) {
+                state.policies.active = state.policies.active.filter(active => active !== policyId);
+                events.push({ type: 'policyRepealed', policyId, lapsed: true });
+                return;
+            }
+
+            Object.keys(upkeep).forEach(resource => {
+                state.resources[resource] = BigNum.sub(state.resources[resource], upkeep[resource] * deltaTime);
+            });
+        });
+    },
+
+    // Move pollution toward the level where dissipation balances net emissions.
+    // Solved exactly rather than stepped, so long offline steps cannot overshoot.
+    advancePollution(state, deltaTime) {
+        const { dissipation } = this.config.PollutionConfig;
+        const { emitted, absorbed } = this.getPollutionRates(state);
+        const equilibrium = (emitted - absorbed) / dissipation;
+        const current = state.resources.pollution || 0;
+
+        state.resources.pollution = Math.max(0, equilibrium + (current - equilibrium) * Math.exp(-dissipation * deltaTime));
+    },
+
+    // Count down active city events, and take the default choice for an unanswered one
+    advanceCityEvents(state, deltaTime, events) {
+        const cityEvents = state.cityEvents;
+        if (!cityEvents || !Array.isArray(cityEvents.active)) return;
+
+        cityEvents.active = cityEvents.active.filter(active => {
+            active.remaining -= deltaTime;
+            if (active.remaining > 0) return true;
+
+            events.push({ type: 'cityEventEnded', id: active.id, choice: active.choice });
+            return false;
+        });
+
+        if (cityEvents.pending) {
+            cityEvents.pending.remaining -= deltaTime;
+            if (cityEvents.pending.remaining <= 0) {
+                const definition = this.config.EventConfig.events[cityEvents.pending.id];
+                if (definition) {
+                    this.resolveCityEvent(state, definition.defaultChoice, events, true);
+                } else {
+                    cityEvents.pending = null;
+                }
+            }
+        }
+    },
+
+    // Time a challenge run, and settle it once its goal is met or its time limit runs out
+    advanceChallenge(state, deltaTime, events) {
+        const challenge = this.getChallenge(state);
+        if (!challenge || state.challenge.result) return;
+
+        state.challenge.elapsed = (state.challenge.elapsed || 0) + deltaTime;
+
+        if (this.evaluateCondition(state, challenge.goal)) {
+            state.challenge.result = 'completed';
+            events.push({ type: 'challengeCompleted', challengeId: state.challenge.id, time: state.challenge.elapsed });
+        } else if (challenge.timeLimit && state.challenge.elapsed >= challenge.timeLimit) {
+            state.challenge.result = 'failed';
+            events.push({ type: 'challengeFailed', challengeId: state.challenge.id, time: state.challenge.elapsed });
+        }
+    },
+
+    // Buy `count` buildings at once. Returns { success, state, events, reason };
+    // on failure `state` is the input, untouched, and `reason` says why.
+    // On the city grid each unit takes a free lot: `tileIndex` picks one, otherwise the first free lots are used.
+    purchaseBuilding(state, buildingType, count = 1, tileIndex = null) {
+        const config = this.config.BuildingConfig[buildingType];
+        if (!config) {
+            return this.reject(state, `Unknown building type: ${buildingType}`);
+        }
+
+        if (!Number.isInteger(count) || count < 1) {
+            return this.reject(state, `Invalid purchase quantity: ${count}`);
+        }
+
+        if (this.isBuildingBanned(state, buildingType)) {
+            return this.reject(state, `${config.name} are banned in this challenge`);
+        }
+
+        if (!this.isTechUnlocked(state, 'buildings', buildingType)) {
+            const node = this.config.TechConfig.nodes[this.getTechRequirement('buildings', buildingType)];
+            return this.reject(state, `${config.name} requires the ${node.name} research`);
+        }
+
+        // Same rule the build menu uses: resource thresholds and owned building counts
+        if (!this.isUnlocked(state, buildingType)) {
+            const requirements = Object.entries(config.unlockCondition).map(([requirement, required]) => `${required} ${requirement}`);
+            return this.reject(state, `${config.name} requires ${requirements.join(', ')}`);
+        }
+
+        const cost = this.getBuildingCost(state, buildingType, count);
+
+        if (BigNum.lt(state.resources.coins, cost)) {
+            return this.reject(state, `Not enough coins for ${count} ${config.name}. Need ${BigNum.format(cost)}, have ${BigNum.format(state.resources.coins)}`);
+        }
+
+        let lots = [];
+        if (this.isCityGridEnabled(state)) {
+            const freeLots = this.getFreeLots(state);
+            if (tileIndex !== null) {
+                if (count !== 1 || !freeLots.includes(tileIndex)) {
+                    return this.reject(state, 'Buildings need an empty lot next to a road');
+                }
+                lots = [tileIndex];
+            } else if (freeLots.length < count) {
+                return this.reject(state, `Not enough free lots for ${count} ${config.name}. Build more roads`);
+            } else {
+                lots = freeLots.slice(0, count);
+            }
+        }
+
+        const next = this.cloneState(state);
+        const previousCount = next.buildings[buildingType] || 0;
+
+        next.resources.coins = BigNum.sub(next.resources.coins, cost);
+        next.buildings[buildingType] = previousCount + count;
+        lots.forEach(index => {
+            next.cityGrid.tiles[index] = buildingType;
+        });
+        next.statistics.buildingsPurchased += count;
+        this.recordSpending(next, buildingType, cost, previousCount);
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'buildingPurchased', buildingType, count, cost, previousCount }],
+            reason: null
+        };
+    },
+
+    // Demolish the most recently built `count` units for a partial refund.
+    // On the city grid `tileIndex` picks the lot to clear, otherwise the last lots of this type are cleared.
+    sellBuilding(state, buildingType, count = 1, tileIndex = null) {
+        const config = this.config.BuildingConfig[buildingType];
+        if (!config) {
+            return this.reject(state, `Unknown building type: ${buildingType}`);
+        }
+
+        if (!Number.isInteger(count) || count < 1) {
+            return this.reject(state, `Invalid sell quantity: ${count}`);
+        }
+
+        const owned = state.buildings[buildingType] || 0;
+        if (count > owned) {
+            return this.reject(state, `Cannot sell ${count} ${config.name}, only own ${owned}`);
+        }
+
+        // Owned buildings that were unlocked by this one keep their requirement met
+        const minimumKept = this.getMinimumKept(state, buildingType);
+        if (owned - count < minimumKept) {
+            return this.reject(state, `Must keep at least ${minimumKept} ${config.name} for buildings that depend on them`);
+        }
+
+        let lots = [];
+        if (this.isCityGridEnabled(state)) {
+            const tiles = state.cityGrid.tiles;
+            if (tileIndex !== null) {
+                if (count !== 1 || tiles[tileIndex] !== buildingType) {
+                    return this.reject(state, `There is no ${config.name} on that tile`);
+                }
+                lots = [tileIndex];
+            } else {
+                lots = tiles.map((tile, index) => (tile === buildingType ? index : -1)).filter(index => index >= 0).slice(-count);
+            }
+        }
+
+        const refund = this.getSellRefund(state, buildingType, count);
+        const next = this.cloneState(state);
+
+        next.resources.coins = BigNum.add(next.resources.coins, refund);
+        next.buildings[buildingType] = owned - count;
+        lots.forEach(index => {
+            next.cityGrid.tiles[index] = null;
+        });
+        next.statistics.buildingsSold = (next.statistics.buildingsSold || 0) + count;
+        this.recordSpending(next, buildingType, BigNum.neg(refund), owned);
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'buildingSold', buildingType, count, refund, previousCount: owned }],
+            reason: null
+        };
+    },
+
+    // Buy the next `count` levels of an upgrade; all-or-nothing, so it may not overshoot the max level
+    purchaseUpgrade(state, upgradeType, count = 1) {
+        const config = this.config.UpgradeConfig[upgradeType];
+        if (!config) {
+            return this.reject(state, `Unknown upgrade type: ${upgradeType}`);
+        }
+
+        if (!Number.isInteger(count) || count < 1) {
+            return this.reject(state, `Invalid purchase quantity: ${count}`);
+        }
+
+        if (!this.isTechUnlocked(state, 'upgrades', upgradeType)) {
+            const node = this.config.TechConfig.nodes[this.getTechRequirement('upgrades', upgradeType)];
+            return this.reject(state, `${config.name} requires the ${node.name} research`);
+        }
+
+        const currentLevel = state.upgrades[upgradeType] || 0;
+
+        if (currentLevel >= config.maxLevel) {
+            return this.reject(state, `${config.name} is already at max level (${config.maxLevel})`);
+        }
+
+        if (currentLevel + count > config.maxLevel) {
+            return this.reject(state, `${config.name} only has ${config.maxLevel - currentLevel} levels left`);
+        }
+
+        const cost = this.getUpgradeCost(state, upgradeType, count);
+
+        if (BigNum.lt(state.resources[config.resourceType], cost)) {
+            return this.reject(state, `Not enough ${config.resourceType} for ${config.name}. Need ${BigNum.format(cost)}, have ${BigNum.format(state.resources[config.resourceType])}`);
+        }
+
+        const next = this.cloneState(state);
+        const level = currentLevel + count;
+
+        next.resources[config.resourceType] = BigNum.sub(next.resources[config.resourceType], cost);
+        next.upgrades[upgradeType] = level;
+        next.statistics.totalUpgradesPurchased = (next.statistics.totalUpgradesPurchased || 0) + count;
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'upgradePurchased', upgradeType, count, cost, level }],
+            reason: null
+        };
+    },
+
+    // Research a tech tree node once its prerequisites are researched
+    researchTech(state, nodeId) {
+        const node = this.config.TechConfig.nodes[nodeId];
+        if (!node) {
+            return this.reject(state, `Unknown tech: ${nodeId}`);
+        }
+
+        if (this.hasTech(state, nodeId)) {
+            return this.reject(state, `${node.name} is already researched`);
+        }
+
+        const missing = node.requires.filter(required => !this.hasTech(state, required));
+        if (missing.length > 0) {
+            const names = missing.map(required => this.config.TechConfig.nodes[required].name);
+            return this.reject(state, `${node.name} requires ${names.join(' and ')}`);
+        }
+
+        if (BigNum.lt(state.resources.research, node.cost)) {
+            return this.reject(state, `Not enough research for ${node.name}. Need ${node.cost}, have ${BigNum.format(BigNum.floor(state.resources.research))}`);
+        }
+
+        const next = this.cloneState(state);
+        next.tech.researched = [...(next.tech.researched || []), nodeId];
+        next.resources.research = BigNum.sub(next.resources.research, node.cost);
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'techResearched', nodeId, cost: node.cost }],
+            reason: null
+        };
+    },
+
+    // Forget every researched node and refund its research. Buildings and upgrade levels already bought are kept.
+    respecTech(state) {
+        const researched = (state.tech && state.tech.researched) || [];
+        if (researched.length === 0) {
+            return this.reject(state, 'No research to refund');
+        }
+
+        const { TechConfig } = this.config;
+        const spent = researched.reduce((sum, nodeId) => sum + (TechConfig.nodes[nodeId] ? TechConfig.nodes[nodeId].cost : 0), 0);
+        const refund = Math.floor(spent * TechConfig.respecRefundRate);
+
+        const next = this.cloneState(state);
+        next.tech.researched = [];
+        next.resources.research = BigNum.add(next.resources.research, refund);
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'techRespec', count: researched.length, refund }],
+            reason: null
+        };
+    },
+
+    // Start a city event: events with choices wait for chooseCityEventOption, others take effect at once
+    startCityEvent(state, eventId) {
+        const definition = this.config.EventConfig.events[eventId];
+        if (!definition) {
+            return this.reject(state, `Unknown city event: ${eventId}`);
+        }
+
+        if (state.cityEvents && state.cityEvents.pending) {
+            return this.reject(state, 'Another city event is waiting for a decision');
+        }
+
+        const next = this.cloneState(state);
+        next.cityEvents = { active: [], pending: null, log: [], ...next.cityEvents };
+
+        if (definition.choices) {
+            next.cityEvents.pending = { id: eventId, remaining: this.config.EventConfig.choiceTimeout + this.getTechEffect(state, 'eventChoiceTimeout') };
+        } else {
+            // Triggering an event that is already running restarts it instead of stacking it
+            next.cityEvents.active = next.cityEvents.active.filter(active => active.id !== eventId);
+            next.cityEvents.active.push({ id: eventId, choice: null, remaining: definition.duration });
+            this.logCityEvent(next, eventId, null);
+        }
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'cityEventStarted', id: eventId, pending: !!definition.choices }],
+            reason: null
+        };
+    },
+
+    // Answer the pending city event, paying the choice's cost
+    chooseCityEventOption(state, choiceId) {
+        const pending = state.cityEvents && state.cityEvents.pending;
+        if (!pending) {
+            return this.reject(state, 'No city event is waiting for a decision');
+        }
+
+        const definition = this.config.EventConfig.events[pending.id];
+        const choice = definition && definition.choices && definition.choices[choiceId];
+        if (!choice) {
+            return this.reject(state, `Unknown choice for ${pending.id}: ${choiceId}`);
+        }
+
+        for (const [resource, amount] of Object.entries(choice.cost || {})) {
+            if (BigNum.lt(state.resources[resource], amount)) {
+                return this.reject(state, `Not enough ${resource} to ${choice.label.toLowerCase()}. Need ${amount}, have ${BigNum.format(BigNum.floor(state.resources[resource]))}`);
+            }
+        }
+
+        const next = this.cloneState(state);
+        const events = [];
+        this.resolveCityEvent(next, choiceId, events, false);
+
+        return { success: true, state: next, events, reason: null };
+    },
+
+    // Apply a choice to the pending event, in place
+    resolveCityEvent(state, choiceId, events, automatic) {
+        const cityEvents = state.cityEvents;
+        const eventId = cityEvents.pending.id;
+        const choice = this.config.EventConfig.events[eventId].choices[choiceId];
+
+        Object.entries(choice.cost || {}).forEach(([resource, amount]) => {
+            state.resources[resource] = BigNum.sub(state.resources[resource], amount);
+        });
+
+        cityEvents.pending = null;
+        if (choice.duration > 0) {
+            cityEvents.active.push({ id: eventId, choice: choiceId, remaining: choice.duration });
+        }
+        this.logCityEvent(state, eventId, choiceId);
+
+        events.push({ type: 'cityEventResolved', id: eventId, choice: choiceId, automatic });
+    },
+
+    logCityEvent(state, eventId, choiceId) {
+        state.cityEvents.log = [
+            { id: eventId, choice: choiceId, time: state.statistics.gameTime || 0 },
+            ...(state.cityEvents.log || [])
+        ].slice(0, this.config.EventConfig.logSize);
+    },
+
+    // Modifiers in effect for an active event: its chosen option's, or the event's own
+    getEventModifiers(active) {
+        const definition = this.config.EventConfig.events[active.id];
+        if (!definition) return [];
+
+        const source = active.choice ? (definition.choices || {})[active.choice] : definition;
+        return (source && source.modifiers) || [];
+    },
+
+    // Product of active event modifiers that target this building type, its category or its resource
+    getEventMultiplier(state, buildingType) {
+        const config = this.config.BuildingConfig[buildingType];
+        if (!config || !state.cityEvents || !Array.isArray(state.cityEvents.active)) return 1;
+
+        const targets = [buildingType, config.category, config.resourceType];
+        let multiplier = 1;
+
+        state.cityEvents.active.forEach(active => {
+            this.getEventModifiers(active).forEach(modifier => {
+                if (targets.includes(modifier.target)) {
+                    multiplier *= modifier.multiplier;
+                }
+            });
+        });
+
+        return multiplier;
+    },
+
+    // Sum of the `happiness` factors of running events and their chosen responses
+    getEventHappiness(state) {
+        if (!state.cityEvents || !Array.isArray(state.cityEvents.active)) return 0;
+
+        return state.cityEvents.active.reduce((sum, active) => {
+            const definition = this.config.EventConfig.events[active.id];
+            if (!definition) return sum;
+
+            const source = active.choice ? (definition.choices || {})[active.choice] : definition;
+            return sum + ((source && source.happiness) || 0);
+        }, 0);
+    },
+
+    // Put a policy into force once it is unlocked and a slot is free
+    enactPolicy(state, policyId) {
+        const { PolicyConfig } = this.config;
+        const policy = PolicyConfig.policies[policyId];
+        if (!policy) {
+            return this.reject(state, `Unknown policy: ${policyId}`);
+        }
+
+        const active = this.getActivePolicies(state);
+        if (active.includes(policyId)) {
+            return this.reject(state, `${policy.name} is already in force`);
+        }
+
+        if (policy.requires && !this.hasTech(state, policy.requires)) {
+            return this.reject(state, `${policy.name} requires the ${this.config.TechConfig.nodes[policy.requires].name} research`);
+        }
+
+        if (policy.condition && !this.evaluateCondition(state, policy.condition)) {
+            return this.reject(state, `${policy.name} is not available yet`);
+        }
+
+        if (active.length >= PolicyConfig.maxActive) {
+            return this.reject(state, `Only ${PolicyConfig.maxActive} policies can be in force at once`);
+        }
+
+        const next = this.cloneState(state);
+        next.policies.active = [...active, policyId];
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'policyEnacted', policyId }],
+            reason: null
+        };
+    },
+
+    repealPolicy(state, policyId) {
+        const policy = this.config.PolicyConfig.policies[policyId];
+        if (!policy) {
+            return this.reject(state, `Unknown policy: ${policyId}`);
+        }
+
+        if (!this.getActivePolicies(state).includes(policyId)) {
+            return this.reject(state, `${policy.name} is not in force`);
+        }
+
+        const next = this.cloneState(state);
+        next.policies.active = next.policies.active.filter(active => active !== policyId);
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'policyRepealed', policyId, lapsed: false }],
+            reason: null
+        };
+    },
+
+    // Ids of enacted policies that still exist in PolicyConfig
+    getActivePolicies(state) {
+        const active = (state.policies && state.policies.active) || [];
+        return active.filter(policyId => this.config.PolicyConfig.policies[policyId]);
+    },
+
+    // Whether the policy's research and milestone requirements are met
+    isPolicyUnlocked(state, policyId) {
+        const policy = this.config.PolicyConfig.policies[policyId];
+        if (!policy) return false;
+
+        return (!policy.requires || this.hasTech(state, policy.requires)) &&
+            (!policy.condition || this.evaluateCondition(state, policy.condition));
+    },
+
+    // Product of enacted policy modifiers that target this building type, its category or its resource
+    getPolicyMultiplier(state, buildingType) {
+        const config = this.config.BuildingConfig[buildingType];
+        if (!config) return 1;
+
+        const targets = [buildingType, config.category, config.resourceType];
+        const { policies } = this.config.PolicyConfig;
+
+        return this.getActivePolicies(state).reduce((multiplier, policyId) =>
+            (policies[policyId].modifiers || []).reduce((product, modifier) =>
+                targets.includes(modifier.target) ? product * modifier.multiplier : product, multiplier), 1);
+    },
+
+    // Sum of a policy field across enacted policies: 'happiness', or a mechanic effect such as 'pollutionReduction'
+    getPolicyEffect(state, effect) {
+        const { policies } = this.config.PolicyConfig;
+
+        return this.getActivePolicies(state).reduce((sum, policyId) => {
+            const policy = policies[policyId];
+            const value = effect === 'happiness' ? policy.happiness : (policy.effects || {})[effect];
+            return sum + (value || 0);
+        }, 0);
+    },
+
+    // Per-second upkeep of every enacted policy, by resource
+    getPolicyUpkeep(state) {
+        const { policies } = this.config.PolicyConfig;
+        const total = {};
+
+        this.getActivePolicies(state).forEach(policyId => {
+            const upkeep = policies[policyId].upkeep || {};
+            Object.keys(upkeep).forEach(resource => {
+                total[resource] = (total[resource] || 0) + upkeep[resource];
+            });
+        });
+
+        return total;
+    },
+
+    // Finish the current quest once its condition holds. The reward is paid by the caller (see Quests).
+    completeQuest(state) {
+        const quest = this.getCurrentQuest(state);
+        if (!quest) {
+            return this.reject(state, 'Every quest is complete');
+        }
+
+        if (!this.evaluateCondition(state, quest.condition)) {
+            return this.reject(state, `${quest.name} is not complete yet`);
+        }
+
+        const next = this.cloneState(state);
+        next.quests.completed = [...(next.quests.completed || []), quest.id];
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'questCompleted', questId: quest.id, reward: quest.reward || null }],
+            reason: null
+        };
+    },
+
+    // First quest in the chain that is not completed, or null when the chain is done
+    getCurrentQuest(state) {
+        const completed = (state.quests && state.quests.completed) || [];
+        return this.config.QuestConfig.chain.find(quest => !completed.includes(quest.id)) || null;
+    },
+
+    // Definition of the challenge this city is playing, or null for a regular city
+    getChallenge(state) {
+        const id = state.challenge && state.challenge.id;
+        return (id && this.config.ChallengeConfig.challenges[id]) || null;
+    },
+
+    getChallengeRules(state) {
+        const challenge = this.getChallenge(state);
+        return (challenge && challenge.rules) || {};
+    },
+
+    // Banned by type or by category
+    isBuildingBanned(state, buildingType) {
+        const config = this.config.BuildingConfig[buildingType];
+        const banned = this.getChallengeRules(state).bannedBuildings || [];
+        return !!config && (banned.includes(buildingType) || banned.includes(config.category));
+    },
+
+    // Product of challenge modifiers that target this building type, its category or its resource
+    getChallengeMultiplier(state, buildingType) {
+        const config = this.config.BuildingConfig[buildingType];
+        if (!config) return 1;
+
+        const targets = [buildingType, config.category, config.resourceType];
+        return (this.getChallengeRules(state).modifiers || []).reduce((product, modifier) =>
+            targets.includes(modifier.target) ? product * modifier.multiplier : product, 1);
+    },
+
+    // Seconds left before a timed challenge is lost, or null without a time limit
+    getChallengeTimeLeft(state) {
+        const challenge = this.getChallenge(state);
+        if (!challenge || !challenge.timeLimit) return null;
+        return Math.max(0, challenge.timeLimit - (state.challenge.elapsed || 0));
+    },
+
+    // Switch to the city grid, laying out a street plan for the buildings the city already owns
+    enableCityGrid(state) {
+        if (this.isCityGridEnabled(state)) {
+            return this.reject(state, 'The city grid is already enabled');
+        }
+
+        const next = this.cloneState(state);
+        next.cityGrid = { enabled: true, tiles: [] };
+
+        if (!this.layoutCityGrid(next)) {
+            const { width, height } = this.config.CityGridConfig;
+            return this.reject(state, `Too many buildings to fit on the ${width}×${height} city grid`);
+        }
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'cityGridEnabled' }],
+            reason: null
+        };
+    },
+
+    // Back to plain counters; the layout is discarded
+    disableCityGrid(state) {
+        if (!this.isCityGridEnabled(state)) {
+            return this.reject(state, 'The city grid is not enabled');
+        }
+
+        const next = this.cloneState(state);
+        next.cityGrid = { enabled: false, tiles: [] };
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'cityGridDisabled' }],
+            reason: null
+        };
+    },
+
+    buildRoad(state, tileIndex) {
+        if (!this.isCityGridEnabled(state)) {
+            return this.reject(state, 'The city grid is not enabled');
+        }
+
+        if (state.cityGrid.tiles[tileIndex] !== null) {
+            return this.reject(state, 'Roads can only be built on empty tiles');
+        }
+
+        const { roadCost } = this.config.CityGridConfig;
+        if (BigNum.lt(state.resources.coins, roadCost)) {
+            return this.reject(state, `Not enough coins for a road. Need ${roadCost}, have ${BigNum.format(BigNum.floor(state.resources.coins))}`);
+        }
+
+        const next = this.cloneState(state);
+        next.cityGrid.tiles[tileIndex] = 'road';
+        next.resources.coins = BigNum.sub(next.resources.coins, roadCost);
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'roadBuilt', tileIndex, cost: roadCost }],
+            reason: null
+        };
+    },
+
+    // Tear up a road. Free, but buildings cut off from the network stop producing.
+    removeRoad(state, tileIndex) {
+        if (!this.isCityGridEnabled(state) || state.cityGrid.tiles[tileIndex] !== 'road') {
+            return this.reject(state, 'There is no road on that tile');
+        }
+
+        const next = this.cloneState(state);
+        next.cityGrid.tiles[tileIndex] = null;
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'roadRemoved', tileIndex }],
+            reason: null
+        };
+    },
+
+    // Move a building to another free lot at no cost
+    moveBuilding(state, fromIndex, toIndex) {
+        if (!this.isCityGridEnabled(state)) {
+            return this.reject(state, 'The city grid is not enabled');
+        }
+
+        const buildingType = state.cityGrid.tiles[fromIndex];
+        if (!this.config.BuildingConfig[buildingType]) {
+            return this.reject(state, 'There is no building on that tile');
+        }
+
+        if (!this.getFreeLots(state).includes(toIndex)) {
+            return this.reject(state, 'Buildings need an empty lot next to a road');
+        }
+
+        const next = this.cloneState(state);
+        next.cityGrid.tiles[fromIndex] = null;
+        next.cityGrid.tiles[toIndex] = buildingType;
+
+        return {
+            success: true,
+            state: next,
+            events: [{ type: 'buildingMoved', buildingType, fromIndex, toIndex }],
+            reason: null
+        };
+    },
+
+    // Credit an achievement reward ({ coins, research, happiness })
+    grantReward(state, reward = {}) {
+        const next = this.cloneState(state);
+
+        if (reward.coins) {
+            next.resources.coins = BigNum.add(next.resources.coins, reward.coins);
+            next.statistics.totalCoinsEarned = BigNum.add(next.statistics.totalCoinsEarned, reward.coins);
+        }
+
+        if (reward.research) {
+            next.resources.research = BigNum.add(next.resources.research, reward.research);
+            next.statistics.totalResearchEarned = BigNum.add(next.statistics.totalResearchEarned || 0, reward.research);
+        }
+
+        if (reward.happiness) {
+            next.resources.happiness = Math.min(100, next.resources.happiness + reward.happiness);
+        }
+
+        return { success: true, state: next, events: [{ type: 'rewardGranted', reward }], reason: null };
+    },
+
+    reject(state, reason) {
+        return { success: false, state, events: [], reason };
+    },
+
+    // Track net coins sunk into each building type (purchases minus sell refunds)
+    recordSpending(state, buildingType, amount, previousCount) {
+        if (!state.statistics.buildingSpending) {
+            state.statistics.buildingSpending = {};
+        }
+
+        const spending = state.statistics.buildingSpending;
+        if (spending[buildingType] === undefined) {
+            // Saves from before spending was tracked: assume owned units were bought at list price
+            const config = this.config.BuildingConfig[buildingType];
+            spending[buildingType] = BulkPricing.getTotalCost(config.baseCost, config.costMultiplier, 0, previousCount);
+        }
+
+        spending[buildingType] = BigNum.max(0, BigNum.add(spending[buildingType], amount));
+    },
+
+    // Price of the unit after `owned` have been built
+    getUnitCost(buildingType, owned) {
+        const config = this.config.BuildingConfig[buildingType];
+        if (!config) return undefined;
+
+        return BigNum.floor(BulkPricing.getUnitPrice(config.baseCost, config.costMultiplier, owned));
+    },
+
+    // Total cost of buying `count` more buildings on top of those already owned
+    getBuildingCost(state, buildingType, count = 1) {
+        const config = this.config.BuildingConfig[buildingType];
+        if (!config) return undefined;
+
+        const owned = state.buildings[buildingType] || 0;
+        return BulkPricing.getTotalCost(config.baseCost, config.costMultiplier, owned, count);
+    },
+
+    // Cost of the next `count` levels of an upgrade
+    getUpgradeCost(state, upgradeType, count = 1) {
+        const config = this.config.UpgradeConfig[upgradeType];
+        if (!config) return 0;
+
+        const currentLevel = state.upgrades[upgradeType] || 0;
+        return BulkPricing.getTotalCost(config.baseCost, config.costMultiplier, currentLevel, count);
+    },
+
+    // Refund for selling the most recently built `count` units
+    getSellRefund(state, buildingType, count = 1) {
+        if (!this.config.BuildingConfig[buildingType]) return 0;
+
+        const owned = state.buildings[buildingType] || 0;
+        const refundRate = this.config.SellConfig.refundRate + this.getTechEffect(state, 'sellRefundRate');
+        let refund = 0;
+
+        for (let i = 1; i <= Math.min(count, owned); i++) {
+            refund = BigNum.add(refund, BigNum.mul(this.getUnitCost(buildingType, owned - i), refundRate));
+        }
+
+        return BigNum.floor(refund);
+    },
+
+    // Highest unlock threshold on this building among building types still owned
+    getMinimumKept(state, buildingType) {
+        const { BuildingConfig } = this.config;
+        let minimum = 0;
+
+        Object.keys(BuildingConfig).forEach(dependentType => {
+            const required = BuildingConfig[dependentType].unlockCondition[buildingType];
+            if (required !== undefined && (state.buildings[dependentType] || 0) > 0) {
+                minimum = Math.max(minimum, required);
+            }
+        });
+
+        return minimum;
+    },
+
+    isUnlocked(state, buildingType) {
+        const config = this.config.BuildingConfig[buildingType];
+        if (!config) return false;
+
+        if (!this.isTechUnlocked(state, 'buildings', buildingType) || this.isBuildingBanned(state, buildingType)) return false;
+
+        for (const [requirement, required] of Object.entries(config.unlockCondition)) {
+            // Resource requirements first, then building counts
+            if (state.resources[requirement] !== undefined) {
+                if (BigNum.lt(state.resources[requirement], required)) {
+                    return false;
+                }
+            } else if (state.buildings[requirement] !== undefined) {
+                if (state.buildings[requirement] < required) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    },
+
+    hasTech(state, nodeId) {
+        return !!state.tech && Array.isArray(state.tech.researched) && state.tech.researched.includes(nodeId);
+    },
+
+    // Node whose `unlocks` lists this building or upgrade ('buildings' / 'upgrades'), or null if ungated
+    getTechRequirement(kind, id) {
+        const { nodes } = this.config.TechConfig;
+        return Object.keys(nodes).find(nodeId => ((nodes[nodeId].unlocks || {})[kind] || []).includes(id)) || null;
+    },
+
+    isTechUnlocked(state, kind, id) {
+        const nodeId = this.getTechRequirement(kind, id);
+        return !nodeId || this.hasTech(state, nodeId);
+    },
+
+    canResearch(state, nodeId) {
+        const node = this.config.TechConfig.nodes[nodeId];
+        return !!node && !this.hasTech(state, nodeId) && node.requires.every(required => this.hasTech(state, required));
+    },
+
+    // Job slots across every owned building
+    getJobs(state) {
+        const { BuildingConfig } = this.config;
+
+        return Object.keys(BuildingConfig).reduce((jobs, buildingType) =>
+            jobs + (state.buildings[buildingType] || 0) * (BuildingConfig[buildingType].jobs || 0), 0);
+    },
+
+    // Residents the city can house: base capacity plus homes, boosted by Urban Expansion
+    getHousingCapacity(state) {
+        const { BuildingConfig, UpgradeConfig, HousingConfig } = this.config;
+
+        const homes = Object.keys(BuildingConfig).reduce((capacity, buildingType) =>
+            capacity + (state.buildings[buildingType] || 0) * (BuildingConfig[buildingType].housing || 0), 0);
+
+        return (HousingConfig.baseCapacity + homes) * (1 + (state.upgrades.populationCap || 0) * UpgradeConfig.populationCap.effect);
+    },
+
+    // Workers fill jobs evenly, so every staffed building runs at the same `staffing` ratio
+    getEmployment(state) {
+        const jobs = this.getJobs(state);
+        const workforce = Math.floor(state.resources.population * this.config.JobsConfig.workforceShare);
+        const employed = Math.min(jobs, workforce);
+
+        return {
+            jobs,
+            workforce,
+            employed,
+            unemployed: workforce - employed,
+            staffing: jobs > 0 ? employed / jobs : 1
+        };
+    },
+
+    // Signed contributions to the happiness target, in display order
+    getHappinessFactors(state, layoutMultipliers = this.getLayoutMultipliers(state)) {
+        const { BuildingConfig, UpgradeConfig, JobsConfig, HappinessConfig } = this.config;
+        const population = state.resources.population;
+        const satisfaction = this.getEnergySatisfaction(state, layoutMultipliers);
+
+        // Leisure is shared per resident, so a growing city needs more parks
+        let leisure = 0;
+        Object.keys(BuildingConfig).forEach(buildingType => {
+            const config = BuildingConfig[buildingType];
+            if (config.resourceType === 'happiness') {
+                leisure += this.getProduction(state, buildingType, layoutMultipliers) * (config.energyUsage > 0 ? satisfaction : 1);
+            }
+        });
+        const leisureNeed = population * HappinessConfig.leisurePerResident;
+        const leisureCoverage = leisureNeed > 0 ? Math.min(1, leisure / leisureNeed) : 1;
+
+        const employment = this.getEmployment(state);
+        const unemploymentShare = employment.workforce > 0 ? employment.unemployed / employment.workforce : 0;
+
+        return [
+            { id: 'base', amount: HappinessConfig.base },
+            { id: 'leisure', amount: HappinessConfig.leisureMax * leisureCoverage },
+            { id: 'cityPlanning', amount: (state.upgrades.happinessBonus || 0) * UpgradeConfig.happinessBonus.effect },
+            { id: 'unemployment', amount: -JobsConfig.unemploymentPenalty * unemploymentShare },
+            { id: 'pollution', amount: -this.getPollutionHappinessPenalty(state) },
+            { id: 'energy', amount: -HappinessConfig.shortagePenalty * (1 - satisfaction) },
+            { id: 'events', amount: this.getEventHappiness(state) },
+            { id: 'policies', amount: this.getPolicyEffect(state, 'happiness') },
+            { id: 'challenge', amount: this.getChallengeRules(state).happiness || 0 }
+        ];
+    },
+
+    // Happiness the city settles at: its factors added up, within 0-100
+    getHappinessTarget(state, layoutMultipliers = this.getLayoutMultipliers(state)) {
+        const total = this.getHappinessFactors(state, layoutMultipliers).reduce((sum, factor) => sum + factor.amount, 0);
+        return Math.max(0, Math.min(100, total));
+    },
+
+    // Pollution per second emitted by industry (after scrubbers and research) and absorbed by greenery
+    getPollutionRates(state) {
+        const { BuildingConfig } = this.config;
+        const reduction = this.getPollutionReduction(state);
+        let emitted = 0;
+        let absorbed = 0;
+
+        Object.keys(BuildingConfig).forEach(buildingType => {
+            const config = BuildingConfig[buildingType];
+            const owned = state.buildings[buildingType] || 0;
+            emitted += owned * (config.pollution || 0) * (1 - reduction);
+            absorbed += owned * (config.pollutionAbsorption || 0);
+        });
+
+        return { emitted, absorbed };
+    },
+
+    getPollutionReduction(state) {
+        const { UpgradeConfig, PollutionConfig } = this.config;
+        const scrubbers = (state.upgrades.pollutionControl || 0) * UpgradeConfig.pollutionControl.effect;
+        return Math.min(PollutionConfig.maxReduction, scrubbers + this.getTechEffect(state, 'pollutionReduction') + this.getPolicyEffect(state, 'pollutionReduction'));
+    },
+
+    // Target happiness lost to pollution above the complaint threshold
+    getPollutionHappinessPenalty(state) {
+        const { happinessThreshold, happinessPerUnit, happinessMax } = this.config.PollutionConfig;
+        const excess = Math.max(0, (state.resources.pollution || 0) - happinessThreshold);
+        return Math.min(happinessMax, excess * happinessPerUnit);
+    },
+
+    // Population growth multiplier once pollution passes the growth threshold
+    getPollutionGrowthMultiplier(state) {
+        const { growthThreshold, growthPenaltyPerUnit, growthPenaltyMax } = this.config.PollutionConfig;
+        const excess = Math.max(0, (state.resources.pollution || 0) - growthThreshold);
+        return 1 - Math.min(growthPenaltyMax, excess * growthPenaltyPerUnit);
+    },
+
+    // Sum of a mechanic effect (e.g. 'sellRefundRate') over researched nodes
+    getTechEffect(state, effect) {
+        const { nodes } = this.config.TechConfig;
+        const researched = (state.tech && state.tech.researched) || [];
+
+        return researched.reduce((sum, nodeId) => {
+            const effects = nodes[nodeId] && nodes[nodeId].effects;
+            return sum + ((effects && effects[effect]) || 0);
+        }, 0);
+    },
+
+    isCityGridEnabled(state) {
+        return !!state.cityGrid && state.cityGrid.enabled === true;
+    },
+
+    // Replace the layout in place with a street plan and every owned building on it. Streets fill every
+    // `streetSpacing`-th row, nearest the middle first, until there are enough lots. Returns false if they don't fit.
+    layoutCityGrid(state) {
+        const { BuildingConfig, CityGridConfig } = this.config;
+        const { width, height, streetSpacing } = CityGridConfig;
+        const tiles = new Array(width * height).fill(null);
+        const owned = Object.keys(BuildingConfig).filter(buildingType => (state.buildings[buildingType] || 0) > 0);
+        const total = owned.reduce((sum, buildingType) => sum + state.buildings[buildingType], 0);
+
+        const middle = Math.floor(height / 2);
+        const streetRows = [];
+        for (let y = 1; y < height; y += streetSpacing) {
+            streetRows.push(y);
+        }
+        streetRows.sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle));
+
+        state.cityGrid.tiles = tiles;
+
+        for (const row of streetRows) {
+            tiles.fill('road', row * width, (row + 1) * width);
+
+            const lots = this.getFreeLots(state);
+            if (lots.length >= total) {
+                owned.forEach(buildingType => {
+                    lots.splice(0, state.buildings[buildingType]).forEach(index => {
+                        tiles[index] = buildingType;
+                    });
+                });
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+    // Whether every building counter matches the lots it occupies
+    isCityGridInSync(state) {
+        const { BuildingConfig, CityGridConfig } = this.config;
+        const tiles = (state.cityGrid && state.cityGrid.tiles) || [];
+        if (tiles.length !== CityGridConfig.width * CityGridConfig.height) return false;
+
+        return Object.keys(BuildingConfig).every(buildingType =>
+            tiles.filter(tile => tile === buildingType).length === (state.buildings[buildingType] || 0));
+    },
+
+    // Tile indices next to `index`: the 4 sides, or all 8 surrounding tiles with `diagonal`
+    getNeighbours(index, diagonal = false) {
+        const { width, height } = this.config.CityGridConfig;
+        const x = index % width;
+        const y = Math.floor(index / width);
+        const neighbours = [];
+
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if ((dx === 0 && dy === 0) || (!diagonal && dx !== 0 && dy !== 0)) continue;
+
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
+                    neighbours.push(ny * width + nx);
+                }
+            }
+        }
+
+        return neighbours;
+    },
+
+    // Road tiles linked, side by side, to a road on the edge of the map
+    getConnectedRoads(state) {
+        const { width, height } = this.config.CityGridConfig;
+        const tiles = state.cityGrid.tiles;
+        const queue = [];
+
+        tiles.forEach((tile, index) => {
+            const x = index % width;
+            const y = Math.floor(index / width);
+            if (tile === 'road' && (x === 0 || y === 0 || x === width - 1 || y === height - 1)) {
+                queue.push(index);
+            }
+        });
+
+        const connected = new Set(queue);
+        for (let i = 0; i < queue.length; i++) {
+            this.getNeighbours(queue[i]).forEach(neighbour => {
+                if (tiles[neighbour] === 'road' && !connected.has(neighbour)) {
+                    connected.add(neighbour);
+                    queue.push(neighbour);
+                }
+            });
+        }
+
+        return connected;
+    },
+
+    isTileConnected(state, index, roads = this.getConnectedRoads(state)) {
+        return this.getNeighbours(index).some(neighbour => roads.has(neighbour));
+    },
+
+    // Empty tiles next to a connected road, in reading order
+    getFreeLots(state) {
+        const roads = this.getConnectedRoads(state);
+        const lots = [];
+
+        state.cityGrid.tiles.forEach((tile, index) => {
+            if (tile === null && this.isTileConnected(state, index, roads)) {
+                lots.push(index);
+            }
+        });
+
+        return lots;
+    },
+
+    // Output multiplier of the building on a tile: 0 when cut off from the roads, otherwise 1 plus its neighbour bonuses
+    getTileMultiplier(state, index, roads = this.getConnectedRoads(state)) {
+        const { BuildingConfig, CityGridConfig } = this.config;
+        const tiles = state.cityGrid.tiles;
+        const config = BuildingConfig[tiles[index]];
+
+        if (!config) return 1;
+        if (!this.isTileConnected(state, index, roads)) return 0;
+
+        const targets = [tiles[index], config.category];
+        const bonus = this.getNeighbours(index, true).reduce((sum, neighbour) => {
+            const neighbourConfig = BuildingConfig[tiles[neighbour]];
+            if (!neighbourConfig) return sum;
+
+            const sources = [tiles[neighbour], neighbourConfig.category];
+            return CityGridConfig.adjacency.reduce((total, rule) =>
+                (sources.includes(rule.source) && targets.includes(rule.target) ? total + rule.bonus : total), sum);
+        }, 0);
+
+        return Math.max(0, 1 + bonus);
+    },
+
+    // Average tile multiplier per placed building type; empty when the city grid is off
+    getLayoutMultipliers(state) {
+        if (!this.isCityGridEnabled(state)) return {};
+
+        const roads = this.getConnectedRoads(state);
+        const totals = {};
+        const counts = {};
+
+        state.cityGrid.tiles.forEach((tile, index) => {
+            if (!this.config.BuildingConfig[tile]) return;
+
+            totals[tile] = (totals[tile] || 0) + this.getTileMultiplier(state, index, roads);
+            counts[tile] = (counts[tile] || 0) + 1;
+        });
+
+        Object.keys(totals).forEach(buildingType => {
+            totals[buildingType] /= counts[buildingType];
+        });
+
+        return totals;
+    },
+
+    getLayoutMultiplier(state, buildingType, layoutMultipliers = this.getLayoutMultipliers(state)) {
+        const multiplier = layoutMultipliers[buildingType];
+        return multiplier === undefined ? 1 : multiplier;
+    },
+
+    getCategoryMultiplier(state, category) {
+        const { UpgradeConfig } = this.config;
+        const upgradeType = `${category}Efficiency`;
+
+        if (!UpgradeConfig[upgradeType]) return 1;
+
+        return 1 + ((state.upgrades[upgradeType] || 0) * UpgradeConfig[upgradeType].effect);
+    },
+
+    getPrestigeMultiplier(state) {
+        return 1 + ((state.upgrades.prestige || 0) * this.config.PrestigeConfig.multiplierPerCharter);
+    },
+
+    // Output of every owned building of a type per second, including city events, policies, challenge rules, layout and staffing but before grid brownouts
+    getProduction(state, buildingType, layoutMultipliers = this.getLayoutMultipliers(state)) {
+        const config = this.config.BuildingConfig[buildingType];
+        const owned = state.buildings[buildingType] || 0;
+
+        if (!config || owned === 0) return 0;
+
+        return config.baseProduction * owned * state.upgrades.efficiency *
+            this.getCategoryMultiplier(state, config.category) * this.getPrestigeMultiplier(state) *
+            this.getEventMultiplier(state, buildingType) * this.getPolicyMultiplier(state, buildingType) *
+            this.getChallengeMultiplier(state, buildingType) * this.getLayoutMultiplier(state, buildingType, layoutMultipliers) * (config.jobs > 0 ? this.getEmployment(state).staffing : 1);
+    },
+
+    // MW available: regional grid plus every energy-producing building
+    getEnergySupply(state, layoutMultipliers = this.getLayoutMultipliers(state)) {
+        const { BuildingConfig, EnergyConfig } = this.config;
+        let supply = EnergyConfig.baseSupply;
+
+        Object.keys(BuildingConfig).forEach(buildingType => {
+            if (BuildingConfig[buildingType].resourceType === 'energy') {
+                supply += this.getProduction(state, buildingType, layoutMultipliers);
+            }
+        });
+
+        return supply;
+    },
+
+    // MW drawn by every building currently standing
+    getEnergyDemand(state) {
+        const { BuildingConfig } = this.config;
+        let demand = 0;
+
+        Object.keys(BuildingConfig).forEach(buildingType => {
+            const count = state.buildings[buildingType] || 0;
+            demand += count * (BuildingConfig[buildingType].energyUsage || 0);
+        });
+
+        const gridEfficiency = this.config.UpgradeConfig.gridEfficiency;
+        if (gridEfficiency) {
+            demand *= Math.max(0, 1 - (state.upgrades.gridEfficiency || 0) * gridEfficiency.effect);
+        }
+
+        return demand;
+    },
+
+    // Fraction of demand that is met (1 = fully powered)
+    getEnergySatisfaction(state, layoutMultipliers = this.getLayoutMultipliers(state)) {
+        const demand = this.getEnergyDemand(state);
+        if (demand <= 0) return 1;
+
+        return Math.min(1, this.getEnergySupply(state, layoutMultipliers) / demand);
+    },
+
+    // Derived metrics for declarative conditions such as { stat: 'totalBuildings', gte: 10 }
+    metrics: {
+        totalBuildings: state => Object.values(state.buildings).reduce((sum, count) => sum + count, 0),
+
+        techResearched: state => (state.tech && Array.isArray(state.tech.researched) ? state.tech.researched.length : 0),
+
+        // Upgrades that have been purchased (excluding base efficiency which starts at 1)
+        upgradeTypesOwned: state => Object.keys(state.upgrades).filter(upgradeType => {
+            const level = state.upgrades[upgradeType];
+            return typeof level === 'number' && upgradeType !== 'efficiency' && level > 0;
+        }).length,
+
+        // Percentage of building types owned at least once, so content packs can add buildings
+        buildingTypesOwnedPercent: state => {
+            const buildingTypes = Object.keys(SimulationConfig.BuildingConfig);
+            const owned = buildingTypes.filter(type => state.buildings[type] >= 1).length;
+            return buildingTypes.length > 0 ? (owned / buildingTypes.length) * 100 : 0;
+        }
+    },
+
+    comparators: {
+        gte: (value, target) => BigNum.gte(value, target),
+        gt: (value, target) => BigNum.gt(value, target),
+        lte: (value, target) => BigNum.lte(value, target),
+        lt: (value, target) => BigNum.lt(value, target),
+        eq: (value, target) => BigNum.cmp(value, target) === 0
+    },
+
+    // Resolve a metric name: derived metrics, then statistics, resources and building counts
+    getMetricValue(state, stat) {
+        if (this.metrics[stat]) {
+            return this.metrics[stat](state);
+        }
+        if (state.statistics[stat] !== undefined) {
+            return state.statistics[stat] || 0;
+        }
+        if (state.resources[stat] !== undefined) {
+            return state.resources[stat];
+        }
+        if (state.buildings[stat] !== undefined) {
+            return state.buildings[stat] || 0;
+        }
+        return 0;
+    },
+
+    hasMetric(state, stat) {
+        return this.metrics[stat] !== undefined ||
+            state.statistics[stat] !== undefined ||
+            state.resources[stat] !== undefined ||
+            state.buildings[stat] !== undefined;
+    },
+
+    // Evaluate a declarative condition: { stat, gte/gt/lte/lt/eq } leaves combined with { all: [...] } / { any: [...] }
+    evaluateCondition(state, spec) {
+        if (spec.all) {
+            return spec.all.every(part => this.evaluateCondition(state, part));
+        }
+        if (spec.any) {
+            return spec.any.some(part => this.evaluateCondition(state, part));
+        }
+
+        const value = this.getMetricValue(state, spec.stat);
+        return Object.keys(this.comparators).every(operator =>
+            spec[operator] === undefined || this.comparators[operator](value, spec[operator])
+        );
+    }
+};
+
+// Node (Jest, balance scripts) loads this file with require(); the browser reads the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Simulation, BulkPricing, BigNum };
+}
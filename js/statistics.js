@@ -51,9 +51,25 @@ const Statistics = {
         if (!GameState.statistics.totalUpgradesPurchased) {
             GameState.statistics.totalUpgradesPurchased = 0;
         }
+        if (!GameState.statistics.prestigesPerformed) {
+            GameState.statistics.prestigesPerformed = 0;
+        }
+        if (!GameState.statistics.bestRunTime) {
+            GameState.statistics.bestRunTime = 0;
+        }
+        if (!GameState.statistics.runStartGameTime) {
+            GameState.statistics.runStartGameTime = 0;
+        }
+        if (!GameState.statistics.buildingsSold) {
+            GameState.statistics.buildingsSold = 0;
+        }
         
-        // Load historical data
-        this.loadHistoricalData();
+        // Load historical data once the storage backend has opened
+        if (typeof Persistence !== 'undefined') {
+            Persistence.init().then(() => this.loadHistoricalData());
+        } else {
+            this.loadHistoricalData();
+        }
         
         // Start new session
         this.startNewSession();
@@ -81,13 +97,14 @@ const Statistics = {
     recordDataPoint() {
         const timestamp = Date.now();
         
-        // Record resource snapshot
+        // Record resource snapshot (as plain numbers, so charts can scale them)
         this.history.resources.push({
             timestamp,
-            coins: GameState.resources.coins,
+            coins: BigNum.toNumber(GameState.resources.coins),
             population: GameState.resources.population,
             happiness: GameState.resources.happiness,
-            research: GameState.resources.research
+            research: BigNum.toNumber(GameState.resources.research),
+            pollution: GameState.resources.pollution || 0
         });
         
         // Record building snapshot
@@ -127,6 +144,11 @@ const Statistics = {
             GameState.statistics.maxHappiness || 0,
             Math.floor(GameState.resources.happiness)
         );
+
+        GameState.statistics.maxPollution = Math.max(
+            GameState.statistics.maxPollution || 0,
+            Math.floor(GameState.resources.pollution || 0)
+        );
     },
     
     // Check for milestone achievements
@@ -138,7 +160,7 @@ const Statistics = {
         }
         
         // First 100 coins milestone
-        if (!this.milestones.first100Coins && GameState.statistics.totalCoinsEarned >= 100) {
+        if (!this.milestones.first100Coins && BigNum.gte(GameState.statistics.totalCoinsEarned, 100)) {
             this.milestones.first100Coins = true;
             this.recordMilestone('First 100 Coins', 'Earned your first 100 coins!');
         }
@@ -188,7 +210,7 @@ const Statistics = {
         return {
             duration: Date.now() - this.currentSession.startTime,
             clicksThisSession: GameState.statistics.totalClicks - this.currentSession.clicksThisSession,
-            coinsEarnedThisSession: GameState.statistics.totalCoinsEarned - this.currentSession.coinsEarnedThisSession,
+            coinsEarnedThisSession: BigNum.sub(GameState.statistics.totalCoinsEarned, this.currentSession.coinsEarnedThisSession),
             buildingsBuiltThisSession: GameState.statistics.buildingsPurchased - this.currentSession.buildingsBuiltThisSession,
             achievementsUnlockedThisSession: (GameState.statistics.achievementsUnlocked || 0) - this.currentSession.achievementsUnlockedThisSession
         };
@@ -205,6 +227,7 @@ const Statistics = {
             totalCoinsEarned: GameState.statistics.totalCoinsEarned,
             totalResearchEarned: GameState.statistics.totalResearchEarned || 0,
             buildingsPurchased: GameState.statistics.buildingsPurchased,
+            buildingsSold: GameState.statistics.buildingsSold || 0,
             totalBuildings,
             gameTime: GameState.statistics.gameTime,
             sessionsPlayed: GameState.statistics.sessionsPlayed || 1,
@@ -212,13 +235,14 @@ const Statistics = {
             // Maximum values
             maxPopulation: GameState.statistics.maxPopulation || Math.floor(GameState.resources.population),
             maxHappiness: GameState.statistics.maxHappiness || Math.floor(GameState.resources.happiness),
+            maxPollution: GameState.statistics.maxPollution || 0,
             
             // Current session
             currentSession: sessionStats,
             
             // Rates and efficiency
             clicksPerSecond: GameState.statistics.gameTime > 0 ? GameState.statistics.totalClicks / GameState.statistics.gameTime : 0,
-            coinsPerSecond: GameState.statistics.gameTime > 0 ? GameState.statistics.totalCoinsEarned / GameState.statistics.gameTime : 0,
+            coinsPerSecond: GameState.statistics.gameTime > 0 ? BigNum.div(GameState.statistics.totalCoinsEarned, GameState.statistics.gameTime) : 0,
             buildingsPerHour: GameState.statistics.gameTime > 0 ? (GameState.statistics.buildingsPurchased / GameState.statistics.gameTime) * 3600 : 0,
             
             // Building breakdown
@@ -226,7 +250,12 @@ const Statistics = {
             
             // Achievement progress
             achievementsUnlocked: GameState.statistics.achievementsUnlocked || 0,
-            
+
+            // Prestige runs
+            prestigesPerformed: GameState.statistics.prestigesPerformed || 0,
+            bestRunTime: GameState.statistics.bestRunTime || 0,
+            currentRunTime: Prestige.getRunTime(),
+
             // Milestones
             milestonesReached: Object.values(this.milestones).filter(Boolean).length
         };
@@ -257,6 +286,12 @@ const Statistics = {
     
     // Calculate total cost spent on a building type
     calculateTotalCostSpent(buildingType) {
+        // Net spending is tracked per purchase/sale; fall back to list prices for older saves
+        const spending = GameState.statistics.buildingSpending;
+        if (spending && spending[buildingType] !== undefined) {
+            return spending[buildingType];
+        }
+
         const config = BuildingConfig[buildingType];
         const owned = GameState.buildings[buildingType] || 0;
         let totalCost = 0;
@@ -280,10 +315,25 @@ const Statistics = {
         return this.history.buildings.filter(point => point.timestamp >= cutoff);
     },
     
+    getStore() {
+        if (typeof Storage !== 'undefined' && Storage.store) {
+            return Storage.store;
+        }
+        return localStorage;
+    },
+
+    // History is kept per save slot
+    getHistoryKey() {
+        if (typeof Storage !== 'undefined' && Storage.getHistoryKey) {
+            return Storage.getHistoryKey();
+        }
+        return 'idlecity_statistics_history';
+    },
+
     // Load historical data from storage
     loadHistoricalData() {
         try {
-            const saved = localStorage.getItem('idlecity_statistics_history');
+            const saved = this.getStore().getItem(this.getHistoryKey());
             if (saved) {
                 const data = JSON.parse(saved);
                 this.history = { ...this.history, ...data };
@@ -301,7 +351,7 @@ const Statistics = {
                 ...this.history,
                 milestones: this.milestones
             };
-            localStorage.setItem('idlecity_statistics_history', JSON.stringify(dataToSave));
+            this.getStore().setItem(this.getHistoryKey(), JSON.stringify(dataToSave));
         } catch (error) {
             console.warn('Failed to save statistics history:', error);
         }
@@ -329,7 +379,7 @@ const Statistics = {
         
         // Clear saved data
         try {
-            localStorage.removeItem('idlecity_statistics_history');
+            this.getStore().removeItem(this.getHistoryKey());
         } catch (error) {
             console.warn('Failed to clear statistics history:', error);
         }
@@ -1,23 +1,429 @@
 // IdleCity Storage System
-// Handles saving and loading game progress using localStorage
+// Handles saving and loading game progress through Persistence (IndexedDB or localStorage)
 
 const Storage = {
-    SAVE_KEY: 'idlecity_save',
+    // Slot 1 keeps the original single-save keys so existing saves load unchanged
+    SAVE_KEY_PREFIX: 'idlecity_save',
+    HISTORY_KEY_PREFIX: 'idlecity_statistics_history',
+    SLOT_INDEX_KEY: 'idlecity_slots',
+    SLOT_COUNT: 3,
+
+    // A challenge run plays in its own slot, so the cities in the numbered slots are never touched
+    CHALLENGE_SLOT: 'challenge',
+    CHALLENGE_RECORDS_KEY: 'idlecity_challenge_records',
+
+    // Player settings such as the number notation; shared by every slot
+    SETTINGS_KEY: 'idlecity_settings',
+
     AUTO_SAVE_INTERVAL: 10000, // 10 seconds
 
+    // Rolling backups per slot: a snapshot a minute for the last 10 minutes, plus hourly and daily ones
+    BACKUP_LIMITS: { recent: 10, hourly: 24, daily: 7 },
+    BACKUP_INTERVALS: { recent: 60000, hourly: 3600000, daily: 86400000 },
+
+    // Offline progress is capped at a day and replayed in at most this many production steps
+    OFFLINE_MAX_SECONDS: 86400,
+    OFFLINE_MAX_STEPS: 10000,
+
+    activeSlot: 1,
+
+    // Newest snapshot time per backup tier for each slot, so autosaves with no tier due skip reading the backups
+    backupTimes: {},
+
+    // Key-value backend: IndexedDB via Persistence when loaded, otherwise localStorage
+    get store() {
+        return typeof Persistence !== 'undefined' ? Persistence : localStorage;
+    },
+
+    // Slot whose save could not be migrated; auto-save must not overwrite it
+    lockedSlot: null,
+
+    // Key of the active slot's save blob
+    get SAVE_KEY() {
+        return this.getSlotKey(this.activeSlot);
+    },
+
     init() {
         console.log('💾 Initializing storage system...');
 
-        // Check if localStorage is available
-        if (!this.isLocalStorageAvailable()) {
-            console.warn('⚠️ localStorage not available - save functionality disabled');
+        // Check if browser storage is available
+        if (!this.isStorageAvailable()) {
+            console.warn('⚠️ Browser storage not available - save functionality disabled');
             if (typeof UI !== 'undefined') {
                 UI.showNotification('Save functionality unavailable in this browser', 'warning');
             }
             return false;
         }
 
-        console.log('✅ Storage system initialized');
+        this.activeSlot = this.readSlotIndex().activeSlot;
+
+        console.log(`✅ Storage system initialized (slot ${this.activeSlot})`);
+        return true;
+    },
+
+    // Wait for the persistence backend before loading; the slot index may only exist in IndexedDB
+    async ready() {
+        if (typeof Persistence === 'undefined') {
+            return 'localStorage';
+        }
+
+        const backend = await Persistence.init();
+        this.activeSlot = this.readSlotIndex().activeSlot;
+
+        if (typeof UI !== 'undefined' && UI.updateActiveSlotName) {
+            UI.updateActiveSlotName();
+        }
+
+        return backend;
+    },
+
+    isStorageAvailable() {
+        if (typeof Persistence !== 'undefined' && Persistence.isIndexedDB()) {
+            return true;
+        }
+        return this.isLocalStorageAvailable();
+    },
+
+    getSlotKey(slot) {
+        if (slot === this.CHALLENGE_SLOT) return `${this.SAVE_KEY_PREFIX}_challenge`;
+        return slot === 1 ? this.SAVE_KEY_PREFIX : `${this.SAVE_KEY_PREFIX}_slot${slot}`;
+    },
+
+    // Copy of a save as it was before migrations upgraded it
+    getMigrationBackupKey(slot = this.activeSlot) {
+        return `${this.getSlotKey(slot)}_premigration`;
+    },
+
+    getBackupKey(slot = this.activeSlot) {
+        return `${this.getSlotKey(slot)}_backups`;
+    },
+
+    getHistoryKey(slot = this.activeSlot) {
+        if (slot === this.CHALLENGE_SLOT) return `${this.HISTORY_KEY_PREFIX}_challenge`;
+        return slot === 1 ? this.HISTORY_KEY_PREFIX : `${this.HISTORY_KEY_PREFIX}_slot${slot}`;
+    },
+
+    isValidSlot(slot) {
+        return Number.isInteger(slot) && slot >= 1 && slot <= this.SLOT_COUNT;
+    },
+
+    isChallengeActive() {
+        return this.activeSlot === this.CHALLENGE_SLOT;
+    },
+
+    // Slot index: { activeSlot, returnSlot, slots: { [slot]: { name, lastPlayed, population, playTime } } }.
+    // While a challenge runs, activeSlot is CHALLENGE_SLOT and returnSlot is the slot it was started from.
+    readSlotIndex() {
+        const fallback = { activeSlot: 1, returnSlot: null, slots: {} };
+
+        try {
+            const index = JSON.parse(this.store.getItem(this.SLOT_INDEX_KEY));
+            if (!index || typeof index !== 'object' || !index.slots || typeof index.slots !== 'object') {
+                return fallback;
+            }
+            const returnSlot = this.isValidSlot(index.returnSlot) ? index.returnSlot : null;
+            const challenge = index.activeSlot === this.CHALLENGE_SLOT && returnSlot !== null;
+
+            return {
+                activeSlot: challenge || this.isValidSlot(index.activeSlot) ? index.activeSlot : 1,
+                returnSlot: challenge ? returnSlot : null,
+                slots: index.slots
+            };
+        } catch (error) {
+            return fallback;
+        }
+    },
+
+    writeSlotIndex(index) {
+        this.store.setItem(this.SLOT_INDEX_KEY, JSON.stringify(index));
+    },
+
+    getDefaultSlotName(slot) {
+        return `City ${slot}`;
+    },
+
+    // Summaries for the slot picker
+    getSlots() {
+        const index = this.readSlotIndex();
+        const slots = [];
+
+        for (let slot = 1; slot <= this.SLOT_COUNT; slot++) {
+            const meta = index.slots[slot] || {};
+            slots.push({
+                slot,
+                name: meta.name || this.getDefaultSlotName(slot),
+                exists: this.store.getItem(this.getSlotKey(slot)) !== null,
+                active: slot === this.activeSlot,
+                lastPlayed: meta.lastPlayed || null,
+                population: meta.population || 0,
+                playTime: meta.playTime || 0
+            });
+        }
+
+        return slots;
+    },
+
+    updateSlotMetadata(slot) {
+        // The challenge city is not listed in the slot picker
+        if (slot === this.CHALLENGE_SLOT) return;
+
+        const index = this.readSlotIndex();
+        const meta = index.slots[slot] || {};
+
+        index.slots[slot] = {
+            name: meta.name || this.getDefaultSlotName(slot),
+            lastPlayed: Date.now(),
+            population: Math.floor(GameState.resources.population || 0),
+            playTime: Math.floor(GameState.statistics.gameTime || 0)
+        };
+        index.activeSlot = this.activeSlot;
+
+        this.writeSlotIndex(index);
+    },
+
+    // Save the current city, make `slot` active and restart so every system loads that slot
+    switchSlot(slot) {
+        if (!this.isValidSlot(slot) || slot === this.activeSlot || this.isChallengeActive()) {
+            return false;
+        }
+
+        // An auto-save while the page reloads would write this city into the slot being opened
+        GameLoop.stop();
+
+        this.saveGame();
+        if (typeof Statistics !== 'undefined') {
+            Statistics.saveHistoricalData();
+        }
+
+        const index = this.readSlotIndex();
+        index.activeSlot = slot;
+        this.writeSlotIndex(index);
+        this.activeSlot = slot;
+
+        console.log(`🗂️ Switched to save slot ${slot}`);
+
+        this.restart();
+        return true;
+    },
+
+    // Let queued IndexedDB writes land, then reload the page so every system loads the active slot
+    restart() {
+        if (typeof window !== 'undefined' && window.location) {
+            const flushed = typeof Persistence !== 'undefined' ? Persistence.flush() : Promise.resolve();
+            flushed.then(() => window.location.reload());
+        }
+    },
+
+    // Save the current city, then restart into a fresh city playing `challengeId` in the challenge slot
+    startChallenge(challengeId) {
+        if (this.isChallengeActive() || typeof ChallengeConfig === 'undefined' || !ChallengeConfig.challenges[challengeId]) {
+            return false;
+        }
+
+        this.saveGame();
+        if (typeof Statistics !== 'undefined') {
+            Statistics.saveHistoricalData();
+        }
+
+        const returnSlot = this.activeSlot;
+        this.activeSlot = this.CHALLENGE_SLOT;
+        this.clearChallengeSlot();
+        this.store.setItem(this.getSlotKey(this.CHALLENGE_SLOT), JSON.stringify(this.createChallengeSave(challengeId)));
+
+        const index = this.readSlotIndex();
+        index.activeSlot = this.CHALLENGE_SLOT;
+        index.returnSlot = returnSlot;
+        this.writeSlotIndex(index);
+
+        const record = this.getChallengeRecord(challengeId);
+        record.attempts++;
+        const records = this.readChallengeRecords();
+        records[challengeId] = record;
+        this.writeChallengeRecords(records);
+
+        console.log(`🏁 Starting challenge ${challengeId}`);
+
+        this.restart();
+        return true;
+    },
+
+    // A new city under the challenge's rules. Achievements and quest progress come along
+    // so they are not announced again, but nothing earned in the challenge is carried back.
+    createChallengeSave(challengeId) {
+        const buildings = {};
+        Object.keys(GameState.buildings).forEach(buildingType => {
+            buildings[buildingType] = 0;
+        });
+
+        return {
+            version: typeof SaveMigrations !== 'undefined' ? SaveMigrations.CURRENT_VERSION : '1.0.0',
+            timestamp: Date.now(),
+            gameState: {
+                resources: { coins: 0, population: 0, happiness: 100, energy: 100, research: 0, pollution: 0 },
+                buildings,
+                statistics: { totalClicks: 0, gameTime: 0, buildingsPurchased: 0, totalCoinsEarned: 0 },
+                quests: GameState.quests ? { completed: [...GameState.quests.completed] } : undefined,
+                challenge: { id: challengeId, elapsed: 0, result: null },
+                achievements: GameState.achievements ? { ...GameState.achievements } : undefined
+            }
+        };
+    },
+
+    // Throw the challenge city away and restart into the slot it was started from
+    endChallenge() {
+        if (!this.isChallengeActive()) {
+            return false;
+        }
+
+        const index = this.readSlotIndex();
+        const returnSlot = index.returnSlot || 1;
+
+        this.clearChallengeSlot();
+        index.activeSlot = returnSlot;
+        delete index.returnSlot;
+        this.writeSlotIndex(index);
+        this.activeSlot = returnSlot;
+
+        console.log(`🏁 Left the challenge, back to slot ${returnSlot}`);
+
+        this.restart();
+        return true;
+    },
+
+    clearChallengeSlot() {
+        this.store.removeItem(this.getSlotKey(this.CHALLENGE_SLOT));
+        this.store.removeItem(this.getHistoryKey(this.CHALLENGE_SLOT));
+        this.store.removeItem(this.getMigrationBackupKey(this.CHALLENGE_SLOT));
+        this.store.removeItem(this.getBackupKey(this.CHALLENGE_SLOT));
+        delete this.backupTimes[this.CHALLENGE_SLOT];
+    },
+
+    readSettings() {
+        try {
+            const settings = JSON.parse(this.store.getItem(this.SETTINGS_KEY));
+            return settings && typeof settings === 'object' ? settings : {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    writeSettings(settings) {
+        this.store.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+    },
+
+    // Personal bests: { [challengeId]: { attempts, completions, bestTimes: [{ time, date }] } }, fastest first
+    readChallengeRecords() {
+        try {
+            const records = JSON.parse(this.store.getItem(this.CHALLENGE_RECORDS_KEY));
+            return records && typeof records === 'object' ? records : {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    writeChallengeRecords(records) {
+        this.store.setItem(this.CHALLENGE_RECORDS_KEY, JSON.stringify(records));
+    },
+
+    getChallengeRecord(challengeId) {
+        const record = this.readChallengeRecords()[challengeId] || {};
+        return {
+            attempts: Math.max(0, record.attempts || 0),
+            completions: Math.max(0, record.completions || 0),
+            bestTimes: Array.isArray(record.bestTimes) ? record.bestTimes.filter(entry => entry && typeof entry.time === 'number') : []
+        };
+    },
+
+    // Add a finished run to the leaderboard. Returns its place (1 = new personal best), or null if it did not place.
+    recordChallengeResult(challengeId, time) {
+        const record = this.getChallengeRecord(challengeId);
+        const entry = { time, date: Date.now() };
+        const limit = typeof ChallengeConfig !== 'undefined' ? ChallengeConfig.leaderboardSize : 5;
+
+        record.completions++;
+        record.bestTimes = [...record.bestTimes, entry].sort((a, b) => a.time - b.time).slice(0, limit);
+
+        const records = this.readChallengeRecords();
+        records[challengeId] = record;
+        this.writeChallengeRecords(records);
+
+        const place = record.bestTimes.indexOf(entry) + 1;
+        return place > 0 ? place : null;
+    },
+
+    renameSlot(slot, name) {
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, 30) : '';
+        if (!this.isValidSlot(slot) || trimmed.length === 0) {
+            return false;
+        }
+
+        const index = this.readSlotIndex();
+        index.slots[slot] = { ...(index.slots[slot] || {}), name: trimmed };
+        this.writeSlotIndex(index);
+
+        return true;
+    },
+
+    copySlot(fromSlot, toSlot) {
+        // The active city lives in memory and would overwrite the copy on the next auto-save.
+        // Slots stay as they are during a challenge, so the city it returns to is still there.
+        if (!this.isValidSlot(fromSlot) || !this.isValidSlot(toSlot) || fromSlot === toSlot || toSlot === this.activeSlot || this.isChallengeActive()) {
+            return false;
+        }
+
+        if (fromSlot === this.activeSlot) {
+            this.saveGame();
+            if (typeof Statistics !== 'undefined') {
+                Statistics.saveHistoricalData();
+            }
+        }
+
+        const savedData = this.store.getItem(this.getSlotKey(fromSlot));
+        if (!savedData) {
+            console.log(`📁 Slot ${fromSlot} is empty - nothing to copy`);
+            return false;
+        }
+
+        try {
+            this.store.setItem(this.getSlotKey(toSlot), savedData);
+
+            const history = this.store.getItem(this.getHistoryKey(fromSlot));
+            if (history) {
+                this.store.setItem(this.getHistoryKey(toSlot), history);
+            } else {
+                this.store.removeItem(this.getHistoryKey(toSlot));
+            }
+
+            const index = this.readSlotIndex();
+            const meta = index.slots[fromSlot] || {};
+            index.slots[toSlot] = { ...meta, name: `${meta.name || this.getDefaultSlotName(fromSlot)} (copy)`.slice(0, 30) };
+            this.writeSlotIndex(index);
+
+            console.log(`🗂️ Copied slot ${fromSlot} to slot ${toSlot}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to copy save slot:', error);
+            return false;
+        }
+    },
+
+    // Remove a slot's save, history and name. The active slot is cleared with Reset instead.
+    deleteSlot(slot) {
+        if (!this.isValidSlot(slot) || slot === this.activeSlot || this.isChallengeActive()) {
+            return false;
+        }
+
+        this.store.removeItem(this.getSlotKey(slot));
+        this.store.removeItem(this.getHistoryKey(slot));
+        this.store.removeItem(this.getMigrationBackupKey(slot));
+        this.store.removeItem(this.getBackupKey(slot));
+        delete this.backupTimes[slot];
+
+        const index = this.readSlotIndex();
+        delete index.slots[slot];
+        this.writeSlotIndex(index);
+
+        console.log(`🗑️ Deleted save slot ${slot}`);
         return true;
     },
 
@@ -32,34 +438,59 @@ const Storage = {
         }
     },
 
-    saveGame() {
-        if (!this.isLocalStorageAvailable()) {
-            console.error('❌ Cannot save - localStorage unavailable');
+    saveGame(slot = this.activeSlot) {
+        if (!this.isStorageAvailable()) {
+            console.error('❌ Cannot save - storage unavailable');
+            return false;
+        }
+
+        if (slot === this.lockedSlot) {
+            console.warn(`⚠️ Not saving over slot ${slot} - its save could not be loaded by this version`);
             return false;
         }
 
         try {
             const saveData = {
-                version: '1.0.0',
+                version: typeof SaveMigrations !== 'undefined' ? SaveMigrations.CURRENT_VERSION : '1.0.0',
                 timestamp: Date.now(),
                 gameState: {
                     resources: { ...GameState.resources },
                     buildings: { ...GameState.buildings },
                     upgrades: { ...GameState.upgrades },
                     statistics: { ...GameState.statistics },
+                    cityEvents: GameState.cityEvents ? JSON.parse(JSON.stringify(GameState.cityEvents)) : undefined,
+                    tech: GameState.tech ? { researched: [...GameState.tech.researched] } : undefined,
+                    policies: GameState.policies ? { active: [...GameState.policies.active] } : undefined,
+                    cityGrid: GameState.cityGrid ? { enabled: GameState.cityGrid.enabled, tiles: [...GameState.cityGrid.tiles] } : undefined,
+                    quests: GameState.quests ? { completed: [...GameState.quests.completed] } : undefined,
+                    challenge: GameState.challenge ? { ...GameState.challenge } : undefined,
                     achievements: GameState.achievements ? { ...GameState.achievements } : undefined
                 }
             };
 
             const serializedData = JSON.stringify(saveData);
 
-            // Check data size before saving
+            // localStorage quotas are around 5MB per origin. IndexedDB allows far more, so there is no
+            // size check up front; a write it refuses anyway is reported once it fails (below).
             const dataSize = new Blob([serializedData]).size;
-            if (dataSize > 5 * 1024 * 1024) { // 5MB limit
+            const usingIndexedDB = typeof Persistence !== 'undefined' && Persistence.isIndexedDB();
+            if (!usingIndexedDB && dataSize > 5 * 1024 * 1024) { // 5MB limit
                 throw new Error(`Save data too large: ${Math.round(dataSize / 1024)}KB`);
             }
 
-            localStorage.setItem(this.SAVE_KEY, serializedData);
+            const saveKey = this.getSlotKey(slot);
+            this.store.setItem(saveKey, serializedData);
+            this.updateSlotMetadata(slot);
+
+            // IndexedDB writes land after this returns; tell the player if this one never does
+            if (usingIndexedDB) {
+                Persistence.flush().then(() => {
+                    const writeError = Persistence.getWriteError(saveKey);
+                    if (writeError) {
+                        this.reportSaveFailure(writeError);
+                    }
+                });
+            }
 
             console.log('💾 Game saved successfully');
 
@@ -69,48 +500,70 @@ const Storage = {
 
             return true;
         } catch (error) {
-            console.error('❌ Failed to save game:', error);
+            this.reportSaveFailure(error);
+            return false;
+        }
+    },
 
-            // Report to performance system if available
-            if (typeof Performance !== 'undefined') {
-                Performance.handleError('storage', error, { operation: 'save' });
-            }
+    reportSaveFailure(error) {
+        console.error('❌ Failed to save game:', error);
 
-            if (typeof UI !== 'undefined') {
-                UI.showNotification('Failed to save game - ' + error.message, 'error');
-            }
+        // Report to performance system if available
+        if (typeof Performance !== 'undefined') {
+            Performance.handleError('storage', error, { operation: 'save' });
+        }
 
-            return false;
+        if (typeof UI !== 'undefined') {
+            UI.showNotification('Failed to save game - ' + error.message, 'error');
         }
     },
 
-    loadGame() {
-        if (!this.isLocalStorageAvailable()) {
-            console.error('❌ Cannot load - localStorage unavailable');
+    loadGame(slot = this.activeSlot) {
+        if (!this.isStorageAvailable()) {
+            console.error('❌ Cannot load - storage unavailable');
             return false;
         }
 
         try {
-            const savedData = localStorage.getItem(this.SAVE_KEY);
+            const savedData = this.store.getItem(this.getSlotKey(slot));
 
             if (!savedData) {
                 console.log('📁 No saved game found - starting fresh');
                 return false;
             }
 
-            const saveData = JSON.parse(savedData);
+            let parsed = null;
+            try {
+                parsed = JSON.parse(savedData);
+            } catch (error) {
+                console.error('❌ Save data is not valid JSON:', error);
+            }
 
-            // Validate save data structure
-            if (!this.validateSaveData(saveData)) {
-                console.error('❌ Invalid save data - starting fresh');
+            const migration = parsed ? this.migrateSaveData(parsed, savedData, slot) : { success: true, saveData: null };
+
+            if (!migration.success) {
+                console.error('❌ Cannot load save:', migration.error);
+
+                // Keep the original save intact until it can be read or the player resets
+                this.lockedSlot = slot;
 
                 if (typeof UI !== 'undefined') {
-                    UI.showNotification('Save data corrupted - starting fresh', 'warning');
+                    UI.showNotification(migration.newer
+                        ? 'This save is from a newer version of IdleCity - update the game to continue it'
+                        : 'Save could not be upgraded - your original save has been kept', 'error', 8000);
                 }
 
                 return false;
             }
 
+            const saveData = migration.saveData;
+
+            // Validate save data structure
+            if (!saveData || !this.validateSaveData(saveData)) {
+                console.error('❌ Invalid save data - trying backups');
+                return this.recoverFromBackup(slot);
+            }
+
             // Load the game state
             this.applySaveData(saveData);
 
@@ -133,6 +586,22 @@ const Storage = {
         }
     },
 
+    // Run SaveMigrations on a parsed save, keeping the raw blob as a backup before anything changes
+    migrateSaveData(saveData, rawData, slot = this.activeSlot) {
+        if (typeof SaveMigrations === 'undefined') {
+            return { success: true, saveData, applied: [], error: null, newer: false };
+        }
+
+        const newer = !!saveData && typeof saveData.version === 'string' && SaveMigrations.isNewerThanCurrent(saveData.version);
+
+        if (rawData && SaveMigrations.needsMigration(saveData)) {
+            this.store.setItem(this.getMigrationBackupKey(slot), rawData);
+            console.log(`🗄️ Backed up version ${saveData.version} save before migrating`);
+        }
+
+        return { ...SaveMigrations.migrate(saveData), newer };
+    },
+
     validateSaveData(saveData) {
         // Check if save data has required structure
         if (!saveData || typeof saveData !== 'object') {
@@ -152,7 +621,7 @@ const Storage = {
 
         const requiredResources = ['coins', 'population', 'happiness'];
         for (const resource of requiredResources) {
-            if (typeof gameState.resources[resource] !== 'number') {
+            if (typeof gameState.resources[resource] !== 'number' && !BigNum.isBig(gameState.resources[resource])) {
                 return false;
             }
         }
@@ -184,6 +653,9 @@ const Storage = {
         Object.keys(GameState.resources).forEach(resourceType => {
             if (resourceType === 'happiness' || resourceType === 'energy') {
                 GameState.resources[resourceType] = Math.max(0, Math.min(100, loadedState.resources[resourceType] || 100));
+            } else if (resourceType === 'coins' || resourceType === 'research') {
+                // Saved as a plain number or, past BigNum.LIMIT, as { mantissa, exponent }
+                GameState.resources[resourceType] = BigNum.max(0, BigNum.sanitize(loadedState.resources[resourceType]));
             } else {
                 GameState.resources[resourceType] = Math.max(0, loadedState.resources[resourceType] || 0);
             }
@@ -207,19 +679,68 @@ const Storage = {
             });
         }
 
+        // Load researched tech, dropping nodes that no longer exist
+        const researched = loadedState.tech && Array.isArray(loadedState.tech.researched) ? loadedState.tech.researched : [];
+        GameState.tech = {
+            researched: researched.filter((nodeId, index) =>
+                typeof TechConfig !== 'undefined' && TechConfig.nodes[nodeId] && researched.indexOf(nodeId) === index)
+        };
+
+        // Load the city grid layout after the building counters it must match
+        if (typeof CityGrid !== 'undefined') {
+            GameState.cityGrid = CityGrid.sanitize(loadedState.cityGrid);
+        }
+
+        // Load quest progress, dropping quests that no longer exist
+        if (typeof Quests !== 'undefined') {
+            GameState.quests = Quests.sanitize(loadedState.quests);
+        }
+
+        // Load the challenge run before offline progress so its timer keeps running
+        // Only the challenge slot plays under challenge rules, even if a challenge save is imported elsewhere
+        if (typeof Challenges !== 'undefined') {
+            GameState.challenge = Challenges.sanitize(this.isChallengeActive() ? loadedState.challenge : null);
+        }
+
+        // Load enacted policies before offline progress so their upkeep is charged
+        if (typeof Policies !== 'undefined') {
+            GameState.policies = Policies.sanitize(loadedState.policies);
+        }
+
+        // Load city events before offline progress so active modifiers keep counting down
+        if (typeof CityEvents !== 'undefined') {
+            GameState.cityEvents = CityEvents.sanitize(loadedState.cityEvents);
+        }
+
         // Load statistics
         if (loadedState.statistics) {
             GameState.statistics.totalClicks = Math.max(0, loadedState.statistics.totalClicks || 0);
             GameState.statistics.buildingsPurchased = Math.max(0, loadedState.statistics.buildingsPurchased || 0);
-            GameState.statistics.totalCoinsEarned = Math.max(0, loadedState.statistics.totalCoinsEarned || 0);
+            GameState.statistics.totalCoinsEarned = BigNum.max(0, BigNum.sanitize(loadedState.statistics.totalCoinsEarned));
             
-            // Initialize missing statistics for existing save games
-            GameState.statistics.totalResearchEarned = Math.max(0, loadedState.statistics.totalResearchEarned || 0);
+            // Statistics added after 1.0.0 are filled in by SaveMigrations; these clamp bad values
+            GameState.statistics.totalResearchEarned = BigNum.max(0, BigNum.sanitize(loadedState.statistics.totalResearchEarned));
             GameState.statistics.maxPopulation = Math.max(0, loadedState.statistics.maxPopulation || Math.floor(GameState.resources.population));
             GameState.statistics.maxHappiness = Math.max(0, loadedState.statistics.maxHappiness || 100);
+            GameState.statistics.maxPollution = Math.max(0, loadedState.statistics.maxPollution || 0);
             GameState.statistics.totalUpgradesPurchased = Math.max(0, loadedState.statistics.totalUpgradesPurchased || 0);
             GameState.statistics.sessionsPlayed = Math.max(1, loadedState.statistics.sessionsPlayed || 1);
             GameState.statistics.achievementsUnlocked = Math.max(0, loadedState.statistics.achievementsUnlocked || 0);
+            GameState.statistics.prestigesPerformed = Math.max(0, loadedState.statistics.prestigesPerformed || 0);
+            GameState.statistics.bestRunTime = Math.max(0, loadedState.statistics.bestRunTime || 0);
+            GameState.statistics.runStartGameTime = Math.max(0, loadedState.statistics.runStartGameTime || 0);
+            GameState.statistics.buildingsSold = Math.max(0, loadedState.statistics.buildingsSold || 0);
+
+            // Per-building net spending; types missing here fall back to list-price estimates
+            GameState.statistics.buildingSpending = {};
+            if (loadedState.statistics.buildingSpending && typeof loadedState.statistics.buildingSpending === 'object') {
+                Object.keys(loadedState.statistics.buildingSpending).forEach(buildingType => {
+                    const spent = BigNum.sanitize(loadedState.statistics.buildingSpending[buildingType], null);
+                    if (BuildingConfig[buildingType] && spent !== null) {
+                        GameState.statistics.buildingSpending[buildingType] = BigNum.max(0, spent);
+                    }
+                });
+            }
 
             // Handle game time - calculate offline progress
             const savedTime = loadedState.statistics.gameTime || 0;
@@ -227,9 +748,10 @@ const Storage = {
             const currentTime = Date.now();
             const offlineTime = Math.floor((currentTime - saveTimestamp) / 1000);
 
-            if (offlineTime > 0 && offlineTime < 86400) { // Max 24 hours offline progress
-                this.calculateOfflineProgress(offlineTime);
-                GameState.statistics.gameTime = savedTime + offlineTime;
+            if (offlineTime > 0) {
+                const creditedTime = Math.min(offlineTime, this.OFFLINE_MAX_SECONDS);
+                this.calculateOfflineProgress(creditedTime);
+                GameState.statistics.gameTime = savedTime + creditedTime;
             } else {
                 GameState.statistics.gameTime = savedTime;
             }
@@ -259,49 +781,42 @@ const Storage = {
         console.log('⚡ Loaded upgrades:', GameState.upgrades);
     },
 
+    // Replay time away through Simulation.run in coarse steps and report what was earned
     calculateOfflineProgress(offlineSeconds) {
-        if (offlineSeconds <= 0) return;
+        if (offlineSeconds <= 0) return null;
 
         console.log(`⏰ Calculating ${offlineSeconds} seconds of offline progress...`);
 
-        let offlineCoins = 0;
-        let offlinePopulation = 0;
-
-        // Calculate offline resource generation
-        const coinsPerSecond = (
-            (GameState.buildings.shops * BuildingConfig.shops.baseProduction) +
-            (GameState.buildings.factories * BuildingConfig.factories.baseProduction)
-        ) * GameState.upgrades.efficiency;
-
-        const populationPerSecond = GameState.buildings.houses * BuildingConfig.houses.baseProduction * GameState.upgrades.efficiency;
+        const before = { ...GameState.resources };
+        const steps = Math.max(1, Math.min(Math.ceil(offlineSeconds), this.OFFLINE_MAX_STEPS));
 
-        // Apply offline progress (with diminishing returns for balance)
-        const offlineEfficiency = Math.min(1, Math.max(0.1, 1 - (offlineSeconds / 3600))); // Reduce efficiency for longer offline periods
+        const result = Simulation.run(GameState, offlineSeconds, steps);
+        GameLoop.applySimulation(result.state);
 
-        offlineCoins = coinsPerSecond * offlineSeconds * offlineEfficiency;
-        offlinePopulation = populationPerSecond * offlineSeconds * offlineEfficiency;
-
-        // Add offline progress to resources
-        GameState.resources.coins += offlineCoins;
-        GameState.resources.population += offlinePopulation;
-        GameState.statistics.totalCoinsEarned += offlineCoins;
-
-        // Show offline progress notification
-        if (typeof UI !== 'undefined' && (offlineCoins > 0 || offlinePopulation > 0)) {
-            const timeString = this.formatOfflineTime(offlineSeconds);
-            let message = `Welcome back! You were offline for ${timeString}.\n`;
-
-            if (offlineCoins > 0) {
-                message += `Earned ${UI.formatNumber(offlineCoins)} coins\n`;
-            }
-            if (offlinePopulation > 0) {
-                message += `Gained ${UI.formatNumber(offlinePopulation)} population`;
-            }
+        // A challenge can be won or lost while the player is away
+        if (typeof Challenges !== 'undefined') {
+            Challenges.handleSimulationEvents(result.events);
+        }
 
-            UI.showNotification(message, 'info', 5000);
+        const summary = {
+            seconds: offlineSeconds,
+            coins: BigNum.sub(GameState.resources.coins, before.coins),
+            population: GameState.resources.population - before.population,
+            research: BigNum.sub(GameState.resources.research, before.research),
+            happinessBefore: before.happiness,
+            happinessAfter: GameState.resources.happiness,
+            energy: GameState.resources.energy,
+            // Logistic growth levels off just below capacity
+            populationCapped: GameState.resources.population >= Simulation.getHousingCapacity(GameState) * 0.99
+        };
+
+        if (typeof UI !== 'undefined' && UI.showOfflineSummary && (BigNum.gt(summary.coins, 0) || summary.population > 0 || BigNum.gt(summary.research, 0))) {
+            UI.showOfflineSummary(summary);
         }
 
-        console.log(`💰 Offline progress: +${offlineCoins} coins, +${offlinePopulation} population`);
+        console.log(`💰 Offline progress: +${BigNum.format(summary.coins)} coins, +${summary.population} population, +${BigNum.format(summary.research)} research`);
+
+        return summary;
     },
 
     formatOfflineTime(seconds) {
@@ -320,17 +835,204 @@ const Storage = {
     autoSave() {
         // Only auto-save if the game has been running for at least 30 seconds
         if (GameState.statistics.gameTime >= 30) {
-            this.saveGame();
+            if (this.saveGame()) {
+                this.createBackup();
+            }
+        }
+    },
+
+    readBackups(slot = this.activeSlot) {
+        const empty = { recent: [], hourly: [], daily: [] };
+
+        try {
+            const backups = JSON.parse(this.store.getItem(this.getBackupKey(slot)));
+            if (!backups || typeof backups !== 'object') {
+                return empty;
+            }
+            Object.keys(empty).forEach(tier => {
+                empty[tier] = Array.isArray(backups[tier]) ? backups[tier] : [];
+            });
+            return empty;
+        } catch (error) {
+            return empty;
+        }
+    },
+
+    // Snapshot the slot's current save into every tier whose interval has passed. Other reasons than an
+    // autosave (before a restore or import) always join `recent`. Returns whether a snapshot was written.
+    createBackup(slot = this.activeSlot, reason = 'autosave') {
+        const now = Date.now();
+        const latest = this.getLatestBackupTimes(slot);
+        const tiers = Object.keys(this.BACKUP_INTERVALS).filter(tier =>
+            (tier === 'recent' && reason !== 'autosave') || now - latest[tier] >= this.BACKUP_INTERVALS[tier]);
+
+        // Most autosaves end here, without parsing or rewriting the backups
+        if (tiers.length === 0) {
+            return false;
+        }
+
+        const savedData = this.store.getItem(this.getSlotKey(slot));
+        const saveData = this.parseSaveString(savedData);
+
+        // Never back up a save that could not be restored
+        if (!saveData) {
+            return false;
+        }
+
+        const entry = {
+            timestamp: now,
+            reason,
+            population: Math.floor(saveData.gameState.resources.population || 0),
+            coins: BigNum.floor(BigNum.sanitize(saveData.gameState.resources.coins)),
+            data: savedData
+        };
+
+        const backups = this.readBackups(slot);
+        tiers.forEach(tier => {
+            backups[tier] = [entry, ...backups[tier]].slice(0, this.BACKUP_LIMITS[tier]);
+        });
+
+        try {
+            this.store.setItem(this.getBackupKey(slot), JSON.stringify(backups));
+            tiers.forEach(tier => {
+                latest[tier] = now;
+            });
+            return true;
+        } catch (error) {
+            // A full quota must not break saving itself
+            console.warn('⚠️ Failed to write save backup:', error);
+            return false;
+        }
+    },
+
+    getLatestBackupTimes(slot) {
+        if (!this.backupTimes[slot]) {
+            const backups = this.readBackups(slot);
+            this.backupTimes[slot] = {};
+            Object.keys(this.BACKUP_INTERVALS).forEach(tier => {
+                this.backupTimes[slot][tier] = backups[tier].length > 0 ? backups[tier][0].timestamp : -Infinity;
+            });
+        }
+        return this.backupTimes[slot];
+    },
+
+    // All backups for a slot, newest first; a snapshot kept by several tiers is listed once
+    getBackups(slot = this.activeSlot) {
+        const backups = this.readBackups(slot);
+        const seen = new Set();
+        const list = [];
+
+        Object.keys(this.BACKUP_LIMITS).forEach(tier => {
+            backups[tier].forEach(entry => {
+                if (seen.has(entry.timestamp)) return;
+                seen.add(entry.timestamp);
+                list.push({ ...entry, tier });
+            });
+        });
+
+        return list.sort((a, b) => b.timestamp - a.timestamp);
+    },
+
+    // Parse, migrate and validate a raw save string; returns null if it can't be loaded
+    parseSaveString(savedData) {
+        if (!savedData) {
+            return null;
+        }
+
+        try {
+            let saveData = JSON.parse(savedData);
+
+            if (typeof SaveMigrations !== 'undefined') {
+                const migration = SaveMigrations.migrate(saveData);
+                if (!migration.success) {
+                    return null;
+                }
+                saveData = migration.saveData;
+            }
+
+            return this.validateSaveData(saveData) ? saveData : null;
+        } catch (error) {
+            return null;
         }
     },
 
-    clearSave() {
-        if (!this.isLocalStorageAvailable()) {
+    // Replace the active city with a backup, keeping a backup of the current state first
+    restoreBackup(timestamp) {
+        const slot = this.activeSlot;
+        const backup = this.getBackups(slot).find(entry => entry.timestamp === timestamp);
+        const saveData = backup ? this.parseSaveString(backup.data) : null;
+
+        if (!saveData) {
+            console.error('❌ Backup not found or unreadable:', timestamp);
+            return false;
+        }
+
+        this.createBackup(slot, 'before restore');
+
+        // The player is restoring, not returning from time away
+        saveData.timestamp = Date.now();
+        this.applySaveData(saveData);
+
+        this.store.setItem(this.getSlotKey(slot), backup.data);
+        this.lockedSlot = null;
+        this.updateSlotMetadata(slot);
+
+        console.log(`⏪ Restored backup from ${new Date(timestamp).toISOString()}`);
+
+        if (typeof UI !== 'undefined') {
+            UI.showNotification('Backup restored!', 'success', 3000);
+            UI.updateAll();
+        }
+
+        return true;
+    },
+
+    // Load the newest backup that still validates after the main save turned out corrupt
+    recoverFromBackup(slot = this.activeSlot) {
+        for (const backup of this.getBackups(slot)) {
+            const saveData = this.parseSaveString(backup.data);
+            if (!saveData) continue;
+
+            this.store.setItem(this.getSlotKey(slot), backup.data);
+            this.applySaveData(saveData);
+
+            console.log(`⏪ Recovered slot ${slot} from backup of ${new Date(backup.timestamp).toISOString()}`);
+
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(`Save data corrupted - restored backup from ${new Date(backup.timestamp).toLocaleString()}`, 'warning', 6000);
+                UI.updateAll();
+            }
+
+            return true;
+        }
+
+        console.error('❌ No usable backup - starting fresh');
+
+        if (typeof UI !== 'undefined') {
+            UI.showNotification('Save data corrupted - starting fresh', 'warning');
+        }
+
+        return false;
+    },
+
+    clearSave(slot = this.activeSlot) {
+        if (!this.isStorageAvailable()) {
             return false;
         }
 
         try {
-            localStorage.removeItem(this.SAVE_KEY);
+            this.store.removeItem(this.getSlotKey(slot));
+            if (slot === this.lockedSlot) {
+                this.lockedSlot = null;
+            }
+
+            // Keep the city's name but forget its progress summary
+            const index = this.readSlotIndex();
+            if (index.slots[slot]) {
+                index.slots[slot] = { name: index.slots[slot].name };
+                this.writeSlotIndex(index);
+            }
+
             console.log('🗑️ Save data cleared');
 
             if (typeof UI !== 'undefined') {
@@ -345,12 +1047,12 @@ const Storage = {
     },
 
     exportSave() {
-        if (!this.isLocalStorageAvailable()) {
+        if (!this.isStorageAvailable()) {
             return null;
         }
 
         try {
-            const savedData = localStorage.getItem(this.SAVE_KEY);
+            const savedData = this.store.getItem(this.SAVE_KEY);
             if (!savedData) {
                 console.log('📁 No save data to export');
                 return null;
@@ -383,17 +1085,26 @@ const Storage = {
 
     importSave(saveString) {
         try {
-            const saveData = JSON.parse(saveString);
+            const migration = this.migrateSaveData(JSON.parse(saveString));
+            if (!migration.success) {
+                throw new Error(migration.error);
+            }
 
+            const saveData = migration.saveData;
             if (!this.validateSaveData(saveData)) {
                 throw new Error('Invalid save data format');
             }
 
+            // The import replaces the current city, so keep it restorable
+            this.createBackup(this.activeSlot, 'before import');
+
             // Apply the imported save
             this.applySaveData(saveData);
 
-            // Save to localStorage
-            localStorage.setItem(this.SAVE_KEY, saveString);
+            // Store in the active slot; older versions are migrated again on the next load
+            this.store.setItem(this.SAVE_KEY, saveString);
+            this.lockedSlot = null;
+            this.updateSlotMetadata(this.activeSlot);
 
             console.log('📥 Save data imported successfully');
 
@@ -0,0 +1,86 @@
+// IdleCity Research Tech Tree
+// Researching nodes unlocks buildings, upgrades and mechanics; the rules live in Simulation
+
+const TechTree = {
+    research(nodeId) {
+        const result = Simulation.researchTech(GameState, nodeId);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
+            if (typeof UI !== 'undefined') {
+                UI.showNotification(result.reason, 'error');
+            }
+            return false;
+        }
+
+        GameLoop.applySimulation(result.state);
+
+        const node = TechConfig.nodes[nodeId];
+        console.log(`🧪 Researched ${node.name}`);
+
+        if (typeof UI !== 'undefined') {
+            const unlocked = this.getUnlockNames(nodeId);
+            UI.showNotification(`🧪 Researched ${node.name}!${unlocked.length > 0 ? ` Unlocked: ${unlocked.join(', ')}` : ''}`, 'success', 4000);
+            UI.updateAll();
+        }
+
+        return true;
+    },
+
+    // Refund every researched node
+    respec() {
+        const result = Simulation.respecTech(GameState);
+        if (!result.success) {
+            console.log(`❌ ${result.reason}`);
+            return false;
+        }
+
+        GameLoop.applySimulation(result.state);
+
+        const { count, refund } = result.events[0];
+        console.log(`🔄 Tech tree reset: ${count} nodes refunded for ${refund} research`);
+
+        if (typeof UI !== 'undefined') {
+            UI.showNotification(`🔄 Tech tree reset (+${UI.formatNumber(refund)} research)`, 'info');
+            UI.updateAll();
+        }
+
+        return true;
+    },
+
+    // Longest prerequisite chain below a node, used as its column in the graph
+    getDepth(nodeId, seen = []) {
+        const node = TechConfig.nodes[nodeId];
+        if (!node || seen.includes(nodeId)) return 0;
+
+        return node.requires.reduce((depth, required) =>
+            Math.max(depth, this.getDepth(required, [...seen, nodeId]) + 1), 0);
+    },
+
+    // Node ids grouped into columns by depth
+    getColumns() {
+        const columns = [];
+
+        Object.keys(TechConfig.nodes).forEach(nodeId => {
+            const depth = this.getDepth(nodeId);
+            columns[depth] = columns[depth] || [];
+            columns[depth].push(nodeId);
+        });
+
+        return columns.filter(Boolean);
+    },
+
+    // Display names of the buildings and upgrades a node unlocks
+    getUnlockNames(nodeId) {
+        const unlocks = TechConfig.nodes[nodeId].unlocks || {};
+
+        return [
+            ...(unlocks.buildings || []).filter(type => BuildingConfig[type]).map(type => BuildingConfig[type].name),
+            ...(unlocks.upgrades || []).filter(type => UpgradeConfig[type]).map(type => UpgradeConfig[type].name)
+        ];
+    },
+
+    getRequirementName(kind, id) {
+        const nodeId = Simulation.getTechRequirement(kind, id);
+        return nodeId ? TechConfig.nodes[nodeId].name : null;
+    }
+};
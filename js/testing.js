@@ -254,8 +254,8 @@ const Testing = {
         Object.assign(window.GameDebug, {
             // Resource manipulation
             addCoins: (amount) => {
-                GameState.resources.coins += amount;
-                console.log(`💰 Added ${amount} coins (Total: ${GameState.resources.coins})`);
+                GameState.resources.coins = BigNum.add(GameState.resources.coins, amount);
+                console.log(`💰 Added ${amount} coins (Total: ${BigNum.format(GameState.resources.coins)})`);
                 if (typeof UI !== 'undefined') UI.updateResourceDisplays();
             },
             
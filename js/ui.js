@@ -9,6 +9,16 @@ const UI = {
     notifications: [],
     animationQueue: [],
 
+    // Bulk-buy quantity selected on each building/upgrade card (1, 10, 100 or 'max')
+    buyModes: {},
+    buyModeOptions: [1, 10, 100, 'max'],
+
+    // Last happiness breakdown drawn, so the panel is only rebuilt when it changes
+    happinessBreakdownKey: null,
+
+    // Last quest tracker state drawn
+    questTrackerKey: null,
+
     init() {
         console.log('🎨 Initializing UI system...');
 
@@ -25,6 +35,40 @@ const UI = {
             // Initialize keyboard shortcuts
             this.initKeyboardShortcuts();
 
+            // Initialize prestige panel
+            this.initPrestigePanel();
+
+            // Initialize save slot picker
+            this.initSlotPicker();
+
+            // Initialize backup restore panel
+            this.initBackupPanel();
+
+            // Initialize settings panel
+            this.initSettingsPanel();
+
+            // Initialize city events panel
+            this.initCityEventsPanel();
+
+            // Initialize tech tree tab
+            this.initTechTree();
+
+            // Initialize policies tab
+            this.initPolicies();
+
+            // Initialize challenges tab
+            this.initChallenges();
+
+            // Initialize city map panel
+            this.initCityMap();
+
+            // Offline summary dismiss button
+            if (this.elements.offlineSummaryClose) {
+                this.elements.offlineSummaryClose.addEventListener('click', () => {
+                    this.elements.offlineSummary.classList.add('hidden');
+                });
+            }
+
             // Initial UI update
             this.updateAll();
 
@@ -73,7 +117,7 @@ const UI = {
 
             // Basic update
             if (this.elements.coinsCount) {
-                this.elements.coinsCount.textContent = Math.floor(GameState.resources.coins);
+                this.elements.coinsCount.textContent = this.formatNumber(GameState.resources.coins);
             }
             if (this.elements.populationCount) {
                 this.elements.populationCount.textContent = Math.floor(GameState.resources.population);
@@ -92,12 +136,22 @@ const UI = {
         // Resource displays
         this.elements.coinsCount = document.getElementById('coinsCount');
         this.elements.populationCount = document.getElementById('populationCount');
+        this.elements.populationHousing = document.getElementById('populationHousing');
         this.elements.happinessCount = document.getElementById('happinessCount');
         this.elements.researchCount = document.getElementById('researchCount');
         this.elements.coinsPerSecond = document.getElementById('coinsPerSecond');
         this.elements.populationPerSecond = document.getElementById('populationPerSecond');
         this.elements.happinessPerSecond = document.getElementById('happinessPerSecond');
         this.elements.researchPerSecond = document.getElementById('researchPerSecond');
+        this.elements.energyCount = document.getElementById('energyCount');
+        this.elements.energySupply = document.getElementById('energySupply');
+        this.elements.energyDemand = document.getElementById('energyDemand');
+        this.elements.energyProgress = document.getElementById('energyProgress');
+        this.elements.energyWarning = document.getElementById('energyWarning');
+        this.elements.pollutionCount = document.getElementById('pollutionCount');
+        this.elements.pollutionPerSecond = document.getElementById('pollutionPerSecond');
+        this.elements.pollutionProgress = document.getElementById('pollutionProgress');
+        this.elements.pollutionWarning = document.getElementById('pollutionWarning');
 
         // Dynamic containers
         this.elements.buildingsGrid = document.getElementById('buildingsGrid');
@@ -106,11 +160,47 @@ const UI = {
         // Tab system
         this.elements.buildingsTab = document.getElementById('buildingsTab');
         this.elements.upgradesTab = document.getElementById('upgradesTab');
+        this.elements.techTab = document.getElementById('techTab');
+        this.elements.policiesTab = document.getElementById('policiesTab');
+        this.elements.challengesTab = document.getElementById('challengesTab');
         this.elements.achievementsTab = document.getElementById('achievementsTab');
         this.elements.buildingsContent = document.getElementById('buildingsContent');
         this.elements.upgradesContent = document.getElementById('upgradesContent');
+        this.elements.techContent = document.getElementById('techContent');
+        this.elements.policiesContent = document.getElementById('policiesContent');
+        this.elements.challengesContent = document.getElementById('challengesContent');
         this.elements.achievementsContent = document.getElementById('achievementsContent');
 
+        // Tech tree
+        this.elements.techGraph = document.getElementById('techGraph');
+        this.elements.techNodes = document.getElementById('techNodes');
+        this.elements.techLinks = document.getElementById('techLinks');
+        this.elements.techRespecBtn = document.getElementById('techRespecBtn');
+        this.elements.techResearchedCount = document.getElementById('techResearchedCount');
+
+        // Policies
+        this.elements.policiesGrid = document.getElementById('policiesGrid');
+        this.elements.policiesActiveCount = document.getElementById('policiesActiveCount');
+
+        // Challenges
+        this.elements.challengesGrid = document.getElementById('challengesGrid');
+        this.elements.challengeStatus = document.getElementById('challengeStatus');
+        this.elements.challengeBanner = document.getElementById('challengeBanner');
+
+        // Quest tracker
+        this.elements.questTracker = document.getElementById('questTracker');
+        this.elements.questNumber = document.getElementById('questNumber');
+        this.elements.questBody = document.getElementById('questBody');
+
+        // City map
+        this.elements.cityMapPanel = document.getElementById('cityMapPanel');
+        this.elements.cityMapStatus = document.getElementById('cityMapStatus');
+        this.elements.cityMapBody = document.getElementById('cityMapBody');
+        this.elements.cityMapTool = document.getElementById('cityMapTool');
+        this.elements.cityMapCanvas = document.getElementById('cityMapCanvas');
+        this.elements.cityMapInfo = document.getElementById('cityMapInfo');
+        this.elements.cityGridToggleBtn = document.getElementById('cityGridToggleBtn');
+
         // Statistics
         this.elements.totalClicks = document.getElementById('totalClicks');
         this.elements.totalBuildings = document.getElementById('totalBuildings');
@@ -121,6 +211,11 @@ const UI = {
         this.elements.happinessProgress = document.getElementById('happinessProgress');
         this.elements.populationProgress = document.getElementById('populationProgress');
         this.elements.populationCapacity = document.getElementById('populationCapacity');
+        this.elements.employmentEmployed = document.getElementById('employmentEmployed');
+        this.elements.employmentJobs = document.getElementById('employmentJobs');
+        this.elements.employmentUnemployed = document.getElementById('employmentUnemployed');
+        this.elements.happinessTarget = document.getElementById('happinessTarget');
+        this.elements.happinessFactors = document.getElementById('happinessFactors');
 
         // Notification container
         this.elements.notificationContainer = document.getElementById('notificationContainer');
@@ -137,10 +232,52 @@ const UI = {
         this.elements.statTotalBuildings = document.getElementById('statTotalBuildings');
         this.elements.statMaxPopulation = document.getElementById('statMaxPopulation');
         this.elements.statMaxHappiness = document.getElementById('statMaxHappiness');
+        this.elements.statMaxPollution = document.getElementById('statMaxPollution');
         this.elements.statTotalResearch = document.getElementById('statTotalResearch');
         this.elements.statGameTime = document.getElementById('statGameTime');
         this.elements.statCurrentSession = document.getElementById('statCurrentSession');
         this.elements.buildingBreakdown = document.getElementById('buildingBreakdown');
+        this.elements.statPrestiges = document.getElementById('statPrestiges');
+        this.elements.statBestRun = document.getElementById('statBestRun');
+
+        // Prestige panel
+        this.elements.prestigeCharters = document.getElementById('prestigeCharters');
+        this.elements.prestigeMultiplier = document.getElementById('prestigeMultiplier');
+        this.elements.prestigePending = document.getElementById('prestigePending');
+        this.elements.prestigeNextCharter = document.getElementById('prestigeNextCharter');
+        this.elements.prestigeRunTime = document.getElementById('prestigeRunTime');
+        this.elements.prestigeBtn = document.getElementById('prestigeBtn');
+
+        // Save slot picker
+        this.elements.slotsBtn = document.getElementById('slotsBtn');
+        this.elements.activeSlotName = document.getElementById('activeSlotName');
+        this.elements.slotPanel = document.getElementById('slotPanel');
+        this.elements.slotPanelClose = document.getElementById('slotPanelClose');
+        this.elements.slotList = document.getElementById('slotList');
+
+        // Backup restore panel
+        this.elements.backupsBtn = document.getElementById('backupsBtn');
+        this.elements.backupPanel = document.getElementById('backupPanel');
+        this.elements.backupPanelClose = document.getElementById('backupPanelClose');
+        this.elements.backupList = document.getElementById('backupList');
+
+        // Settings panel
+        this.elements.settingsBtn = document.getElementById('settingsBtn');
+        this.elements.settingsPanel = document.getElementById('settingsPanel');
+        this.elements.settingsPanelClose = document.getElementById('settingsPanelClose');
+        this.elements.notationOptions = document.getElementById('notationOptions');
+
+        // City events panel
+        this.elements.activeEvents = document.getElementById('activeEvents');
+        this.elements.eventChoice = document.getElementById('eventChoice');
+        this.elements.eventLog = document.getElementById('eventLog');
+
+        // Offline progress summary
+        this.elements.offlineSummary = document.getElementById('offlineSummary');
+        this.elements.offlineSummaryDuration = document.getElementById('offlineSummaryDuration');
+        this.elements.offlineSummaryRows = document.getElementById('offlineSummaryRows');
+        this.elements.offlineSummaryNotes = document.getElementById('offlineSummaryNotes');
+        this.elements.offlineSummaryClose = document.getElementById('offlineSummaryClose');
 
         // Initialize dynamic UI
         this.initializeTabs();
@@ -155,6 +292,13 @@ const UI = {
         this.updateUpgradeDisplays();
         this.updateAchievementDisplays();
         this.updateStatistics();
+        this.updatePrestigeDisplay();
+        this.renderCityEvents();
+        this.updateTechTree();
+        this.updatePolicies();
+        this.renderCityMap();
+        this.updateQuestTracker();
+        this.updateChallenges();
         this.updateButtonStates();
     },
 
@@ -196,6 +340,14 @@ const UI = {
                 }
             }
 
+            // Housing capacity sits next to the population count
+            if (this.elements.populationHousing) {
+                const housing = this.formatNumber(Simulation.getHousingCapacity(GameState));
+                if (this.elements.populationHousing.textContent !== housing) {
+                    this.elements.populationHousing.textContent = housing;
+                }
+            }
+
             if (this.elements.happinessCount) {
                 const happiness = Math.floor(GameState.resources.happiness);
                 if (useBatching) {
@@ -221,6 +373,8 @@ const UI = {
 
         // Update progress bars
         this.updateProgressBars();
+        this.updateEmploymentDisplay();
+        this.updateHappinessBreakdown();
 
         // Update production rates
         if (this.elements.coinsPerSecond) {
@@ -243,6 +397,9 @@ const UI = {
             this.elements.researchCount.textContent = this.formatNumber(GameState.resources.research);
         }
 
+        this.updateEnergyDisplay();
+        this.updatePollutionDisplay();
+
         if (this.elements.researchPerSecond) {
             const researchPerSec = this.calculateResearchPerSecond();
             this.elements.researchPerSecond.textContent = this.formatNumber(researchPerSec, 1);
@@ -352,117 +509,458 @@ const UI = {
 
     // Calculation helpers for production rates
     calculateCoinsPerSecond() {
-        let coinsPerSec = 0;
+        let coinsPerSec = this.getBuildingOutput('coins');
 
         // Auto-clicker coins
         if (GameState.upgrades.autoClickerLevel > 0) {
             coinsPerSec += GameState.upgrades.autoClickerLevel;
         }
 
-        // Iterate through all buildings that generate coins
-        Object.keys(BuildingConfig).forEach(buildingType => {
+        // Policy upkeep is paid from income
+        return coinsPerSec - (Simulation.getPolicyUpkeep(GameState).coins || 0);
+    },
+
+    calculatePopulationPerSecond() {
+        // Growth slows as the city's homes fill up, and in heavy smog
+        const housingRoom = Math.max(0, 1 - GameState.resources.population / Simulation.getHousingCapacity(GameState));
+        return this.getBuildingOutput('population') * housingRoom * Simulation.getPollutionGrowthMultiplier(GameState);
+    },
+
+    // Current drift toward the happiness target
+    calculateHappinessPerSecond() {
+        const gap = Simulation.getHappinessTarget(GameState) - GameState.resources.happiness;
+        return Math.abs(gap) <= HappinessConfig.settleGap ? 0 : gap * HappinessConfig.adjustRate;
+    },
+
+    calculateResearchPerSecond() {
+        // Research requires happiness >= 50
+        return GameState.resources.happiness >= 50 ? this.getBuildingOutput('research') : 0;
+    },
+
+    // Per-second output of every building making `resourceType`, with the same multipliers
+    // Simulation applies (Simulation.getProduction) and brownouts for buildings that draw power
+    getBuildingOutput(resourceType) {
+        const layoutMultipliers = Simulation.getLayoutMultipliers(GameState);
+        const satisfaction = Simulation.getEnergySatisfaction(GameState, layoutMultipliers);
+
+        return Object.keys(BuildingConfig).reduce((total, buildingType) => {
             const config = BuildingConfig[buildingType];
-            const buildingCount = GameState.buildings[buildingType];
+            if (config.resourceType !== resourceType) return total;
 
-            if (buildingCount > 0 && config.resourceType === 'coins') {
-                // Check population requirements for different building categories
-                let canGenerate = true;
+            return total + Simulation.getProduction(GameState, buildingType, layoutMultipliers) * (config.energyUsage > 0 ? satisfaction : 1);
+        }, 0);
+    },
 
-                if (config.category === 'commercial' && GameState.resources.population < 1) {
-                    canGenerate = false; // Commercial buildings need population
-                }
-                if (config.category === 'industrial' && GameState.resources.population < 10) {
-                    canGenerate = false; // Industrial buildings need more population
-                }
+    // Prestige panel setup
+    initPrestigePanel() {
+        if (!this.elements.prestigeBtn) return;
 
-                if (canGenerate) {
-                    const categoryMultiplier = this.getCategoryMultiplier(config.category);
-                    coinsPerSec += buildingCount * config.baseProduction * GameState.upgrades.efficiency * categoryMultiplier;
-                }
+        this.elements.prestigeBtn.addEventListener('click', () => {
+            const pending = Prestige.getPendingCharters();
+            if (pending < 1) return;
+
+            if (confirm(`Sign a new City Charter for ${pending} charter${pending !== 1 ? 's' : ''}? Your buildings, resources and upgrades will be reset.`)) {
+                Prestige.perform();
             }
         });
+    },
 
-        return coinsPerSec;
+    // City events panel setup; choice buttons are re-rendered, so listen on the container
+    initCityEventsPanel() {
+        if (!this.elements.eventChoice) return;
+
+        this.elements.eventChoice.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-event-choice]');
+            if (button && typeof CityEvents !== 'undefined') {
+                CityEvents.choose(button.dataset.eventChoice);
+            }
+        });
     },
 
-    calculatePopulationPerSecond() {
-        let populationPerSec = 0;
+    // Save slot picker setup
+    initSlotPicker() {
+        if (!this.elements.slotsBtn || !this.elements.slotPanel || typeof Storage === 'undefined') return;
 
-        // Iterate through all buildings that generate population
-        Object.keys(BuildingConfig).forEach(buildingType => {
-            const config = BuildingConfig[buildingType];
-            const buildingCount = GameState.buildings[buildingType];
+        this.updateActiveSlotName();
 
-            if (buildingCount > 0 && config.resourceType === 'population') {
-                const categoryMultiplier = this.getCategoryMultiplier(config.category);
-                populationPerSec += buildingCount * config.baseProduction * GameState.upgrades.efficiency * categoryMultiplier;
+        this.elements.slotsBtn.addEventListener('click', () => {
+            const opening = this.elements.slotPanel.classList.contains('hidden');
+            this.elements.slotPanel.classList.toggle('hidden', !opening);
+            this.elements.slotsBtn.setAttribute('aria-expanded', String(opening));
+            if (opening) {
+                this.renderSlotPicker();
             }
         });
 
-        return populationPerSec;
+        if (this.elements.slotPanelClose) {
+            this.elements.slotPanelClose.addEventListener('click', () => {
+                this.elements.slotPanel.classList.add('hidden');
+                this.elements.slotsBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        // Slot cards are re-rendered after every action, so listen on the list
+        this.elements.slotList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-slot-action]');
+            if (button) {
+                this.handleSlotAction(button.dataset.slotAction, parseInt(button.dataset.slot, 10));
+            }
+        });
     },
 
-    calculateHappinessPerSecond() {
-        let happinessPerSec = 0;
+    updateActiveSlotName() {
+        if (!this.elements.activeSlotName) return;
 
-        // Iterate through all buildings that generate happiness
-        Object.keys(BuildingConfig).forEach(buildingType => {
-            const config = BuildingConfig[buildingType];
-            const buildingCount = GameState.buildings[buildingType];
+        if (Storage.isChallengeActive()) {
+            this.elements.activeSlotName.textContent = 'Challenge';
+            return;
+        }
 
-            if (buildingCount > 0 && config.resourceType === 'happiness') {
-                const categoryMultiplier = this.getCategoryMultiplier(config.category);
-                const baseGeneration = buildingCount * config.baseProduction * GameState.upgrades.efficiency * categoryMultiplier;
-                happinessPerSec += baseGeneration;
+        const active = Storage.getSlots().find(slot => slot.active);
+        this.elements.activeSlotName.textContent = active ? active.name : 'Cities';
+    },
+
+    renderSlotPicker() {
+        if (!this.elements.slotList) return;
+
+        this.elements.slotList.innerHTML = '';
+
+        // The cities wait untouched until the challenge is over
+        if (Storage.isChallengeActive()) {
+            this.elements.slotList.innerHTML = '<p class="text-sm text-gray-600">🏁 You are playing a challenge. Leave it from the Challenges tab to get back to your cities.</p>';
+            return;
+        }
+
+        Storage.getSlots().forEach(slot => {
+            const card = document.createElement('div');
+            card.className = `slot-card p-4 rounded-lg border-2 ${slot.active ? 'border-game-primary bg-blue-50' : 'border-gray-200 bg-gray-50'}`;
+
+            const details = slot.exists
+                ? `<div class="text-sm text-gray-600">👥 ${this.formatNumber(slot.population)} population</div>
+                   <div class="text-sm text-gray-600">⏱️ ${this.formatTime(slot.playTime)} played</div>
+                   <div class="text-xs text-gray-500 mt-1">${slot.lastPlayed ? `Last played ${new Date(slot.lastPlayed).toLocaleString()}` : ''}</div>`
+                : '<div class="text-sm text-gray-500">Empty slot</div>';
+
+            const buttonClass = 'text-xs px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 text-gray-700';
+
+            card.innerHTML = `
+                <div class="flex justify-between items-center mb-2">
+                    <h3 class="slot-name font-bold text-game-dark truncate"></h3>
+                    ${slot.active ? '<span class="text-xs font-semibold text-game-primary">Playing</span>' : ''}
+                </div>
+                ${details}
+                <div class="flex flex-wrap gap-2 mt-3">
+                    ${slot.active ? '' : `<button type="button" class="text-xs px-2 py-1 rounded bg-game-primary hover:bg-blue-600 text-white" data-slot-action="switch" data-slot="${slot.slot}">${slot.exists ? 'Play' : 'New City'}</button>`}
+                    <button type="button" class="${buttonClass}" data-slot-action="rename" data-slot="${slot.slot}">Rename</button>
+                    ${slot.exists || slot.active ? `<button type="button" class="${buttonClass}" data-slot-action="copy" data-slot="${slot.slot}">Copy</button>` : ''}
+                    ${slot.exists && !slot.active ? `<button type="button" class="text-xs px-2 py-1 rounded bg-red-100 hover:bg-red-200 text-red-700" data-slot-action="delete" data-slot="${slot.slot}">Delete</button>` : ''}
+                </div>
+            `;
+
+            // City names are player text, so never inject them as HTML
+            const nameEl = card.querySelector('.slot-name');
+            nameEl.textContent = slot.name;
+            nameEl.title = slot.name;
+
+            this.elements.slotList.appendChild(card);
+        });
+    },
+
+    handleSlotAction(action, slot) {
+        const slots = Storage.getSlots();
+        const target = slots.find(entry => entry.slot === slot);
+        if (!target) return;
+
+        switch (action) {
+            case 'switch':
+                Storage.switchSlot(slot);
+                return;
+            case 'rename': {
+                const name = prompt('Name this city:', target.name);
+                if (name === null) return;
+                if (!Storage.renameSlot(slot, name)) {
+                    this.showNotification('City names cannot be blank', 'warning');
+                }
+                break;
+            }
+            case 'copy': {
+                const choices = slots.filter(entry => entry.slot !== slot && !entry.active).map(entry => entry.slot);
+                const answer = prompt(`Copy "${target.name}" into which slot? (${choices.join(', ')})`, String(choices[0] || ''));
+                if (answer === null) return;
+
+                const destination = parseInt(answer, 10);
+                const existing = slots.find(entry => entry.slot === destination);
+                if (existing && existing.exists && !confirm(`Overwrite "${existing.name}"?`)) return;
+
+                if (Storage.copySlot(slot, destination)) {
+                    this.showNotification(`📋 Copied ${target.name} to slot ${destination}`, 'success');
+                } else {
+                    this.showNotification('Could not copy to that slot', 'warning');
+                }
+                break;
+            }
+            case 'delete':
+                if (!confirm(`Delete "${target.name}"? This cannot be undone.`)) return;
+                Storage.deleteSlot(slot);
+                this.showNotification(`🗑️ Deleted ${target.name}`, 'info');
+                break;
+        }
+
+        this.updateActiveSlotName();
+        this.renderSlotPicker();
+    },
 
-                // Add happiness bonus from upgrades
-                happinessPerSec += GameState.upgrades.happinessBonus * buildingCount;
+    // Backup restore panel setup
+    initBackupPanel() {
+        if (!this.elements.backupsBtn || !this.elements.backupPanel || typeof Storage === 'undefined') return;
+
+        this.elements.backupsBtn.addEventListener('click', () => {
+            const opening = this.elements.backupPanel.classList.contains('hidden');
+            this.elements.backupPanel.classList.toggle('hidden', !opening);
+            this.elements.backupsBtn.setAttribute('aria-expanded', String(opening));
+            if (opening) {
+                this.renderBackupList();
             }
         });
 
-        // Happiness decay from population (same as in game loop)
-        if (GameState.resources.population > 0) {
-            happinessPerSec -= GameState.resources.population * 0.05; // Match the decay rate from game loop
+        if (this.elements.backupPanelClose) {
+            this.elements.backupPanelClose.addEventListener('click', () => {
+                this.elements.backupPanel.classList.add('hidden');
+                this.elements.backupsBtn.setAttribute('aria-expanded', 'false');
+            });
         }
 
-        return happinessPerSec;
+        this.elements.backupList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-backup]');
+            if (!button) return;
+
+            const timestamp = parseInt(button.dataset.backup, 10);
+            if (confirm(`Restore the backup from ${new Date(timestamp).toLocaleString()}? Your current progress will be backed up first.`)) {
+                Storage.restoreBackup(timestamp);
+                this.renderBackupList();
+            }
+        });
     },
 
-    getCategoryMultiplier(category) {
-        switch (category) {
-            case 'residential':
-                return 1 + (GameState.upgrades.residentialEfficiency * UpgradeConfig.residentialEfficiency.effect);
-            case 'commercial':
-                return 1 + (GameState.upgrades.commercialEfficiency * UpgradeConfig.commercialEfficiency.effect);
-            case 'industrial':
-                return 1 + (GameState.upgrades.industrialEfficiency * UpgradeConfig.industrialEfficiency.effect);
-            case 'leisure':
-                return 1 + (GameState.upgrades.leisureEfficiency * UpgradeConfig.leisureEfficiency.effect);
-            case 'research':
-                return 1 + (GameState.upgrades.researchEfficiency * UpgradeConfig.researchEfficiency.effect);
-            default:
-                return 1;
+    renderBackupList() {
+        if (!this.elements.backupList) return;
+
+        const backups = Storage.getBackups();
+        const tierLabels = { recent: 'Autosave', hourly: 'Hourly', daily: 'Daily' };
+
+        if (backups.length === 0) {
+            this.elements.backupList.innerHTML = '<p class="text-sm text-gray-500">No backups yet - one is made with every autosave.</p>';
+            return;
         }
+
+        this.elements.backupList.innerHTML = backups.map(backup => `
+            <div class="backup-entry flex justify-between items-center p-3 rounded-lg bg-gray-50 border border-gray-200">
+                <div>
+                    <div class="font-semibold text-game-dark">${new Date(backup.timestamp).toLocaleString()}</div>
+                    <div class="text-xs text-gray-600">
+                        ${backup.reason === 'autosave' ? tierLabels[backup.tier] : `Saved ${backup.reason}`}
+                        · 👥 ${this.formatNumber(backup.population)} · 💰 ${this.formatNumber(backup.coins)}
+                    </div>
+                </div>
+                <button type="button" class="text-xs px-3 py-1 rounded bg-game-primary hover:bg-blue-600 text-white" data-backup="${backup.timestamp}">Restore</button>
+            </div>
+        `).join('');
     },
 
-    calculateResearchPerSecond() {
-        let researchPerSec = 0;
+    // Settings panel setup; settings apply to every city
+    initSettingsPanel() {
+        if (!this.elements.settingsBtn || !this.elements.settingsPanel || typeof NumberNotation === 'undefined') return;
 
-        // Iterate through all buildings that generate research
-        Object.keys(BuildingConfig).forEach(buildingType => {
-            const config = BuildingConfig[buildingType];
-            const buildingCount = GameState.buildings[buildingType];
+        this.elements.settingsBtn.addEventListener('click', () => {
+            const opening = this.elements.settingsPanel.classList.contains('hidden');
+            this.elements.settingsPanel.classList.toggle('hidden', !opening);
+            this.elements.settingsBtn.setAttribute('aria-expanded', String(opening));
+            if (opening) {
+                this.renderNotationOptions();
+            }
+        });
 
-            if (buildingCount > 0 && config.resourceType === 'research') {
-                // Research requires happiness >= 50
-                if (GameState.resources.happiness >= 50) {
-                    const categoryMultiplier = this.getCategoryMultiplier(config.category);
-                    researchPerSec += buildingCount * config.baseProduction * GameState.upgrades.efficiency * categoryMultiplier;
+        if (this.elements.settingsPanelClose) {
+            this.elements.settingsPanelClose.addEventListener('click', () => {
+                this.elements.settingsPanel.classList.add('hidden');
+                this.elements.settingsBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        this.elements.notationOptions.addEventListener('change', (e) => {
+            if (e.target.name !== 'notation' || !NumberNotation.set(e.target.value)) return;
+
+            this.refreshNumberDisplays();
+            this.renderNotationOptions();
+        });
+    },
+
+    renderNotationOptions() {
+        if (!this.elements.notationOptions) return;
+
+        this.elements.notationOptions.innerHTML = Object.entries(NumberNotation.notations).map(([id, notation]) => `
+            <label class="flex items-center gap-3 p-3 rounded-lg border cursor-pointer ${id === NumberNotation.current ? 'border-game-primary bg-blue-50' : 'border-gray-200 bg-gray-50'}">
+                <input type="radio" name="notation" value="${id}" ${id === NumberNotation.current ? 'checked' : ''}>
+                <span class="font-semibold text-game-dark">${notation.name}</span>
+                <span class="text-xs text-gray-600 ml-auto">${notation.example}</span>
+            </label>
+        `).join('');
+    },
+
+    // Redraw everything that shows numbers, including panels that are only rebuilt when their values change
+    refreshNumberDisplays() {
+        this.happinessBreakdownKey = null;
+        this.questTrackerKey = null;
+        this.challengeCardsKey = null;
+
+        if (this.elements.policiesGrid && this.elements.policiesGrid.children.length > 0) {
+            this.generatePoliciesUI();
+        }
+
+        const roadOption = this.elements.cityMapTool && this.elements.cityMapTool.querySelector('option[value="road"]');
+        if (roadOption) {
+            roadOption.textContent = this.getRoadToolLabel();
+        }
+
+        this.updateAll();
+    },
+
+    // "While you were away" screen for Storage.calculateOfflineProgress results
+    showOfflineSummary(summary) {
+        if (!this.elements.offlineSummary) {
+            this.showNotification(`Welcome back! Earned ${this.formatNumber(summary.coins)} coins while away`, 'info', 5000);
+            return;
+        }
+
+        const rows = [
+            { icon: '💰', label: 'Coins', value: summary.coins },
+            { icon: '👥', label: 'Population', value: summary.population },
+            { icon: '🔬', label: 'Research', value: summary.research }
+        ].filter(row => BigNum.gt(row.value, 0));
+
+        const happinessChange = summary.happinessAfter - summary.happinessBefore;
+        rows.push({
+            icon: '😊',
+            label: 'Happiness',
+            text: `${Math.round(summary.happinessBefore)}% → ${Math.round(summary.happinessAfter)}%`,
+            className: happinessChange < 0 ? 'text-game-danger' : 'text-game-secondary'
+        });
+
+        const notes = [];
+        if (summary.populationCapped) {
+            notes.push('🏠 Your city ran out of housing - build more homes to keep growing.');
+        }
+        if (summary.energy < 100) {
+            notes.push(`⚡ Brownout: your grid ran at ${Math.round(summary.energy)}% power.`);
+        }
+        if (summary.seconds >= Storage.OFFLINE_MAX_SECONDS) {
+            notes.push('⏰ Offline progress is capped at 24 hours.');
+        }
+
+        this.elements.offlineSummaryDuration.textContent = `You were away for ${Storage.formatOfflineTime(summary.seconds)}.`;
+
+        this.elements.offlineSummaryRows.innerHTML = rows.map(row => `
+            <div class="flex justify-between items-center p-2 rounded bg-gray-50">
+                <span>${row.icon} ${row.label}</span>
+                <span class="font-bold ${row.className || 'text-game-secondary'}">${row.text || `+${this.formatNumber(row.value)}`}</span>
+            </div>
+        `).join('');
+
+        this.elements.offlineSummaryNotes.innerHTML = notes.map(note => `<p>${note}</p>`).join('');
+
+        this.elements.offlineSummary.classList.remove('hidden');
+    },
+
+    // Update prestige panel
+    updatePrestigeDisplay() {
+        const charters = GameState.upgrades.prestige || 0;
+        const pending = Prestige.getPendingCharters();
+
+        if (this.elements.prestigeCharters) {
+            this.elements.prestigeCharters.textContent = this.formatNumber(charters);
+        }
+
+        if (this.elements.prestigeMultiplier) {
+            this.elements.prestigeMultiplier.textContent = `+${((Prestige.getMultiplier() - 1) * 100).toFixed(0)}%`;
+        }
+
+        if (this.elements.prestigePending) {
+            this.elements.prestigePending.textContent = `+${this.formatNumber(pending)}`;
+        }
+
+        if (this.elements.prestigeNextCharter) {
+            this.elements.prestigeNextCharter.textContent = `Next charter at ${this.formatNumber(Prestige.getCoinsForNextCharter())} lifetime coins`;
+        }
+
+        if (this.elements.prestigeRunTime) {
+            this.elements.prestigeRunTime.textContent = this.formatTime(Prestige.getRunTime());
+        }
+
+        if (this.elements.prestigeBtn) {
+            this.elements.prestigeBtn.disabled = !Prestige.canPrestige();
+        }
+    },
+
+    // Update city events panel: pending decision, running modifiers and the event log
+    renderCityEvents() {
+        const cityEvents = GameState.cityEvents;
+        if (!cityEvents || !this.elements.activeEvents) return;
+
+        const pending = cityEvents.pending;
+        const pendingDefinition = pending && EventConfig.events[pending.id];
+        if (this.elements.eventChoice) {
+            if (!pendingDefinition) {
+                this.elements.eventChoice.innerHTML = '';
+                this.elements.eventChoice.classList.add('hidden');
+            } else {
+                // Rebuilding the buttons mid-click would swallow the click, so only do it for a new event
+                if (this.elements.eventChoice.dataset.eventId !== pending.id || this.elements.eventChoice.classList.contains('hidden')) {
+                    const buttons = Object.entries(pendingDefinition.choices).map(([choiceId, choice]) => {
+                        const cost = Object.entries(choice.cost || {})
+                            .map(([resource, amount]) => `${this.formatNumber(amount)} ${resource}`)
+                            .join(', ');
+                        return `<button type="button" data-event-choice="${choiceId}" class="btn-enhanced w-full bg-sky-600 hover:bg-sky-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white py-1 px-2 rounded text-xs font-semibold">${choice.label}${cost ? ` (${cost})` : ''}</button>`;
+                    }).join('');
+
+                    this.elements.eventChoice.innerHTML = `
+                        <p class="text-sm font-semibold text-gray-800">${pendingDefinition.icon} ${pendingDefinition.name}</p>
+                        <p class="text-xs text-gray-600 mb-2">${pendingDefinition.description} Deciding in <span data-event-countdown></span>s.</p>
+                        <div class="space-y-1">${buttons}</div>
+                    `;
+                    this.elements.eventChoice.dataset.eventId = pending.id;
+                    this.elements.eventChoice.classList.remove('hidden');
                 }
+
+                this.elements.eventChoice.querySelector('[data-event-countdown]').textContent = Math.ceil(pending.remaining);
+                this.elements.eventChoice.querySelectorAll('[data-event-choice]').forEach(button => {
+                    const choice = pendingDefinition.choices[button.dataset.eventChoice];
+                    button.disabled = !Object.entries(choice.cost || {})
+                        .every(([resource, amount]) => BigNum.gte(GameState.resources[resource], amount));
+                });
             }
-        });
+        }
+
+        if (cityEvents.active.length === 0) {
+            this.elements.activeEvents.innerHTML = '<p class="text-gray-500 text-xs">No events in progress.</p>';
+        } else {
+            this.elements.activeEvents.innerHTML = cityEvents.active.map(active => {
+                const definition = EventConfig.events[active.id];
+                return `
+                    <div class="flex justify-between items-center">
+                        <span class="text-gray-700">${definition.icon} ${definition.name}</span>
+                        <span class="text-gray-600">${this.formatTime(Math.ceil(active.remaining))}</span>
+                    </div>
+                `;
+            }).join('');
+        }
 
-        return researchPerSec;
+        if (this.elements.eventLog) {
+            this.elements.eventLog.innerHTML = cityEvents.log.map(entry => {
+                const definition = EventConfig.events[entry.id];
+                const choice = entry.choice && definition.choices ? ` - ${definition.choices[entry.choice].label}` : '';
+                return `<li>${this.formatTime(entry.time)}: ${definition.icon} ${definition.name}${choice}</li>`;
+            }).join('');
+        }
     },
 
     // Generate achievements UI
@@ -499,6 +997,9 @@ const UI = {
         const progressWidth = achievement.progress || 0;
         const progressColor = achievement.unlocked ? 'bg-green-500' : 'bg-blue-500';
 
+        // Multi-part conditions get one bar per requirement
+        const parts = achievement.unlocked ? [] : Achievements.getConditionParts(achievement.condition);
+
         card.innerHTML = `
             <div class="flex items-center gap-3 mb-3">
                 <span class="text-3xl ${achievement.unlocked ? '' : 'grayscale opacity-50'}">${achievement.icon}</span>
@@ -522,6 +1023,22 @@ const UI = {
                 </div>
             ` : ''}
             
+            ${parts.length > 1 ? `
+                <div class="achievement-subprogress space-y-1 mb-3">
+                    ${parts.map(part => `
+                        <div>
+                            <div class="flex justify-between text-xs text-gray-500">
+                                <span>${part.label}</span>
+                                <span>${this.formatNumber(BigNum.min(part.current, part.target))} / ${this.formatNumber(part.target)}</span>
+                            </div>
+                            <div class="w-full bg-gray-200 rounded-full h-1">
+                                <div class="${part.progress >= 100 ? 'bg-green-500' : 'bg-blue-400'} h-1 rounded-full" style="width: ${part.progress}%"></div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            
             ${achievement.reward ? `
                 <div class="text-xs text-gray-500 mt-2">
                     <strong>Reward:</strong> ${this.formatReward(achievement.reward)}
@@ -535,8 +1052,8 @@ const UI = {
     // Format achievement reward text
     formatReward(reward) {
         const rewards = [];
-        if (reward.coins) rewards.push(`${reward.coins} coins`);
-        if (reward.research) rewards.push(`${reward.research} research`);
+        if (reward.coins) rewards.push(`${this.formatNumber(reward.coins)} coins`);
+        if (reward.research) rewards.push(`${this.formatNumber(reward.research)} research`);
         if (reward.happiness) rewards.push(`${reward.happiness} happiness`);
         return rewards.join(', ');
     },
@@ -606,6 +1123,10 @@ const UI = {
             this.elements.statMaxHappiness.textContent = Math.floor(stats.maxHappiness);
         }
 
+        if (this.elements.statMaxPollution) {
+            this.elements.statMaxPollution.textContent = this.formatNumber(stats.maxPollution);
+        }
+
         if (this.elements.statTotalResearch) {
             this.elements.statTotalResearch.textContent = this.formatNumber(stats.totalResearchEarned);
         }
@@ -644,6 +1165,11 @@ const UI = {
             currentHappinessElement.textContent = `${Math.floor(GameState.resources.happiness)} current`;
         }
 
+        const currentPollutionElement = document.getElementById('statCurrentPollution');
+        if (currentPollutionElement) {
+            currentPollutionElement.textContent = `${this.formatNumber(GameState.resources.pollution || 0)} current`;
+        }
+
         const upgradesPurchasedElement = document.getElementById('statUpgradesPurchased');
         if (upgradesPurchasedElement) {
             upgradesPurchasedElement.textContent = `${GameState.statistics.totalUpgradesPurchased || 0} upgrades`;
@@ -659,6 +1185,14 @@ const UI = {
             sessionProgressElement.textContent = `+${stats.currentSession.clicksThisSession} clicks`;
         }
 
+        if (this.elements.statPrestiges) {
+            this.elements.statPrestiges.textContent = this.formatNumber(stats.prestigesPerformed);
+        }
+
+        if (this.elements.statBestRun) {
+            this.elements.statBestRun.textContent = stats.bestRunTime > 0 ? `best run ${this.formatTime(stats.bestRunTime)}` : 'no runs yet';
+        }
+
         // Update building breakdown
         this.updateBuildingBreakdown(stats.buildingBreakdown);
     },
@@ -738,6 +1272,27 @@ const UI = {
             console.warn('⚠️ Some tab elements not found during initialization');
         }
 
+        if (this.elements.techTab) {
+            this.elements.techTab.addEventListener('click', () => {
+                console.log('🧪 Tech tab clicked');
+                this.switchTab('tech');
+            });
+        }
+
+        if (this.elements.policiesTab) {
+            this.elements.policiesTab.addEventListener('click', () => {
+                console.log('🏛️ Policies tab clicked');
+                this.switchTab('policies');
+            });
+        }
+
+        if (this.elements.challengesTab) {
+            this.elements.challengesTab.addEventListener('click', () => {
+                console.log('🏁 Challenges tab clicked');
+                this.switchTab('challenges');
+            });
+        }
+
         // Initialize tier filters
         document.querySelectorAll('.tier-filter').forEach(button => {
             button.addEventListener('click', (e) => {
@@ -796,6 +1351,42 @@ const UI = {
                     this.generateUpgradesUI();
                 }
             }
+        } else if (tabName === 'tech') {
+            if (this.elements.techTab && this.elements.techContent) {
+                this.elements.techTab.classList.add('active', 'bg-game-primary', 'text-white');
+                this.elements.techTab.classList.remove('bg-gray-100', 'text-gray-600');
+                this.elements.techContent.classList.remove('hidden');
+
+                // Regenerate the graph if empty; links need the laid-out cards
+                if (this.elements.techNodes && this.elements.techNodes.children.length === 0) {
+                    this.generateTechTreeUI();
+                }
+                this.updateTechTree();
+                requestAnimationFrame(() => this.drawTechLinks());
+            }
+        } else if (tabName === 'policies') {
+            if (this.elements.policiesTab && this.elements.policiesContent) {
+                this.elements.policiesTab.classList.add('active', 'bg-game-primary', 'text-white');
+                this.elements.policiesTab.classList.remove('bg-gray-100', 'text-gray-600');
+                this.elements.policiesContent.classList.remove('hidden');
+
+                if (this.elements.policiesGrid && this.elements.policiesGrid.children.length === 0) {
+                    this.generatePoliciesUI();
+                }
+                this.updatePolicies();
+            }
+        } else if (tabName === 'challenges') {
+            if (this.elements.challengesTab && this.elements.challengesContent) {
+                this.elements.challengesTab.classList.add('active', 'bg-game-primary', 'text-white');
+                this.elements.challengesTab.classList.remove('bg-gray-100', 'text-gray-600');
+                this.elements.challengesContent.classList.remove('hidden');
+
+                if (this.elements.challengesGrid && this.elements.challengesGrid.children.length === 0) {
+                    this.generateChallengesUI();
+                }
+                this.challengeCardsKey = null;
+                this.updateChallenges();
+            }
         } else if (tabName === 'achievements') {
             if (this.elements.achievementsTab && this.elements.achievementsContent) {
                 this.elements.achievementsTab.classList.add('active', 'bg-game-primary', 'text-white');
@@ -817,6 +1408,205 @@ const UI = {
         console.log(`✅ Switched to ${tabName} tab`);
     },
 
+    // Current quest with a bar per requirement
+    updateQuestTracker() {
+        if (!this.elements.questBody || typeof Quests === 'undefined' || typeof Achievements === 'undefined') return;
+
+        const quest = Quests.getCurrent();
+        const parts = quest ? Achievements.getConditionParts(quest.condition) : [];
+
+        // Rebuild only when the quest or its progress changes
+        const key = quest ? `${quest.id}|${parts.map(part => Math.floor(part.progress)).join('|')}` : 'done';
+        if (this.questTrackerKey === key) return;
+        this.questTrackerKey = key;
+
+        if (!quest) {
+            this.elements.questNumber.textContent = '';
+            this.elements.questBody.innerHTML = '<p class="text-gray-600">🎉 Every quest is complete. The city is yours!</p>';
+            return;
+        }
+
+        this.elements.questNumber.textContent = `${Quests.getCurrentNumber()} of ${QuestConfig.chain.length}`;
+        this.elements.questBody.innerHTML = `
+            <p class="font-bold text-game-dark">${quest.icon} ${quest.name}</p>
+            <p class="text-gray-700">${quest.description}</p>
+            ${parts.map(part => `
+                <div class="mt-2">
+                    <div class="flex justify-between text-xs text-gray-500">
+                        <span>${part.label}</span>
+                        <span>${this.formatNumber(BigNum.min(part.current, part.target))} / ${this.formatNumber(part.target)}</span>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-1.5">
+                        <div class="${part.progress >= 100 ? 'bg-green-500' : 'bg-indigo-500'} h-1.5 rounded-full" style="width: ${part.progress}%"></div>
+                    </div>
+                </div>
+            `).join('')}
+            <p class="text-xs text-gray-500 mt-2">💡 ${quest.hint}</p>
+            <p class="text-xs text-indigo-700 font-medium mt-1">🎁 ${Quests.getRewardText(quest.reward)}</p>
+        `;
+    },
+
+    // Tile fill colours on the city map, by building category
+    cityMapColors: {
+        residential: '#bfdbfe',
+        commercial: '#fde68a',
+        leisure: '#bbf7d0',
+        industrial: '#d1d5db',
+        utility: '#fed7aa',
+        research: '#ddd6fe'
+    },
+
+    getRoadToolLabel() {
+        return `🛣️ Road (${this.formatNumber(CityGridConfig.roadCost)} coins)`;
+    },
+
+    initCityMap() {
+        const { cityMapPanel, cityMapTool, cityMapCanvas, cityGridToggleBtn } = this.elements;
+        if (!cityMapPanel || !cityMapCanvas || typeof CityGrid === 'undefined') return;
+
+        cityMapTool.innerHTML = [
+            `<option value="road">${this.getRoadToolLabel()}</option>`,
+            '<option value="bulldoze">🚧 Bulldoze</option>',
+            '<option value="move">↔️ Move building</option>',
+            ...Object.keys(BuildingConfig).map(buildingType =>
+                `<option value="${buildingType}">${BuildingConfig[buildingType].icon} ${BuildingConfig[buildingType].name}</option>`)
+        ].join('');
+
+        cityGridToggleBtn.addEventListener('click', () => {
+            if (!Simulation.isCityGridEnabled(GameState)) {
+                CityGrid.enable();
+            } else if (confirm('Switch back to plain counters? Your buildings are kept, but the map layout is discarded.')) {
+                CityGrid.disable();
+            }
+        });
+
+        cityMapTool.addEventListener('change', () => {
+            CityGrid.movingFrom = null;
+            this.renderCityMap();
+        });
+
+        cityMapCanvas.addEventListener('click', (e) => {
+            const tileIndex = this.getCityMapTile(e);
+            if (tileIndex === null) return;
+
+            CityGrid.useTool(cityMapTool.value, tileIndex);
+            this.renderCityMap();
+        });
+
+        cityMapCanvas.addEventListener('mousemove', (e) => {
+            const tileIndex = this.getCityMapTile(e);
+            if (tileIndex !== null) {
+                this.elements.cityMapInfo.textContent = this.describeCityMapTile(tileIndex);
+            }
+        });
+
+        cityMapPanel.addEventListener('toggle', () => this.renderCityMap());
+    },
+
+    // Tile index under a mouse event, or null outside the map
+    getCityMapTile(e) {
+        const canvas = this.elements.cityMapCanvas;
+        if (!Simulation.isCityGridEnabled(GameState)) return null;
+
+        const { width, height } = CityGridConfig;
+        const rect = canvas.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / rect.width * width);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * height);
+
+        return x >= 0 && y >= 0 && x < width && y < height ? y * width + x : null;
+    },
+
+    describeCityMapTile(tileIndex) {
+        const tile = GameState.cityGrid.tiles[tileIndex];
+        const position = `(${tileIndex % CityGridConfig.width}, ${Math.floor(tileIndex / CityGridConfig.width)})`;
+        const roads = Simulation.getConnectedRoads(GameState);
+
+        if (tile === 'road') {
+            return `${position} Road${roads.has(tileIndex) ? '' : ' - not connected to the edge of the map'}`;
+        }
+        if (BuildingConfig[tile]) {
+            const multiplier = Simulation.getTileMultiplier(GameState, tileIndex, roads);
+            return multiplier === 0
+                ? `${position} ${BuildingConfig[tile].name} - idle, no road access`
+                : `${position} ${BuildingConfig[tile].name} - output ×${multiplier.toFixed(2)}`;
+        }
+        return `${position} ${Simulation.isTileConnected(GameState, tileIndex, roads) ? 'Empty lot' : 'Empty - needs a road next to it'}`;
+    },
+
+    // Draw the city grid while the map panel is open
+    renderCityMap() {
+        const { cityMapPanel, cityMapCanvas, cityMapBody, cityMapStatus, cityGridToggleBtn } = this.elements;
+        if (!cityMapPanel || !cityMapCanvas) return;
+
+        const enabled = Simulation.isCityGridEnabled(GameState);
+        cityMapBody.classList.toggle('hidden', !enabled);
+        cityGridToggleBtn.textContent = enabled ? 'Disable City Grid' : 'Enable City Grid';
+
+        if (enabled) {
+            const lots = Simulation.getFreeLots(GameState).length;
+            cityMapStatus.textContent = `${this.formatNumber(lots)} free lots next to roads. Pick a tool and click a tile.`;
+        }
+
+        const context = cityMapCanvas.getContext && cityMapCanvas.getContext('2d');
+        if (!enabled || !cityMapPanel.open || !context) return;
+
+        const { width, height } = CityGridConfig;
+        const size = cityMapCanvas.width / width;
+        const roads = Simulation.getConnectedRoads(GameState);
+
+        context.clearRect(0, 0, cityMapCanvas.width, cityMapCanvas.height);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.font = `${Math.floor(size * 0.7)}px sans-serif`;
+
+        GameState.cityGrid.tiles.forEach((tile, index) => {
+            const x = (index % width) * size;
+            const y = Math.floor(index / width) * size;
+            const config = BuildingConfig[tile];
+
+            if (tile === 'road') {
+                context.fillStyle = roads.has(index) ? '#6b7280' : '#9ca3af';
+            } else if (config) {
+                context.fillStyle = this.cityMapColors[config.category] || '#e5e7eb';
+            } else {
+                context.fillStyle = Simulation.isTileConnected(GameState, index, roads) ? '#f0fdf4' : '#dcfce7';
+            }
+            context.fillRect(x, y, size, size);
+
+            if (config) {
+                context.fillText(config.icon, x + size / 2, y + size / 2);
+
+                // Outline idle buildings in red, boosted in green and penalised in orange
+                const multiplier = Simulation.getTileMultiplier(GameState, index, roads);
+                const outline = multiplier === 0 ? '#dc2626' : multiplier > 1 ? '#16a34a' : multiplier < 1 ? '#f97316' : null;
+                if (outline) {
+                    context.strokeStyle = outline;
+                    context.lineWidth = 2;
+                    context.strokeRect(x + 1, y + 1, size - 2, size - 2);
+                }
+            }
+        });
+
+        if (CityGrid.movingFrom !== null) {
+            context.strokeStyle = '#2563eb';
+            context.lineWidth = 3;
+            context.strokeRect((CityGrid.movingFrom % width) * size + 1, Math.floor(CityGrid.movingFrom / width) * size + 1, size - 2, size - 2);
+        }
+
+        context.strokeStyle = 'rgba(0, 0, 0, 0.05)';
+        context.lineWidth = 1;
+        context.beginPath();
+        for (let column = 0; column <= width; column++) {
+            context.moveTo(column * size, 0);
+            context.lineTo(column * size, height * size);
+        }
+        for (let row = 0; row <= height; row++) {
+            context.moveTo(0, row * size);
+            context.lineTo(width * size, row * size);
+        }
+        context.stroke();
+    },
+
     // Dynamic building UI generation
     generateBuildingsUI() {
         console.log('🏗️ Generating buildings UI...');
@@ -850,6 +1640,7 @@ const UI = {
         card.dataset.category = config.category;
 
         const buttonId = 'buy' + buildingType.charAt(0).toUpperCase() + buildingType.slice(1) + 'Btn';
+        const sellButtonId = 'sell' + buildingType.charAt(0).toUpperCase() + buildingType.slice(1) + 'Btn';
 
         card.innerHTML =
             '<div class="flex items-center gap-3 mb-3">' +
@@ -867,7 +1658,30 @@ const UI = {
             '</div>' +
             '<div class="flex justify-between items-center">' +
             '<span class="text-gray-700">Production:</span>' +
-            '<span class="text-gray-600">+<span id="' + buildingType + 'Production">0</span> ' + config.resourceType + '/sec</span>' +
+            '<span class="text-gray-600">+<span id="' + buildingType + 'Production">0</span> ' + (config.resourceType === 'energy' ? 'MW' : config.resourceType + '/sec') + '</span>' +
+            '</div>' +
+            (config.jobs > 0
+                ? '<div class="flex justify-between items-center">' +
+                  '<span class="text-gray-700">Staffing:</span>' +
+                  '<span id="' + buildingType + 'Staffing" class="text-gray-600">0 / 0 jobs</span>' +
+                  '</div>'
+                : '') +
+            (config.housing > 0
+                ? '<div class="flex justify-between items-center">' +
+                  '<span class="text-gray-700">Housing:</span>' +
+                  '<span class="text-gray-600">' + config.housing + ' residents each</span>' +
+                  '</div>'
+                : '') +
+            (config.pollution > 0 || config.pollutionAbsorption > 0
+                ? '<div class="flex justify-between items-center">' +
+                  '<span class="text-gray-700">Pollution:</span>' +
+                  '<span class="' + (config.pollution > 0 ? 'text-stone-600' : 'text-green-700') + '">' +
+                  (config.pollution > 0 ? '+' + config.pollution : '-' + config.pollutionAbsorption) + '/sec each</span>' +
+                  '</div>'
+                : '') +
+            '<div class="flex justify-between items-center">' +
+            '<span class="text-gray-700">Power draw:</span>' +
+            '<span class="text-cyan-700">' + (config.energyUsage > 0 ? '-' + config.energyUsage + ' MW each' : 'none') + '</span>' +
             '</div>' +
             '<div class="flex justify-between items-center">' +
             '<span class="text-gray-700">Cost:</span>' +
@@ -876,11 +1690,25 @@ const UI = {
             '<div id="' + buildingType + 'Requirements" class="text-xs text-gray-500">' +
             '<!-- Requirements will be populated dynamically -->' +
             '</div>' +
+            this.createBuyModeToggle(buildingType) +
             '<button id="' + buttonId + '" class="btn-enhanced w-full bg-game-primary hover:bg-blue-600 disabled:bg-gray-400 disabled:cursor-not-allowed text-white py-2 px-3 rounded-lg font-semibold text-sm">' +
             'Buy ' + config.name +
             '</button>' +
+            '<button id="' + sellButtonId + '" class="w-full bg-gray-200 hover:bg-red-100 disabled:opacity-50 disabled:cursor-not-allowed text-gray-700 py-1 px-3 rounded-lg font-semibold text-xs">' +
+            'Sell' +
+            '</button>' +
             '</div>';
 
+        this.bindBuyModeToggle(card, buildingType);
+
+        // Bind here so regenerated cards (e.g. after a content pack loads) stay clickable
+        card.querySelector('#' + buttonId).addEventListener('click', () => {
+            Buildings.purchase(buildingType, this.getBuildingBuyCount(buildingType));
+        });
+        card.querySelector('#' + sellButtonId).addEventListener('click', () => {
+            Buildings.sell(buildingType, this.getSellCount(buildingType));
+        });
+
         return card;
     },
 
@@ -938,14 +1766,438 @@ const UI = {
             '<span class="text-gray-700">Cost:</span>' +
             '<span id="' + upgradeType + 'Cost" class="font-bold text-purple-600">0 research</span>' +
             '</div>' +
+            this.createBuyModeToggle(upgradeType) +
             '<button id="' + buttonId + '" class="btn-enhanced w-full bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white py-2 px-3 rounded-lg font-semibold text-sm">' +
             'Upgrade' +
             '</button>' +
             '</div>';
 
+        this.bindBuyModeToggle(card, upgradeType);
+
+        card.querySelector('#' + buttonId).addEventListener('click', () => {
+            Upgrades.purchase(upgradeType, this.getUpgradeBuyCount(upgradeType));
+        });
+
         return card;
     },
 
+    // Tech tree tab setup: research clicks, arrow-key navigation and respec
+    initTechTree() {
+        if (!this.elements.techNodes) return;
+
+        this.elements.techNodes.addEventListener('click', (e) => {
+            // Researched and locked nodes only show their details
+            const card = e.target.closest('[data-tech-node]');
+            if (card && typeof TechTree !== 'undefined' && Simulation.canResearch(GameState, card.dataset.techNode)) {
+                TechTree.research(card.dataset.techNode);
+            }
+        });
+
+        this.elements.techNodes.addEventListener('keydown', (e) => {
+            const card = e.target.closest('[data-tech-node]');
+            const offsets = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+            if (!card || !offsets[e.key]) return;
+
+            e.preventDefault();
+            const [columnOffset, rowOffset] = offsets[e.key];
+            const columns = Array.from(this.elements.techNodes.children);
+            const column = Number(card.dataset.column) + columnOffset;
+            if (column < 0 || column >= columns.length) return;
+
+            const cards = columns[column].querySelectorAll('[data-tech-node]');
+            const row = Math.max(0, Math.min(cards.length - 1, Number(card.dataset.row) + rowOffset));
+            cards[row].focus();
+        });
+
+        if (this.elements.techRespecBtn) {
+            this.elements.techRespecBtn.addEventListener('click', () => {
+                const refund = Math.floor(GameState.tech.researched.reduce((sum, nodeId) => sum + TechConfig.nodes[nodeId].cost, 0) * TechConfig.respecRefundRate);
+
+                if (confirm(`Forget all research for ${this.formatNumber(refund)} research points? Buildings and upgrades you already bought are kept.`)) {
+                    TechTree.respec();
+                }
+            });
+        }
+
+        window.addEventListener('resize', () => this.drawTechLinks());
+    },
+
+    generateTechTreeUI() {
+        if (!this.elements.techNodes || typeof TechTree === 'undefined') return;
+
+        this.elements.techNodes.innerHTML = TechTree.getColumns().map((column, columnIndex) =>
+            '<div class="flex flex-col gap-4 justify-center min-w-[11rem]">' +
+            column.map((nodeId, rowIndex) => {
+                const node = TechConfig.nodes[nodeId];
+                const unlocks = TechTree.getUnlockNames(nodeId);
+
+                return '<button type="button" data-tech-node="' + nodeId + '" data-column="' + columnIndex + '" data-row="' + rowIndex + '" ' +
+                    'class="tech-node text-left p-3 rounded-lg border-2 bg-white transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-purple-400" title="' + node.description + '">' +
+                    '<div class="flex items-center gap-2"><span class="text-xl">' + node.icon + '</span>' +
+                    '<span class="font-bold text-sm text-game-dark">' + node.name + '</span></div>' +
+                    '<p class="text-xs text-gray-600 mt-1">' + node.description + '</p>' +
+                    (unlocks.length > 0 ? '<p class="text-xs text-purple-700 mt-1">Unlocks: ' + unlocks.join(', ') + '</p>' : '') +
+                    '<p class="tech-node-status text-xs font-semibold mt-2"></p>' +
+                    '</button>';
+            }).join('') +
+            '</div>'
+        ).join('');
+    },
+
+    // Refresh node states (researched / available / locked) while the tab is open
+    updateTechTree() {
+        if (!this.elements.techNodes || !this.elements.techContent || this.elements.techContent.classList.contains('hidden')) return;
+
+        const researched = GameState.tech.researched;
+
+        this.elements.techNodes.querySelectorAll('[data-tech-node]').forEach(card => {
+            const nodeId = card.dataset.techNode;
+            const node = TechConfig.nodes[nodeId];
+            const status = card.querySelector('.tech-node-status');
+            const done = researched.includes(nodeId);
+            const available = Simulation.canResearch(GameState, nodeId);
+            const affordable = BigNum.gte(GameState.resources.research, node.cost);
+
+            card.classList.toggle('border-green-400', done);
+            card.classList.toggle('bg-green-50', done);
+            card.classList.toggle('border-purple-400', available);
+            card.classList.toggle('border-gray-200', !done && !available);
+            card.classList.toggle('opacity-60', !done && !available);
+            card.setAttribute('aria-disabled', String(done || !available || !affordable));
+
+            if (done) {
+                status.textContent = '✅ Researched';
+                status.className = 'tech-node-status text-xs font-semibold mt-2 text-green-700';
+            } else if (available) {
+                status.textContent = `🔬 ${this.formatNumber(node.cost)} research`;
+                status.className = 'tech-node-status text-xs font-semibold mt-2 ' + (affordable ? 'text-purple-700' : 'text-gray-500');
+            } else {
+                const missing = node.requires.filter(required => !researched.includes(required)).map(required => TechConfig.nodes[required].name);
+                status.textContent = `🔒 Needs ${missing.join(', ')}`;
+                status.className = 'tech-node-status text-xs font-semibold mt-2 text-gray-500';
+            }
+        });
+
+        if (this.elements.techResearchedCount) {
+            this.elements.techResearchedCount.textContent = `${researched.length}/${Object.keys(TechConfig.nodes).length}`;
+        }
+
+        if (this.elements.techRespecBtn) {
+            this.elements.techRespecBtn.disabled = researched.length === 0;
+        }
+
+        this.drawTechLinks();
+    },
+
+    initPolicies() {
+        if (!this.elements.policiesGrid) return;
+
+        this.elements.policiesGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-policy-action]');
+            if (!button || button.disabled || typeof Policies === 'undefined') return;
+
+            if (button.dataset.policyAction === 'repeal') {
+                Policies.repeal(button.dataset.policy);
+            } else {
+                Policies.enact(button.dataset.policy);
+            }
+        });
+    },
+
+    generatePoliciesUI() {
+        if (!this.elements.policiesGrid || typeof PolicyConfig === 'undefined') return;
+
+        this.elements.policiesGrid.innerHTML = Object.keys(PolicyConfig.policies).map(policyId => {
+            const policy = PolicyConfig.policies[policyId];
+            const upkeep = Object.keys(policy.upkeep || {}).map(resource => `${this.formatNumber(policy.upkeep[resource])} ${resource}/sec`);
+
+            return '<div data-policy-card="' + policyId + '" class="p-4 rounded-lg border-2 bg-white transition-all duration-300">' +
+                '<div class="flex items-center gap-2 mb-1"><span class="text-2xl">' + policy.icon + '</span>' +
+                '<h3 class="font-bold text-game-dark">' + policy.name + '</h3></div>' +
+                '<p class="text-sm text-gray-600">' + policy.description + '</p>' +
+                '<p class="text-xs text-gray-500 mt-1">Upkeep: ' + (upkeep.length > 0 ? upkeep.join(', ') : 'none') + '</p>' +
+                '<p class="policy-status text-xs font-semibold mt-2"></p>' +
+                '<button type="button" data-policy="' + policyId + '" data-policy-action="enact" ' +
+                'class="btn-enhanced w-full mt-3 py-2 px-4 rounded-lg font-semibold text-sm text-white disabled:bg-gray-400 disabled:cursor-not-allowed"></button>' +
+                '</div>';
+        }).join('');
+    },
+
+    // Refresh policy cards (in force / available / locked) while the tab is open
+    updatePolicies() {
+        if (!this.elements.policiesGrid || !this.elements.policiesContent || this.elements.policiesContent.classList.contains('hidden') || typeof Policies === 'undefined') return;
+
+        const active = Simulation.getActivePolicies(GameState);
+        const slotsFull = active.length >= PolicyConfig.maxActive;
+
+        this.elements.policiesGrid.querySelectorAll('[data-policy-card]').forEach(card => {
+            const policyId = card.dataset.policyCard;
+            const enacted = active.includes(policyId);
+            const requirement = Policies.getRequirementText(policyId);
+            const status = card.querySelector('.policy-status');
+            const button = card.querySelector('[data-policy-action]');
+
+            card.classList.toggle('border-green-400', enacted);
+            card.classList.toggle('bg-green-50', enacted);
+            card.classList.toggle('border-gray-200', !enacted);
+            card.classList.toggle('opacity-60', !enacted && !!requirement);
+
+            button.dataset.policyAction = enacted ? 'repeal' : 'enact';
+            button.textContent = enacted ? 'Repeal' : 'Enact';
+            button.disabled = !enacted && (!!requirement || slotsFull);
+            button.classList.toggle('bg-red-500', enacted);
+            button.classList.toggle('hover:bg-red-600', enacted);
+            button.classList.toggle('bg-blue-500', !enacted);
+            button.classList.toggle('hover:bg-blue-600', !enacted);
+
+            if (enacted) {
+                status.textContent = '✅ In force';
+                status.className = 'policy-status text-xs font-semibold mt-2 text-green-700';
+            } else if (requirement) {
+                status.textContent = `🔒 ${requirement}`;
+                status.className = 'policy-status text-xs font-semibold mt-2 text-gray-500';
+            } else {
+                status.textContent = slotsFull ? `Repeal a policy first (${PolicyConfig.maxActive} max)` : 'Available';
+                status.className = 'policy-status text-xs font-semibold mt-2 ' + (slotsFull ? 'text-gray-500' : 'text-blue-700');
+            }
+        });
+
+        if (this.elements.policiesActiveCount) {
+            this.elements.policiesActiveCount.textContent = `${active.length}/${PolicyConfig.maxActive}`;
+        }
+    },
+
+    initChallenges() {
+        // Start buttons live on the cards, the leave button in the status panel
+        [this.elements.challengesGrid, this.elements.challengeStatus].forEach(container => {
+            if (!container) return;
+
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-challenge-action]');
+                if (!button || button.disabled || typeof Challenges === 'undefined') return;
+
+                if (button.dataset.challengeAction === 'leave') {
+                    const finished = !!GameState.challenge.result;
+                    if (confirm(finished ? 'Return to your city? This challenge city will be discarded.' : 'Abandon this challenge and return to your city? The run will not count.')) {
+                        Challenges.leave();
+                    }
+                } else {
+                    const challenge = ChallengeConfig.challenges[button.dataset.challenge];
+                    if (confirm(`Start ${challenge.name}? Your city is saved and will be waiting when you return.`)) {
+                        Challenges.start(button.dataset.challenge);
+                    }
+                }
+            });
+        });
+    },
+
+    generateChallengesUI() {
+        if (!this.elements.challengesGrid || typeof ChallengeConfig === 'undefined') return;
+
+        this.elements.challengesGrid.innerHTML = Object.keys(ChallengeConfig.challenges).map(challengeId => {
+            const challenge = ChallengeConfig.challenges[challengeId];
+
+            return '<div data-challenge-card="' + challengeId + '" class="p-4 rounded-lg border-2 border-gray-200 bg-white transition-all duration-300">' +
+                '<div class="flex items-center gap-2 mb-1"><span class="text-2xl">' + challenge.icon + '</span>' +
+                '<h3 class="font-bold text-game-dark">' + challenge.name + '</h3></div>' +
+                '<p class="text-sm text-gray-600">' + challenge.description + '</p>' +
+                '<p class="text-xs text-gray-500 mt-1">Time limit: ' + (challenge.timeLimit ? Challenges.formatTime(challenge.timeLimit) : 'none') + '</p>' +
+                '<p class="challenge-record text-xs text-gray-600 mt-2"></p>' +
+                '<ol class="challenge-times text-xs text-gray-600 mt-1 list-decimal list-inside"></ol>' +
+                '<button type="button" data-challenge="' + challengeId + '" data-challenge-action="start" ' +
+                'class="btn-enhanced w-full mt-3 py-2 px-4 rounded-lg font-semibold text-sm text-white bg-orange-500 hover:bg-orange-600 disabled:bg-gray-400 disabled:cursor-not-allowed">Start</button>' +
+                '</div>';
+        }).join('');
+    },
+
+    // Challenge clock in the header, plus the status panel and leaderboard cards while the tab is open
+    updateChallenges() {
+        if (typeof Challenges === 'undefined') return;
+
+        const challenge = Challenges.getActive();
+        const run = GameState.challenge;
+
+        if (this.elements.challengeBanner) {
+            this.elements.challengeBanner.classList.toggle('hidden', !challenge);
+            if (challenge) {
+                const limit = challenge.timeLimit ? ` / ${Challenges.formatTime(challenge.timeLimit)}` : '';
+                const result = run.result === 'completed' ? ' ✅' : run.result === 'failed' ? ' ❌' : '';
+                this.elements.challengeBanner.textContent = `🏁 Challenge: ${challenge.icon} ${challenge.name} · ${Challenges.formatTime(run.elapsed)}${limit}${result}`;
+            }
+        }
+
+        if (!this.elements.challengesContent || this.elements.challengesContent.classList.contains('hidden')) return;
+
+        if (this.elements.challengeStatus) {
+            this.elements.challengeStatus.classList.toggle('hidden', !challenge);
+            if (challenge && typeof Achievements !== 'undefined') {
+                const parts = Achievements.getConditionParts(challenge.goal);
+                const timeLeft = Simulation.getChallengeTimeLeft(GameState);
+                const status = run.result === 'completed'
+                    ? `✅ Completed in ${Challenges.formatTime(run.elapsed)}`
+                    : run.result === 'failed' ? '❌ Time ran out' : timeLeft !== null ? `⏱️ ${Challenges.formatTime(timeLeft)} left` : `⏱️ ${Challenges.formatTime(run.elapsed)}`;
+
+                this.elements.challengeStatus.innerHTML = `
+                    <div class="flex justify-between items-center gap-4 flex-wrap">
+                        <p class="font-bold text-game-dark">${challenge.icon} Playing ${challenge.name}</p>
+                        <span class="text-sm font-semibold text-orange-700">${status}</span>
+                    </div>
+                    ${parts.map(part => `
+                        <div class="mt-2">
+                            <div class="flex justify-between text-xs text-gray-500">
+                                <span>${part.label}</span>
+                                <span>${this.formatNumber(BigNum.min(part.current, part.target))} / ${this.formatNumber(part.target)}</span>
+                            </div>
+                            <div class="w-full bg-gray-200 rounded-full h-1.5">
+                                <div class="${part.progress >= 100 ? 'bg-green-500' : 'bg-orange-500'} h-1.5 rounded-full" style="width: ${part.progress}%"></div>
+                            </div>
+                        </div>
+                    `).join('')}
+                    <button type="button" data-challenge-action="leave" class="btn-enhanced mt-3 bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded-lg font-semibold text-xs">
+                        ${run.result ? '🏙️ Return to your city' : '🏳️ Abandon challenge'}
+                    </button>
+                `;
+            }
+        }
+
+        // Records only change when a run starts or finishes, so rebuild the cards on those
+        const key = `${run.id}|${run.result}`;
+        if (!this.elements.challengesGrid || this.challengeCardsKey === key) return;
+        this.challengeCardsKey = key;
+
+        this.elements.challengesGrid.querySelectorAll('[data-challenge-card]').forEach(card => {
+            const challengeId = card.dataset.challengeCard;
+            const record = Challenges.getRecord(challengeId);
+            const playing = run.id === challengeId;
+
+            card.classList.toggle('border-orange-400', playing);
+            card.classList.toggle('bg-orange-50', playing);
+            card.classList.toggle('border-gray-200', !playing);
+
+            card.querySelector('.challenge-record').textContent = record.bestTimes.length > 0
+                ? `🥇 Best ${Challenges.formatTime(record.bestTimes[0].time)} · ${record.completions}/${record.attempts} completed`
+                : record.attempts > 0 ? `Not completed yet · ${record.attempts} attempt${record.attempts !== 1 ? 's' : ''}` : 'Not attempted yet';
+
+            card.querySelector('.challenge-times').innerHTML = record.bestTimes.map(entry =>
+                `<li>${Challenges.formatTime(entry.time)} <span class="text-gray-400">${new Date(entry.date).toLocaleDateString()}</span></li>`
+            ).join('');
+
+            // One challenge at a time, started from the player's own city
+            const button = card.querySelector('[data-challenge-action]');
+            button.disabled = !!challenge;
+            button.textContent = playing ? 'Playing' : 'Start';
+        });
+    },
+
+    // Prerequisite lines from the right edge of each required node to the left edge of the node needing it
+    drawTechLinks() {
+        const { techGraph, techNodes, techLinks } = this.elements;
+        if (!techGraph || !techLinks || !techNodes || techNodes.offsetParent === null) return;
+
+        const origin = techGraph.getBoundingClientRect();
+        const researched = GameState.tech.researched;
+        const lines = [];
+
+        techLinks.setAttribute('width', techNodes.scrollWidth);
+        techLinks.setAttribute('height', techNodes.scrollHeight);
+
+        Object.keys(TechConfig.nodes).forEach(nodeId => {
+            const to = techNodes.querySelector('[data-tech-node="' + nodeId + '"]');
+            if (!to) return;
+
+            TechConfig.nodes[nodeId].requires.forEach(required => {
+                const from = techNodes.querySelector('[data-tech-node="' + required + '"]');
+                if (!from) return;
+
+                const a = from.getBoundingClientRect();
+                const b = to.getBoundingClientRect();
+                const color = researched.includes(required) && researched.includes(nodeId) ? '#22c55e' : '#d1d5db';
+
+                lines.push('<line x1="' + (a.right - origin.left + techGraph.scrollLeft) + '" y1="' + (a.top + a.height / 2 - origin.top) +
+                    '" x2="' + (b.left - origin.left + techGraph.scrollLeft) + '" y2="' + (b.top + b.height / 2 - origin.top) +
+                    '" stroke="' + color + '" stroke-width="2" />');
+            });
+        });
+
+        techLinks.innerHTML = lines.join('');
+    },
+
+    // Bulk-buy selector (x1 / x10 / x100 / Max) shared by building and upgrade cards
+    createBuyModeToggle(type) {
+        const current = this.buyModes[type] || 1;
+
+        return '<div class="buy-mode-toggle flex gap-1">' +
+            this.buyModeOptions.map(mode => {
+                const active = mode === current;
+                return '<button type="button" data-buy-mode="' + mode + '" class="buy-mode-btn flex-1 py-1 rounded text-xs font-semibold ' +
+                    (active ? 'active bg-game-primary text-white' : 'bg-gray-200 text-gray-700') + '">' +
+                    (mode === 'max' ? 'Max' : 'x' + mode) +
+                    '</button>';
+            }).join('') +
+            '</div>';
+    },
+
+    bindBuyModeToggle(card, type) {
+        card.querySelectorAll('.buy-mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const mode = button.dataset.buyMode === 'max' ? 'max' : parseInt(button.dataset.buyMode, 10);
+                this.setBuyMode(type, mode, card);
+            });
+        });
+    },
+
+    setBuyMode(type, mode, card) {
+        this.buyModes[type] = mode;
+
+        if (card) {
+            card.querySelectorAll('.buy-mode-btn').forEach(button => {
+                const active = button.dataset.buyMode === String(mode);
+                button.classList.toggle('active', active);
+                button.classList.toggle('bg-game-primary', active);
+                button.classList.toggle('text-white', active);
+                button.classList.toggle('bg-gray-200', !active);
+                button.classList.toggle('text-gray-700', !active);
+            });
+        }
+
+        this.updateBuildingDisplays();
+        this.updateUpgradeDisplays();
+        this.updateButtonStates();
+    },
+
+    // Number of buildings the card's buy button will purchase (at least 1 so a cost can be shown)
+    getBuildingBuyCount(buildingType) {
+        const mode = this.buyModes[buildingType] || 1;
+        if (mode === 'max') {
+            const lots = Simulation.isCityGridEnabled(GameState) ? Simulation.getFreeLots(GameState).length : Infinity;
+            return Math.max(1, Math.min(Buildings.getMaxAffordable(buildingType), lots));
+        }
+        return mode;
+    },
+
+    // Number of buildings the card's sell button will demolish (0 when none can be sold)
+    getSellCount(buildingType) {
+        const mode = this.buyModes[buildingType] || 1;
+        const sellable = Buildings.getSellableCount(buildingType);
+
+        if (mode === 'max') {
+            return sellable;
+        }
+        return Math.min(mode, sellable);
+    },
+
+    // Number of upgrade levels the card's button will purchase, clamped to the levels left
+    getUpgradeBuyCount(upgradeType) {
+        const mode = this.buyModes[upgradeType] || 1;
+        const config = UpgradeConfig[upgradeType];
+        const remaining = Math.max(1, config.maxLevel - (GameState.upgrades[upgradeType] || 0));
+
+        if (mode === 'max') {
+            return Math.max(1, Upgrades.getMaxAffordable(upgradeType));
+        }
+        return Math.min(mode, remaining);
+    },
+
     // Filter functions
     filterBuildings(tier) {
         document.querySelectorAll('.tier-filter').forEach(btn => {
@@ -985,22 +2237,34 @@ const UI = {
 
     // Update dynamic displays
     updateBuildingDisplays() {
+        const employment = Simulation.getEmployment(GameState);
+
         Object.keys(BuildingConfig).forEach(buildingType => {
             const ownedElement = document.getElementById(`${buildingType}Owned`);
             const productionElement = document.getElementById(`${buildingType}Production`);
             const costElement = document.getElementById(`${buildingType}Cost`);
             const requirementsElement = document.getElementById(`${buildingType}Requirements`);
+            const staffingElement = document.getElementById(`${buildingType}Staffing`);
 
             if (ownedElement) {
                 ownedElement.textContent = GameState.buildings[buildingType] || 0;
             }
 
+            if (staffingElement) {
+                const slots = (GameState.buildings[buildingType] || 0) * BuildingConfig[buildingType].jobs;
+                staffingElement.textContent = slots > 0
+                    ? `${this.formatNumber(Math.floor(slots * employment.staffing))} / ${this.formatNumber(slots)} jobs (${Math.round(employment.staffing * 100)}%)`
+                    : `${BuildingConfig[buildingType].jobs} jobs each`;
+                staffingElement.classList.toggle('text-red-600', slots > 0 && employment.staffing < 1);
+            }
+
             if (productionElement) {
                 productionElement.textContent = this.formatNumber(Buildings.getProduction(buildingType), 1);
             }
 
             if (costElement) {
-                costElement.textContent = this.formatNumber(Buildings.getCost(buildingType)) + ' coins';
+                const count = this.getBuildingBuyCount(buildingType);
+                costElement.textContent = this.formatNumber(Buildings.getBulkCost(buildingType, count)) + ' coins';
             }
 
             if (requirementsElement) {
@@ -1009,13 +2273,22 @@ const UI = {
 
                 Object.entries(config.unlockCondition).forEach(([req, value]) => {
                     if (GameState.resources[req] !== undefined) {
-                        requirements.push(`${value} ${req}`);
+                        requirements.push(`${this.formatNumber(value)} ${req}`);
                     } else if (GameState.buildings[req] !== undefined) {
                         requirements.push(`${value} ${req}`);
                     }
                 });
 
-                requirementsElement.textContent = requirements.length > 0 ? `Requires: ${requirements.join(', ')}` : '';
+                const tech = typeof TechTree !== 'undefined' ? TechTree.getRequirementName('buildings', buildingType) : null;
+                if (tech && !Simulation.isTechUnlocked(GameState, 'buildings', buildingType)) {
+                    requirements.push(`${tech} research`);
+                }
+
+                if (Simulation.isBuildingBanned(GameState, buildingType)) {
+                    requirementsElement.textContent = '🚫 Banned in this challenge';
+                } else {
+                    requirementsElement.textContent = requirements.length > 0 ? `Requires: ${requirements.join(', ')}` : '';
+                }
             }
         });
     },
@@ -1039,35 +2312,60 @@ const UI = {
             }
 
             if (costElement) {
-                const cost = Upgrades.getCost(upgradeType);
+                const cost = Upgrades.getCost(upgradeType, this.getUpgradeBuyCount(upgradeType));
                 costElement.textContent = `${this.formatNumber(cost)} ${config.resourceType}`;
             }
         });
     },
 
     updateButtonStates() {
+        // On the city grid every new building needs a lot
+        const freeLots = Simulation.isCityGridEnabled(GameState) ? Simulation.getFreeLots(GameState).length : Infinity;
+
         // Update building buttons
         Object.keys(BuildingConfig).forEach(buildingType => {
             const buttonId = 'buy' + buildingType.charAt(0).toUpperCase() + buildingType.slice(1) + 'Btn';
             const button = document.getElementById(buttonId);
 
             if (button) {
-                const canAfford = Buildings.canAfford(buildingType);
+                const count = this.getBuildingBuyCount(buildingType);
+                const canAfford = Buildings.canAfford(buildingType, count);
                 const isUnlocked = Buildings.isUnlocked(buildingType);
+                const hasLots = count <= freeLots;
+                const label = count > 1 ? `Buy ${count} ${BuildingConfig[buildingType].name}` : `Buy ${BuildingConfig[buildingType].name}`;
 
-                button.disabled = !canAfford || !isUnlocked;
+                button.disabled = !canAfford || !isUnlocked || !hasLots;
 
                 if (!isUnlocked) {
-                    button.textContent = 'Locked';
+                    button.textContent = Simulation.isBuildingBanned(GameState, buildingType) ? 'Banned' : 'Locked';
                     button.classList.add('opacity-50');
+                } else if (!hasLots) {
+                    button.textContent = 'No free lots - build roads';
+                    button.classList.add('opacity-75');
                 } else if (!canAfford) {
-                    button.textContent = `Buy ${BuildingConfig[buildingType].name}`;
+                    button.textContent = label;
                     button.classList.add('opacity-75');
                 } else {
-                    button.textContent = `Buy ${BuildingConfig[buildingType].name}`;
+                    button.textContent = label;
                     button.classList.remove('opacity-50', 'opacity-75');
                 }
             }
+
+            const sellButtonId = 'sell' + buildingType.charAt(0).toUpperCase() + buildingType.slice(1) + 'Btn';
+            const sellButton = document.getElementById(sellButtonId);
+
+            if (sellButton) {
+                const sellCount = this.getSellCount(buildingType);
+                const minimumKept = Buildings.getMinimumKept(buildingType);
+
+                sellButton.disabled = sellCount === 0;
+                sellButton.textContent = sellCount > 0
+                    ? `Sell ${sellCount > 1 ? sellCount + ' ' : ''}(+${this.formatNumber(Buildings.getSellRefund(buildingType, sellCount))} coins)`
+                    : 'Sell';
+                sellButton.title = minimumKept > 0
+                    ? `Must keep ${minimumKept} for buildings that require them`
+                    : '';
+            }
         });
 
         // Update upgrade buttons
@@ -1076,19 +2374,25 @@ const UI = {
             const button = document.getElementById(buttonId);
 
             if (button) {
-                const canAfford = Upgrades.canAfford(upgradeType);
+                const count = this.getUpgradeBuyCount(upgradeType);
+                const canAfford = Upgrades.canAfford(upgradeType, count);
                 const isMaxLevel = Upgrades.isMaxLevel(upgradeType);
+                const isUnlocked = Upgrades.isUnlocked(upgradeType);
+                const label = count > 1 ? `Upgrade x${count}` : 'Upgrade';
 
-                button.disabled = !canAfford || isMaxLevel;
+                button.disabled = !canAfford || isMaxLevel || !isUnlocked;
 
-                if (isMaxLevel) {
+                if (!isUnlocked) {
+                    button.textContent = `Requires ${TechTree.getRequirementName('upgrades', upgradeType)}`;
+                    button.classList.add('opacity-50');
+                } else if (isMaxLevel) {
                     button.textContent = 'Max Level';
                     button.classList.add('opacity-50');
                 } else if (!canAfford) {
-                    button.textContent = 'Upgrade';
+                    button.textContent = label;
                     button.classList.add('opacity-75');
                 } else {
-                    button.textContent = 'Upgrade';
+                    button.textContent = label;
                     button.classList.remove('opacity-50', 'opacity-75');
                 }
             }
@@ -1265,7 +2569,139 @@ const UI = {
         }
     },
 
+    // Update power grid supply/demand display
+    updateEnergyDisplay() {
+        const supply = Energy.getSupply();
+        const demand = Energy.getDemand();
+        const overloaded = demand > supply;
+
+        if (this.elements.energyCount) {
+            this.elements.energyCount.textContent = `${Math.floor(Energy.getSatisfaction() * 100)}%`;
+        }
+
+        if (this.elements.energySupply) {
+            this.elements.energySupply.textContent = this.formatNumber(supply, 1);
+        }
+
+        if (this.elements.energyDemand) {
+            this.elements.energyDemand.textContent = this.formatNumber(demand, 1);
+        }
+
+        if (this.elements.energyProgress) {
+            const loadPercent = supply > 0 ? Math.min(100, (demand / supply) * 100) : 100;
+            this.elements.energyProgress.style.width = loadPercent + '%';
+
+            if (overloaded) {
+                this.elements.energyProgress.style.background = 'linear-gradient(90deg, #ef4444, #f87171)';
+            } else if (loadPercent > 80) {
+                this.elements.energyProgress.style.background = 'linear-gradient(90deg, #f59e0b, #fbbf24)';
+            } else {
+                this.elements.energyProgress.style.background = 'linear-gradient(90deg, #06b6d4, #22d3ee)';
+            }
+        }
+
+        if (this.elements.energyWarning) {
+            this.elements.energyWarning.classList.toggle('hidden', !overloaded);
+            if (overloaded) {
+                this.elements.energyWarning.textContent = `⚠️ Grid overloaded - output reduced to ${Math.floor(Energy.getSatisfaction() * 100)}%`;
+            }
+        }
+    },
+
+    updatePollutionDisplay() {
+        if (!this.elements.pollutionCount) return;
+
+        const pollution = GameState.resources.pollution || 0;
+        const { emitted, absorbed } = Simulation.getPollutionRates(GameState);
+        const perSecond = emitted - absorbed - pollution * PollutionConfig.dissipation;
+
+        this.elements.pollutionCount.textContent = this.formatNumber(pollution);
+
+        if (this.elements.pollutionPerSecond) {
+            this.elements.pollutionPerSecond.textContent = `${perSecond >= 0 ? '+' : ''}${this.formatNumber(perSecond, 1)}`;
+        }
+
+        // The bar fills up to the level where growth starts to slow
+        if (this.elements.pollutionProgress) {
+            const percent = Math.min(100, (pollution / PollutionConfig.growthThreshold) * 100);
+            this.elements.pollutionProgress.style.width = percent + '%';
+
+            if (pollution > PollutionConfig.growthThreshold) {
+                this.elements.pollutionProgress.style.background = 'linear-gradient(90deg, #ef4444, #f87171)';
+            } else if (pollution > PollutionConfig.happinessThreshold) {
+                this.elements.pollutionProgress.style.background = 'linear-gradient(90deg, #f59e0b, #fbbf24)';
+            } else {
+                this.elements.pollutionProgress.style.background = 'linear-gradient(90deg, #78716c, #a8a29e)';
+            }
+        }
+
+        if (this.elements.pollutionWarning) {
+            const growthLoss = 1 - Simulation.getPollutionGrowthMultiplier(GameState);
+            const happinessLoss = Simulation.getPollutionHappinessPenalty(GameState);
+
+            this.elements.pollutionWarning.classList.toggle('hidden', happinessLoss <= 0);
+            if (growthLoss > 0) {
+                this.elements.pollutionWarning.textContent = `⚠️ Smog: happiness -${this.formatNumber(happinessLoss, 1)}, population growth -${Math.round(growthLoss * 100)}%`;
+            } else if (happinessLoss > 0) {
+                this.elements.pollutionWarning.textContent = `⚠️ Smog: happiness -${this.formatNumber(happinessLoss, 1)}`;
+            }
+        }
+    },
+
     // Update progress bars
+    updateEmploymentDisplay() {
+        if (!this.elements.employmentEmployed) return;
+
+        const employment = Simulation.getEmployment(GameState);
+        this.elements.employmentEmployed.textContent = this.formatNumber(employment.employed);
+        this.elements.employmentJobs.textContent = this.formatNumber(employment.jobs);
+        this.elements.employmentUnemployed.textContent = `${this.formatNumber(employment.unemployed)} unemployed`;
+        this.elements.employmentUnemployed.classList.toggle('text-red-600', employment.unemployed > 0);
+    },
+
+    happinessFactorLabels: {
+        base: '🏙️ Baseline',
+        leisure: '🌳 Leisure',
+        cityPlanning: '😊 City Planning',
+        unemployment: '👷 Unemployment',
+        pollution: '🏭 Pollution',
+        energy: '⚡ Power shortage',
+        events: '📰 City events',
+        policies: '🏛️ Policies',
+        challenge: '🏁 Challenge rules'
+    },
+
+    // Signed happiness factors, so players can see why happiness is moving
+    updateHappinessBreakdown() {
+        if (!this.elements.happinessFactors) return;
+
+        const target = Math.round(Simulation.getHappinessTarget(GameState));
+        const rows = Simulation.getHappinessFactors(GameState)
+            .filter(factor => factor.id === 'base' || Math.abs(factor.amount) >= 0.05)
+            .map(factor => ({
+                label: this.happinessFactorLabels[factor.id] || factor.id,
+                amount: `${factor.amount > 0 ? '+' : ''}${this.formatNumber(factor.amount, 1)}`,
+                negative: factor.amount < 0
+            }));
+
+        // Rebuild only when a value changes
+        const lines = rows.map(row => `${row.label}: ${row.amount}`);
+        const key = `${target}|${lines.join('|')}`;
+        if (this.happinessBreakdownKey === key) return;
+        this.happinessBreakdownKey = key;
+
+        this.elements.happinessFactors.innerHTML = rows.map(row =>
+            `<li class="flex justify-between"><span>${row.label}</span><span class="${row.negative ? 'text-red-600' : 'text-green-700'} font-semibold">${row.amount}</span></li>`
+        ).join('');
+
+        if (this.elements.happinessTarget) {
+            this.elements.happinessTarget.textContent = target;
+        }
+        if (this.elements.happinessCount) {
+            this.elements.happinessCount.title = [`Target ${target}%`, ...lines].join('\n');
+        }
+    },
+
     updateProgressBars() {
         // Happiness progress bar (0-100%)
         if (this.elements.happinessProgress) {
@@ -1284,7 +2720,7 @@ const UI = {
 
         // Population progress bar (0-capacity%)
         if (this.elements.populationProgress && this.elements.populationCapacity) {
-            const capacity = GameState.upgrades.populationCap || 10000;
+            const capacity = Simulation.getHousingCapacity(GameState);
             const populationPercent = Math.min(100, (GameState.resources.population / capacity) * 100);
             this.elements.populationProgress.style.width = populationPercent + '%';
             this.elements.populationCapacity.textContent = `${this.formatNumber(GameState.resources.population)} / ${this.formatNumber(capacity)}`;
@@ -1494,25 +2930,9 @@ const UI = {
         document.head.appendChild(style);
     },
 
-    // Number formatting for better readability
+    // Number formatting in the player's chosen notation (see NumberNotation); accepts plain numbers and BigNum values
     formatNumber(num, decimals = 0) {
-        if (num === 0) return '0';
-
-        const absNum = Math.abs(num);
-
-        if (absNum >= 1e12) {
-            return (num / 1e12).toFixed(decimals) + 'T';
-        } else if (absNum >= 1e9) {
-            return (num / 1e9).toFixed(decimals) + 'B';
-        } else if (absNum >= 1e6) {
-            return (num / 1e6).toFixed(decimals) + 'M';
-        } else if (absNum >= 1e3) {
-            return (num / 1e3).toFixed(decimals) + 'K';
-        } else if (decimals > 0) {
-            return num.toFixed(decimals);
-        } else {
-            return Math.floor(num).toString();
-        }
+        return NumberNotation.format(num, decimals);
     },
 
     // Time formatting for game statistics
@@ -1616,9 +3036,9 @@ if (document.readyState === 'loading') {
                             // Fallback direct implementation
                             console.warn('⚠️ ManualActions not available, using fallback');
                             if (typeof GameState !== 'undefined') {
-                                GameState.resources.coins += 1;
+                                GameState.resources.coins = BigNum.add(GameState.resources.coins, 1);
                                 GameState.statistics.totalClicks += 1;
-                                GameState.statistics.totalCoinsEarned += 1;
+                                GameState.statistics.totalCoinsEarned = BigNum.add(GameState.statistics.totalCoinsEarned, 1);
                                 UI.updateResourceDisplays();
                                 UI.showNotification('💰 Collected 1 coin!', 'success', 1500);
                             }
@@ -1650,31 +3070,7 @@ if (document.readyState === 'loading') {
                     console.warn('⚠️ Population button not found');
                 }
 
-                // Set up building purchase buttons
-                Object.keys(BuildingConfig).forEach(buildingType => {
-                    const buttonId = 'buy' + buildingType.charAt(0).toUpperCase() + buildingType.slice(1) + 'Btn';
-                    setTimeout(() => {
-                        const button = document.getElementById(buttonId);
-                        if (button) {
-                            button.addEventListener('click', () => {
-                                Buildings.purchase(buildingType);
-                            });
-                        }
-                    }, 100);
-                });
-
-                // Set up upgrade purchase buttons
-                Object.keys(UpgradeConfig).forEach(upgradeType => {
-                    const buttonId = 'buy' + upgradeType.charAt(0).toUpperCase() + upgradeType.slice(1) + 'Btn';
-                    setTimeout(() => {
-                        const button = document.getElementById(buttonId);
-                        if (button) {
-                            button.addEventListener('click', () => {
-                                Upgrades.purchase(upgradeType);
-                            });
-                        }
-                    }, 100);
-                });
+                // Building and upgrade buttons are bound in createBuildingCard / createUpgradeCard
 
                 // Set up save/load/reset buttons
                 const saveBtn = document.getElementById('saveBtn');
@@ -1706,7 +3102,8 @@ if (document.readyState === 'loading') {
                                 population: 0,
                                 happiness: 100,
                                 energy: 100,
-                                research: 0
+                                research: 0,
+                                pollution: 0
                             };
 
                             Object.keys(GameState.buildings).forEach(building => {
@@ -1724,8 +3121,10 @@ if (document.readyState === 'loading') {
                                 leisureEfficiency: 0,
                                 researchEfficiency: 0,
                                 happinessBonus: 0,
-                                populationCap: 10000,
-                                autoClickerLevel: 0
+                                populationCap: 0,
+                                autoClickerLevel: 0,
+                                gridEfficiency: 0,
+                                pollutionControl: 0
                             };
 
                             GameState.statistics = {
@@ -1736,6 +3135,18 @@ if (document.readyState === 'loading') {
                                 gameStartTime: Date.now()
                             };
 
+                            if (typeof CityEvents !== 'undefined') {
+                                GameState.cityEvents = CityEvents.getDefaultState();
+                            }
+
+                            GameState.tech = { researched: [] };
+                            GameState.policies = { active: [] };
+                            GameState.cityGrid = { enabled: false, tiles: [] };
+                            GameState.quests = { completed: [] };
+                            if (typeof Challenges !== 'undefined') {
+                                GameState.challenge = Challenges.getResetState();
+                            }
+
                             // Clear save data
                             if (typeof Storage !== 'undefined') {
                                 Storage.clearSave();
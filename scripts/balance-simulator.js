@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+
+/**
+ * IdleCity Balance Simulator
+ * Plays the economy headlessly with bot strategies and reports how long progression takes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Simulation, BigNum } = require('../js/simulation.js');
+const Achievements = require('../js/achievements.js');
+
+const { BuildingConfig, UpgradeConfig, TechConfig } = Simulation.config;
+
+// Weights the ROI bot uses to compare gains in different resources
+const RESOURCE_VALUES = {
+    coins: 1,
+    population: 2,
+    happiness: 0.2, // A 0-100 level that settles toward its target, not a stockpile
+    research: 10
+};
+
+// Purchase strategies: pick one affordable candidate to buy now, or null to save up.
+// Add entries here (or on BalanceSimulator.strategies) to try new bots.
+const Strategies = {
+    // Always buy the cheapest thing available
+    greedy(affordable) {
+        return affordable.reduce((best, candidate) => (!best || BigNum.lt(candidate.cost, best.cost) ? candidate : best), null);
+    },
+
+    // Buy whatever adds the most city value over the look-ahead horizon per unit spent
+    roi(affordable, state, simulator) {
+        const baseline = simulator.projectGain(state);
+        let best = null;
+        let bestScore = 0;
+
+        affordable.forEach(candidate => {
+            const result = simulator.buy(state, candidate);
+            if (!result.success) return;
+
+            const score = (simulator.projectGain(result.state) - baseline) / (BigNum.toNumber(candidate.cost) * RESOURCE_VALUES[candidate.currency]);
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    },
+
+    // Buy a random affordable candidate (seeded, so runs are reproducible)
+    random(affordable, state, simulator) {
+        return affordable.length > 0 ? affordable[Math.floor(simulator.random() * affordable.length)] : null;
+    }
+};
+
+class BalanceSimulator {
+    constructor(options = {}) {
+        this.options = {
+            strategies: options.strategies || ['greedy', 'roi', 'random'],
+            duration: options.duration || 8 * 3600, // Game seconds per run
+            tick: options.tick || 1, // Seconds per simulation step
+            sampleInterval: options.sampleInterval || 60, // Seconds between resource curve samples
+            clicksPerSecond: options.clicksPerSecond !== undefined ? options.clicksPerSecond : 2,
+            horizon: options.horizon || 60, // ROI look-ahead in seconds
+            seed: options.seed || 1,
+            format: options.format || 'json',
+            output: options.output || null,
+            pack: options.pack || null,
+            challenge: options.challenge || null, // ChallengeConfig id to play under
+            ...options
+        };
+
+        // Safety valve for strategies that would keep buying forever within one step
+        this.maxPurchasesPerStep = 100;
+    }
+
+    run() {
+        if (this.options.pack) {
+            this.applyPack(this.options.pack);
+        }
+
+        if (this.options.challenge && !Simulation.config.ChallengeConfig.challenges[this.options.challenge]) {
+            throw new Error(`Unknown challenge: ${this.options.challenge}`);
+        }
+
+        const runs = this.options.strategies.map(strategy => this.runStrategy(strategy));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            options: {
+                duration: this.options.duration,
+                tick: this.options.tick,
+                sampleInterval: this.options.sampleInterval,
+                clicksPerSecond: this.options.clicksPerSecond,
+                horizon: this.options.horizon,
+                seed: this.options.seed,
+                pack: this.options.pack,
+                challenge: this.options.challenge
+            },
+            runs
+        };
+    }
+
+    runStrategy(name) {
+        const strategy = BalanceSimulator.strategies[name];
+        if (!strategy) {
+            throw new Error(`Unknown strategy: ${name} (available: ${Object.keys(BalanceSimulator.strategies).join(', ')})`);
+        }
+
+        this.seedRandom(this.options.seed);
+
+        const { duration, tick, sampleInterval } = this.options;
+        const report = {
+            strategy: name,
+            unlocks: {},
+            firstBuilt: {},
+            researched: {},
+            achievements: {},
+            purchases: 0,
+            curve: [],
+            final: null
+        };
+
+        let state = this.createInitialState();
+        this.recordMilestones(state, 0, report);
+        this.sample(state, 0, report);
+
+        for (let time = tick; time <= duration; time += tick) {
+            state = this.click(state, tick);
+            state = this.researchTech(state, time, report);
+            state = this.makePurchases(state, strategy, time, report);
+            state = Simulation.step(state, tick).state;
+            state.statistics.gameTime = time;
+
+            state = this.recordMilestones(state, time, report);
+
+            if (time % sampleInterval === 0) {
+                this.sample(state, time, report);
+            }
+        }
+
+        report.final = {
+            resources: state.resources,
+            buildings: state.buildings,
+            upgrades: state.upgrades,
+            tech: state.tech.researched,
+            challenge: this.options.challenge ? state.challenge : null
+        };
+
+        return report;
+    }
+
+    // A fresh city, matching a new game's GameState
+    createInitialState() {
+        const buildings = {};
+        Object.keys(BuildingConfig).forEach(buildingType => {
+            buildings[buildingType] = 0;
+        });
+
+        const upgrades = { efficiency: 1, automation: false, research: 0, prestige: 0 };
+        Object.keys(UpgradeConfig).forEach(upgradeType => {
+            upgrades[upgradeType] = 0;
+        });
+
+        return {
+            resources: { coins: 0, population: 0, happiness: 100, energy: 100, research: 0, pollution: 0 },
+            buildings,
+            upgrades,
+            statistics: {
+                totalClicks: 0,
+                gameTime: 0,
+                buildingsPurchased: 0,
+                totalCoinsEarned: 0,
+                totalResearchEarned: 0,
+                totalUpgradesPurchased: 0
+            },
+            tech: { researched: [] },
+            policies: { active: [] },
+            cityGrid: { enabled: false, tiles: [] },
+            quests: { completed: [] },
+            challenge: { id: this.options.challenge, elapsed: 0, result: null }
+        };
+    }
+
+    // The bot collects coins by hand like a player would
+    click(state, seconds) {
+        const clicks = Math.floor(this.options.clicksPerSecond * seconds);
+        if (clicks <= 0) return state;
+
+        state.resources.coins = BigNum.add(state.resources.coins, clicks);
+        state.statistics.totalClicks += clicks;
+        state.statistics.totalCoinsEarned = BigNum.add(state.statistics.totalCoinsEarned, clicks);
+        return state;
+    }
+
+    // Every bot researches the cheapest available tech node as soon as it can afford it:
+    // nodes only unlock things, so the ROI look-ahead would never value them on their own
+    researchTech(state, time, report) {
+        const available = Object.keys(TechConfig.nodes)
+            .filter(nodeId => Simulation.canResearch(state, nodeId))
+            .sort((a, b) => TechConfig.nodes[a].cost - TechConfig.nodes[b].cost);
+
+        if (available.length === 0) return state;
+
+        const result = Simulation.researchTech(state, available[0]);
+        if (!result.success) return state;
+
+        report.researched[available[0]] = time;
+        return result.state;
+    }
+
+    makePurchases(state, strategy, time, report) {
+        for (let i = 0; i < this.maxPurchasesPerStep; i++) {
+            const affordable = this.getCandidates(state).filter(candidate => BigNum.lte(candidate.cost, state.resources[candidate.currency]));
+            const choice = strategy(affordable, state, this);
+            if (!choice) break;
+
+            const result = this.buy(state, choice);
+            if (!result.success) break;
+
+            state = result.state;
+            report.purchases++;
+
+            if (choice.kind === 'building' && report.firstBuilt[choice.type] === undefined) {
+                report.firstBuilt[choice.type] = time;
+            }
+        }
+
+        return state;
+    }
+
+    // Every building and upgrade that could be bought once the player has the money
+    getCandidates(state) {
+        const candidates = [];
+
+        Object.keys(BuildingConfig).forEach(buildingType => {
+            if (Simulation.isUnlocked(state, buildingType)) {
+                candidates.push({
+                    kind: 'building',
+                    type: buildingType,
+                    currency: 'coins',
+                    cost: Simulation.getBuildingCost(state, buildingType, 1)
+                });
+            }
+        });
+
+        Object.keys(UpgradeConfig).forEach(upgradeType => {
+            const config = UpgradeConfig[upgradeType];
+            if ((state.upgrades[upgradeType] || 0) < config.maxLevel && Simulation.isTechUnlocked(state, 'upgrades', upgradeType)) {
+                candidates.push({
+                    kind: 'upgrade',
+                    type: upgradeType,
+                    currency: config.resourceType,
+                    cost: Simulation.getUpgradeCost(state, upgradeType, 1)
+                });
+            }
+        });
+
+        return candidates;
+    }
+
+    buy(state, candidate) {
+        return candidate.kind === 'building'
+            ? Simulation.purchaseBuilding(state, candidate.type, 1)
+            : Simulation.purchaseUpgrade(state, candidate.type, 1);
+    }
+
+    getValue(state) {
+        return BigNum.toNumber(state.statistics.totalCoinsEarned) * RESOURCE_VALUES.coins +
+            state.resources.population * RESOURCE_VALUES.population +
+            state.resources.happiness * RESOURCE_VALUES.happiness +
+            BigNum.toNumber(state.statistics.totalResearchEarned || 0) * RESOURCE_VALUES.research;
+    }
+
+    // City value gained over the ROI horizon if nothing else is bought
+    projectGain(state) {
+        const steps = Math.max(1, Math.ceil(this.options.horizon / 10));
+        return this.getValue(Simulation.run(state, this.options.horizon, steps).state) - this.getValue(state);
+    }
+
+    // Record first unlocks and achievements, crediting achievement rewards like the game does
+    recordMilestones(state, time, report) {
+        Object.keys(BuildingConfig).forEach(buildingType => {
+            if (report.unlocks[buildingType] === undefined && Simulation.isUnlocked(state, buildingType)) {
+                report.unlocks[buildingType] = time;
+            }
+        });
+
+        Object.values(Achievements.definitions).forEach(achievement => {
+            if (report.achievements[achievement.id] === undefined && Simulation.evaluateCondition(state, achievement.condition)) {
+                report.achievements[achievement.id] = time;
+                state = Simulation.grantReward(state, achievement.reward).state;
+            }
+        });
+
+        return state;
+    }
+
+    sample(state, time, report) {
+        report.curve.push({
+            time,
+            coins: BigNum.toNumber(state.resources.coins),
+            population: state.resources.population,
+            happiness: state.resources.happiness,
+            research: BigNum.toNumber(state.resources.research),
+            energy: state.resources.energy,
+            totalCoinsEarned: BigNum.toNumber(state.statistics.totalCoinsEarned),
+            totalBuildings: Simulation.getMetricValue(state, 'totalBuildings')
+        });
+    }
+
+    // Merge a content pack's building and upgrade overrides, as ContentPacks does in the browser (without validation)
+    applyPack(packPath) {
+        const pack = JSON.parse(fs.readFileSync(path.resolve(packPath), 'utf8'));
+
+        Object.entries(pack.buildings || {}).forEach(([buildingType, entry]) => {
+            if (BuildingConfig[buildingType]) {
+                Object.assign(BuildingConfig[buildingType], entry);
+            } else {
+                BuildingConfig[buildingType] = { energyUsage: 0, upgradeBuilding: null, ...entry };
+            }
+        });
+
+        Object.entries(pack.upgrades || {}).forEach(([upgradeType, entry]) => {
+            if (UpgradeConfig[upgradeType]) {
+                Object.assign(UpgradeConfig[upgradeType], entry);
+            }
+        });
+    }
+
+    // Mulberry32: small seeded PRNG so random runs can be repeated
+    seedRandom(seed) {
+        let value = seed >>> 0;
+        this.random = () => {
+            value = (value + 0x6D2B79F5) >>> 0;
+            let t = value;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Long-format rows (strategy,type,name,time,value) so runs can be pivoted or diffed
+    toCSV(results) {
+        const rows = ['strategy,type,name,time,value'];
+
+        results.runs.forEach(run => {
+            Object.entries(run.unlocks).forEach(([name, time]) => rows.push(`${run.strategy},unlock,${name},${time},`));
+            Object.entries(run.firstBuilt).forEach(([name, time]) => rows.push(`${run.strategy},built,${name},${time},`));
+            Object.entries(run.researched).forEach(([name, time]) => rows.push(`${run.strategy},tech,${name},${time},`));
+            Object.entries(run.achievements).forEach(([name, time]) => rows.push(`${run.strategy},achievement,${name},${time},`));
+
+            run.curve.forEach(point => {
+                Object.keys(point).filter(key => key !== 'time').forEach(key => {
+                    rows.push(`${run.strategy},curve,${key},${point.time},${point[key]}`);
+                });
+            });
+        });
+
+        return rows.join('\n') + '\n';
+    }
+
+    format(results) {
+        return this.options.format === 'csv' ? this.toCSV(results) : JSON.stringify(results, null, 2) + '\n';
+    }
+
+    printSummary(results) {
+        const formatTime = seconds => (seconds === undefined ? 'never' : `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`);
+
+        results.runs.forEach(run => {
+            console.log(`\n🤖 Strategy: ${run.strategy} (${run.purchases} purchases)`);
+            Object.keys(BuildingConfig).forEach(buildingType => {
+                console.log(`   ${buildingType.padEnd(14)} unlocked ${formatTime(run.unlocks[buildingType]).padEnd(8)} built ${formatTime(run.firstBuilt[buildingType])}`);
+            });
+            console.log(`   🧪 ${Object.keys(run.researched).length}/${Object.keys(TechConfig.nodes).length} tech nodes, zoning laws: ${formatTime(run.researched.zoningLaws)}`);
+            if (run.final.challenge) {
+                const { result, elapsed } = run.final.challenge;
+                console.log(`   🏁 ${this.options.challenge}: ${result ? `${result} after ${formatTime(elapsed)}` : 'not finished'}`);
+            }
+            console.log(`   🏆 ${Object.keys(run.achievements).length}/${Object.keys(Achievements.definitions).length} achievements, millionaire: ${formatTime(run.achievements.millionaire)}`);
+        });
+    }
+}
+
+BalanceSimulator.strategies = Strategies;
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--strategy':
+                options.strategies = args[++i].split(',');
+                break;
+            case '--duration':
+                options.duration = parseInt(args[++i]);
+                break;
+            case '--tick':
+                options.tick = parseInt(args[++i]);
+                break;
+            case '--sample':
+                options.sampleInterval = parseInt(args[++i]);
+                break;
+            case '--clicks':
+                options.clicksPerSecond = parseFloat(args[++i]);
+                break;
+            case '--horizon':
+                options.horizon = parseInt(args[++i]);
+                break;
+            case '--seed':
+                options.seed = parseInt(args[++i]);
+                break;
+            case '--format':
+                options.format = args[++i];
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--pack':
+                options.pack = args[++i];
+                break;
+            case '--challenge':
+                options.challenge = args[++i];
+                break;
+            case '--help':
+                console.log(`
+IdleCity Balance Simulator
+
+Usage: node balance-simulator.js [options]
+
+Options:
+  --strategy <list>  Comma-separated bots: ${Object.keys(Strategies).join(', ')} (default: all)
+  --duration <s>     Game seconds to simulate per run (default: 28800)
+  --tick <s>         Seconds per simulation step (default: 1)
+  --sample <s>       Seconds between resource curve samples (default: 60)
+  --clicks <n>       Manual coin clicks per second (default: 2)
+  --horizon <s>      Look-ahead used by the roi bot (default: 60)
+  --seed <n>         Seed for the random bot (default: 1)
+  --format <fmt>     json or csv (default: json)
+  --output <file>    Write results to a file and print a summary (default: stdout)
+  --pack <file>      Content pack JSON with building/upgrade overrides to test
+  --challenge <id>   Play every run under a challenge's rules and report its result
+  --help             Show this help message
+
+Examples:
+  node balance-simulator.js --strategy greedy,roi --output balance.json
+  node balance-simulator.js --pack content/packs/example.json --format csv --output example.csv
+                `);
+                process.exit(0);
+                break;
+        }
+    }
+
+    try {
+        const simulator = new BalanceSimulator(options);
+        const results = simulator.run();
+        const output = simulator.format(results);
+
+        if (simulator.options.output) {
+            fs.writeFileSync(simulator.options.output, output);
+            simulator.printSummary(results);
+            console.log(`\n📄 Results saved to ${simulator.options.output}`);
+        } else {
+            process.stdout.write(output);
+        }
+    } catch (error) {
+        console.error('❌ Simulation failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = BalanceSimulator;
@@ -1,22 +1,40 @@
 // IdleCity Service Worker
 // Provides offline functionality and advanced caching
 
-const CACHE_NAME = 'idlecity-v1.0.0';
-const STATIC_CACHE = 'idlecity-static-v1.0.0';
-const DYNAMIC_CACHE = 'idlecity-dynamic-v1.0.0';
+// Shared key-value store; the page saves through the same module
+importScripts('/js/persistence.js');
+
+// Bump whenever STATIC_ASSETS or any cached script changes: installed players keep the old caches
+// (cache-first) until a new version name makes activate delete them
+const CACHE_VERSION = 'v1.9.0';
+const CACHE_NAME = `idlecity-${CACHE_VERSION}`;
+const STATIC_CACHE = `idlecity-static-${CACHE_VERSION}`;
+const DYNAMIC_CACHE = `idlecity-dynamic-${CACHE_VERSION}`;
 
 // Files to cache for offline functionality
 const STATIC_ASSETS = [
   '/',
   '/index.html',
   '/css/styles.css',
+  '/js/config.js',
+  '/js/simulation.js',
   '/js/game.js',
   '/js/ui.js',
   '/js/storage.js',
+  '/js/notation.js',
+  '/js/persistence.js',
+  '/js/migrations.js',
   '/js/achievements.js',
+  '/js/events.js',
+  '/js/tech.js',
+  '/js/policies.js',
+  '/js/citygrid.js',
+  '/js/quests.js',
+  '/js/challenges.js',
   '/js/statistics.js',
   '/js/performance.js',
   '/js/testing.js',
+  '/js/content.js',
   '/manifest.json',
   'https://cdn.tailwindcss.com/3.3.0'
 ];
@@ -32,7 +50,8 @@ const DYNAMIC_PATTERNS = [
 const NETWORK_FIRST_PATTERNS = [
   /\/api\/save/,
   /\/api\/load/,
-  /\/api\/sync/
+  /\/api\/sync/,
+  /\/content\//  // Content packs: edited packs must show up on the next load; the cached copy is for offline play
 ];
 
 // Install event - cache static assets
@@ -474,33 +493,32 @@ async function checkIdleProgress() {
 // Get last active time from storage
 async function getLastActiveTime() {
   try {
-    // Try to get from cache first
-    const cache = await caches.open(DYNAMIC_CACHE);
-    const response = await cache.match('/last-active-time');
-    
-    if (response) {
-      const data = await response.json();
-      return data.timestamp;
+    const timestamp = Number(await Persistence.read('idlecity_last_active'));
+
+    if (timestamp > 0) {
+      return timestamp;
     }
   } catch (error) {
-    console.log('Could not retrieve last active time from cache');
+    console.log('Could not retrieve last active time');
   }
   
   // Default to 1 hour ago if no data available
   return Date.now() - (60 * 60 * 1000);
 }
 
-// Get cached game state
+// Read the active slot's save (key names mirror Storage.getSlotKey)
 async function getCachedGameState() {
   try {
-    const cache = await caches.open(DYNAMIC_CACHE);
-    const response = await cache.match('/offline-game-state');
+    const index = JSON.parse(await Persistence.read('idlecity_slots'));
+    const slot = index && (Number.isInteger(index.activeSlot) || index.activeSlot === 'challenge') ? index.activeSlot : 1;
+    const key = slot === 'challenge' ? 'idlecity_save_challenge' : slot === 1 ? 'idlecity_save' : `idlecity_save_slot${slot}`;
+    const saved = await Persistence.read(key);
     
-    if (response) {
-      return await response.json();
+    if (saved) {
+      return JSON.parse(saved).gameState;
     }
   } catch (error) {
-    console.log('Could not retrieve cached game state');
+    console.log('Could not retrieve saved game state');
   }
   
   return null;
@@ -518,15 +536,10 @@ self.addEventListener('message', (event) => {
       break;
       
     case 'UPDATE_LAST_ACTIVE':
-      // Store last active time for idle notifications
+      // Older pages post this; current pages write the timestamp through Persistence themselves
       storeLastActiveTime(data.timestamp);
       break;
       
-    case 'CACHE_GAME_STATE':
-      // Cache current game state for offline access
-      cacheGameState(data.gameState);
-      break;
-      
     default:
       console.log('Unknown message type:', type);
   }
@@ -535,29 +548,10 @@ self.addEventListener('message', (event) => {
 // Store last active time
 async function storeLastActiveTime(timestamp) {
   try {
-    const cache = await caches.open(DYNAMIC_CACHE);
-    const response = new Response(JSON.stringify({ timestamp }), {
-      headers: { 'Content-Type': 'application/json' }
-    });
-    
-    await cache.put('/last-active-time', response);
+    await Persistence.init();
+    await Persistence.write('idlecity_last_active', String(timestamp));
     console.log('📝 Stored last active time:', new Date(timestamp));
   } catch (error) {
     console.error('❌ Failed to store last active time:', error);
   }
 }
-
-// Cache game state for offline access
-async function cacheGameState(gameState) {
-  try {
-    const cache = await caches.open(DYNAMIC_CACHE);
-    const response = new Response(JSON.stringify(gameState), {
-      headers: { 'Content-Type': 'application/json' }
-    });
-    
-    await cache.put('/offline-game-state', response);
-    console.log('💾 Game state cached for offline access');
-  } catch (error) {
-    console.error('❌ Failed to cache game state:', error);
-  }
-}
\ No newline at end of file
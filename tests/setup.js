@@ -1,5 +1,8 @@
 // Jest setup file for IdleCity tests
 
+const fs = require('fs');
+const path = require('path');
+
 // Mock localStorage for testing
 const localStorageMock = (() => {
   let store = {};
@@ -12,7 +15,8 @@ const localStorageMock = (() => {
     key: jest.fn((index) => Object.keys(store)[index] || null)
   };
 })();
-global.localStorage = localStorageMock;
+// jsdom defines localStorage as a getter on the window, so plain assignment would be ignored
+Object.defineProperty(global, 'localStorage', { value: localStorageMock, configurable: true, writable: true });
 
 // Mock performance API
 global.performance = {
@@ -42,18 +46,21 @@ beforeEach(() => {
       population: 0,
       happiness: 100,
       energy: 100,
-      research: 0
+      research: 0,
+      pollution: 0
     };
     
     GameState.buildings = {
       houses: 0,
       shops: 0,
       parks: 0,
+      generators: 0,
       apartments: 0,
       malls: 0,
       gardens: 0,
       factories: 0,
       labs: 0,
+      solarFarms: 0,
       skyscrapers: 0,
       towers: 0,
       powerplants: 0,
@@ -72,7 +79,7 @@ beforeEach(() => {
       leisureEfficiency: 0,
       researchEfficiency: 0,
       happinessBonus: 0,
-      populationCap: 10000,
+      populationCap: 0,
       autoClickerLevel: 0
     };
     
@@ -106,6 +113,24 @@ global.testHelpers = {
     Object.assign(GameState, overrides);
   },
   
+  // Run game scripts in the page's global scope, as the <script> tags in index.html do,
+  // so their top-level objects (GameState, BuildingConfig, ...) become globals. List dependencies first.
+  loadScripts: (...files) => {
+    // A script that throws reports to window.onerror instead of the caller; rethrow so the suite fails loudly
+    let failure = null;
+    const onError = event => { failure = failure || event.error; };
+    window.addEventListener('error', onError);
+
+    files.forEach(file => {
+      const script = document.createElement('script');
+      script.textContent = fs.readFileSync(path.join(__dirname, '../js', file), 'utf8');
+      document.head.appendChild(script);
+    });
+
+    window.removeEventListener('error', onError);
+    if (failure) throw failure;
+  },
+
   // Wait for async operations
   waitFor: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
   
@@ -0,0 +1,59 @@
+// Unit tests for the achievement system
+
+testHelpers.loadScripts('performance.js', 'config.js', 'simulation.js', 'game.js');
+const Achievements = require('../../js/achievements.js');
+
+describe('Achievements', () => {
+  test('should declare every condition as data', () => {
+    Object.values(Achievements.definitions).forEach(achievement => {
+      expect(typeof achievement.condition).toBe('object');
+      expect(Achievements.getConditionParts(achievement.condition).length).toBeGreaterThan(0);
+    });
+  });
+
+  test('should track progress on compound conditions part by part', () => {
+    const utopia = Achievements.definitions.utopia;
+    GameState.resources.happiness = 100;
+    GameState.resources.population = 250;
+
+    const parts = Achievements.getConditionParts(utopia.condition);
+    expect(parts.map(part => part.stat)).toEqual(['happiness', 'population']);
+    expect(parts[0].progress).toBe(100);
+    expect(parts[1].progress).toBe(50);
+
+    Achievements.updateProgress(utopia);
+    expect(utopia.progress).toBe(75);
+    expect(Achievements.isConditionMet(utopia)).toBe(false);
+
+    GameState.resources.population = 500;
+    expect(Achievements.isConditionMet(utopia)).toBe(true);
+  });
+
+  test('should measure building diversity against every building type', () => {
+    const buildingTypes = Object.keys(BuildingConfig);
+    buildingTypes.slice(0, buildingTypes.length / 2).forEach(type => {
+      GameState.buildings[type] = 1;
+    });
+
+    Achievements.updateProgress(Achievements.definitions.diversified);
+    expect(Achievements.definitions.diversified.progress).toBeCloseTo((Math.floor(buildingTypes.length / 2) / buildingTypes.length) * 100);
+
+    buildingTypes.forEach(type => {
+      GameState.buildings[type] = 1;
+    });
+    expect(Achievements.isConditionMet(Achievements.definitions.diversified)).toBe(true);
+  });
+
+  test('should only unlock the express charter for a recorded fast run', () => {
+    const express = Achievements.definitions.expressCharter;
+
+    GameState.statistics.bestRunTime = 0;
+    expect(Achievements.isConditionMet(express)).toBe(false);
+
+    GameState.statistics.bestRunTime = 1800;
+    expect(Achievements.isConditionMet(express)).toBe(true);
+
+    GameState.statistics.bestRunTime = 7200;
+    expect(Achievements.isConditionMet(express)).toBe(false);
+  });
+});
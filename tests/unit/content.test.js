@@ -0,0 +1,123 @@
+// Unit tests for data-driven content packs
+
+testHelpers.loadScripts('performance.js', 'config.js', 'simulation.js', 'game.js', 'achievements.js');
+const ContentPacks = require('../../js/content.js');
+
+describe('ContentPacks', () => {
+  const originalHouses = { ...BuildingConfig.houses };
+
+  afterEach(() => {
+    Object.assign(BuildingConfig.houses, originalHouses);
+    delete BuildingConfig.testTower;
+    delete GameState.buildings.testTower;
+    delete Achievements.definitions.testAchievement;
+    ContentPacks.loadedPacks = [];
+  });
+
+  const testTower = {
+    name: 'Test Tower',
+    description: 'A building defined in data',
+    tier: 2,
+    baseCost: 300,
+    costMultiplier: 1.2,
+    baseProduction: 4,
+    resourceType: 'coins',
+    unlockCondition: { population: 10, houses: 2 },
+    icon: '🗼',
+    category: 'commercial'
+  };
+
+  test('should rebalance existing buildings without replacing them', () => {
+    const result = ContentPacks.applyPack({ id: 'balance', buildings: { houses: { baseCost: 20 } } });
+
+    expect(result.success).toBe(true);
+    expect(BuildingConfig.houses.baseCost).toBe(20);
+    expect(BuildingConfig.houses.name).toBe(originalHouses.name);
+    expect(Buildings.getCost('houses')).toBe(20);
+  });
+
+  test('should add new buildings to the config and game state', () => {
+    const result = ContentPacks.applyPack({ id: 'towers', buildings: { testTower } });
+
+    expect(result.success).toBe(true);
+    expect(BuildingConfig.testTower.energyUsage).toBe(0);
+    expect(GameState.buildings.testTower).toBe(0);
+    expect(ContentPacks.loadedPacks.map(pack => pack.id)).toContain('towers');
+  });
+
+  test('should keep pack buildings through a game reset', () => {
+    global.Storage = { clearSave: jest.fn() };
+    window.confirm = jest.fn(() => true);
+    ContentPacks.applyPack({ id: 'towers', buildings: { testTower } });
+    GameState.buildings.testTower = 3;
+    GameState.upgrades.residentialEfficiency = 2;
+
+    Game.resetGame();
+
+    expect(GameState.buildings.testTower).toBe(0);
+    expect(GameState.buildings.houses).toBe(0);
+    expect(GameState.upgrades.residentialEfficiency).toBe(0);
+    expect(GameState.upgrades.efficiency).toBe(1);
+  });
+
+  test('should reject the whole pack when any entry is invalid', () => {
+    const result = ContentPacks.applyPack({
+      id: 'broken',
+      buildings: {
+        houses: { baseCost: 5 },
+        testTower: { ...testTower, resourceType: 'gold' }
+      }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatch(/buildings\.testTower\.resourceType/);
+    expect(BuildingConfig.houses.baseCost).toBe(originalHouses.baseCost);
+    expect(BuildingConfig.testTower).toBeUndefined();
+  });
+
+  test('should require all fields for new entries and reject unknown upgrades', () => {
+    const errors = ContentPacks.validatePack({
+      id: 'incomplete',
+      buildings: { testTower: { name: 'Half a tower' } },
+      upgrades: { warpDrive: { baseCost: 10 } }
+    });
+
+    expect(errors).toContain('buildings.testTower.baseCost is required');
+    expect(errors).toContain('upgrades.warpDrive is not a known upgrade');
+  });
+
+  test('should register achievements with declarative conditions', () => {
+    const result = ContentPacks.applyPack({
+      id: 'goals',
+      achievements: {
+        testAchievement: {
+          name: 'Busy Town',
+          description: 'Reach 50 clicks and 20 population',
+          icon: '🎯',
+          category: 'special',
+          condition: { all: [{ stat: 'totalClicks', gte: 50 }, { stat: 'population', gte: 20 }] },
+          reward: { coins: 100 }
+        }
+      }
+    });
+
+    expect(result.success).toBe(true);
+
+    const achievement = Achievements.definitions.testAchievement;
+    GameState.statistics.totalClicks = 50;
+    GameState.resources.population = 10;
+    expect(Achievements.isConditionMet(achievement)).toBe(false);
+
+    Achievements.updateProgress(achievement);
+    expect(achievement.progress).toBe(75);
+
+    GameState.resources.population = 20;
+    expect(Achievements.isConditionMet(achievement)).toBe(true);
+  });
+
+  test('should reject conditions on unknown statistics', () => {
+    const errors = ContentPacks.validateCondition({ stat: 'moonBases', gte: 1 }, 'condition');
+
+    expect(errors[0]).toMatch(/moonBases/);
+  });
+});
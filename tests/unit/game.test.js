@@ -1,7 +1,6 @@
 // Unit tests for game logic
 
-// Import game modules (in a real setup, these would be ES modules)
-require('../../js/game.js');
+testHelpers.loadScripts('performance.js', 'config.js', 'simulation.js', 'game.js');
 
 describe('GameState', () => {
   test('should initialize with correct default values', () => {
@@ -13,10 +12,16 @@ describe('GameState', () => {
   });
 
   test('should maintain resource constraints', () => {
-    GameState.resources.happiness = 150;
+    GameState.buildings.houses = 5;
+    GameState.buildings.factories = 3;
+    GameState.resources.population = 20;
+
+    for (let tick = 0; tick < 100; tick++) {
+      GameLoop.generateResources();
+    }
+
     expect(GameState.resources.happiness).toBeLessThanOrEqual(100);
-    
-    GameState.resources.coins = -10;
+    expect(GameState.resources.happiness).toBeGreaterThanOrEqual(0);
     expect(GameState.resources.coins).toBeGreaterThanOrEqual(0);
   });
 });
@@ -92,7 +97,8 @@ describe('Buildings', () => {
 describe('Upgrades', () => {
   beforeEach(() => {
     testHelpers.setupGameState({
-      resources: { research: 1000 }
+      resources: { research: 1000 },
+      tech: { researched: ['urbanPlanning'] }
     });
   });
 
@@ -143,6 +149,14 @@ describe('Upgrades', () => {
     const expectedEffect = 3 * UpgradeConfig.residentialEfficiency.effect;
     expect(effect).toBe(expectedEffect);
   });
+
+  test('should lock upgrades until their tech node is researched', () => {
+    GameState.tech = { researched: [] };
+
+    expect(Upgrades.isUnlocked('residentialEfficiency')).toBe(false);
+    expect(Upgrades.purchase('residentialEfficiency')).toBe(false);
+    expect(GameState.upgrades.residentialEfficiency).toBe(0);
+  });
 });
 
 describe('ManualActions', () => {
@@ -160,17 +174,18 @@ describe('ManualActions', () => {
   test('should attract population correctly', () => {
     const initialPopulation = GameState.resources.population;
     
-    ManualActions.attractPopulation(3);
+    ManualActions.attractCitizens(3);
     
     expect(GameState.resources.population).toBe(initialPopulation + 3);
   });
 
-  test('should respect population cap', () => {
-    GameState.resources.population = GameState.upgrades.populationCap - 1;
+  test('should respect housing capacity', () => {
+    const capacity = Simulation.getHousingCapacity(GameState);
+    GameState.resources.population = capacity - 1;
     
-    ManualActions.attractPopulation(5);
+    ManualActions.attractCitizens(5);
     
-    expect(GameState.resources.population).toBe(GameState.upgrades.populationCap);
+    expect(GameState.resources.population).toBe(capacity);
   });
 });
 
@@ -188,6 +203,8 @@ describe('GameLoop', () => {
   test('should generate resources from buildings', () => {
     GameState.buildings.houses = 2;
     GameState.buildings.shops = 1;
+    // Shops need residents to produce
+    GameState.resources.population = 2;
     const initialCoins = GameState.resources.coins;
     const initialPopulation = GameState.resources.population;
     
@@ -223,4 +240,195 @@ describe('GameLoop', () => {
     expect(GameState.resources.happiness).toBeLessThan(initialHappiness);
     expect(GameState.resources.happiness).toBeGreaterThanOrEqual(0);
   });
-});
\ No newline at end of file
+});
+describe('Prestige', () => {
+  beforeEach(() => {
+    global.Storage = { saveGame: jest.fn() };
+  });
+
+  test('should not allow a charter before enough lifetime coins', () => {
+    GameState.statistics.totalCoinsEarned = PrestigeConfig.coinsPerCharter - 1;
+
+    expect(Prestige.getPendingCharters()).toBe(0);
+    expect(Prestige.canPrestige()).toBe(false);
+    expect(Prestige.perform()).toBe(false);
+  });
+
+  test('should convert lifetime coins into charters', () => {
+    GameState.statistics.totalCoinsEarned = PrestigeConfig.coinsPerCharter * 16;
+
+    expect(Prestige.getTotalCharters()).toBe(4);
+    expect(Prestige.getPendingCharters()).toBe(4);
+
+    GameState.upgrades.prestige = 3;
+    expect(Prestige.getPendingCharters()).toBe(1);
+  });
+
+  test('should reset the run but keep charters and statistics', () => {
+    GameState.statistics.totalCoinsEarned = PrestigeConfig.coinsPerCharter * 4;
+    GameState.statistics.gameTime = 1200;
+    GameState.resources.coins = 5000;
+    GameState.buildings.houses = 10;
+    GameState.upgrades.residentialEfficiency = 3;
+
+    const success = Prestige.perform();
+
+    expect(success).toBe(true);
+    expect(GameState.upgrades.prestige).toBe(2);
+    expect(GameState.upgrades.residentialEfficiency).toBe(0);
+    expect(GameState.resources.coins).toBe(0);
+    expect(GameState.buildings.houses).toBe(0);
+    expect(GameState.statistics.totalCoinsEarned).toBe(PrestigeConfig.coinsPerCharter * 4);
+    expect(GameState.statistics.prestigesPerformed).toBe(1);
+    expect(GameState.statistics.bestRunTime).toBe(1200);
+    expect(GameState.statistics.runStartGameTime).toBe(1200);
+  });
+
+  test('should apply the charter multiplier to production', () => {
+    GameState.buildings.houses = 5;
+    GameState.upgrades.prestige = 10;
+
+    const expectedProduction = 5 * BuildingConfig.houses.baseProduction * (1 + 10 * PrestigeConfig.multiplierPerCharter);
+    expect(Buildings.getProduction('houses')).toBeCloseTo(expectedProduction);
+  });
+});
+
+describe('Energy', () => {
+  test('should supply the base grid with no generators', () => {
+    expect(Energy.getSupply()).toBe(EnergyConfig.baseSupply);
+    expect(Energy.getDemand()).toBe(0);
+    expect(Energy.getSatisfaction()).toBe(1);
+  });
+
+  test('should add generator output to supply and building draw to demand', () => {
+    GameState.buildings.generators = 2;
+    GameState.buildings.factories = 3;
+
+    expect(Energy.getSupply()).toBe(EnergyConfig.baseSupply + 2 * BuildingConfig.generators.baseProduction);
+    expect(Energy.getDemand()).toBe(3 * BuildingConfig.factories.energyUsage);
+  });
+
+  test('should declare an energy draw for every building', () => {
+    Object.values(BuildingConfig).forEach(config => {
+      expect(typeof config.energyUsage).toBe('number');
+    });
+  });
+
+  test('should scale output down proportionally during a brownout', () => {
+    GameState.resources.population = 200; // Enough workers to staff every factory
+    GameState.buildings.factories = 5; // 40 MW demand vs 20 MW base supply
+
+    expect(Energy.isOverloaded()).toBe(true);
+    expect(Energy.getSatisfaction()).toBeCloseTo(0.5);
+
+    GameLoop.generateResources();
+
+    const fullOutput = 5 * BuildingConfig.factories.baseProduction * (GameLoop.tickRate / 1000);
+    expect(GameState.resources.coins).toBeCloseTo(fullOutput * 0.5, 1);
+    expect(GameState.resources.energy).toBe(50);
+  });
+});
+
+describe('Bulk purchasing', () => {
+  beforeEach(() => {
+    testHelpers.setupGameState({
+      resources: { coins: 1000, population: 100, research: 1000 },
+      tech: { researched: ['urbanPlanning', 'scientificMethod'] }
+    });
+  });
+
+  test('should price a batch as the sum of the geometric series', () => {
+    GameState.buildings.houses = 3;
+    const { baseCost, costMultiplier } = BuildingConfig.houses;
+
+    let expected = 0;
+    for (let i = 3; i < 13; i++) {
+      expected += baseCost * Math.pow(costMultiplier, i);
+    }
+
+    expect(Buildings.getBulkCost('houses', 1)).toBe(Buildings.getCost('houses'));
+    expect(Buildings.getBulkCost('houses', 10)).toBe(Math.floor(expected));
+  });
+
+  test('should find the largest affordable batch', () => {
+    const max = Buildings.getMaxAffordable('houses');
+
+    expect(Buildings.getBulkCost('houses', max)).toBeLessThanOrEqual(1000);
+    expect(Buildings.getBulkCost('houses', max + 1)).toBeGreaterThan(1000);
+  });
+
+  test('should purchase several buildings atomically', () => {
+    const cost = Buildings.getBulkCost('houses', 10);
+
+    expect(Buildings.purchase('houses', 10)).toBe(true);
+    expect(GameState.buildings.houses).toBe(10);
+    expect(GameState.resources.coins).toBe(1000 - cost);
+    expect(GameState.statistics.buildingsPurchased).toBe(10);
+
+    // A batch that cannot be fully afforded buys nothing
+    const coinsBefore = GameState.resources.coins;
+    expect(Buildings.purchase('houses', 100)).toBe(false);
+    expect(GameState.buildings.houses).toBe(10);
+    expect(GameState.resources.coins).toBe(coinsBefore);
+  });
+
+  test('should not let bulk upgrades overshoot the max level', () => {
+    const maxLevel = UpgradeConfig.researchEfficiency.maxLevel;
+    GameState.resources.research = 1e9;
+
+    expect(Upgrades.purchase('researchEfficiency', maxLevel + 1)).toBe(false);
+    expect(GameState.upgrades.researchEfficiency).toBe(0);
+
+    expect(Upgrades.getMaxAffordable('researchEfficiency')).toBe(maxLevel);
+    expect(Upgrades.purchase('researchEfficiency', maxLevel)).toBe(true);
+    expect(GameState.upgrades.researchEfficiency).toBe(maxLevel);
+  });
+});
+
+describe('Selling buildings', () => {
+  beforeEach(() => {
+    testHelpers.setupGameState({
+      resources: { coins: 0, population: 100 }
+    });
+  });
+
+  test('should refund a fraction of the last purchase price', () => {
+    GameState.buildings.houses = 3;
+    const expectedRefund = Math.floor(Buildings.getCost('houses', 2) * SellConfig.refundRate);
+
+    expect(Buildings.sell('houses', 1)).toBe(true);
+    expect(GameState.buildings.houses).toBe(2);
+    expect(GameState.resources.coins).toBe(expectedRefund);
+    expect(GameState.statistics.buildingsSold).toBe(1);
+  });
+
+  test('should not sell more buildings than are owned', () => {
+    GameState.buildings.shops = 2;
+
+    expect(Buildings.sell('shops', 3)).toBe(false);
+    expect(GameState.buildings.shops).toBe(2);
+    expect(GameState.resources.coins).toBe(0);
+  });
+
+  test('should keep enough buildings to satisfy owned dependents', () => {
+    GameState.buildings.houses = 8;
+    GameState.buildings.apartments = 1;
+    const required = BuildingConfig.apartments.unlockCondition.houses;
+
+    expect(Buildings.getSellableCount('houses')).toBe(8 - required);
+    expect(Buildings.sell('houses', 8 - required + 1)).toBe(false);
+    expect(Buildings.sell('houses', 8 - required)).toBe(true);
+    expect(GameState.buildings.houses).toBe(required);
+  });
+
+  test('should track net spending across purchases and sales', () => {
+    GameState.resources.coins = 1000;
+    const cost = Buildings.getBulkCost('houses', 2);
+
+    Buildings.purchase('houses', 2);
+    const refund = Buildings.getSellRefund('houses', 1);
+    Buildings.sell('houses', 1);
+
+    expect(GameState.statistics.buildingSpending.houses).toBe(cost - refund);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+// Unit tests for save migrations
+
+const { SaveMigrations } = require('../../js/migrations.js');
+
+describe('SaveMigrations', () => {
+  const legacySave = () => ({
+    version: '1.0.0',
+    timestamp: Date.now(),
+    gameState: {
+      resources: { coins: 100, population: 42.5, happiness: 80, research: 30 },
+      buildings: { houses: 2, shops: 1, factories: 0, parks: 0 },
+      statistics: { totalClicks: 10, totalResearchEarned: 0 }
+    }
+  });
+
+  test('should compare versions numerically', () => {
+    expect(SaveMigrations.compareVersions('1.0.0', '1.1.0')).toBe(-1);
+    expect(SaveMigrations.compareVersions('1.10.0', '1.9.0')).toBe(1);
+    expect(SaveMigrations.compareVersions('1.1', '1.1.0')).toBe(0);
+  });
+
+  test('should form an unbroken chain ending at the current version', () => {
+    const steps = SaveMigrations.migrations;
+
+    for (let i = 1; i < steps.length; i++) {
+      expect(steps[i].from).toBe(steps[i - 1].to);
+    }
+    expect(steps[steps.length - 1].to).toBe(SaveMigrations.CURRENT_VERSION);
+  });
+
+  test('should fill in statistics missing from 1.0.0 saves', () => {
+    const step = SaveMigrations.migrations.find(migration => migration.from === '1.0.0');
+    const migrated = step.migrate(legacySave());
+
+    expect(migrated.gameState.resources.energy).toBe(100);
+    expect(migrated.gameState.upgrades).toEqual({});
+    expect(migrated.gameState.statistics.totalResearchEarned).toBe(30);
+    expect(migrated.gameState.statistics.maxPopulation).toBe(42);
+    expect(migrated.gameState.statistics.totalClicks).toBe(10);
+  });
+
+  test('should grant the tech behind upgrades and buildings a save already owns', () => {
+    const step = SaveMigrations.migrations.find(migration => migration.from === '1.2.0');
+    const save = legacySave();
+    save.gameState.upgrades = { commercialEfficiency: 2, populationCap: 10000 };
+    save.gameState.buildings.skyscrapers = 1;
+
+    const migrated = step.migrate(save);
+
+    expect(migrated.gameState.tech.researched.sort()).toEqual(['commerce', 'industrialization', 'urbanPlanning', 'zoningLaws']);
+  });
+
+  test('should convert the flat population cap into Urban Expansion levels', () => {
+    const step = SaveMigrations.migrations.find(migration => migration.from === '1.3.0');
+    const save = legacySave();
+    save.gameState.upgrades = { populationCap: 10000 };
+
+    expect(step.migrate(save).gameState.upgrades.populationCap).toBe(0);
+
+    save.gameState.upgrades = { populationCap: 25000 };
+    expect(step.migrate(save).gameState.upgrades.populationCap).toBe(3);
+  });
+
+  test('should migrate a copy up to the current version', () => {
+    const original = legacySave();
+    const result = SaveMigrations.migrate(original);
+
+    expect(result.success).toBe(true);
+    expect(result.saveData.version).toBe(SaveMigrations.CURRENT_VERSION);
+    expect(result.applied).toEqual(['1.0.0 -> 1.1.0', '1.1.0 -> 1.2.0', '1.2.0 -> 1.3.0', '1.3.0 -> 1.4.0', '1.4.0 -> 1.5.0', '1.5.0 -> 1.6.0', '1.6.0 -> 1.7.0', '1.7.0 -> 1.8.0', '1.8.0 -> 1.9.0']);
+    expect(result.saveData.gameState.cityEvents).toEqual({ active: [], pending: null, log: [] });
+    expect(result.saveData.gameState.policies).toEqual({ active: [] });
+    expect(result.saveData.gameState.cityGrid).toEqual({ enabled: false, tiles: [] });
+    expect(result.saveData.gameState.quests).toEqual({ completed: [] });
+    expect(result.saveData.gameState.challenge).toEqual({ id: null, elapsed: 0, result: null });
+    expect(original.version).toBe('1.0.0');
+    expect(original.gameState.resources.energy).toBeUndefined();
+  });
+
+  test('should leave current saves untouched', () => {
+    const save = { ...legacySave(), version: SaveMigrations.CURRENT_VERSION };
+    const result = SaveMigrations.migrate(save);
+
+    expect(result.success).toBe(true);
+    expect(result.applied).toEqual([]);
+    expect(SaveMigrations.needsMigration(save)).toBe(false);
+  });
+
+  test('should refuse saves from a newer version', () => {
+    const result = SaveMigrations.migrate({ ...legacySave(), version: '99.0.0' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/newer/);
+  });
+
+  test('should fail when no migration path exists', () => {
+    const result = SaveMigrations.migrate({ ...legacySave(), version: '0.9.0' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/No migration path from save version 0\.9\.0/);
+  });
+});
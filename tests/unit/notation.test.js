@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+// Unit tests for the number notation setting
+
+const NumberNotation = require('../../js/notation.js');
+
+describe('NumberNotation', () => {
+  afterEach(() => {
+    NumberNotation.current = NumberNotation.DEFAULT;
+  });
+
+  test('should write the same value in every notation', () => {
+    const value = 1234567;
+
+    expect(NumberNotation.format(value, 1, 'short')).toBe('1.2M');
+    expect(NumberNotation.format(value, 0, 'long')).toBe('1.23 million');
+    expect(NumberNotation.format(value, 0, 'scientific')).toBe('1.23e6');
+    expect(NumberNotation.format(12345678901, 0, 'engineering')).toBe('12.35e9');
+    expect(NumberNotation.format(value, 0, 'full')).toBe((1234567).toLocaleString());
+
+    // Small numbers read the same everywhere
+    ['short', 'long', 'scientific', 'engineering'].forEach(notation => {
+      expect(NumberNotation.format(999.7, 0, notation)).toBe('999');
+      expect(NumberNotation.format(12.345, 2, notation)).toBe('12.35');
+    });
+  });
+
+  test('should continue past trillions and fall back to scientific', () => {
+    expect(NumberNotation.format(2.5e15, 1, 'short')).toBe('2.5Qa');
+    expect(NumberNotation.format({ mantissa: 4.2, exponent: 34 }, 0, 'short')).toBe('42Dc');
+    expect(NumberNotation.format({ mantissa: 4.2, exponent: 34 }, 0, 'long')).toBe('42 decillion');
+    expect(NumberNotation.format({ mantissa: 4.56, exponent: 36 }, 0, 'short')).toBe('4.56e36');
+    expect(NumberNotation.format({ mantissa: 9.999, exponent: 400 }, 0, 'scientific')).toBe('1.00e401');
+    expect(NumberNotation.format({ mantissa: 1.5, exponent: 400 }, 0, 'engineering')).toBe('15.00e399');
+    expect(NumberNotation.format({ mantissa: 1.5, exponent: 400 }, 0, 'full')).toBe('1.50e400');
+  });
+
+  test('should carry values that round up to a thousand into the next tier', () => {
+    expect(NumberNotation.format(999999, 0, 'short')).toBe('1M');
+    expect(NumberNotation.format(999999, 0, 'long')).toBe('1 million');
+    expect(NumberNotation.format(999.99, 1, 'short')).toBe('1.0K');
+    expect(NumberNotation.format(999.99, 1, 'long')).toBe('1 thousand');
+    expect(NumberNotation.format(999.99, 1, 'scientific')).toBe('1.00e3');
+    expect(NumberNotation.format({ mantissa: 9.9999, exponent: 35 }, 0, 'short')).toBe('1.00e36');
+  });
+
+  test('should show a placeholder for values that are not numbers', () => {
+    ['short', 'long', 'scientific', 'engineering', 'full'].forEach(notation => {
+      expect(NumberNotation.format(NaN, 0, notation)).toBe(NumberNotation.PLACEHOLDER);
+      expect(NumberNotation.format(undefined, 2, notation)).toBe(NumberNotation.PLACEHOLDER);
+    });
+  });
+
+  test('should use the current notation and ignore unknown ones', () => {
+    expect(NumberNotation.format(1500000)).toBe('2M');
+
+    expect(NumberNotation.set('scientific')).toBe(true);
+    expect(NumberNotation.format(1500000)).toBe('1.50e6');
+
+    expect(NumberNotation.set('roman')).toBe(false);
+    expect(NumberNotation.current).toBe('scientific');
+  });
+});
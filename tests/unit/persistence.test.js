@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+// Unit tests for the persistence adapter
+
+const Persistence = require('../../js/persistence.js');
+
+describe('Persistence', () => {
+  const { readAll, write, delete: remove } = Persistence;
+  let store;
+  let written;
+
+  // Stand-in for the IndexedDB object store behind readAll/write/delete
+  const useIndexedDB = (entries = {}) => {
+    written = { ...entries };
+    global.indexedDB = {};
+    Persistence.readAll = jest.fn(async () => Object.entries(written));
+    Persistence.write = jest.fn(async (key, value) => { written[key] = value; });
+    Persistence.delete = jest.fn(async key => { delete written[key]; });
+  };
+
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation(key => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = String(value); });
+    localStorage.removeItem.mockImplementation(key => { delete store[key]; });
+    localStorage.key.mockImplementation(index => Object.keys(store)[index] || null);
+    Object.defineProperty(localStorage, 'length', { get: () => Object.keys(store).length, configurable: true });
+
+    Persistence.backend = null;
+    Persistence.initPromise = null;
+    Persistence.cache = new Map();
+    Persistence.writeQueue = Promise.resolve();
+    Persistence.writeErrors = new Map();
+    delete global.indexedDB;
+  });
+
+  afterEach(() => {
+    Object.assign(Persistence, { readAll, write, delete: remove });
+  });
+
+  test('should fall back to localStorage without IndexedDB', async () => {
+    expect(await Persistence.init()).toBe('localStorage');
+
+    Persistence.setItem('idlecity_save', '{}');
+    expect(store.idlecity_save).toBe('{}');
+    expect(Persistence.getItem('idlecity_save')).toBe('{}');
+  });
+
+  test('should load IndexedDB entries into the cache for synchronous reads', async () => {
+    useIndexedDB({ idlecity_slots: '{"activeSlot":2,"slots":{}}' });
+
+    expect(await Persistence.init()).toBe('indexedDB');
+    expect(Persistence.getItem('idlecity_slots')).toBe('{"activeSlot":2,"slots":{}}');
+    expect(Persistence.getItem('idlecity_missing')).toBeNull();
+  });
+
+  test('should move existing localStorage saves into IndexedDB', async () => {
+    store.idlecity_save = 'legacy';
+    store.idlecity_slots = 'old index';
+    store.analytics_last_session = '123';
+    useIndexedDB({ idlecity_slots: 'new index' });
+
+    await Persistence.init();
+
+    expect(written.idlecity_save).toBe('legacy');
+    expect(written.idlecity_slots).toBe('new index');
+    expect(store.idlecity_save).toBeUndefined();
+    expect(store.idlecity_slots).toBe('old index');
+    expect(store.analytics_last_session).toBe('123');
+  });
+
+  test('should keep localStorage intact and fall back when the import fails', async () => {
+    store.idlecity_save = 'legacy';
+    useIndexedDB();
+    Persistence.write = jest.fn(async () => { throw new Error('QuotaExceededError'); });
+
+    expect(await Persistence.init()).toBe('localStorage');
+    expect(store.idlecity_save).toBe('legacy');
+    expect(Persistence.getItem('idlecity_save')).toBe('legacy');
+  });
+
+  test('should update the cache immediately and persist writes in order', async () => {
+    useIndexedDB();
+    await Persistence.init();
+
+    Persistence.setItem('idlecity_save', 'first');
+    Persistence.setItem('idlecity_save', 'second');
+    Persistence.removeItem('idlecity_statistics_history');
+
+    expect(Persistence.getItem('idlecity_save')).toBe('second');
+
+    await Persistence.flush();
+    expect(Persistence.write.mock.calls.map(call => call[1])).toEqual(['first', 'second']);
+    expect(Persistence.delete).toHaveBeenCalledWith('idlecity_statistics_history');
+    expect(written.idlecity_save).toBe('second');
+    expect(store.idlecity_save).toBeUndefined();
+  });
+
+  test('should remember failed writes per key until a later write lands', async () => {
+    useIndexedDB();
+    await Persistence.init();
+    const quota = new Error('QuotaExceededError');
+    Persistence.write = jest.fn(async key => { if (key === 'idlecity_save') throw quota; });
+
+    Persistence.setItem('idlecity_save', 'big');
+    Persistence.setItem('idlecity_slots', 'index');
+    await Persistence.flush();
+
+    expect(Persistence.getWriteError('idlecity_save')).toBe(quota);
+    expect(Persistence.getWriteError('idlecity_slots')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to write to IndexedDB'), quota);
+
+    Persistence.write = jest.fn(async () => {});
+    Persistence.setItem('idlecity_save', 'smaller');
+    await Persistence.flush();
+    expect(Persistence.getWriteError('idlecity_save')).toBeNull();
+  });
+});
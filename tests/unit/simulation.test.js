@@ -0,0 +1,562 @@
+/**
+ * @jest-environment node
+ */
+// Unit tests for the headless simulation core (no DOM, timers or globals)
+
+const { Simulation, BulkPricing, BigNum } = require('../../js/simulation.js');
+const { BuildingConfig, UpgradeConfig, TechConfig, SellConfig, JobsConfig, HousingConfig, HappinessConfig, PollutionConfig, EventConfig, PolicyConfig, CityGridConfig, QuestConfig, ChallengeConfig } = require('../../js/config.js');
+
+describe('Simulation', () => {
+  const createState = (overrides = {}) => ({
+    resources: { coins: 0, population: 0, happiness: 100, energy: 100, research: 0, pollution: 0, ...overrides.resources },
+    buildings: { houses: 0, shops: 0, parks: 0, generators: 0, factories: 0, labs: 0, ...overrides.buildings },
+    upgrades: {
+      efficiency: 1,
+      prestige: 0,
+      residentialEfficiency: 0,
+      commercialEfficiency: 0,
+      industrialEfficiency: 0,
+      leisureEfficiency: 0,
+      researchEfficiency: 0,
+      happinessBonus: 0,
+      populationCap: 0,
+      autoClickerLevel: 0,
+      ...overrides.upgrades
+    },
+    statistics: { buildingsPurchased: 0, totalCoinsEarned: 0, ...overrides.statistics },
+    cityEvents: { active: [], pending: null, log: [], nextIn: 300, ...overrides.cityEvents },
+    tech: { researched: [], ...overrides.tech },
+    policies: { active: [], ...overrides.policies },
+    cityGrid: { enabled: false, tiles: [], ...overrides.cityGrid },
+    quests: { completed: [], ...overrides.quests },
+    challenge: { id: null, elapsed: 0, result: null, ...overrides.challenge }
+  });
+
+  test('should step without modifying the input state', () => {
+    const state = createState({ buildings: { houses: 2 } });
+    const { state: next, events } = Simulation.step(state, 1);
+
+    expect(state.resources.population).toBe(0);
+    expect(next.resources.population).toBeCloseTo(2 * BuildingConfig.houses.baseProduction);
+    expect(events).toContainEqual(expect.objectContaining({ type: 'produced', seconds: 1 }));
+  });
+
+  test('should produce the same totals in one run as in repeated steps', () => {
+    let stepped = createState({ resources: { population: 20 }, buildings: { houses: 3, shops: 2 } });
+    for (let i = 0; i < 60; i++) {
+      stepped = Simulation.step(stepped, 1).state;
+    }
+
+    const { state: ran } = Simulation.run(createState({ resources: { population: 20 }, buildings: { houses: 3, shops: 2 } }), 60, 60);
+
+    expect(ran.resources).toEqual(stepped.resources);
+    expect(ran.statistics.totalCoinsEarned).toBeCloseTo(stepped.statistics.totalCoinsEarned);
+  });
+
+  test('should report buildings unlocked by production', () => {
+    const shopsNeed = BuildingConfig.shops.unlockCondition.population;
+    const state = createState({ resources: { population: shopsNeed - 0.5 }, buildings: { houses: 10 } });
+
+    const { events } = Simulation.step(state, 1);
+
+    expect(events).toContainEqual({ type: 'buildingUnlocked', buildingType: 'shops' });
+  });
+
+  test('should return purchase results instead of mutating state', () => {
+    const state = createState({ resources: { coins: 1000 } });
+    const cost = Simulation.getBuildingCost(state, 'houses', 3);
+
+    const result = Simulation.purchaseBuilding(state, 'houses', 3);
+
+    expect(result.success).toBe(true);
+    expect(result.state.buildings.houses).toBe(3);
+    expect(result.state.resources.coins).toBe(1000 - cost);
+    expect(result.events).toEqual([{ type: 'buildingPurchased', buildingType: 'houses', count: 3, cost, previousCount: 0 }]);
+    expect(state.buildings.houses).toBe(0);
+  });
+
+  test('should explain rejected commands and return the state untouched', () => {
+    const state = createState();
+
+    const broke = Simulation.purchaseBuilding(state, 'houses');
+    expect(broke.success).toBe(false);
+    expect(broke.state).toBe(state);
+    expect(broke.reason).toMatch(/Not enough coins/);
+
+    expect(Simulation.purchaseBuilding(state, 'castles').reason).toBe('Unknown building type: castles');
+    expect(Simulation.sellBuilding(state, 'houses').reason).toMatch(/only own 0/);
+  });
+
+  test('should reject buildings that are still locked', () => {
+    const state = createState({ resources: { coins: 1e6, population: 200 }, buildings: { houses: 4 } });
+
+    const locked = Simulation.purchaseBuilding(state, 'apartments');
+    expect(locked.success).toBe(false);
+    expect(locked.state).toBe(state);
+    expect(locked.reason).toBe('Apartments requires 100 population, 5 houses');
+
+    const built = createState({ ...state, buildings: { houses: 5 } });
+    expect(Simulation.purchaseBuilding(built, 'apartments').success).toBe(true);
+  });
+
+  test('should refund part of the last price when selling', () => {
+    const state = createState({ buildings: { houses: 2 } });
+    const result = Simulation.sellBuilding(state, 'houses', 1);
+
+    expect(result.success).toBe(true);
+    expect(result.state.buildings.houses).toBe(1);
+    expect(result.state.resources.coins).toBe(Math.floor(Simulation.getUnitCost('houses', 1) * SellConfig.refundRate));
+  });
+
+  test('should buy upgrade levels and apply them to production', () => {
+    const state = createState({ resources: { research: 10000 }, buildings: { houses: 1 }, tech: { researched: ['urbanPlanning'] } });
+    const result = Simulation.purchaseUpgrade(state, 'residentialEfficiency', 2);
+
+    expect(result.success).toBe(true);
+    expect(result.events[0]).toEqual(expect.objectContaining({ type: 'upgradePurchased', level: 2 }));
+    expect(Simulation.getProduction(result.state, 'houses'))
+      .toBeCloseTo(BuildingConfig.houses.baseProduction * (1 + 2 * UpgradeConfig.residentialEfficiency.effect));
+  });
+
+  test('should scale powered buildings down during a brownout', () => {
+    // Enough workers to staff every factory, so only the grid limits output
+    const state = createState({ resources: { population: 400 }, buildings: { factories: 10 } });
+    const satisfaction = Simulation.getEnergySatisfaction(state);
+
+    const { state: next } = Simulation.step(state, 1);
+
+    expect(satisfaction).toBeLessThan(1);
+    expect(next.resources.energy).toBeCloseTo(satisfaction * 100, 1);
+    expect(next.resources.coins).toBeCloseTo(10 * BuildingConfig.factories.baseProduction * satisfaction, 1);
+  });
+
+  test('should scale job buildings by staffing and penalise unemployment', () => {
+    const jobs = 4 * BuildingConfig.shops.jobs;
+    const population = Math.ceil((jobs / 2) / JobsConfig.workforceShare);
+    const state = createState({ resources: { population }, buildings: { shops: 4 } });
+    const employment = Simulation.getEmployment(state);
+
+    expect(employment.jobs).toBe(jobs);
+    expect(employment.unemployed).toBe(0);
+    expect(Simulation.getProduction(state, 'shops')).toBeCloseTo(4 * BuildingConfig.shops.baseProduction * employment.staffing);
+    expect(Simulation.step(state, 1).state.resources.coins).toBeCloseTo(4 * BuildingConfig.shops.baseProduction * employment.staffing, 1);
+
+    const idle = createState({ resources: { population: 100 } });
+    const { unemployed } = Simulation.getEmployment(idle);
+    expect(unemployed).toBe(Math.floor(100 * JobsConfig.workforceShare));
+    expect(Simulation.getHappinessFactors(idle).find(factor => factor.id === 'unemployment').amount)
+      .toBeCloseTo(-JobsConfig.unemploymentPenalty);
+  });
+
+  test('should add up signed happiness factors and drift toward their target', () => {
+    const state = createState({
+      resources: { population: 200, happiness: 100 },
+      buildings: { houses: 40, parks: 1, shops: 40, generators: 5 },
+      upgrades: { happinessBonus: 3 }
+    });
+    state.cityEvents = { active: [{ id: 'festival', remaining: 30 }], pending: null, log: [] };
+    const factors = Object.fromEntries(Simulation.getHappinessFactors(state).map(factor => [factor.id, factor.amount]));
+    const leisureNeed = 200 * HappinessConfig.leisurePerResident;
+
+    expect(factors.base).toBe(HappinessConfig.base);
+    expect(factors.leisure).toBeCloseTo(HappinessConfig.leisureMax * (BuildingConfig.parks.baseProduction / leisureNeed));
+    expect(factors.cityPlanning).toBe(3 * UpgradeConfig.happinessBonus.effect);
+    expect(factors.unemployment).toBeCloseTo(0);
+    expect(factors.events).toBe(EventConfig.events.festival.happiness);
+
+    const target = Simulation.getHappinessTarget(state);
+    expect(target).toBeCloseTo(Math.min(100, Object.values(factors).reduce((sum, amount) => sum + amount, 0)));
+    expect(Simulation.step(state, 1).state.resources.happiness)
+      .toBeCloseTo(100 + (target - 100) * HappinessConfig.adjustRate, 1);
+
+    const { state: settled } = Simulation.run(state, 120, 120);
+    expect(settled.resources.happiness).toBeCloseTo(Simulation.getHappinessTarget(settled), 0);
+  });
+
+  test('should settle pollution where dissipation balances industry and greenery', () => {
+    const state = createState({
+      resources: { population: 400 },
+      buildings: { houses: 80, factories: 10, parks: 5 },
+      upgrades: { pollutionControl: 2 }
+    });
+    state.tech = { researched: ['greenTechnology'] };
+    const reduction = 2 * UpgradeConfig.pollutionControl.effect + TechConfig.nodes.greenTechnology.effects.pollutionReduction;
+    const emitted = 10 * BuildingConfig.factories.pollution * (1 - reduction);
+    const absorbed = 5 * BuildingConfig.parks.pollutionAbsorption;
+
+    expect(Simulation.getPollutionRates(state)).toEqual({ emitted: expect.closeTo(emitted), absorbed: expect.closeTo(absorbed) });
+    expect(Simulation.step(state, 1).state.resources.pollution).toBeCloseTo(emitted - absorbed, 1);
+
+    const { state: settled } = Simulation.run(state, 3600, 60);
+    expect(settled.resources.pollution).toBeCloseTo((emitted - absorbed) / PollutionConfig.dissipation, 0);
+  });
+
+  test('should cost happiness and slow growth above the pollution thresholds', () => {
+    const clean = createState({ resources: { population: 20, pollution: PollutionConfig.happinessThreshold }, buildings: { houses: 10 } });
+    expect(Simulation.getPollutionHappinessPenalty(clean)).toBe(0);
+    expect(Simulation.getPollutionGrowthMultiplier(clean)).toBe(1);
+
+    const smoggy = createState({ resources: { population: 20, pollution: PollutionConfig.growthThreshold + 100 }, buildings: { houses: 10 } });
+    const penalty = Math.min(PollutionConfig.happinessMax, (smoggy.resources.pollution - PollutionConfig.happinessThreshold) * PollutionConfig.happinessPerUnit);
+    const growth = 1 - 100 * PollutionConfig.growthPenaltyPerUnit;
+
+    expect(Simulation.getHappinessFactors(smoggy).find(factor => factor.id === 'pollution').amount).toBeCloseTo(-penalty);
+    expect(Simulation.getPollutionGrowthMultiplier(smoggy)).toBeCloseTo(growth);
+    expect(Simulation.step(smoggy, 1).state.resources.population - 20)
+      .toBeCloseTo((Simulation.step(clean, 1).state.resources.population - 20) * growth, 1);
+  });
+
+  test('should grow population logistically toward housing capacity', () => {
+    const state = createState({ resources: { population: 20 }, buildings: { houses: 6 }, upgrades: { populationCap: 2 } });
+    const capacity = (HousingConfig.baseCapacity + 6 * BuildingConfig.houses.housing) * (1 + 2 * UpgradeConfig.populationCap.effect);
+
+    expect(Simulation.getHousingCapacity(state)).toBeCloseTo(capacity);
+    expect(Simulation.step(state, 1).state.resources.population)
+      .toBeCloseTo(20 + 6 * BuildingConfig.houses.baseProduction * (1 - 20 / capacity), 1);
+
+    const { state: settled } = Simulation.run(state, 600, 600);
+    expect(settled.resources.population).toBeLessThanOrEqual(capacity);
+    expect(settled.resources.population).toBeGreaterThan(capacity * 0.99);
+
+    const crowded = createState({ resources: { population: 110 } });
+    expect(Simulation.step(crowded, 1).state.resources.population)
+      .toBeCloseTo(110 - 100 * HousingConfig.moveOutRate, 1);
+  });
+
+  test('should evaluate achievement conditions and rewards against any state', () => {
+    const state = createState({ resources: { coins: 10 }, buildings: { houses: 6, shops: 4 } });
+    const condition = { all: [{ stat: 'totalBuildings', gte: 10 }, { stat: 'coins', lt: 50 }] };
+
+    expect(Simulation.getMetricValue(state, 'totalBuildings')).toBe(10);
+    expect(Simulation.evaluateCondition(state, condition)).toBe(true);
+    expect(Simulation.evaluateCondition(state, { any: [{ stat: 'houses', gt: 6 }, { stat: 'shops', eq: 3 }] })).toBe(false);
+
+    const { state: rewarded } = Simulation.grantReward(state, { coins: 100, happiness: 50 });
+    expect(rewarded.resources.coins).toBe(110);
+    expect(rewarded.statistics.totalCoinsEarned).toBe(100);
+    expect(rewarded.resources.happiness).toBe(100);
+    expect(state.resources.coins).toBe(10);
+  });
+
+  test('should research tech nodes in prerequisite order', () => {
+    const state = createState({ resources: { research: 1000 } });
+
+    expect(Simulation.researchTech(state, 'commerce').reason).toBe('Commerce requires Urban Planning');
+
+    const { state: planned, events } = Simulation.researchTech(state, 'urbanPlanning');
+    expect(events).toEqual([{ type: 'techResearched', nodeId: 'urbanPlanning', cost: TechConfig.nodes.urbanPlanning.cost }]);
+    expect(planned.resources.research).toBe(1000 - TechConfig.nodes.urbanPlanning.cost);
+    expect(Simulation.canResearch(planned, 'commerce')).toBe(true);
+    expect(Simulation.researchTech(planned, 'urbanPlanning').success).toBe(false);
+    expect(state.tech.researched).toEqual([]);
+  });
+
+  test('should gate buildings and upgrades behind their tech node', () => {
+    const state = createState({
+      resources: { coins: 1e6, population: 1000, research: 1000 },
+      buildings: { apartments: 3 }
+    });
+
+    expect(Simulation.isUnlocked(state, 'skyscrapers')).toBe(false);
+    expect(Simulation.purchaseBuilding(state, 'skyscrapers').reason).toBe('Skyscrapers requires the Zoning Laws research');
+    expect(Simulation.purchaseUpgrade(state, 'commercialEfficiency').reason).toBe('Commercial Efficiency requires the Commerce research');
+
+    const zoned = createState({ ...state, tech: { researched: ['urbanPlanning', 'commerce', 'industrialization', 'zoningLaws'] } });
+    expect(Simulation.isUnlocked(zoned, 'skyscrapers')).toBe(true);
+    expect(Simulation.purchaseBuilding(zoned, 'skyscrapers').success).toBe(true);
+    expect(Simulation.purchaseUpgrade(zoned, 'commercialEfficiency').success).toBe(true);
+  });
+
+  test('should apply tech mechanics and refund research on respec', () => {
+    const state = createState({ buildings: { houses: 2 }, tech: { researched: ['urbanPlanning', 'industrialization', 'salvageRights'] } });
+    const spent = ['urbanPlanning', 'industrialization', 'salvageRights'].reduce((sum, nodeId) => sum + TechConfig.nodes[nodeId].cost, 0);
+
+    expect(Simulation.getSellRefund(state, 'houses', 1))
+      .toBe(Math.floor(Simulation.getUnitCost('houses', 1) * (SellConfig.refundRate + TechConfig.nodes.salvageRights.effects.sellRefundRate)));
+
+    const { state: reset, events } = Simulation.respecTech(state);
+    expect(reset.tech.researched).toEqual([]);
+    expect(reset.resources.research).toBe(Math.floor(spent * TechConfig.respecRefundRate));
+    expect(events).toEqual([{ type: 'techRespec', count: 3, refund: Math.floor(spent * TechConfig.respecRefundRate) }]);
+    expect(Simulation.respecTech(reset).success).toBe(false);
+  });
+
+  test('should apply city event modifiers until they expire', () => {
+    const state = createState({ resources: { population: 20 }, buildings: { houses: 2, shops: 3 } });
+    const { state: started, events } = Simulation.startCityEvent(state, 'economicBoom');
+    const { duration } = EventConfig.events.economicBoom;
+
+    expect(events).toEqual([{ type: 'cityEventStarted', id: 'economicBoom', pending: false }]);
+    expect(started.cityEvents.log[0]).toEqual(expect.objectContaining({ id: 'economicBoom', choice: null }));
+    expect(Simulation.getEventMultiplier(started, 'shops')).toBe(1.25);
+    expect(Simulation.getEventMultiplier(started, 'houses')).toBe(1);
+    expect(Simulation.getProduction(started, 'shops')).toBeCloseTo(3 * BuildingConfig.shops.baseProduction * 1.25);
+
+    const { state: ended, events: endEvents } = Simulation.run(started, duration, duration);
+    expect(ended.cityEvents.active).toEqual([]);
+    expect(endEvents).toContainEqual({ type: 'cityEventEnded', id: 'economicBoom', choice: null });
+  });
+
+  test('should wait for a decision and take the default choice on timeout', () => {
+    const { state: pending } = Simulation.startCityEvent(createState({ buildings: { factories: 1 } }), 'factoryFire');
+    expect(pending.cityEvents.pending).toEqual({ id: 'factoryFire', remaining: EventConfig.choiceTimeout });
+    expect(Simulation.startCityEvent(pending, 'festival').success).toBe(false);
+
+    const broke = Simulation.chooseCityEventOption(pending, 'fireBrigade');
+    expect(broke.success).toBe(false);
+    expect(broke.reason).toMatch(/Not enough coins/);
+
+    const { state: timedOut, events } = Simulation.run(pending, EventConfig.choiceTimeout, EventConfig.choiceTimeout);
+    expect(events).toContainEqual({ type: 'cityEventResolved', id: 'factoryFire', choice: 'letItBurn', automatic: true });
+    expect(timedOut.cityEvents.pending).toBeNull();
+    expect(Simulation.getEventMultiplier(timedOut, 'factories')).toBeCloseTo(0.7);
+  });
+
+  test('should charge for a paid event choice', () => {
+    const { state: pending } = Simulation.startCityEvent(createState({ resources: { coins: 600 } }), 'factoryFire');
+    const { success, state: chosen } = Simulation.chooseCityEventOption(pending, 'fireBrigade');
+
+    expect(success).toBe(true);
+    expect(chosen.resources.coins).toBe(100);
+    expect(chosen.cityEvents.active).toEqual([{ id: 'factoryFire', choice: 'fireBrigade', remaining: EventConfig.events.factoryFire.choices.fireBrigade.duration }]);
+  });
+
+  test('should gate policies behind milestones, research and the active limit', () => {
+    const small = createState({ resources: { population: 50 } });
+    expect(Simulation.enactPolicy(small, 'taxIncrease').reason).toMatch(/not available yet/);
+    expect(Simulation.enactPolicy(small, 'researchGrants').reason).toMatch(/requires the Scientific Method research/);
+    expect(Simulation.enactPolicy(small, 'martialLaw').success).toBe(false);
+
+    const city = createState({ resources: { population: 300 }, tech: { researched: ['urbanPlanning', 'scientificMethod', 'industrialization', 'environmentalScience'] } });
+    const { success, state: taxed, events } = Simulation.enactPolicy(city, 'taxIncrease');
+    expect(success).toBe(true);
+    expect(events).toEqual([{ type: 'policyEnacted', policyId: 'taxIncrease' }]);
+    expect(city.policies.active).toEqual([]);
+    expect(Simulation.enactPolicy(taxed, 'taxIncrease').reason).toMatch(/already in force/);
+
+    const full = ['freeTransit', 'researchGrants'].reduce((state, policyId) => Simulation.enactPolicy(state, policyId).state, taxed);
+    expect(full.policies.active).toHaveLength(PolicyConfig.maxActive);
+    expect(Simulation.enactPolicy(full, 'cleanAirAct').reason).toMatch(/Only 3 policies/);
+
+    const { state: repealed, events: repealEvents } = Simulation.repealPolicy(full, 'taxIncrease');
+    expect(repealEvents).toEqual([{ type: 'policyRepealed', policyId: 'taxIncrease', lapsed: false }]);
+    expect(Simulation.enactPolicy(repealed, 'cleanAirAct').success).toBe(true);
+  });
+
+  test('should apply policy modifiers, happiness and pollution effects', () => {
+    const state = createState({
+      resources: { population: 150 },
+      buildings: { shops: 3, factories: 2 },
+      tech: { researched: ['urbanPlanning', 'industrialization', 'environmentalScience'] }
+    });
+    const { state: taxed } = Simulation.enactPolicy(state, 'taxIncrease');
+
+    expect(Simulation.getPolicyMultiplier(taxed, 'shops')).toBeCloseTo(1.2);
+    expect(Simulation.getPolicyMultiplier(taxed, 'houses')).toBe(1);
+    expect(Simulation.getProduction(taxed, 'shops')).toBeCloseTo(Simulation.getProduction(state, 'shops') * 1.2);
+    expect(Simulation.getHappinessFactors(taxed)).toContainEqual({ id: 'policies', amount: PolicyConfig.policies.taxIncrease.happiness });
+
+    const { state: clean } = Simulation.enactPolicy(state, 'cleanAirAct');
+    expect(Simulation.getPollutionRates(clean).emitted).toBeCloseTo(Simulation.getPollutionRates(state).emitted * 0.7);
+    expect(Simulation.getPolicyMultiplier(clean, 'factories')).toBeCloseTo(0.85);
+  });
+
+  test('should charge policy upkeep and lapse a policy the city cannot pay for', () => {
+    const state = createState({ resources: { coins: 12, population: 300 } });
+    const { state: transit } = Simulation.enactPolicy(state, 'freeTransit');
+    const { upkeep } = PolicyConfig.policies.freeTransit;
+
+    const { state: paid } = Simulation.step(transit, 1);
+    expect(paid.resources.coins).toBeCloseTo(12 - upkeep.coins);
+    expect(paid.policies.active).toEqual(['freeTransit']);
+
+    const { state: lapsed, events } = Simulation.run(paid, 3, 3);
+    expect(events).toContainEqual({ type: 'policyRepealed', policyId: 'freeTransit', lapsed: true });
+    expect(lapsed.policies.active).toEqual([]);
+    expect(lapsed.resources.coins).toBeCloseTo(12 - 2 * upkeep.coins);
+  });
+
+  test('should lay out owned buildings on the city grid and keep the counters in sync', () => {
+    const state = createState({ resources: { coins: 1e6, population: 1000 }, buildings: { houses: 30, shops: 10 } });
+    const { success, state: gridded } = Simulation.enableCityGrid(state);
+
+    expect(success).toBe(true);
+    expect(gridded.cityGrid.tiles).toHaveLength(CityGridConfig.width * CityGridConfig.height);
+    expect(Simulation.isCityGridInSync(gridded)).toBe(true);
+
+    const { state: bought } = Simulation.purchaseBuilding(gridded, 'houses', 3);
+    const { state: sold } = Simulation.sellBuilding(bought, 'houses', 2);
+    expect(Simulation.isCityGridInSync(bought)).toBe(true);
+    expect(Simulation.isCityGridInSync(sold)).toBe(true);
+
+    const lot = Simulation.getFreeLots(sold)[5];
+    const { state: placed } = Simulation.purchaseBuilding(sold, 'shops', 1, lot);
+    expect(placed.cityGrid.tiles[lot]).toBe('shops');
+    expect(Simulation.purchaseBuilding(placed, 'shops', 1, lot).success).toBe(false);
+    expect(Simulation.sellBuilding(placed, 'houses', 1, lot).success).toBe(false);
+    expect(Simulation.sellBuilding(placed, 'shops', 1, lot).state.cityGrid.tiles[lot]).toBeNull();
+
+    const crowded = createState({ buildings: { houses: CityGridConfig.width * CityGridConfig.height } });
+    expect(Simulation.enableCityGrid(crowded).reason).toMatch(/Too many buildings/);
+  });
+
+  test('should scale output by road access and neighbouring buildings on the city grid', () => {
+    const { width, roadCost } = CityGridConfig;
+    const { state: empty } = Simulation.enableCityGrid(createState({ resources: { coins: 1e6, population: 1000 } }));
+    const street = Math.floor(empty.cityGrid.tiles.indexOf('road') / width);
+    const tile = (x, y) => y * width + x;
+
+    let state = Simulation.purchaseBuilding(empty, 'houses', 1, tile(5, street - 1)).state;
+    expect(Simulation.getLayoutMultiplier(state, 'houses')).toBe(1);
+
+    state = Simulation.purchaseBuilding(state, 'parks', 1, tile(6, street - 1)).state;
+    expect(Simulation.getLayoutMultiplier(state, 'houses')).toBeCloseTo(1.1);
+
+    state = Simulation.purchaseBuilding(state, 'factories', 1, tile(4, street - 1)).state;
+    expect(Simulation.getLayoutMultiplier(state, 'houses')).toBeCloseTo(0.95);
+    expect(Simulation.getProduction(state, 'houses')).toBeCloseTo(BuildingConfig.houses.baseProduction * 0.95);
+
+    const { state: moved } = Simulation.moveBuilding(state, tile(4, street - 1), tile(20, street + 1));
+    expect(Simulation.getLayoutMultiplier(moved, 'houses')).toBeCloseTo(1.1);
+
+    // A street that no longer reaches the edge of the map idles every lot along it
+    const cut = [tile(0, street), tile(width - 1, street)].reduce((current, index) => Simulation.removeRoad(current, index).state, moved);
+    expect(Simulation.getLayoutMultiplier(cut, 'houses')).toBe(0);
+    expect(Simulation.getFreeLots(cut)).toEqual([]);
+    expect(Simulation.purchaseBuilding(cut, 'houses').reason).toMatch(/Build more roads/);
+
+    const { state: reconnected } = Simulation.buildRoad(cut, tile(0, street));
+    expect(reconnected.resources.coins).toBe(cut.resources.coins - roadCost);
+    expect(Simulation.getLayoutMultiplier(reconnected, 'houses')).toBeCloseTo(1.1);
+  });
+
+  test('should score the city grid once per run, however many steps offline progress takes', () => {
+    const { state } = Simulation.enableCityGrid(createState({ resources: { population: 500 }, buildings: { houses: 40, shops: 20, parks: 10, factories: 5 } }));
+    const scoring = jest.spyOn(Simulation, 'getLayoutMultipliers');
+
+    const { state: stepped } = Simulation.run(state, 3600, 1000);
+    expect(scoring).toHaveBeenCalledTimes(1);
+    scoring.mockRestore();
+
+    // Same result as scoring the tiles afresh every step
+    const { state: reference } = Array.from({ length: 10 }).reduce(({ state: current }) => Simulation.step(current, 360), { state });
+    expect(Simulation.run(state, 3600, 10).state.resources).toEqual(reference.resources);
+    expect(stepped.resources.coins).toBeGreaterThan(0);
+  });
+
+  test('should complete quests in chain order once their condition holds', () => {
+    const [first, second] = QuestConfig.chain;
+    const state = createState();
+
+    expect(Simulation.getCurrentQuest(state)).toBe(first);
+    expect(Simulation.completeQuest(state).reason).toMatch(/not complete yet/);
+
+    const { success, state: done, events } = Simulation.completeQuest(createState({ buildings: { houses: 5 } }));
+    expect(success).toBe(true);
+    expect(events).toEqual([{ type: 'questCompleted', questId: first.id, reward: first.reward }]);
+    expect(Simulation.getCurrentQuest(done)).toBe(second);
+
+    const finished = createState({ quests: { completed: QuestConfig.chain.map(quest => quest.id) } });
+    expect(Simulation.getCurrentQuest(finished)).toBeNull();
+    expect(Simulation.completeQuest(finished).reason).toMatch(/Every quest is complete/);
+  });
+
+  test('should apply challenge bans, modifiers and happiness rules', () => {
+    const jungle = createState({ resources: { coins: 1000, population: 100 }, challenge: { id: 'concreteJungle' } });
+    expect(Simulation.isUnlocked(jungle, 'parks')).toBe(false);
+    expect(Simulation.isUnlocked(jungle, 'houses')).toBe(true);
+    expect(Simulation.purchaseBuilding(jungle, 'parks').reason).toMatch(/banned/);
+
+    const rush = createState({ resources: { population: 20 }, buildings: { shops: 2, houses: 2 }, challenge: { id: 'goldRush' } });
+    expect(Simulation.getChallengeMultiplier(rush, 'shops')).toBeCloseTo(1.5);
+    expect(Simulation.getChallengeMultiplier(rush, 'houses')).toBe(1);
+    expect(Simulation.getProduction(rush, 'shops')).toBeCloseTo(Simulation.getProduction(createState({ ...rush, challenge: { id: null } }), 'shops') * 1.5);
+
+    // Grumpy citizens lose happiness twice as fast toward a lower target
+    const calm = createState({ resources: { happiness: 100 } });
+    const grumpy = createState({ resources: { happiness: 100 }, challenge: { id: 'grumpyCitizens' } });
+    const { rules } = ChallengeConfig.challenges.grumpyCitizens;
+    expect(Simulation.getHappinessFactors(grumpy)).toContainEqual({ id: 'challenge', amount: rules.happiness });
+    expect(Simulation.getHappinessTarget(grumpy)).toBeCloseTo(Simulation.getHappinessTarget(calm) + rules.happiness);
+
+    const calmDrop = 100 - Simulation.step(calm, 1).state.resources.happiness;
+    const grumpyDrop = 100 - Simulation.step(grumpy, 1).state.resources.happiness;
+    const adjust = HappinessConfig.adjustRate;
+    expect(calmDrop).toBeCloseTo((100 - Simulation.getHappinessTarget(calm)) * adjust, 1);
+    expect(grumpyDrop).toBeCloseTo((100 - Simulation.getHappinessTarget(grumpy)) * adjust * rules.happinessDecay, 1);
+  });
+
+  test('should time challenge runs and settle them once', () => {
+    const { goal, timeLimit } = ChallengeConfig.challenges.goldRush;
+    const state = createState({ challenge: { id: 'goldRush' } });
+
+    const { state: running, events } = Simulation.run(state, 60, 6);
+    expect(running.challenge).toEqual({ id: 'goldRush', elapsed: 60, result: null });
+    expect(Simulation.getChallengeTimeLeft(running)).toBe(timeLimit - 60);
+    expect(events.filter(event => event.type.startsWith('challenge'))).toEqual([]);
+
+    const rich = createState({ statistics: { totalCoinsEarned: goal.gte }, challenge: { id: 'goldRush', elapsed: 100 } });
+    const { state: won, events: wonEvents } = Simulation.run(rich, 10, 2);
+    expect(wonEvents).toContainEqual({ type: 'challengeCompleted', challengeId: 'goldRush', time: 105 });
+    expect(won.challenge).toEqual({ id: 'goldRush', elapsed: 105, result: 'completed' });
+
+    const { state: lost, events: lostEvents } = Simulation.run(createState({ challenge: { id: 'goldRush', elapsed: timeLimit - 1 } }), 5, 5);
+    expect(lostEvents.filter(event => event.type === 'challengeFailed')).toHaveLength(1);
+    expect(lost.challenge.result).toBe('failed');
+    expect(lost.challenge.elapsed).toBe(timeLimit);
+
+    // Regular cities have no clock
+    expect(Simulation.run(createState(), 10, 1).state.challenge).toEqual({ id: null, elapsed: 0, result: null });
+    expect(Simulation.getChallengeTimeLeft(createState())).toBeNull();
+  });
+
+  test('should earn, price and spend coins past the range of a double', () => {
+    const rich = createState({ resources: { coins: { mantissa: 5, exponent: 30 } }, buildings: { houses: 400 } });
+
+    const cost = Simulation.getBuildingCost(rich, 'houses', 10);
+    expect(BigNum.isBig(cost)).toBe(true);
+    expect(BigNum.log10(cost)).toBeCloseTo(Math.log10(BuildingConfig.houses.baseCost) + 400 * Math.log10(BuildingConfig.houses.costMultiplier) +
+      Math.log10((Math.pow(BuildingConfig.houses.costMultiplier, 10) - 1) / (BuildingConfig.houses.costMultiplier - 1)), 6);
+
+    const { success, state: bought } = Simulation.purchaseBuilding(rich, 'houses', 10);
+    expect(success).toBe(true);
+    expect(BigNum.lt(bought.resources.coins, rich.resources.coins)).toBe(true);
+    expect(bought.statistics.buildingSpending.houses).toEqual(expect.objectContaining({ exponent: expect.any(Number) }));
+
+    // Far past 1e308 prices and budgets stay finite and comparable
+    const huge = createState({ resources: { coins: { mantissa: 1, exponent: 500 } }, buildings: { houses: 5000 } });
+    const affordable = BulkPricing.getMaxAffordable(BuildingConfig.houses.baseCost, BuildingConfig.houses.costMultiplier, 5000, huge.resources.coins);
+    expect(affordable).toBeGreaterThan(0);
+    expect(BigNum.lte(Simulation.getBuildingCost(huge, 'houses', affordable), huge.resources.coins)).toBe(true);
+    expect(BigNum.gt(Simulation.getBuildingCost(huge, 'houses', affordable + 1), huge.resources.coins)).toBe(true);
+    expect(BigNum.isBig(Simulation.getSellRefund(huge, 'houses', 1))).toBe(true);
+
+    // Small amounts keep their plain, cent-exact form
+    const { state: next } = Simulation.step(createState({ resources: { coins: 10.25 }, buildings: { shops: 1 } }), 1);
+    expect(typeof next.resources.coins).toBe('number');
+  });
+});
+
+describe('BigNum', () => {
+  test('should stay a plain number below the limit and switch form above it', () => {
+    expect(BigNum.add(0.1, 0.2)).toBeCloseTo(0.3);
+    expect(BigNum.add(9e12, 2e12)).toEqual({ mantissa: 1.1, exponent: 13 });
+    expect(BigNum.sub({ mantissa: 1.1, exponent: 13 }, 2e12)).toBeCloseTo(9e12);
+    expect(BigNum.mul({ mantissa: 2, exponent: 200 }, { mantissa: 5, exponent: 200 })).toEqual({ mantissa: 1, exponent: 401 });
+    expect(BigNum.div({ mantissa: 1, exponent: 401 }, { mantissa: 5, exponent: 200 })).toEqual({ mantissa: 2, exponent: 200 });
+    expect(BigNum.sqrt({ mantissa: 1, exponent: 400 })).toEqual({ mantissa: 1, exponent: 200 });
+  });
+
+  test('should compare across forms and restore saved values', () => {
+    expect(BigNum.gt({ mantissa: 1, exponent: 20 }, 5e12)).toBe(true);
+    expect(BigNum.lt({ mantissa: -1, exponent: 20 }, 0)).toBe(true);
+    expect(BigNum.cmp({ mantissa: 2.5, exponent: 15 }, 2.5e15)).toBe(0);
+    expect(BigNum.max(0, { mantissa: -3, exponent: 14 })).toBe(0);
+
+    expect(BigNum.sanitize(1234.5)).toBe(1234.5);
+    expect(BigNum.sanitize(3e15)).toEqual({ mantissa: 3, exponent: 15 });
+    expect(BigNum.sanitize({ mantissa: 42, exponent: 30 })).toEqual({ mantissa: 4.2, exponent: 31 });
+    expect(BigNum.sanitize({ mantissa: 'x', exponent: 30 })).toBe(0);
+    expect(BigNum.sanitize(undefined, null)).toBeNull();
+  });
+});
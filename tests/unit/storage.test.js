@@ -1,6 +1,6 @@
 // Unit tests for storage system
 
-require('../../js/storage.js');
+testHelpers.loadScripts('performance.js', 'config.js', 'simulation.js', 'game.js', 'persistence.js', 'migrations.js', 'storage.js');
 
 describe('Storage', () => {
   beforeEach(() => {
@@ -9,13 +9,15 @@ describe('Storage', () => {
     localStorage.setItem.mockClear();
     localStorage.removeItem.mockClear();
     localStorage.clear.mockClear();
+    // Undo implementations a previous test installed (e.g. a throwing setItem)
+    useMemoryStore();
   });
 
   test('should detect localStorage availability', () => {
     expect(Storage.isLocalStorageAvailable()).toBe(true);
     
     // Test when localStorage throws error
-    localStorage.setItem.mockImplementation(() => {
+    localStorage.setItem.mockImplementationOnce(() => {
       throw new Error('localStorage not available');
     });
     
@@ -38,8 +40,9 @@ describe('Storage', () => {
   });
 
   test('should handle save errors gracefully', () => {
-    localStorage.setItem.mockImplementation(() => {
-      throw new Error('Storage quota exceeded');
+    // The availability probe still works; only the save itself hits the quota
+    localStorage.setItem.mockImplementation(key => {
+      if (key === Storage.SAVE_KEY) throw new Error('Storage quota exceeded');
     });
 
     const success = Storage.saveGame();
@@ -51,13 +54,29 @@ describe('Storage', () => {
     );
   });
 
+  test('should report a save that IndexedDB fails to write', async () => {
+    const { backend, write } = Persistence;
+    const quota = new Error('QuotaExceededError');
+    Persistence.backend = 'indexedDB';
+    Persistence.write = jest.fn(async key => { if (key === Storage.SAVE_KEY) throw quota; });
+
+    // The cache takes the save at once; the failure only shows once the queued write settles
+    expect(Storage.saveGame()).toBe(true);
+    await Persistence.flush();
+    await Promise.resolve();
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to save game'), quota);
+
+    Object.assign(Persistence, { backend, write });
+  });
+
   test('should load game state correctly', () => {
     const mockSaveData = {
       version: '1.0.0',
       timestamp: Date.now(),
       gameState: {
         resources: { coins: 200, population: 75, happiness: 90 },
-        buildings: { houses: 5, shops: 2, parks: 1 },
+        buildings: { houses: 5, shops: 2, factories: 0, parks: 1 },
         upgrades: { efficiency: 1.5, residentialEfficiency: 1 },
         statistics: { totalClicks: 50, gameTime: 300 }
       }
@@ -108,10 +127,10 @@ describe('Storage', () => {
   });
 
   test('should calculate offline progress correctly', () => {
-    testHelpers.setupGameState({
-      buildings: { houses: 2, shops: 1 },
-      upgrades: { efficiency: 1 }
-    });
+    // Shops only trade once the city has residents, as in the live loop
+    GameState.buildings.houses = 2;
+    GameState.buildings.shops = 1;
+    GameState.resources.population = 5;
 
     const initialCoins = GameState.resources.coins;
     const initialPopulation = GameState.resources.population;
@@ -122,6 +141,49 @@ describe('Storage', () => {
     expect(GameState.resources.population).toBeGreaterThan(initialPopulation);
   });
 
+  test('should match the live production loop for offline time', () => {
+    const setup = () => {
+      // Enough residents to fill every job, and homes for them
+      GameState.resources = { coins: 0, population: 110, happiness: 100, energy: 100, research: 0 };
+      Object.keys(GameState.buildings).forEach(type => { GameState.buildings[type] = 0; });
+      Object.assign(GameState.buildings, { houses: 6, apartments: 2, shops: 3, factories: 2, malls: 1, labs: 2, parks: 2 });
+      GameState.upgrades.commercialEfficiency = 2;
+      GameState.upgrades.autoClickerLevel = 1;
+    };
+
+    setup();
+    for (let i = 0; i < 600; i++) {
+      GameLoop.produceResources(0.1);
+    }
+    const live = { ...GameState.resources };
+
+    setup();
+    const summary = Storage.calculateOfflineProgress(60);
+
+    // The live loop rounds every 0.1s tick, so allow a fraction of a percent of drift
+    expect(GameState.resources.coins / live.coins).toBeCloseTo(1, 2);
+    expect(GameState.resources.research / live.research).toBeCloseTo(1, 2);
+    expect(summary.coins).toBeCloseTo(GameState.resources.coins, 5);
+    expect(summary.seconds).toBe(60);
+  });
+
+  test('should cap offline progress at a day', () => {
+    GameState.buildings.houses = 1;
+    const savedAt = Date.now() - 3 * 86400 * 1000;
+
+    Storage.applySaveData({
+      version: '1.1.0',
+      timestamp: savedAt,
+      gameState: {
+        resources: { coins: 0, population: 0, happiness: 100 },
+        buildings: { houses: 1 },
+        statistics: { gameTime: 100 }
+      }
+    });
+
+    expect(GameState.statistics.gameTime).toBe(100 + Storage.OFFLINE_MAX_SECONDS);
+  });
+
   test('should format offline time correctly', () => {
     expect(Storage.formatOfflineTime(30)).toBe('30 seconds');
     expect(Storage.formatOfflineTime(90)).toBe('1 minute');
@@ -147,13 +209,11 @@ describe('Storage', () => {
       download: '',
       click: jest.fn()
     };
-    global.document = {
-      createElement: jest.fn(() => mockAnchor),
-      body: {
-        appendChild: jest.fn(),
-        removeChild: jest.fn()
-      }
-    };
+    const spies = [
+      jest.spyOn(document, 'createElement').mockReturnValue(mockAnchor),
+      jest.spyOn(document.body, 'appendChild').mockImplementation(() => {}),
+      jest.spyOn(document.body, 'removeChild').mockImplementation(() => {})
+    ];
     global.URL = {
       createObjectURL: jest.fn(() => 'blob:url'),
       revokeObjectURL: jest.fn()
@@ -161,6 +221,7 @@ describe('Storage', () => {
     global.Blob = jest.fn();
 
     const result = Storage.exportSave();
+    spies.forEach(spy => spy.mockRestore());
     
     expect(result).toBe(mockSaveData);
     expect(mockAnchor.click).toHaveBeenCalled();
@@ -198,4 +259,224 @@ describe('Storage', () => {
       expect.any(Error)
     );
   });
-});
\ No newline at end of file
+
+  // Back localStorage with a plain object so tests can inspect every key
+  const useMemoryStore = () => {
+    const store = {};
+    localStorage.getItem.mockImplementation(key => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = String(value); });
+    localStorage.removeItem.mockImplementation(key => { delete store[key]; });
+    Storage.activeSlot = 1;
+    Storage.lockedSlot = null;
+    Storage.backupTimes = {};
+    return store;
+  };
+
+  describe('Save slots', () => {
+    let store;
+
+    beforeEach(() => {
+      store = useMemoryStore();
+    });
+
+    test('should keep slot 1 on the original save and history keys', () => {
+      expect(Storage.getSlotKey(1)).toBe('idlecity_save');
+      expect(Storage.getSlotKey(2)).toBe('idlecity_save_slot2');
+      expect(Storage.getHistoryKey(1)).toBe('idlecity_statistics_history');
+      expect(Storage.getHistoryKey(3)).toBe('idlecity_statistics_history_slot3');
+
+      Storage.activeSlot = 2;
+      expect(Storage.SAVE_KEY).toBe('idlecity_save_slot2');
+    });
+
+    test('should record slot metadata when saving', () => {
+      GameState.resources.population = 42.7;
+      GameState.statistics.gameTime = 125;
+
+      expect(Storage.saveGame(2)).toBe(true);
+
+      const slot = Storage.getSlots().find(entry => entry.slot === 2);
+      expect(slot.exists).toBe(true);
+      expect(slot.name).toBe('City 2');
+      expect(slot.population).toBe(42);
+      expect(slot.playTime).toBe(125);
+      expect(slot.lastPlayed).toEqual(expect.any(Number));
+    });
+
+    test('should copy a slot with its history and a copied name', () => {
+      store.idlecity_save_slot2 = '{"version":"1.0.0"}';
+      store.idlecity_statistics_history_slot2 = '{"population":[]}';
+      Storage.renameSlot(2, '  Harbour Town  ');
+
+      expect(Storage.copySlot(2, 3)).toBe(true);
+      expect(store.idlecity_save_slot3).toBe(store.idlecity_save_slot2);
+      expect(store.idlecity_statistics_history_slot3).toBe('{"population":[]}');
+      expect(Storage.getSlots()[2].name).toBe('Harbour Town (copy)');
+    });
+
+    test('should refuse to overwrite or delete the active slot', () => {
+      store.idlecity_save_slot2 = '{"version":"1.0.0"}';
+
+      expect(Storage.copySlot(2, 1)).toBe(false);
+      expect(Storage.deleteSlot(1)).toBe(false);
+      expect(Storage.copySlot(3, 2)).toBe(false);
+    });
+
+    test('should delete an inactive slot and its history', () => {
+      store.idlecity_save_slot3 = '{"version":"1.0.0"}';
+      store.idlecity_statistics_history_slot3 = '{}';
+      Storage.renameSlot(3, 'Old Town');
+
+      expect(Storage.deleteSlot(3)).toBe(true);
+      expect(store.idlecity_save_slot3).toBeUndefined();
+      expect(store.idlecity_statistics_history_slot3).toBeUndefined();
+      expect(Storage.getSlots()[2]).toEqual(expect.objectContaining({ name: 'City 3', exists: false }));
+    });
+
+    test('should back up and migrate older saves on load', () => {
+      const legacy = JSON.stringify({
+        version: '1.0.0',
+        timestamp: Date.now(),
+        gameState: {
+          resources: { coins: 50, population: 10, happiness: 90, research: 5 },
+          buildings: { houses: 1, shops: 0, factories: 0, parks: 0 },
+          statistics: { totalClicks: 3 }
+        }
+      });
+      store.idlecity_save = legacy;
+
+      expect(Storage.loadGame()).toBe(true);
+      expect(store.idlecity_save_premigration).toBe(legacy);
+      expect(GameState.statistics.totalResearchEarned).toBe(5);
+    });
+
+    test('should refuse newer saves and not overwrite them', () => {
+      const newer = JSON.stringify({
+        version: '99.0.0',
+        timestamp: Date.now(),
+        gameState: { resources: {}, buildings: {}, statistics: {} }
+      });
+      store.idlecity_save = newer;
+
+      expect(Storage.loadGame()).toBe(false);
+      expect(Storage.saveGame()).toBe(false);
+      expect(store.idlecity_save).toBe(newer);
+
+      Storage.clearSave();
+      expect(Storage.lockedSlot).toBeNull();
+    });
+
+    test('should stop the game loop before saving and switching slots', () => {
+      const stop = jest.spyOn(GameLoop, 'stop');
+      const save = jest.spyOn(Storage, 'saveGame');
+      const restart = jest.spyOn(Storage, 'restart').mockImplementation(() => {});
+
+      expect(Storage.switchSlot(2)).toBe(true);
+      expect(stop.mock.invocationCallOrder[0]).toBeLessThan(save.mock.invocationCallOrder[0]);
+      expect(Storage.activeSlot).toBe(2);
+      expect(restart).toHaveBeenCalled();
+
+      [stop, save, restart].forEach(spy => spy.mockRestore());
+    });
+
+    test('should reject blank slot names', () => {
+      expect(Storage.renameSlot(2, '   ')).toBe(false);
+      expect(Storage.renameSlot(4, 'Nowhere')).toBe(false);
+    });
+  });
+
+  describe('Backups', () => {
+    let store;
+    let now;
+
+    beforeEach(() => {
+      store = useMemoryStore();
+      now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      GameState.statistics.gameTime = 60;
+    });
+
+    afterEach(() => {
+      Date.now.mockRestore();
+    });
+
+    // One autosave a minute, so each one is due for a recent snapshot
+    const autosaveTimes = (count, coinsStart = 0) => {
+      for (let i = 0; i < count; i++) {
+        GameState.resources.coins = coinsStart + i;
+        now += Storage.BACKUP_INTERVALS.recent;
+        Storage.autoSave();
+      }
+    };
+
+    test('should keep a snapshot a minute for 10 minutes plus hourly and daily snapshots', () => {
+      autosaveTimes(12);
+
+      const backups = Storage.readBackups();
+      expect(backups.recent).toHaveLength(10);
+      expect(backups.recent[0].coins).toBe(11);
+      expect(backups.hourly).toHaveLength(1);
+      expect(backups.daily).toHaveLength(1);
+
+      now += 3600000;
+      Storage.autoSave();
+      expect(Storage.readBackups().hourly).toHaveLength(2);
+      expect(Storage.readBackups().daily).toHaveLength(1);
+    });
+
+    test('should leave the backups alone on autosaves between snapshots', () => {
+      autosaveTimes(1);
+      const backupWrites = () => localStorage.setItem.mock.calls.filter(([key]) => key === Storage.getBackupKey()).length;
+      localStorage.getItem.mockClear();
+
+      for (let i = 0; i < 5; i++) {
+        now += Storage.AUTO_SAVE_INTERVAL;
+        Storage.autoSave();
+      }
+
+      expect(backupWrites()).toBe(1);
+      expect(localStorage.getItem).not.toHaveBeenCalledWith(Storage.getBackupKey());
+      expect(Storage.readBackups().recent).toHaveLength(1);
+
+      now += Storage.AUTO_SAVE_INTERVAL;
+      Storage.autoSave();
+      expect(backupWrites()).toBe(2);
+      expect(Storage.readBackups().recent).toHaveLength(2);
+    });
+
+    test('should list each snapshot once, newest first', () => {
+      autosaveTimes(12);
+
+      const list = Storage.getBackups();
+      expect(list).toHaveLength(11);
+      expect(list[0].timestamp).toBeGreaterThan(list[1].timestamp);
+      expect(list[list.length - 1]).toEqual(expect.objectContaining({ coins: 0, tier: 'hourly' }));
+    });
+
+    test('should fall back to the newest valid backup when the save is corrupt', () => {
+      autosaveTimes(3, 100);
+      store.idlecity_save = '{"version":"1.1.0","gameState":';
+
+      expect(Storage.loadGame()).toBe(true);
+      expect(GameState.resources.coins).toBe(102);
+      expect(JSON.parse(store.idlecity_save).gameState.resources.coins).toBe(102);
+    });
+
+    test('should start fresh when no backup is usable', () => {
+      store.idlecity_save = 'not json';
+
+      expect(Storage.loadGame()).toBe(false);
+    });
+
+    test('should restore a backup and back up the current state first', () => {
+      autosaveTimes(3, 100);
+      const oldest = Storage.getBackups().pop();
+      GameState.resources.coins = 500;
+      Storage.saveGame();
+
+      expect(Storage.restoreBackup(oldest.timestamp)).toBe(true);
+      expect(GameState.resources.coins).toBe(100);
+      expect(Storage.getBackups()[0]).toEqual(expect.objectContaining({ reason: 'before restore', coins: 500 }));
+    });
+  });
+});